@@ -27,6 +27,9 @@ let currentSop = {
     steps: []
 };
 
+// Server copy the editor started from (for three-way merge when a save conflicts)
+let currentSopBase = null;
+
 let stepCounter = 0;
 let currentStepId = null;
 let selectedImages = [];
@@ -34,7 +37,6 @@ let stream = null;
 
 // Global logo cache - preload logo on page load
 let cachedLogoImage = null;
-let cachedLogoAspectRatio = null; // width/height for PDF so logo is not distorted
 
 // Flag to track when loading SOP from register (to prevent clearing editor)
 let isLoadingFromRegister = false;
@@ -100,9 +102,6 @@ async function preloadLogo() {
                     console.log('Logo load timeout - trying direct canvas method');
                     // Fallback: try converting directly from loaded element
                     try {
-                        if (logoElement.naturalWidth > 0 && logoElement.naturalHeight > 0) {
-                            cachedLogoAspectRatio = logoElement.naturalWidth / logoElement.naturalHeight;
-                        }
                         const canvas = document.createElement('canvas');
                         canvas.width = logoElement.naturalWidth;
                         canvas.height = logoElement.naturalHeight;
@@ -121,9 +120,6 @@ async function preloadLogo() {
                 img.onload = () => {
                     clearTimeout(timeout);
                     try {
-                        if (img.naturalWidth > 0 && img.naturalHeight > 0) {
-                            cachedLogoAspectRatio = img.naturalWidth / img.naturalHeight;
-                        }
                         const canvas = document.createElement('canvas');
                         canvas.width = img.naturalWidth;
                         canvas.height = img.naturalHeight;
@@ -136,9 +132,6 @@ async function preloadLogo() {
                         console.error('Canvas conversion failed:', err.message);
                         // Try direct method as fallback
                         try {
-                            if (logoElement.naturalWidth > 0 && logoElement.naturalHeight > 0) {
-                                cachedLogoAspectRatio = logoElement.naturalWidth / logoElement.naturalHeight;
-                            }
                             const canvas = document.createElement('canvas');
                             canvas.width = logoElement.naturalWidth;
                             canvas.height = logoElement.naturalHeight;
@@ -157,9 +150,6 @@ async function preloadLogo() {
                     clearTimeout(timeout);
                     console.error('Image load error - trying direct method');
                     try {
-                        if (logoElement.naturalWidth > 0 && logoElement.naturalHeight > 0) {
-                            cachedLogoAspectRatio = logoElement.naturalWidth / logoElement.naturalHeight;
-                        }
                         const canvas = document.createElement('canvas');
                         canvas.width = logoElement.naturalWidth;
                         canvas.height = logoElement.naturalHeight;
@@ -255,16 +245,31 @@ async function loadAllSopsFromCloud() {
         return await window.loadAllSopsFromGoogleDrive();
     return null;
 }
-async function saveSopToCloud(sop) {
+async function saveSopToCloud(sop, options = {}) {
     if (typeof window.useSharedAccess === 'function' && window.useSharedAccess())
-        return await window.saveSopToSharedAPI(sop);
+        return await window.saveSopToSharedAPI(sop, options);
     if (typeof window.useGoogleDrive === 'function' && window.useGoogleDrive())
         return await window.saveSopToGoogleDrive(sop);
     return false;
 }
-async function deleteSopFromCloud(sopId) {
+/** Metadata-only SOP listing: the shared API's index, or full SOPs from Drive (which has no index). */
+async function loadSopSummariesFromCloud(filters = {}) {
+    if (typeof window.useSharedAccess === 'function' && window.useSharedAccess())
+        return await window.loadSopIndexFromSharedAPI(filters);
+    if (typeof window.useGoogleDrive === 'function' && window.useGoogleDrive())
+        return filterSopMap(await window.loadAllSopsFromGoogleDrive(), filters);
+    return null;
+}
+async function loadSopFromCloud(sopId) {
     if (typeof window.useSharedAccess === 'function' && window.useSharedAccess())
-        return await window.deleteSopFromSharedAPI(sopId);
+        return await window.loadSopFromSharedAPI(sopId);
+    if (typeof window.useGoogleDrive === 'function' && window.useGoogleDrive())
+        return ((await window.loadAllSopsFromGoogleDrive()) || {})[sopId] || null;
+    return null;
+}
+async function deleteSopFromCloud(sopId, reason) {
+    if (typeof window.useSharedAccess === 'function' && window.useSharedAccess())
+        return await window.deleteSopFromSharedAPI(sopId, reason);
     if (typeof window.useGoogleDrive === 'function' && window.useGoogleDrive())
         return await window.deleteSopFromGoogleDrive(sopId);
     return false;
@@ -278,10 +283,15 @@ async function testBackendConnection() {
     try {
         const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
         const timeout = setTimeout(() => ctrl && ctrl.abort(), 10000);
-        const res = await fetch(base.replace(/\/$/, '') + '/sops', { method: 'GET', mode: 'cors', credentials: 'omit', headers: { Accept: 'application/json' }, signal: ctrl ? ctrl.signal : undefined });
+        // /health is public, so a signed-out device can still tell "offline" from "not signed in"
+        const res = await fetch(base.replace(/\/$/, '') + '/health', { method: 'GET', mode: 'cors', credentials: 'omit', headers: { Accept: 'application/json' }, signal: ctrl ? ctrl.signal : undefined });
         clearTimeout(timeout);
+        setBackendOnline(res.ok);
         return res.ok;
-    } catch (_) { return false; }
+    } catch (_) {
+        setBackendOnline(false);
+        return false;
+    }
 }
 
 async function retryConnectionAndRefresh() {
@@ -297,6 +307,117 @@ async function retryConnectionAndRefresh() {
     }
 }
 
+// Sign-in for the shared backend (session token kept in localStorage by shared-sop-api.js)
+function openSignInModal(message) {
+    const modal = document.getElementById('signInModal');
+    if (!modal) return;
+    const msgEl = document.getElementById('signInMessage');
+    if (msgEl) {
+        msgEl.textContent = message || '';
+        msgEl.style.display = message ? 'block' : 'none';
+    }
+    document.getElementById('signInPassword').value = '';
+    modal.classList.remove('hidden');
+    document.getElementById(document.getElementById('signInEmail').value ? 'signInPassword' : 'signInEmail').focus();
+}
+
+function closeSignInModal() {
+    const modal = document.getElementById('signInModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function submitSignIn() {
+    const email = document.getElementById('signInEmail').value.trim();
+    const password = document.getElementById('signInPassword').value;
+    if (!email || !password) {
+        openSignInModal('Enter your email and password.');
+        return;
+    }
+    try {
+        const user = await window.signInToSharedAPI(email, password);
+        closeSignInModal();
+        updateSignInButton();
+        showNotification('Signed in as ' + (user.name || user.email), 'success');
+        syncOutbox();
+        if (typeof refreshRegister === 'function') refreshRegister();
+        if (typeof refreshReviewList === 'function') refreshReviewList();
+    } catch (e) {
+        openSignInModal(e.message || 'Sign in failed');
+    }
+}
+
+// Electronic signature: the signed-in user re-enters their password for each approval decision.
+// Resolves to the password, or null when cancelled; the backend checks it.
+let signatureResolve = null;
+
+function requestSignature(sop, meaning) {
+    const user = typeof window.getSharedAPIUser === 'function' ? window.getSharedAPIUser() : null;
+    if (!user) {
+        openSignInModal('Sign in to approve SOPs – approvals are signed with your account.');
+        return Promise.resolve(null);
+    }
+    document.getElementById('signatureSop').textContent =
+        `${sop.meta.sopId || ''} – ${sop.meta.title || 'Untitled SOP'} (revision ${sop.revision || 0})`;
+    document.getElementById('signatureMeaning').textContent = meaning;
+    document.getElementById('signatureSigner').textContent = `${user.name || user.email} (${user.email})`;
+    document.getElementById('signaturePassword').value = '';
+    document.getElementById('signatureModal').classList.remove('hidden');
+    document.getElementById('signaturePassword').focus();
+    return new Promise(resolve => { signatureResolve = resolve; });
+}
+
+function submitSignature() {
+    const password = document.getElementById('signaturePassword').value;
+    if (!password) {
+        showNotification('Enter your password to sign.', 'warning');
+        return;
+    }
+    closeSignatureModal(password);
+}
+
+function closeSignatureModal(password) {
+    document.getElementById('signatureModal').classList.add('hidden');
+    document.getElementById('signaturePassword').value = '';
+    if (signatureResolve) {
+        signatureResolve(password);
+        signatureResolve = null;
+    }
+}
+
+async function signOutFromBackend() {
+    const confirmed = await showConfirmation('Sign Out', 'Sign out of the SOP server on this device?');
+    if (!confirmed) return;
+    if (typeof window.signOutOfSharedAPI === 'function') window.signOutOfSharedAPI();
+    updateSignInButton();
+    showNotification('Signed out', 'success');
+}
+
+function updateSignInButton() {
+    const btn = document.getElementById('signInBtn');
+    if (!btn) return;
+    if (!(typeof useSharedAccess === 'function' && useSharedAccess())) {
+        btn.style.display = 'none';
+        return;
+    }
+    const user = typeof window.getSharedAPIUser === 'function' ? window.getSharedAPIUser() : null;
+    btn.style.display = '';
+    btn.textContent = user ? '👤 ' + (user.name || user.email) : '🔑 Sign In';
+    btn.title = user ? 'Signed in (' + (user.roles || []).join(', ') + ') – click to sign out' : 'Sign in to the SOP server';
+    btn.onclick = user ? signOutFromBackend : () => openSignInModal();
+}
+
+window.addEventListener('sop-auth-required', (e) => {
+    if (typeof window.signOutOfSharedAPI === 'function') window.signOutOfSharedAPI();
+    updateSignInButton();
+    openSignInModal('Please sign in to continue' + (e.detail && e.detail.message ? ' (' + e.detail.message + ')' : '') + '.');
+});
+
+window.openSignInModal = openSignInModal;
+window.closeSignInModal = closeSignInModal;
+window.submitSignIn = submitSignIn;
+window.submitSignature = submitSignature;
+window.closeSignatureModal = closeSignatureModal;
+
 /** Load SOPs from cloud + localStorage merge. Single source of truth for all data loading. */
 async function loadAllSopsMerged() {
     let savedSops = {};
@@ -305,9 +426,11 @@ async function loadAllSopsMerged() {
         try {
             const loaded = await loadAllSopsFromCloud();
             savedSops = loaded || {};
+            offlineStoreCall('cacheSopsOffline', savedSops);
         } catch (e) {
             cloudError = e;
             console.warn('Cloud load failed:', e.message);
+            savedSops = (await offlineStoreCall('getCachedSops')) || {};
         }
         const local = JSON.parse(localStorage.getItem('savedSops') || '{}');
         Object.keys(local).forEach(key => { if (local[key] && local[key].meta && !savedSops[key]) savedSops[key] = local[key]; });
@@ -318,10 +441,456 @@ async function loadAllSopsMerged() {
     return savedSops;
 }
 
+/** Client-side version of the index filters (status/department exact, comma-separated) for local or Drive SOPs. */
+function filterSopMap(sops, filters = {}) {
+    const list = value => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+    const statuses = list(filters.status);
+    const departments = list(filters.department);
+    const result = {};
+    Object.keys(sops || {}).forEach(key => {
+        const sop = sops[key];
+        if (!sop || !sop.meta) return;
+        if (statuses.length && !statuses.includes(sop.meta.status)) return;
+        if (departments.length && !departments.includes(sop.meta.department)) return;
+        if (filters.awaiting === 'me' && !sopAwaitsCurrentUser(sop)) return;
+        result[key] = sop;
+    });
+    return result;
+}
+
+/**
+ * Like loadAllSopsMerged() but only metadata from the cloud – use for lists (register, review list, ID sequence).
+ * Entries have meta, savedAt and revision; load the full SOP with loadSopMerged(key) when one is opened.
+ */
+async function loadSopSummariesMerged(filters = {}) {
+    const local = filterSopMap(JSON.parse(localStorage.getItem('savedSops') || '{}'), filters);
+    if (!useCloudSops()) return local;
+    let summaries = {};
+    let cloudError = null;
+    try {
+        summaries = (await loadSopSummariesFromCloud(filters)) || {};
+        offlineStoreCall('cacheSopsOffline', summaries);
+        hideOfflineCopyBanner();
+    } catch (e) {
+        cloudError = e;
+        console.warn('Cloud index load failed:', e.message);
+        summaries = filterSopMap((await offlineStoreCall('getCachedSops')) || {}, filters);
+        if (Object.keys(summaries).length > 0) {
+            showOfflineCopyBanner('Offline – showing the SOPs saved on this device. They may be out of date; check again when you have signal.');
+        }
+    }
+    Object.keys(local).forEach(key => { if (!summaries[key]) summaries[key] = local[key]; });
+    if (cloudError && Object.keys(summaries).length === 0) throw cloudError;
+    return summaries;
+}
+
+/**
+ * One full SOP: a write still waiting in the offline outbox first (it is this device's newest copy),
+ * then the cloud copy, the offline cache and finally this device's local copy. Returns null if none has it.
+ */
+async function loadSopMerged(key) {
+    return (await loadSopWithSource(key)).sop;
+}
+
+/** loadSopMerged() plus where the copy came from: { sop, source: 'outbox' | 'cloud' | 'offline' | 'local', cachedAt }. */
+async function loadSopWithSource(key) {
+    if (useCloudSops()) {
+        const queued = ((await offlineStoreCall('listOutbox')) || []).find(e => e.type === 'sop' && e.key === key);
+        if (queued) return { sop: cloneSop(queued.payload), source: 'outbox', cachedAt: queued.updatedAt };
+        try {
+            const sop = await loadSopFromCloud(key);
+            if (sop) {
+                offlineStoreCall('cacheSopsOffline', { [key]: sop });
+                hideOfflineCopyBanner();
+                return { sop, source: 'cloud', cachedAt: null };
+            }
+        } catch (e) {
+            console.warn('Cloud load failed for ' + key + ':', e.message);
+            const cached = await offlineStoreCall('getCachedSop', key);
+            if (cached && Array.isArray(cached.steps)) {
+                const info = await offlineStoreCall('getSopCacheInfo', key);
+                return { sop: cached, source: 'offline', cachedAt: info ? info.cachedAt : null };
+            }
+        }
+    }
+    const local = JSON.parse(localStorage.getItem('savedSops') || '{}');
+    return { sop: local[key] || null, source: 'local', cachedAt: null };
+}
+
+// Offline copies: approved SOPs (and their photos, via the service worker's image cache) are kept on the
+// device so operators can read them at machines with no signal
+let precachingApprovedSops = false;
+
+/** Fetch every approved SOP that is new or changed since it was last cached. Runs in the background. */
+async function precacheApprovedSops() {
+    if (precachingApprovedSops || !useSharedAccess() || typeof window.isOfflineStoreAvailable !== 'function' || !window.isOfflineStoreAvailable()) return;
+    precachingApprovedSops = true;
+    try {
+        const approved = (await window.loadSopIndexFromSharedAPI({ status: 'Approved' })) || {};
+        let cached = 0;
+        for (const key of Object.keys(approved)) {
+            const info = await offlineStoreCall('getSopCacheInfo', key);
+            if (info && info.revision >= (Number(approved[key].revision) || 0)) continue;
+            const sop = await window.loadSopFromSharedAPI(key);
+            if (!sop) continue;
+            await offlineStoreCall('cacheSopsOffline', { [key]: sop });
+            await precacheSopImages(sop);
+            cached++;
+        }
+        if (cached) console.log('📥 Cached ' + cached + ' approved SOP(s) for offline use');
+    } catch (e) {
+        console.warn('Could not cache approved SOPs for offline use:', e.message);
+    } finally {
+        precachingApprovedSops = false;
+    }
+}
+
+/** Fetching each photo once is enough – the service worker keeps /images/<hash> responses. */
+async function precacheSopImages(sop) {
+    for (const step of sop.steps || []) {
+        for (const image of step.images || []) {
+            if (typeof image === 'string') continue;
+            for (const ref of new Set([image.thumb, image.ref].filter(Boolean))) {
+                try {
+                    await window.fetchImageFromSharedAPI(ref);
+                } catch (e) {
+                    console.warn('Could not cache image ' + ref + ':', e.message);
+                }
+            }
+        }
+    }
+}
+
+function showOfflineCopyBanner(message) {
+    const banner = document.getElementById('offlineCopyBanner');
+    if (!banner) return;
+    document.getElementById('offlineCopyText').textContent = message;
+    banner.classList.remove('hidden');
+}
+
+function hideOfflineCopyBanner() {
+    const banner = document.getElementById('offlineCopyBanner');
+    if (banner) banner.classList.add('hidden');
+}
+
+function offlineCopyMessage(key, cachedAt) {
+    const when = cachedAt ? ' downloaded ' + new Date(cachedAt).toLocaleString() : '';
+    return `Offline – showing the copy of ${key}${when} on this device. It may be out of date; check again when you have signal.`;
+}
+
+/** Read-only view of any SOP from the register – works offline from the cached copy. */
+async function viewSopFromRegister(key) {
+    try {
+        const { sop, source, cachedAt } = await loadSopWithSource(key);
+        if (!sop) {
+            showNotification('SOP not found' + (backendOnline === false ? ' on this device – it has not been cached for offline use.' : '.'), 'error');
+            return;
+        }
+        showSopView(sop, key, source === 'offline' ? offlineCopyMessage(key, cachedAt) : '');
+    } catch (e) {
+        showNotification('Error loading SOP: ' + e.message, 'error');
+        console.error('Error:', e);
+    }
+}
+
+/** Open the read-only view; a Superseded version or Retired SOP is shown behind a watermark. */
+function showSopView(sop, key, notice) {
+    const noticeEl = document.getElementById('sopViewStaleNotice');
+    noticeEl.textContent = notice || '';
+    noticeEl.classList.toggle('hidden', !notice);
+    document.getElementById('sopViewTitle').textContent = `${sop.meta.sopId || key} – ${sop.meta.title || 'Untitled'}` +
+        (sop.meta.status === 'Superseded' ? ` (version ${sop.meta.version || 'N/A'}, superseded)` : '') +
+        (sop.meta.status === 'Retired' ? ' (retired)' : '');
+    const body = document.getElementById('sopViewBody');
+    body.innerHTML = buildSopDisplayHtml(sop);
+    body.classList.toggle('superseded-watermark', sop.meta.status === 'Superseded');
+    body.classList.toggle('retired-watermark', sop.meta.status === 'Retired');
+    observeLazyImages(body);
+    document.getElementById('sopViewModal').classList.remove('hidden');
+}
+
+function closeSopView() {
+    document.getElementById('sopViewModal').classList.add('hidden');
+}
+
+window.viewSopFromRegister = viewSopFromRegister;
+window.closeSopView = closeSopView;
+
+// Offline sync: SOP saves that fail for lack of a connection wait in the IndexedDB outbox
+// (offline-store.js) and are replayed, oldest first, whenever testBackendConnection() succeeds.
+let backendOnline = null;
+let outboxSync = null;
+let outboxEntries = [];
+
+/** Call an offline-store.js function; the app keeps working without IndexedDB, just without the offline copy. */
+async function offlineStoreCall(fnName, ...args) {
+    if (typeof window.isOfflineStoreAvailable !== 'function' || !window.isOfflineStoreAvailable()) return null;
+    try {
+        return await window[fnName](...args);
+    } catch (e) {
+        console.warn('Offline store ' + fnName + ' failed:', e.message);
+        return null;
+    }
+}
+
+/** No response at all (or the server's proxy gave up) – worth retrying later rather than reporting. */
+function isOfflineError(error) {
+    return !error.status || error.status === 502 || error.status === 503 || error.status === 504;
+}
+
+function setBackendOnline(online) {
+    const changed = backendOnline !== online;
+    backendOnline = online;
+    if (online) {
+        syncOutbox();
+        if (changed) precacheApprovedSops();
+    } else if (changed) {
+        updateSyncStatus();
+    }
+}
+
+/** Keep sop for the outbox. Returns false if there is no offline store to keep it in. */
+async function queueSopForSync(sop, options = {}) {
+    const entry = await offlineStoreCall('queueOutboxWrite', {
+        type: 'sop',
+        key: sop.meta.sopId,
+        payload: cloneSop(sop),
+        base: currentSopBase && currentSopBase.meta.sopId === sop.meta.sopId ? cloneSop(currentSopBase) : null,
+        reason: options.reason || ''
+    });
+    await updateSyncStatus();
+    return !!entry;
+}
+
+/** A queued SOP reached the server: refresh the local copies and the editor if it is open there. */
+async function sopSynced(key, sop, merged) {
+    offlineStoreCall('cacheSopsOffline', { [key]: sop });
+    const savedSops = JSON.parse(localStorage.getItem('savedSops') || '{}');
+    savedSops[key] = { ...sop, savedAt: new Date().toISOString() };
+    localStorage.setItem('savedSops', JSON.stringify(savedSops));
+    if (currentSop.meta.sopId !== key) return;
+    currentSopBase = cloneSop(sop);
+    if (merged) {
+        currentSop = cloneSop(sop);
+        renderSop();
+    } else {
+        currentSop.revision = sop.revision;
+    }
+}
+
+/**
+ * Replay one queued SOP save. If someone saved the SOP since, the queued copy is merged with theirs
+ * against the copy it started from; overlapping edits leave the entry as a 'conflict' for the user.
+ */
+async function replaySopWrite(entry) {
+    let sop = cloneSop(entry.payload);
+    let merged = false;
+    try {
+        await saveSopToCloud(sop, { reason: entry.reason });
+    } catch (error) {
+        if (!(error.status === 409 && error.data && 'current' in error.data)) throw error;
+        const theirs = error.data.current;
+        const result = theirs && entry.base ? mergeSopVersions(entry.base, entry.payload, theirs) : null;
+        if (!result || result.conflicts.length > 0) {
+            entry.state = 'conflict';
+            entry.error = error.message + (result ? ' – both changed ' + result.conflicts.join(', ') : '');
+            return;
+        }
+        sop = result.merged;
+        await saveSopToCloud(sop, { reason: entry.reason });
+        merged = true;
+        showNotification(entry.key + ': your offline changes were merged with a newer server version.', 'info');
+    }
+    await sopSynced(entry.key, sop, merged);
+    await finishOutboxEntry(entry, latest => {
+        latest.payload.revision = sop.revision;
+        latest.base = cloneSop(sop);
+    });
+}
+
+const OUTBOX_REPLAY = { sop: replaySopWrite, request: replayRequestWrite, task: replayTaskWrite };
+
+/** Drop a replayed entry – unless another save was folded into it meanwhile; rebase(latest) then moves that one onto what was just written. */
+async function finishOutboxEntry(entry, rebase) {
+    const latest = ((await offlineStoreCall('listOutbox')) || []).find(e => e.id === entry.id);
+    if (latest && latest.version !== entry.version) {
+        rebase(latest);
+        await offlineStoreCall('updateOutboxEntry', latest);
+    } else {
+        await offlineStoreCall('removeOutboxEntry', entry.id);
+    }
+}
+
+/** Replay pending outbox writes in order; stops at the first one that still cannot reach the server. */
+function syncOutbox() {
+    if (outboxSync) return outboxSync;
+    outboxSync = (async () => {
+        await updateSyncStatus(true);
+        for (const entry of (await offlineStoreCall('listOutbox')) || []) {
+            if (entry.state !== 'pending') continue;
+            try {
+                await OUTBOX_REPLAY[entry.type](entry);
+            } catch (error) {
+                if (error.status === 401) break; // wait for sign-in, which syncs again
+                if (isOfflineError(error)) {
+                    backendOnline = false;
+                    break;
+                }
+                entry.state = 'failed';
+                entry.error = error.message;
+            }
+            if (entry.state !== 'pending') await offlineStoreCall('updateOutboxEntry', entry);
+        }
+    })().catch(e => console.warn('Outbox sync failed:', e.message)).finally(() => {
+        outboxSync = null;
+        updateSyncStatus();
+        if (document.getElementById('syncStatusModal') && !document.getElementById('syncStatusModal').classList.contains('hidden')) renderSyncStatusList();
+    });
+    return outboxSync;
+}
+
+/** Header indicator: offline, syncing, waiting, needs attention or synced. Hidden without a shared backend. */
+async function updateSyncStatus(syncing = false) {
+    const btn = document.getElementById('syncStatusBtn');
+    if (!btn) return;
+    if (!(typeof useSharedAccess === 'function' && useSharedAccess())) {
+        btn.style.display = 'none';
+        return;
+    }
+    outboxEntries = (await offlineStoreCall('listOutbox')) || [];
+    const waiting = outboxEntries.filter(e => e.state === 'pending').length;
+    const attention = outboxEntries.length - waiting;
+    let text = '✓ Synced';
+    let state = 'synced';
+    if (syncing || outboxSync) {
+        text = '🔄 Syncing...';
+        state = 'syncing';
+    } else if (attention > 0) {
+        text = `⚠️ ${attention} need${attention === 1 ? 's' : ''} attention`;
+        state = 'attention';
+    } else if (backendOnline === false) {
+        text = '📴 Offline' + (waiting ? ` · ${waiting} to sync` : '');
+        state = 'offline';
+    } else if (waiting > 0) {
+        text = `⏳ ${waiting} waiting to sync`;
+        state = 'waiting';
+    }
+    btn.style.display = '';
+    btn.textContent = text;
+    btn.className = 'btn btn-secondary sync-status sync-' + state;
+    btn.title = outboxEntries.length ? 'Changes saved on this device that have not reached the server yet' : 'Everything saved on this device is on the server';
+}
+
+function openSyncStatus() {
+    renderSyncStatusList();
+    document.getElementById('syncStatusModal').classList.remove('hidden');
+}
+
+function closeSyncStatus() {
+    document.getElementById('syncStatusModal').classList.add('hidden');
+}
+
+const OUTBOX_STATE_LABELS = { pending: 'Waiting to sync', conflict: 'Changed on the server too', failed: 'Server refused it' };
+
+async function renderSyncStatusList() {
+    await updateSyncStatus();
+    const list = document.getElementById('syncStatusList');
+    if (!list) return;
+    if (outboxEntries.length === 0) {
+        list.innerHTML = '<p style="color: #7f8c8d;">Nothing waiting – every change on this device has reached the server.</p>';
+        return;
+    }
+    list.innerHTML = outboxEntries.map(entry => {
+        const title = entry.type === 'request'
+            ? (entry.payload.op === 'vote' ? 'Request +1: ' : 'Request: ') + entry.payload.request.title
+            : entry.type === 'task' ? (entry.payload.op === 'comment' ? 'Task comment: ' : 'Task: ') + entry.payload.task.title
+            : entry.payload && entry.payload.meta ? entry.payload.meta.title : '';
+        const actions = entry.state === 'conflict'
+            ? `<button class="btn btn-primary btn-small" onclick="resolveOutboxConflict(${entry.id})">Open & Resolve</button>`
+            : entry.state === 'failed' ? `<button class="btn btn-secondary btn-small" onclick="retryOutboxEntry(${entry.id})">Retry</button>` : '';
+        return `
+            <div class="sync-entry sync-entry-${entry.state}">
+                <div>
+                    <strong>${escapeHtml(entry.key)}</strong> ${escapeHtml(title || '')}
+                    <div class="sync-entry-detail">${escapeHtml(OUTBOX_STATE_LABELS[entry.state] || entry.state)} · saved ${escapeHtml(new Date(entry.updatedAt).toLocaleString())}${entry.reason ? ' · ' + escapeHtml(entry.reason) : ''}</div>
+                    ${entry.error ? `<div class="sync-entry-error">${escapeHtml(entry.error)}</div>` : ''}
+                </div>
+                <div class="sync-entry-actions">
+                    ${actions}
+                    <button class="btn btn-secondary btn-small" onclick="discardOutboxEntry(${entry.id})">Discard</button>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+async function syncNow() {
+    const ok = await testBackendConnection();
+    if (!ok) showNotification('Still cannot reach the SOP server – changes stay on this device.', 'warning');
+    await syncOutbox();
+    renderSyncStatusList();
+}
+
+async function retryOutboxEntry(id) {
+    const entry = outboxEntries.find(e => e.id === id);
+    if (!entry) return;
+    entry.state = 'pending';
+    entry.error = '';
+    await offlineStoreCall('updateOutboxEntry', entry);
+    await syncNow();
+}
+
+/**
+ * Open the queued copy in the editor and save it again, so the usual conflict dialog (merge / overwrite) takes
+ * over. The entry stays in the outbox until that save reaches the server.
+ */
+async function resolveOutboxConflict(id) {
+    const entry = outboxEntries.find(e => e.id === id);
+    if (!entry) return;
+    closeSyncStatus();
+    isLoadingFromRegister = true;
+    switchTab('editor');
+    currentSop = cloneSop(entry.payload);
+    currentSopBase = entry.base ? cloneSop(entry.base) : null;
+    renderSop();
+    const saved = await saveSopToStorage({ reason: entry.reason, explicit: true, fromOutbox: true });
+    if (saved === true) await offlineStoreCall('removeOutboxEntry', entry.id);
+    updateSyncStatus();
+}
+
+async function discardOutboxEntry(id) {
+    const entry = outboxEntries.find(e => e.id === id);
+    if (!entry) return;
+    const confirmed = await showConfirmation('Discard Offline Changes', `Discard the changes to ${entry.key} saved on this device? The server copy stays as it is.`);
+    if (!confirmed) return;
+    await offlineStoreCall('removeOutboxEntry', entry.id);
+    renderSyncStatusList();
+}
+
+/** Requests and tasks live in localStorage; IndexedDB keeps a copy in case the browser clears it. */
+async function restoreRecordsFromOfflineCache(storageKey, kind) {
+    if (localStorage.getItem(storageKey) !== null) return false;
+    const cached = await offlineStoreCall('getCachedRecords', kind);
+    if (!cached || cached.length === 0) return false;
+    localStorage.setItem(storageKey, JSON.stringify(cached));
+    return true;
+}
+
+window.openSyncStatus = openSyncStatus;
+window.closeSyncStatus = closeSyncStatus;
+window.syncNow = syncNow;
+window.retryOutboxEntry = retryOutboxEntry;
+window.resolveOutboxConflict = resolveOutboxConflict;
+window.discardOutboxEntry = discardOutboxEntry;
+
 // Initialize application
 document.addEventListener('DOMContentLoaded', async function() {
     initializeEventListeners();
     
+    // Service worker: app files, libraries and step photos for offline use (needs http(s), not file://)
+    if ('serviceWorker' in navigator && window.location.protocol !== 'file:') {
+        navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker registration failed:', e.message));
+    }
+    
     // Preload logo immediately
     preloadLogo();
     
@@ -334,8 +903,24 @@ document.addEventListener('DOMContentLoaded', async function() {
             const banner = document.getElementById('connectionErrorBanner');
             if (banner) banner.style.display = '';
         });
+        updateSyncStatus();
+        // Retry queued writes when the device comes back online, and every 30s while any are waiting
+        window.addEventListener('online', () => testBackendConnection());
+        window.addEventListener('offline', () => setBackendOnline(false));
+        setInterval(() => {
+            if (outboxEntries.some(e => e.state === 'pending')) testBackendConnection();
+        }, 30000);
     }
     
+    await restoreRecordsFromOfflineCache('sopRequests', 'requests');
+    await restoreRecordsFromOfflineCache('sopTasks', 'tasks');
+    
+    // Periodic reviews: review tasks and (without the shared backend) email notices
+    setTimeout(checkReviewSchedule, 5000);
+    setInterval(checkReviewSchedule, REVIEW_CHECK_INTERVAL_MS);
+    
+    updateSignInButton();
+    
     // Hide Drive/cloud settings when using shared access (backend URL) - staff should not access it
     const driveBtn = document.getElementById('googleDriveSettingsBtn');
     if (driveBtn && typeof useSharedAccess === 'function' && useSharedAccess()) {
@@ -391,6 +976,24 @@ function showConfirmation(title, message) {
     });
 }
 
+// Same dialog with a required text box – resolves to the entered text, or null when cancelled
+async function showReasonPrompt(title, message, placeholder) {
+    const input = document.getElementById('confirmationInput');
+    input.value = '';
+    input.placeholder = placeholder || 'Reason';
+    input.classList.remove('hidden');
+    try {
+        for (;;) {
+            const confirmed = await showConfirmation(title, message);
+            if (!confirmed) return null;
+            if (input.value.trim()) return input.value.trim();
+            showNotification('Please enter a reason.', 'warning');
+        }
+    } finally {
+        input.classList.add('hidden');
+    }
+}
+
 function confirmAction(result) {
     if (confirmationResolve) {
         confirmationResolve(result);
@@ -453,6 +1056,11 @@ async function createNewSop() {
     }
 }
 
+// With the shared backend, SOP IDs are reserved on the server so two people never get the same number
+function useServerSopIds() {
+    return typeof window.useSharedAccess === 'function' && window.useSharedAccess();
+}
+
 // Auto-generate SOP Reference Number
 async function autoGenerateSopId(forceGenerate = false) {
     const department = document.getElementById('department').value;
@@ -467,6 +1075,60 @@ async function autoGenerateSopId(forceGenerate = false) {
         return; // Don't overwrite existing SOP ID
     }
     
+    if (useServerSopIds()) {
+        // A department change only shows where the ID will come from; the number is reserved by
+        // Save SOP (see ensureSopId) or when Auto Generate is clicked
+        if (!forceGenerate) {
+            sopIdField.placeholder = 'Assigned when you click Save SOP';
+            return;
+        }
+        try {
+            sopIdField.value = await reserveSopId(department);
+            updateSopData();
+        } catch (e) {
+            showNotification('Could not reserve an SOP ID: ' + e.message, 'error');
+        }
+        return;
+    }
+    
+    sopIdField.value = await generateLocalSopId(department);
+    updateSopData();
+}
+
+async function reserveSopId(department) {
+    const reserved = await window.reserveSopIdFromSharedAPI(department);
+    return reserved.sopId;
+}
+
+/**
+ * Give a new SOP its ID on its first explicit save. Falls back to a locally computed number when the
+ * server cannot be reached; if that number turns out to be taken, the save gets a conflict (409).
+ * Callers arriving while a reservation is under way share it, so one draft never uses up two numbers.
+ */
+let sopIdReservation = null;
+
+function ensureSopId() {
+    if (currentSop.meta.sopId || !currentSop.meta.department) return Promise.resolve();
+    if (!sopIdReservation) {
+        const sop = currentSop;
+        sopIdReservation = (async () => {
+            let sopId;
+            if (useServerSopIds()) {
+                try {
+                    sopId = await reserveSopId(sop.meta.department);
+                } catch (e) {
+                    console.warn('Could not reserve an SOP ID, using a local number:', e.message);
+                }
+            }
+            sop.meta.sopId = sopId || await generateLocalSopId(sop.meta.department);
+            if (sop === currentSop) document.getElementById('sopId').value = sop.meta.sopId;
+        })().finally(() => { sopIdReservation = null; });
+    }
+    return sopIdReservation;
+}
+
+// Local-only ID: next number after the highest SOP this device can see
+async function generateLocalSopId(department) {
     // Department code mapping
     const deptCodes = {
         'Production': 'PROD',
@@ -487,16 +1149,13 @@ async function autoGenerateSopId(forceGenerate = false) {
     const sequence = await getNextSequenceNumber(deptCode, year, month);
     
     // Format: DEPT-YYYY-MM-DD-NNN (e.g., PROD-2024-01-15-001)
-    const sopId = `${deptCode}-${year}-${month}-${dateStr}-${String(sequence).padStart(3, '0')}`;
-    
-    sopIdField.value = sopId;
-    updateSopData();
+    return `${deptCode}-${year}-${month}-${dateStr}-${String(sequence).padStart(3, '0')}`;
 }
 
 // Get next sequence number for a department/month combination
 async function getNextSequenceNumber(deptCode, year, month) {
     try {
-        const savedSops = await loadAllSopsMerged();
+        const savedSops = await loadSopSummariesMerged();
         const prefix = `${deptCode}-${year}-${month}`;
         
         let maxSequence = 0;
@@ -528,7 +1187,7 @@ function updateSopData() {
     currentSop.meta.title = document.getElementById('sopTitle').value;
     currentSop.meta.sopId = document.getElementById('sopId').value;
     currentSop.meta.department = document.getElementById('department').value;
-    currentSop.meta.version = document.getElementById('version').value;
+    // Version is set by the tool (sop-versioning.js), not typed
     currentSop.meta.author = document.getElementById('author').value;
     // Status is now automated - don't update from form
     // If status is empty or Draft, keep it as is (will be set by saveSop)
@@ -557,6 +1216,12 @@ function renderSop() {
     document.getElementById('sopId').value = currentSop.meta.sopId || "";
     document.getElementById('department').value = currentSop.meta.department || "";
     document.getElementById('version').value = currentSop.meta.version || "";
+    const versionNote = document.getElementById('versionNote');
+    if (versionNote) {
+        versionNote.textContent = currentSop.revisionOf
+            ? `New ${currentSop.revisionOf.bump} revision of approved version ${currentSop.revisionOf.version || 'N/A'} – ${currentSop.revisionOf.reason}`
+            : 'Set automatically – editing an approved SOP starts the next version.';
+    }
     
     // Populate user dropdown first, then set author
     populateUserDropdown();
@@ -593,6 +1258,8 @@ function renderSop() {
     
     // Render steps
     renderSteps();
+    
+    refreshEditorCommentMarkers();
 }
 
 // Render warnings
@@ -864,6 +1531,7 @@ function renderSteps() {
         `;
         container.appendChild(addStepDiv);
     }
+    decorateEditorCommentMarkers();
 }
 
 // Render single step
@@ -901,20 +1569,134 @@ function renderStep(step, index) {
     renderStepImages(step.id, step.images);
 }
 
+// Step image helpers
+// A step image is either an inline data URL (older SOPs, local-only mode) or { ref, thumb } pointing at
+// the backend image store by sha256. Stored images need the bearer token, so they are fetched as blobs
+// and shown through object URLs, and only once they scroll into view.
+const imageObjectUrls = new Map();
+
+function loadImageObjectUrl(ref) {
+    if (!imageObjectUrls.has(ref)) {
+        const pending = window.fetchImageFromSharedAPI(ref).then(blob => URL.createObjectURL(blob));
+        pending.catch(() => imageObjectUrls.delete(ref)); // allow a retry later
+        imageObjectUrls.set(ref, pending);
+    }
+    return imageObjectUrls.get(ref);
+}
+
+function loadLazyImage(img) {
+    const ref = img.dataset.imageRef;
+    if (!ref || img.dataset.loading) return;
+    img.dataset.loading = 'true';
+    loadImageObjectUrl(ref)
+        .then(url => { img.src = url; img.classList.remove('lazy-image'); })
+        .catch(() => { img.classList.add('image-missing'); img.alt = 'Image unavailable'; })
+        .finally(() => { delete img.dataset.loading; });
+}
+
+let lazyImageObserver = null;
+
+function observeLazyImages(root) {
+    const images = (root || document).querySelectorAll('img[data-image-ref]:not([src])');
+    if (images.length === 0) return;
+    if (typeof IntersectionObserver === 'undefined') {
+        images.forEach(loadLazyImage);
+        return;
+    }
+    if (!lazyImageObserver) {
+        lazyImageObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                lazyImageObserver.unobserve(entry.target);
+                loadLazyImage(entry.target);
+            });
+        }, { rootMargin: '200px' });
+    }
+    images.forEach(img => lazyImageObserver.observe(img));
+}
+
+/** <img> markup for a step image. Stored images get data-image-ref and are filled in by observeLazyImages(). */
+function stepImageHtml(image, options = {}) {
+    const alt = escapeHtml(options.alt || 'Step image');
+    const className = options.className ? ` class="${options.className}"` : '';
+    if (typeof image === 'string') return `<img src="${escapeHtml(image)}" alt="${alt}"${className}>`;
+    const ref = options.full ? image.ref : (image.thumb || image.ref);
+    return `<img data-image-ref="${escapeHtml(ref)}" alt="${alt}" class="lazy-image${options.className ? ' ' + options.className : ''}">`;
+}
+
+/** Full-size image as a data URL (jsPDF needs the bytes, not a reference). */
+async function stepImageDataUrl(image) {
+    if (typeof image === 'string') return image;
+    return blobToDataUrl(await window.fetchImageFromSharedAPI(image.ref));
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const type = (header.match(/^data:([^;]+)/) || [])[1] || 'image/jpeg';
+    const bytes = atob(base64);
+    const array = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) array[i] = bytes.charCodeAt(i);
+    return new Blob([array], { type });
+}
+
+function createThumbnail(dataUrl, maxSize) {
+    return new Promise(resolve => {
+        const img = new Image();
+        img.onload = function() {
+            const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.7));
+        };
+        img.onerror = () => resolve(dataUrl);
+        img.src = dataUrl;
+    });
+}
+
+/**
+ * Upload a processed photo and its thumbnail to the image store and return { ref, thumb }.
+ * Without the shared backend (or if the upload fails) the data URL is kept inline as before;
+ * the backend moves it to the image store on the next save.
+ */
+async function storeStepImage(dataUrl) {
+    if (typeof window.useSharedAccess !== 'function' || !window.useSharedAccess()) return dataUrl;
+    try {
+        const full = await window.uploadImageToSharedAPI(dataUrlToBlob(dataUrl));
+        const thumb = await window.uploadImageToSharedAPI(dataUrlToBlob(await createThumbnail(dataUrl, 240)));
+        imageObjectUrls.set(full.id, Promise.resolve(dataUrl));
+        return { ref: full.id, thumb: thumb.id };
+    } catch (e) {
+        console.warn('Image upload failed, keeping it inline:', e.message);
+        return dataUrl;
+    }
+}
+
 // Render step images
 function renderStepImages(stepId, images) {
     const container = document.getElementById(`images-${stepId}`);
     container.innerHTML = '';
     
-    images.forEach((imageData, index) => {
+    images.forEach((image, index) => {
         const wrapper = document.createElement('div');
         wrapper.className = 'step-image-wrapper';
         wrapper.innerHTML = `
-            <img src="${imageData}" alt="Step image">
+            ${stepImageHtml(image)}
             <button class="step-image-remove" onclick="removeStepImage('${stepId}', ${index})">×</button>
         `;
         container.appendChild(wrapper);
     });
+    observeLazyImages(container);
 }
 
 // Add step
@@ -1274,24 +2056,27 @@ function showImagePreview() {
     document.getElementById('previewContainer').classList.remove('hidden');
 }
 
-function confirmImageSelection() {
-    if (currentStepId && selectedImages.length > 0) {
-        const step = currentSop.steps.find(s => s.id === currentStepId);
+async function confirmImageSelection() {
+    const stepId = currentStepId;
+    const images = selectedImages;
+    closeImageModal();
+    if (stepId && images.length > 0) {
+        const step = currentSop.steps.find(s => s.id === stepId);
         if (step) {
-            step.images = [...step.images, ...selectedImages];
-            renderStepImages(currentStepId, step.images);
+            const stored = await Promise.all(images.map(storeStepImage));
+            step.images = [...step.images, ...stored];
+            renderStepImages(stepId, step.images);
             saveSopToStorage();
         }
     }
-    closeImageModal();
 }
 
 // Save/Load Functions
 async function saveSop() {
     updateSopData();
     
-    if (!currentSop.meta.title || !currentSop.meta.sopId) {
-        showNotification('Please fill in at least SOP Title and SOP ID before saving.', 'warning');
+    if (!currentSop.meta.title || (!currentSop.meta.sopId && !currentSop.meta.department)) {
+        showNotification('Please fill in at least SOP Title and Department (or SOP ID) before saving.', 'warning');
         return;
     }
     
@@ -1301,11 +2086,16 @@ async function saveSop() {
         currentSop.meta.effectiveDate = today;
     }
     
-    // Automatically set status to "Under Review" when saving
-    currentSop.meta.status = "Under Review";
+    if (editingApprovedSop() && !(await startNewRevision())) return;
+    if (discardRetiredSopChanges()) return;
+    
+    // Save SOP submits it for review
+    if (!changeSopStatus(currentSop, currentSop.meta.status, 'Under Review')) return;
     updateStatusDisplay();
     
-    await saveSopToStorage();
+    const reasonInput = document.getElementById('changeReason');
+    const savedToCloud = await saveSopToStorage({ reason: reasonInput ? reasonInput.value.trim() : '', explicit: true });
+    if (savedToCloud && reasonInput) reasonInput.value = '';
     
     // Send PDF to user if user is selected and email is configured
     if (currentSop.meta.author) {
@@ -1317,10 +2107,9 @@ async function saveSop() {
             });
             
             if (user && user.email) {
-                // Generate PDF and send to user - PRESERVE STATUS (keep as "Under Review")
+                // Generate PDF and send to user
                 showNotification('Generating PDF to send to user...', 'info');
-                const originalSop = { ...currentSop };
-                const pdfBlob = await exportToPdf(true, true); // preserveStatus = true
+                const pdfBlob = await exportToPdf(true);
                 
                 // Send PDF to user's email
                 await sendPdfEmailToUser(pdfBlob, currentSop, user);
@@ -1371,39 +2160,213 @@ async function saveSop() {
     showNotification(`SOP saved successfully! Status changed to "Under Review". JSON file: ${fileName}`, 'success');
 }
 
-async function saveSopToStorage() {
-    updateSopData();
-    
-    // CRITICAL: Ensure status is set to "Under Review" if not already approved
-    // Only set to Under Review if it's currently Draft or empty, and hasn't been reviewed
-    if ((!currentSop.meta.status || currentSop.meta.status === '' || currentSop.meta.status === 'Draft') && !currentSop.meta.reviewer) {
-        currentSop.meta.status = 'Under Review';
-    }
-    
+/**
+ * Push currentSop to the cloud. Returns true when saved, 'queued' when it waits in the offline outbox
+ * (no connection); other failures are reported and fall back to local.
+ */
+async function saveCurrentSopToCloud(options = {}) {
     try {
-        const key = currentSop.meta.sopId || `sop-${Date.now()}`;
-        currentSop.meta.sopId = key; // Ensure SOP ID is set
-        
-        // SAVE TO GOOGLE DRIVE with localStorage fallback
-        let savedToGoogleDrive = false;
-        if (typeof saveSopToCloud === 'function' && useCloudSops()) {
-            try {
-                await saveSopToCloud(currentSop);
-                console.log('✅ SOP saved to Google Drive');
-                savedToGoogleDrive = true;
-            } catch (error) {
-                console.error('❌ Error saving to cloud/Drive:', error);
-                let errorMsg = error.message || 'Unknown error';
-                if (errorMsg.includes('401') || errorMsg.includes('unauthorized'))
-                    errorMsg = 'Auth failed – check service account.';
-                else if (errorMsg.includes('403'))
-                    errorMsg = 'Access denied – share Drive folder with service account.';
-                else if (errorMsg.includes('SOP_FOLDER_ID') || errorMsg.includes('not configured'))
-                    errorMsg = 'Backend not configured – set SOP_FOLDER_ID and GOOGLE_SERVICE_ACCOUNT_JSON in Cloud Run.';
-                showNotification('Did NOT save to Drive: ' + errorMsg + ' Saved locally only.', 'error');
-                // Continue to localStorage fallback - don't throw
-            }
-        }
+        await saveSopToCloud(currentSop, { reason: options.reason || '' });
+        console.log('✅ SOP saved to Google Drive');
+        currentSopBase = cloneSop(currentSop);
+        offlineStoreCall('cacheSopsOffline', { [currentSop.meta.sopId]: cloneSop(currentSop) });
+        return true;
+    } catch (error) {
+        if (error.status === 409 && error.data && 'current' in error.data) {
+            return await handleSaveConflict(error, options);
+        }
+        if (isOfflineError(error) && useSharedAccess() && await queueSopForSync(currentSop, options)) {
+            setBackendOnline(false);
+            console.log('📴 SOP queued for sync:', error.message);
+            return 'queued';
+        }
+        console.error('❌ Error saving to cloud/Drive:', error);
+        let errorMsg = error.message || 'Unknown error';
+        if (error.status === 401)
+            errorMsg = 'You are not signed in – use 🔑 Sign In and save again.';
+        else if (error.status === 403)
+            errorMsg = 'Your role does not allow this (' + errorMsg + ').';
+        else if (errorMsg.includes('401') || errorMsg.includes('unauthorized'))
+            errorMsg = 'Auth failed – check service account.';
+        else if (errorMsg.includes('403'))
+            errorMsg = 'Access denied – share Drive folder with service account.';
+        else if (errorMsg.includes('SOP_FOLDER_ID') || errorMsg.includes('not configured'))
+            errorMsg = 'Backend not configured – set SOP_FOLDER_ID and GOOGLE_SERVICE_ACCOUNT_JSON in Cloud Run.';
+        showNotification('Did NOT save to Drive: ' + errorMsg + ' Saved locally only.', 'error');
+        // Continue to localStorage fallback - don't throw
+        return false;
+    }
+}
+
+// New revision of an approved SOP (sop-versioning.js): the author picks a major or minor version and gives
+// a reason. Resolves to { bump, reason }, or null when the changes are discarded.
+let newRevisionResolve = null;
+let newRevisionStart = null;
+
+function requestNewRevision(sop) {
+    const version = sop.meta.version || '';
+    document.getElementById('newRevisionSop').textContent = `${sop.meta.sopId || ''} – ${sop.meta.title || 'Untitled SOP'}, approved version ${version || 'N/A'}`;
+    document.getElementById('newRevisionMinor').textContent = SopVersioning.nextVersion(version, 'minor');
+    document.getElementById('newRevisionMajor').textContent = SopVersioning.nextVersion(version, 'major');
+    document.querySelector('input[name="revisionBump"][value="minor"]').checked = true;
+    document.getElementById('newRevisionReason').value = '';
+    document.getElementById('newRevisionModal').classList.remove('hidden');
+    document.getElementById('newRevisionReason').focus();
+    return new Promise(resolve => { newRevisionResolve = resolve; });
+}
+
+function submitNewRevision() {
+    const reason = document.getElementById('newRevisionReason').value.trim();
+    if (!reason) {
+        showNotification('Please enter the reason for this revision.', 'warning');
+        return;
+    }
+    const bump = document.querySelector('input[name="revisionBump"]:checked').value;
+    closeNewRevisionModal({ bump, reason });
+}
+
+function closeNewRevisionModal(result) {
+    document.getElementById('newRevisionModal').classList.add('hidden');
+    if (newRevisionResolve) {
+        newRevisionResolve(result);
+        newRevisionResolve = null;
+    }
+}
+
+/** The editor holds changes to the approved SOP it loaded that are not yet a new revision. */
+function editingApprovedSop() {
+    return !!currentSopBase && currentSopBase.meta.status === 'Approved' && !currentSop.revisionOf &&
+        currentSopBase.meta.sopId === currentSop.meta.sopId &&
+        SopApproval.approvalContentKey(currentSopBase) !== SopApproval.approvalContentKey(currentSop);
+}
+
+/**
+ * Turn the edited approved SOP into a draft of its next version (the backend checks the version and
+ * reason again). Discarding puts the approved text back in the editor. Resolves to true when started.
+ */
+function startNewRevision() {
+    if (!newRevisionStart) {
+        newRevisionStart = (async () => {
+            const choice = await requestNewRevision(currentSopBase);
+            if (!choice) {
+                currentSop = cloneSop(currentSopBase);
+                renderSop();
+                showNotification('Changes discarded – an approved SOP only changes through a new revision.', 'info');
+                return false;
+            }
+            const approved = currentSopBase.meta;
+            currentSop.meta.version = SopVersioning.nextVersion(approved.version, choice.bump);
+            currentSop.revisionOf = { version: approved.version || '', revision: Number(currentSopBase.revision) || 0, bump: choice.bump, reason: choice.reason };
+            if (!changeSopStatus(currentSop, 'Approved', 'Draft')) return false;
+            currentSop.meta.reviewer = '';
+            currentSop.meta.reviewComments = '';
+            delete currentSop.approval;
+            renderSop();
+            return true;
+        })().finally(() => { newRevisionStart = null; });
+    }
+    return newRevisionStart;
+}
+
+window.submitNewRevision = submitNewRevision;
+window.closeNewRevisionModal = closeNewRevisionModal;
+
+// Lifecycle (sop-lifecycle.js): every status change goes through changeSopStatus(), which the shared backend
+// checks again. Without it (Drive, this device) there are no accounts, so only the transitions are checked.
+function currentUserRoles() {
+    const shared = typeof window.useSharedAccess === 'function' && window.useSharedAccess() && typeof window.getSharedAPIUser === 'function';
+    const user = shared ? window.getSharedAPIUser() : null;
+    return user ? user.roles || [] : undefined;
+}
+
+/**
+ * Move sop from the status it was loaded with to status to; context: { reason, comments, viaApprovalChain }.
+ * Shows why and returns false when the lifecycle does not allow it.
+ */
+function changeSopStatus(sop, from, to, context = {}) {
+    try {
+        SopLifecycle.checkTransition(from, to, { roles: currentUserRoles(), sop, ...context });
+    } catch (e) {
+        showNotification(e.message + '.', 'warning');
+        return false;
+    }
+    sop.meta.status = to;
+    return true;
+}
+
+/** Whether the user could move an SOP in status from to status to (e.g. show a Retire button). */
+function canChangeSopStatus(from, to) {
+    return SopLifecycle.nextStatuses(from, currentUserRoles()).includes(to);
+}
+
+/** Retired SOPs are read-only: edits made in the editor are put back. Returns true when it discarded some. */
+function discardRetiredSopChanges() {
+    if (!currentSopBase || currentSopBase.meta.status !== 'Retired' ||
+        SopApproval.approvalContentKey(currentSopBase) === SopApproval.approvalContentKey(currentSop)) return false;
+    currentSop = cloneSop(currentSopBase);
+    renderSop();
+    showNotification('Retired SOPs cannot be changed – your edits were discarded.', 'warning');
+    return true;
+}
+
+// Saves run one at a time, so each cloud save goes out with the revision the one before it returned
+// (saveSopToSharedAPI keeps currentSop.revision up to date) instead of racing it into a 409. Field
+// autosaves that come in while a save is running are folded into a single save after it.
+let sopSaveQueue = Promise.resolve();
+let queuedAutosave = null;
+
+function enqueueSopSave(run) {
+    const result = sopSaveQueue.then(run);
+    sopSaveQueue = result.catch(() => {});
+    return result;
+}
+
+// options.reason: change reason recorded with the backend revision; options.explicit: Save SOP (or a
+// restore / conflict resolution) rather than a field autosave; options.fromOutbox: the queued copy itself,
+// sent straight to the server instead of behind its own outbox entry
+function saveSopToStorage(options = {}) {
+    if (options.explicit) return enqueueSopSave(() => writeSopToStorage(options));
+    if (!queuedAutosave) {
+        queuedAutosave = enqueueSopSave(() => {
+            queuedAutosave = null;
+            return writeSopToStorage(options);
+        });
+    }
+    return queuedAutosave;
+}
+
+async function writeSopToStorage(options = {}) {
+    updateSopData();
+    if (editingApprovedSop() && !(await startNewRevision())) return false;
+    if (discardRetiredSopChanges()) return false;
+    
+    // Saving keeps the status: only Save SOP submits a Draft for review (sop-lifecycle.js)
+    currentSop.meta.status = SopLifecycle.normalizeStatus(currentSop.meta.status);
+    // Every save under review starts the approval chain again (the shared backend does this itself)
+    if (currentSop.meta.status === 'Under Review' && !(typeof window.useSharedAccess === 'function' && window.useSharedAccess())) {
+        currentSop.approval = SopApproval.startApproval(currentSop.meta.department, getClientApprovalChains(), new Date().toISOString());
+    }
+    
+    try {
+        if (!currentSop.meta.sopId) {
+            if (!options.explicit) {
+                // Only Save SOP reserves an official ID – until then the draft stays on this device
+                localStorage.setItem('currentSop', JSON.stringify(currentSop));
+                return false;
+            }
+            await ensureSopId();
+        }
+        const key = currentSop.meta.sopId || `sop-${Date.now()}`;
+        currentSop.meta.sopId = key; // Ensure SOP ID is set
+        
+        // SAVE TO GOOGLE DRIVE with localStorage fallback
+        let savedToGoogleDrive = false;
+        if (typeof saveSopToCloud === 'function' && useCloudSops()) {
+            const queued = !options.fromOutbox && ((await offlineStoreCall('listOutbox')) || []).some(e => e.type === 'sop' && e.key === key);
+            // Earlier offline saves go first, so this one builds on them instead of racing them
+            savedToGoogleDrive = queued && await queueSopForSync(currentSop, options) ? 'queued' : await saveCurrentSopToCloud(options);
+            if (savedToGoogleDrive === 'queued' && backendOnline !== false) syncOutbox();
+        }
         
         // FALLBACK: Always save to localStorage (works even if Google Drive fails)
         const savedSops = JSON.parse(localStorage.getItem('savedSops') || '{}');
@@ -1412,9 +2375,16 @@ async function saveSopToStorage() {
             savedAt: new Date().toISOString()
         };
         localStorage.setItem('savedSops', JSON.stringify(savedSops));
+        localStorage.removeItem('currentSop');
         console.log('✅ SOP saved to localStorage' + (savedToGoogleDrive ? ' and Google Drive' : ' (Google Drive unavailable)'));
+        // The shared backend links the request itself when the SOP reaches it
+        if (!useSharedRequests()) linkLocalRequestToSop(currentSop);
         
-        showNotification('SOP saved successfully!', 'success');
+        if (savedToGoogleDrive === 'queued') {
+            showNotification('SOP saved on this device – it will sync to the server when the connection is back.', 'warning');
+        } else {
+            showNotification('SOP saved successfully!', 'success');
+        }
         
         // Refresh lists after save
         if (document.getElementById('sopRegister').classList.contains('active')) {
@@ -1425,6 +2395,7 @@ async function saveSopToStorage() {
         }
         
         // Lists already refreshed above after Google Drive save
+        return savedToGoogleDrive;
     } catch (e) {
         if (e.name === 'QuotaExceededError') {
             // Storage is full - show user-friendly error with cleanup options
@@ -1461,7 +2432,7 @@ async function showLoadSection() {
     try {
         let savedSops;
         try {
-            savedSops = await loadAllSopsMerged();
+            savedSops = await loadSopSummariesMerged();
         } catch (error) {
             const msg = error.message || 'Check connection.';
             list.innerHTML = '<p>Error loading SOPs: ' + escapeHtml(msg) + '</p>';
@@ -1489,8 +2460,13 @@ async function showLoadSection() {
                     <h4>${escapeHtml(sop.meta.title || 'Untitled SOP')}</h4>
                     <p>SOP ID: ${escapeHtml(sop.meta.sopId || 'N/A')} | Saved: ${sop.savedAt ? new Date(sop.savedAt).toLocaleString() : 'N/A'}</p>
                 `;
-                item.onclick = () => {
-                    loadSop(sop);
+                item.onclick = async () => {
+                    const fullSop = await loadSopMerged(key);
+                    if (!fullSop) {
+                        showNotification('SOP not found. It may have been deleted.', 'error');
+                        return;
+                    }
+                    loadSop(fullSop);
                     closeLoadSection();
                 };
                 list.appendChild(item);
@@ -1563,8 +2539,7 @@ async function downloadExport(index) {
         const exports = JSON.parse(localStorage.getItem('sopExports') || '[]');
         if (index >= 0 && index < exports.length) {
             const exportItem = exports[index];
-            const savedSops = await loadAllSopsMerged();
-            const sop = savedSops[exportItem.sopId];
+            const sop = await loadSopMerged(exportItem.sopId);
             if (sop) {
                 const jsonStr = JSON.stringify(sop, null, 2);
                 const blob = new Blob([jsonStr], { type: 'application/json' });
@@ -1589,8 +2564,7 @@ async function loadFromExport(index) {
         const exports = JSON.parse(localStorage.getItem('sopExports') || '[]');
         if (index >= 0 && index < exports.length) {
             const exportItem = exports[index];
-            const savedSops = await loadAllSopsMerged();
-            const sop = savedSops[exportItem.sopId];
+            const sop = await loadSopMerged(exportItem.sopId);
             if (sop) {
                 const sopData = { ...sop };
                 delete sopData.savedAt;
@@ -1683,6 +2657,7 @@ function loadSop(sopData) {
     isLoadingFromRegister = true;
     currentSop = { ...sopData };
     delete currentSop.savedAt;
+    currentSopBase = cloneSop(currentSop);
     renderSop();
     closeLoadSection();
     showNotification('SOP loaded successfully!', 'success');
@@ -1705,6 +2680,281 @@ function loadFromFile(event) {
     reader.readAsText(file);
 }
 
+// Revision History (shared backend keeps a numbered revision for every save)
+let historyRevisions = [];
+let historyReleases = [];
+
+async function openSopHistory() {
+    updateSopData();
+    const sopId = currentSop.meta.sopId;
+    if (!sopId) {
+        showNotification('Save the SOP first – history starts with the first save.', 'warning');
+        return;
+    }
+    if (!(typeof window.loadSopRevisionsFromSharedAPI === 'function' && useSharedAccess())) {
+        showNotification('Revision history needs the shared SOP server.', 'warning');
+        return;
+    }
+    const modal = document.getElementById('sopHistoryModal');
+    const list = document.getElementById('sopHistoryList');
+    document.getElementById('sopHistoryTitle').textContent = 'History – ' + sopId;
+    document.getElementById('sopHistoryPreview').innerHTML = '';
+    list.innerHTML = '<p>Loading revisions...</p>';
+    modal.classList.remove('hidden');
+    try {
+        historyRevisions = await window.loadSopRevisionsFromSharedAPI(sopId);
+        historyReleases = await window.loadSopReleasesFromSharedAPI(sopId).catch(() => []);
+        renderSopHistoryList();
+    } catch (e) {
+        list.innerHTML = `<p class="error-text">Could not load history: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+function renderSopHistoryList() {
+    const list = document.getElementById('sopHistoryList');
+    if (historyRevisions.length === 0) {
+        list.innerHTML = '<p>No revisions saved yet.</p>';
+        return;
+    }
+    list.innerHTML = `
+        <table class="history-table">
+            <thead><tr><th>Rev</th><th>Saved</th><th>By</th><th>Status</th><th>Reason</th><th></th></tr></thead>
+            <tbody>
+                ${historyRevisions.map(r => `
+                    <tr class="${r.rev === currentSop.revision ? 'history-current' : ''}">
+                        <td>${r.rev}</td>
+                        <td>${escapeHtml(r.savedAt ? new Date(r.savedAt).toLocaleString() : '')}</td>
+                        <td>${escapeHtml(r.author)}</td>
+                        <td>${escapeHtml(r.status)}${historyReleaseBadge(r.rev)}</td>
+                        <td>${escapeHtml(r.reason)}</td>
+                        <td class="history-actions">
+                            <button class="btn btn-small btn-secondary" onclick="openSopRevision(${r.rev})">Open</button>
+                            <button class="btn btn-small btn-primary" onclick="restoreSopRevision(${r.rev})">Restore</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/** Released versions are marked in the history: "v1.0 in force", "v1.0 superseded by 1.1" or "v1.0 retired". */
+function historyReleaseBadge(rev) {
+    const release = SopVersioning.releaseFor(historyReleases, rev);
+    if (!release) return '';
+    if (release.status === 'Superseded') return ` <span class="status-badge superseded">v${escapeHtml(release.version)} superseded by ${escapeHtml(release.supersededBy)}</span>`;
+    if (release.status === 'Retired') return ` <span class="status-badge retired">v${escapeHtml(release.version)} retired</span>`;
+    return ` <span class="status-badge approved">v${escapeHtml(release.version)} in force</span>`;
+}
+
+async function openSopRevision(rev) {
+    const preview = document.getElementById('sopHistoryPreview');
+    preview.innerHTML = '<p>Loading revision ' + rev + '...</p>';
+    try {
+        const record = await window.loadSopRevisionFromSharedAPI(currentSop.meta.sopId, rev);
+        const release = SopVersioning.releaseFor(historyReleases, rev);
+        // Superseded and retired versions show with the status they print with (and its watermark)
+        const withdrawn = !!release && release.status !== 'Approved';
+        const sop = withdrawn ? { ...record.content, meta: { ...record.content.meta, status: release.status } } : record.content;
+        preview.classList.toggle('superseded-watermark', sop.meta.status === 'Superseded');
+        preview.classList.toggle('retired-watermark', sop.meta.status === 'Retired');
+        preview.innerHTML = `<h3>Revision ${record.rev}${record.reason ? ' – ' + escapeHtml(record.reason) : ''}</h3>` + buildSopDisplayHtml(sop);
+        observeLazyImages(preview);
+    } catch (e) {
+        preview.innerHTML = `<p class="error-text">Could not load revision: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+/** Restoring saves the old content as a new revision; nothing in the history is overwritten. */
+async function restoreSopRevision(rev) {
+    const confirmed = await showConfirmation('Restore Revision', `Replace the editor contents with revision ${rev}? It will be saved as a new revision and go back under review.`);
+    if (!confirmed) return;
+    try {
+        const record = await window.loadSopRevisionFromSharedAPI(currentSop.meta.sopId, rev);
+        // The old text comes back under the current version; restoring into an approved SOP starts a new revision
+        const previous = currentSop;
+        const { version, status } = currentSop.meta;
+        const { revisionOf } = currentSop;
+        currentSop = { ...record.content, meta: { ...record.content.meta, version, status }, revision: currentSop.revision };
+        delete currentSop.savedAt;
+        delete currentSop.revisionOf;
+        if (revisionOf) currentSop.revisionOf = revisionOf;
+        if (editingApprovedSop() && !(await startNewRevision())) return;
+        if (!changeSopStatus(currentSop, currentSop.meta.status, 'Under Review')) {
+            currentSop = previous;
+            return;
+        }
+        renderSop();
+        await saveSopToStorage({ reason: 'Restored revision ' + rev, explicit: true });
+        closeSopHistory();
+    } catch (e) {
+        showNotification('Could not restore revision: ' + e.message, 'error');
+    }
+}
+
+function closeSopHistory() {
+    document.getElementById('sopHistoryModal').classList.add('hidden');
+}
+
+window.openSopHistory = openSopHistory;
+window.openSopRevision = openSopRevision;
+window.restoreSopRevision = restoreSopRevision;
+window.closeSopHistory = closeSopHistory;
+
+// Save Conflicts (someone else saved the SOP since it was opened here)
+let saveConflictResolve = null;
+let saveConflictTheirs = null;
+
+function cloneSop(sop) {
+    return sop ? JSON.parse(JSON.stringify(sop)) : null;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+const SOP_MERGE_FIELDS = [
+    { label: 'Description', get: s => s.description, set: (s, v) => { s.description = v; } },
+    { label: 'Safety warnings', get: s => s.safety && s.safety.warnings, set: (s, v) => { s.safety.warnings = v; } },
+    { label: 'PPE', get: s => s.safety && s.safety.ppe, set: (s, v) => { s.safety.ppe = v; } },
+    { label: 'Safety notes', get: s => s.safety && s.safety.notes, set: (s, v) => { s.safety.notes = v; } },
+    { label: 'Tools', get: s => s.tools, set: (s, v) => { s.tools = v; } },
+    { label: 'Materials', get: s => s.materials, set: (s, v) => { s.materials = v; } }
+];
+const STEP_MERGE_FIELDS = ['title', 'description', 'safetyNote', 'images'];
+
+/** Three-way pick: whichever side changed wins; if both changed differently keep mine and report it. */
+function mergeValue(base, mine, theirs, label, conflicts) {
+    if (sameValue(mine, theirs) || sameValue(theirs, base)) return mine;
+    if (sameValue(mine, base)) return theirs;
+    conflicts.push(label);
+    return mine;
+}
+
+/**
+ * Merge my edits and theirs against the common base, field by field. Steps are matched by id, so
+ * steps added on either side are kept and a step deleted on one side stays deleted unless the other side edited it.
+ */
+function mergeSopVersions(base, mine, theirs) {
+    const conflicts = [];
+    const merged = cloneSop(theirs);
+    merged.meta = { ...theirs.meta };
+    const metaKeys = new Set([...Object.keys(base.meta || {}), ...Object.keys(mine.meta || {}), ...Object.keys(theirs.meta || {})]);
+    metaKeys.forEach(key => {
+        if (key === 'status') return; // status follows the save action, not the merge
+        merged.meta[key] = mergeValue(base.meta[key], mine.meta[key], theirs.meta[key], key, conflicts);
+    });
+    merged.meta.status = mine.meta.status;
+    merged.safety = { ...(theirs.safety || {}) };
+    SOP_MERGE_FIELDS.forEach(f => f.set(merged, mergeValue(f.get(base), f.get(mine), f.get(theirs), f.label, conflicts)));
+    
+    const byId = list => new Map((list || []).map(step => [step.id, step]));
+    const baseSteps = byId(base.steps);
+    const mySteps = byId(mine.steps);
+    const theirSteps = byId(theirs.steps);
+    const keep = new Map();
+    (theirs.steps || []).forEach((step, index) => {
+        const b = baseSteps.get(step.id);
+        const m = mySteps.get(step.id);
+        const label = 'Step ' + (index + 1);
+        if (m) {
+            const result = { ...step };
+            STEP_MERGE_FIELDS.forEach(field => { result[field] = mergeValue(b && b[field], m[field], step[field], label + ' ' + field, conflicts); });
+            keep.set(step.id, result);
+        } else if (!b) {
+            keep.set(step.id, step); // added by them
+        } else if (!sameValue(b, step)) {
+            conflicts.push(label + ' (you deleted it, they edited it)');
+            keep.set(step.id, step);
+        }
+    });
+    const steps = (theirs.steps || []).filter(step => keep.has(step.id)).map(step => keep.get(step.id));
+    (mine.steps || []).forEach((step, index) => {
+        if (theirSteps.has(step.id)) return;
+        const b = baseSteps.get(step.id);
+        if (b && sameValue(b, step)) return; // they deleted it and I did not touch it
+        if (b) conflicts.push('Step ' + (index + 1) + ' (they deleted it, you edited it)');
+        // Insert after the nearest of my preceding steps that survived the merge
+        let at = 0;
+        for (let i = index - 1; i >= 0; i--) {
+            const found = steps.findIndex(s => s.id === mine.steps[i].id);
+            if (found !== -1) {
+                at = found + 1;
+                break;
+            }
+        }
+        steps.splice(at, 0, step);
+    });
+    merged.steps = steps;
+    merged.revision = theirs.revision;
+    return { merged, conflicts };
+}
+
+/** Labels of the parts of the SOP that differ between two versions. */
+function describeSopChanges(from, to) {
+    const changes = [];
+    Object.keys({ ...from.meta, ...to.meta }).forEach(key => {
+        if (!sameValue(from.meta[key], to.meta[key])) changes.push(key);
+    });
+    SOP_MERGE_FIELDS.forEach(f => { if (!sameValue(f.get(from), f.get(to))) changes.push(f.label); });
+    if (!sameValue(from.steps, to.steps)) changes.push('Steps');
+    return changes;
+}
+
+async function handleSaveConflict(error, options) {
+    const theirs = error.data.current;
+    const canMerge = !!(theirs && currentSopBase && currentSopBase.meta.sopId === currentSop.meta.sopId);
+    const choice = await showSaveConflict(error.message, theirs, canMerge);
+    if (choice === 'merge') {
+        const { merged, conflicts } = mergeSopVersions(currentSopBase, currentSop, theirs);
+        currentSop = merged;
+        renderSop();
+        if (conflicts.length > 0) {
+            showNotification('Merged. You both changed ' + conflicts.join(', ') + ' – your version was kept there.', 'warning');
+        }
+    } else if (choice === 'overwrite') {
+        if (theirs) currentSop.revision = theirs.revision;
+        else delete currentSop.revision;
+    } else {
+        showNotification('Not saved to the server – your changes are kept on this device only.', 'warning');
+        return false;
+    }
+    return await saveCurrentSopToCloud(options);
+}
+
+function showSaveConflict(message, theirs, canMerge) {
+    saveConflictTheirs = theirs;
+    document.getElementById('saveConflictMessage').textContent = message;
+    document.getElementById('saveConflictPreview').innerHTML = '';
+    document.getElementById('saveConflictViewBtn').style.display = theirs ? '' : 'none';
+    document.getElementById('saveConflictMergeBtn').style.display = canMerge ? '' : 'none';
+    document.getElementById('saveConflictOverwriteBtn').textContent = theirs ? 'Overwrite Their Changes' : 'Save My Copy';
+    document.getElementById('saveConflictModal').classList.remove('hidden');
+    return new Promise(resolve => { saveConflictResolve = resolve; });
+}
+
+function viewConflictingSop() {
+    if (!saveConflictTheirs) return;
+    const from = currentSopBase && currentSopBase.meta.sopId === saveConflictTheirs.meta.sopId ? currentSopBase : currentSop;
+    const changes = describeSopChanges(from, saveConflictTheirs);
+    document.getElementById('saveConflictPreview').innerHTML =
+        `<p><strong>They changed:</strong> ${escapeHtml(changes.length ? changes.join(', ') : 'nothing you can see (status or save time only)')}</p>` +
+        buildSopDisplayHtml(saveConflictTheirs);
+    observeLazyImages(document.getElementById('saveConflictPreview'));
+}
+
+function resolveSaveConflict(choice) {
+    document.getElementById('saveConflictModal').classList.add('hidden');
+    saveConflictTheirs = null;
+    if (saveConflictResolve) {
+        saveConflictResolve(choice);
+        saveConflictResolve = null;
+    }
+}
+
+window.viewConflictingSop = viewConflictingSop;
+window.resolveSaveConflict = resolveSaveConflict;
+
 // Update status display
 function updateStatusDisplay() {
     const statusField = document.getElementById('status');
@@ -1713,790 +2963,165 @@ function updateStatusDisplay() {
     }
 }
 
-// PDF Export (returns blob if returnBlob is true, otherwise downloads)
-// preserveStatus: if true, don't change status to "Approved" (used when saving and sending to user)
-async function exportToPdf(returnBlob = false, preserveStatus = false) {
-    return new Promise(async (resolve, reject) => {
+// PDF logo: the file's own bytes when it can be fetched, so browser PDFs match the backend's
+// GET /sops/:id/pdf; on file:// pages fall back to the canvas copy made by preloadLogo()
+let pdfLogoDataUrl = null;
+async function loadPdfLogo() {
+    if (pdfLogoDataUrl) return pdfLogoDataUrl;
+    if (window.location.protocol !== 'file:') {
+        try {
+            const response = await fetch('Recorp_logo.png');
+            if (response.ok) pdfLogoDataUrl = await blobToDataUrl(await response.blob());
+        } catch (e) {
+            console.log('Logo fetch failed:', e.message);
+        }
+    }
+    if (!pdfLogoDataUrl) {
+        if (!cachedLogoImage) await preloadLogo();
+        if (cachedLogoImage && cachedLogoImage.startsWith('data:image')) pdfLogoDataUrl = cachedLogoImage;
+    }
+    return pdfLogoDataUrl;
+}
+
+/** Render an SOP with the shared renderer (sop-pdf-renderer.js). Never changes the SOP. */
+async function buildSopPdf(sop) {
+    const logo = await loadPdfLogo();
+    if (!logo) {
+        throw new Error('Logo could not be loaded - PDF generation aborted. Run the app from http:// (not file://) and check Recorp_logo.png exists.');
+    }
+    const stepImages = await window.SopPdfRenderer.resolveSopPdfImages(sop, stepImageDataUrl);
+    return window.SopPdfRenderer.renderSopPdf(window.jspdf.jsPDF, sop, { logo, stepImages });
+}
+
+// PDF of any SOP: returns a Blob when returnBlob is true, otherwise downloads it
+async function exportSopToPdf(sop, returnBlob = false) {
+    document.getElementById('loadingIndicator').classList.remove('hidden');
+    try {
+        const doc = await buildSopPdf(sop);
+        if (returnBlob) return doc.output('blob');
+        doc.save(`${window.SopPdfRenderer.sopPdfBaseName(sop)}_${Date.now()}.pdf`);
+        showNotification('PDF generated successfully!', 'success');
+    } catch (error) {
+        showNotification('Error generating PDF: ' + error.message, 'error');
+        console.error('PDF generation error:', error);
+        throw error;
+    } finally {
+        document.getElementById('loadingIndicator').classList.add('hidden');
+    }
+}
+
+// PDF of the SOP open in the editor (returns blob if returnBlob is true, otherwise downloads)
+async function exportToPdf(returnBlob = false) {
     updateSopData();
     
     if (!currentSop.meta.title || !currentSop.meta.sopId) {
         showNotification('Please fill in at least SOP Title and SOP ID before exporting.', 'warning');
-        document.getElementById('loadingIndicator').classList.add('hidden');
         return;
     }
     
     if (currentSop.steps.length === 0) {
         showNotification('Please add at least one step before exporting.', 'warning');
-        document.getElementById('loadingIndicator').classList.add('hidden');
         return;
     }
     
-    // Only set status to "Approved" if not preserving status (i.e., when explicitly approving)
-    if (!preserveStatus) {
-        // Automatically set status to "Approved" when generating PDF (only when not preserving)
-        currentSop.meta.status = "Approved";
-        updateStatusDisplay();
-        saveSopToStorage(); // Save the status change
-    }
-    
-    document.getElementById('loadingIndicator').classList.remove('hidden');
+    return exportSopToPdf(currentSop, returnBlob);
+}
+
+// Tab Management - Make available globally immediately
+// Tab Management - Store implementation
+window._switchTabImpl = function switchTab(tabName) {
+    // Update tab buttons
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
     
-    // CRITICAL: FORCE LOAD LOGO BEFORE PDF GENERATION - BLOCKING
-    console.log('🚨🚨🚨 FORCING LOGO LOAD - THIS WILL BLOCK UNTIL LOGO IS READY 🚨🚨🚨');
-    let logoImage = null;
-    let logoLoadAttempts = 0;
-    const maxAttempts = 10;
+    // Update tab content
+    document.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.remove('active');
+    });
     
-    // Try to load logo with retries until successful
-    while (!logoImage && logoLoadAttempts < maxAttempts) {
-        logoLoadAttempts++;
-        console.log(`Logo load attempt ${logoLoadAttempts}/${maxAttempts}`);
+    let contentId = 'sopRequests'; // Default to requests tab
+    if (tabName === 'editor') {
+        contentId = 'sopEditor';
         
-        // First try cached logo
-        if (cachedLogoImage && cachedLogoImage.startsWith('data:image')) {
-            logoImage = cachedLogoImage;
-            console.log('✓ Logo loaded from cache');
-            break;
+        // If switching to editor and NOT loading from register, create blank SOP
+        if (!isLoadingFromRegister) {
+            // Create a blank SOP
+            currentSop = {
+                meta: {
+                    title: "",
+                    sopId: "",
+                    department: "",
+                    version: "1.0",
+                    author: "",
+                    status: "Draft",
+                    effectiveDate: "",
+                    reviewDate: ""
+                },
+                description: "",
+                safety: {
+                    warnings: [],
+                    ppe: [],
+                    notes: ""
+                },
+                tools: [],
+                materials: [],
+                steps: []
+            };
+            stepCounter = 0;
+            renderSop();
+            // Scroll to top when creating blank SOP
+            window.scrollTo(0, 0);
         }
-        
-        // Method 1: Try fetch API (works on http:// or https://)
-        if (window.location.protocol !== 'file:') {
-            try {
-                const response = await fetch('Recorp_logo.png');
-                if (response.ok) {
-                    const blob = await response.blob();
-                    const reader = new FileReader();
-                    logoImage = await new Promise((resolve) => {
-                        reader.onloadend = () => {
-                            const dataUrl = reader.result;
-                            if (dataUrl && dataUrl.startsWith('data:image')) {
-                                console.log('✓✓✓ Logo loaded via FETCH API ✓✓✓');
-                                cachedLogoImage = dataUrl;
-                                resolve(dataUrl);
-                            } else {
-                                resolve(null);
-                            }
-                        };
-                        reader.onerror = () => resolve(null);
-                        reader.readAsDataURL(blob);
-                    });
-                    if (logoImage) break;
-                }
-            } catch (e) {
-                console.log('Fetch method failed:', e.message);
-            }
-        }
-        
-        // Method 2: Try DOM element with canvas
-        try {
-            const logoElement = document.querySelector('.header-logo');
-            if (logoElement) {
-                // Force reload the image
-                if (logoLoadAttempts > 1) {
-                    const originalSrc = logoElement.src;
-                    logoElement.src = '';
-                    logoElement.src = originalSrc;
-                }
-                
-                // Wait for it to load
-                await new Promise((resolve) => {
-                    if (logoElement.complete && logoElement.naturalWidth > 0) {
-                        resolve();
-                    } else {
-                        const timeout = setTimeout(resolve, 1000);
-                        const onload = () => {
-                            clearTimeout(timeout);
-                            logoElement.removeEventListener('load', onload);
-                            logoElement.removeEventListener('error', onerror);
-                            resolve();
-                        };
-                        const onerror = () => {
-                            clearTimeout(timeout);
-                            logoElement.removeEventListener('load', onload);
-                            logoElement.removeEventListener('error', onerror);
-                            resolve();
-                        };
-                        logoElement.addEventListener('load', onload);
-                        logoElement.addEventListener('error', onerror);
-                        if (logoElement.complete) {
-                            onload();
-                        }
-                    }
-                });
-                
-                if (logoElement.complete && logoElement.naturalWidth > 0) {
-                    try {
-                        cachedLogoAspectRatio = logoElement.naturalWidth / logoElement.naturalHeight;
-                        const canvas = document.createElement('canvas');
-                        canvas.width = logoElement.naturalWidth;
-                        canvas.height = logoElement.naturalHeight;
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(logoElement, 0, 0);
-                        const dataUrl = canvas.toDataURL('image/png');
-                        if (dataUrl && dataUrl.startsWith('data:image')) {
-                            logoImage = dataUrl;
-                            console.log('✓✓✓ Logo loaded via CANVAS from DOM element ✓✓✓');
-                            cachedLogoImage = logoImage;
-                            break;
-                        }
-                    } catch (e) {
-                        console.log('Canvas method failed:', e.message);
-                    }
-                }
-            }
-        } catch (e) {
-            console.log('DOM method failed:', e.message);
-        }
-        
-        // Method 3: Try new Image object
-        try {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            
-            // Get the source from DOM element or use direct path
-            const logoElement = document.querySelector('.header-logo');
-            const logoSrc = logoElement ? logoElement.src : 'Recorp_logo.png';
-            img.src = logoSrc;
-            
-            logoImage = await new Promise((resolve) => {
-                const timeout = setTimeout(() => resolve(null), 2000);
-                img.onload = () => {
-                    clearTimeout(timeout);
-                    try {
-                        if (img.naturalWidth > 0 && img.naturalHeight > 0) {
-                            cachedLogoAspectRatio = img.naturalWidth / img.naturalHeight;
-                        }
-                        const canvas = document.createElement('canvas');
-                        canvas.width = img.naturalWidth;
-                        canvas.height = img.naturalHeight;
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(img, 0, 0);
-                        const dataUrl = canvas.toDataURL('image/png');
-                        if (dataUrl && dataUrl.startsWith('data:image')) {
-                            console.log('✓✓✓ Logo loaded via NEW IMAGE object ✓✓✓');
-                            cachedLogoImage = dataUrl;
-                            resolve(dataUrl);
-                        } else {
-                            resolve(null);
-                        }
-                    } catch (e) {
-                        resolve(null);
-                    }
-                };
-                img.onerror = () => {
-                    clearTimeout(timeout);
-                    resolve(null);
-                };
-                if (img.complete) {
-                    img.onload();
-                }
-            });
-            if (logoImage) break;
-        } catch (e) {
-            console.log('New Image method failed:', e.message);
-        }
-        
-        // Wait a bit before retry
-        if (!logoImage && logoLoadAttempts < maxAttempts) {
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
-    }
-    
-    // FINAL VALIDATION - LOGO MUST BE LOADED
-    if (!logoImage || !logoImage.startsWith('data:image')) {
-        const errorMsg = '❌❌❌ CRITICAL ERROR: LOGO COULD NOT BE LOADED AFTER ' + maxAttempts + ' ATTEMPTS ❌❌❌';
-        console.error(errorMsg);
-        console.error('PDF generation is blocked. Logo is REQUIRED.');
-        console.error('Please ensure:');
-        console.error('1. Recorp_logo.png exists in the same directory as index.html');
-        console.error('2. You are running from a local server (http://localhost) not file://');
-        console.error('3. The logo file is not corrupted');
-        
-        document.getElementById('loadingIndicator').classList.add('hidden');
-        showNotification('CRITICAL: Logo could not be loaded. PDF generation aborted. Check console for details.', 'error');
-        reject(new Error('Logo could not be loaded - PDF generation aborted'));
-        return;
-    }
-    
-    console.log('✅✅✅ LOGO SUCCESSFULLY LOADED AND VALIDATED ✅✅✅');
-    console.log('Logo data URL length:', logoImage.length);
-    console.log('Logo format:', logoImage.substring(0, 50));
-    
-    try {
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF({
-            orientation: 'portrait',
-            unit: 'mm',
-            format: 'a4'
-        });
-        
-        let yPos = 20;
-        const pageWidth = doc.internal.pageSize.getWidth();
-        const pageHeight = doc.internal.pageSize.getHeight();
-        const margin = 15;
-        const contentWidth = pageWidth - (2 * margin);
-        const maxHeight = pageHeight - 50; // Reduced to leave room for footer
-        
-        // Helper function to add footer to current page
-        function addFooter() {
-            const footerY = pageHeight - 10;
-            const footerFontSize = 8;
-            
-            doc.setFontSize(footerFontSize);
-            doc.setFont(undefined, 'normal');
-            doc.setTextColor(100, 100, 100); // Gray color
-            
-            // Footer content: SOP Name | Version | Date Produced
-            const sopName = currentSop.meta.title || 'Untitled SOP';
-            const version = currentSop.meta.version || 'N/A';
-            const dateProduced = currentSop.meta.effectiveDate || new Date().toISOString().split('T')[0];
-            
-            // Format date nicely
-            let formattedDate = dateProduced;
-            try {
-                const date = new Date(dateProduced);
-                if (!isNaN(date.getTime())) {
-                    formattedDate = date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-                }
-            } catch (e) {
-                // Use original date if parsing fails
-            }
-            
-            const footerText = `${sopName} | Version ${version} | Date Produced: ${formattedDate}`;
-            
-            // Center the footer text
-            const textWidth = doc.getTextWidth(footerText);
-            const footerX = (pageWidth - textWidth) / 2;
-            
-            doc.text(footerText, footerX, footerY);
-            doc.setTextColor(0, 0, 0); // Reset to black
-        }
-        
-        console.log('=== USING LOGO FOR PDF ===');
-        console.log('Cached logo available:', logoImage ? 'YES' : 'NO');
-        if (logoImage) {
-            console.log('Logo data URL length:', logoImage.length);
-            console.log('Logo starts with:', logoImage.substring(0, 50));
-            console.log('Logo format check:', logoImage.startsWith('data:image') ? 'PASS' : 'FAIL');
-        } else {
-            console.error('⚠️ NO CACHED LOGO - LOGO WILL NOT APPEAR IN PDF');
-            console.error('Logo may not have preloaded. Check console for preload errors.');
-            console.error('Make sure you are running from a local server (http://localhost) not file://');
-        }
-        
-        // Helper function to add logo to first page only (header - top right), smaller and correct proportions
-        let logoAddedToPageOne = false;
-        function addLogoToPageOneOnly() {
-            if (logoAddedToPageOne) return;
-            if (!logoImage || !logoImage.startsWith('data:image')) {
-                console.error('❌ FATAL: Logo not available for page - this should never happen!');
-                throw new Error('Logo not available - PDF generation should have been blocked');
-            }
-            logoAddedToPageOne = true;
-            const maxLogoWidth = 25;
-            const maxLogoHeight = 10;
-            let logoWidth, logoHeight;
-            if (cachedLogoAspectRatio != null && cachedLogoAspectRatio > 0) {
-                if (cachedLogoAspectRatio >= 1) {
-                    logoWidth = maxLogoWidth;
-                    logoHeight = maxLogoWidth / cachedLogoAspectRatio;
-                } else {
-                    logoHeight = maxLogoHeight;
-                    logoWidth = maxLogoHeight * cachedLogoAspectRatio;
-                }
-            } else {
-                logoWidth = 25;
-                logoHeight = 9;
-            }
-            const logoX = pageWidth - margin - logoWidth;
-            const logoY = 10;
-            
-            // Try multiple format detection methods
-            let format = 'PNG'; // Default to PNG
-            const formatMatch1 = logoImage.match(/data:image\/([^;]+);base64/);
-            const formatMatch2 = logoImage.match(/data:image\/([^;]+)/);
-            if (formatMatch1) {
-                format = formatMatch1[1].toUpperCase();
-            } else if (formatMatch2) {
-                format = formatMatch2[1].toUpperCase();
-            }
-            
-            // Try primary format first
-            try {
-                doc.addImage(logoImage, format, logoX, logoY, logoWidth, logoHeight);
-                console.log('✓ Logo added to page 1 header (format: ' + format + ', size ' + logoWidth.toFixed(1) + 'x' + logoHeight.toFixed(1) + 'mm)');
-                return true;
-            } catch (e) {
-                console.warn('Primary format (' + format + ') failed, trying PNG fallback:', e.message);
-                try {
-                    doc.addImage(logoImage, 'PNG', logoX, logoY, logoWidth, logoHeight);
-                    console.log('✓ Logo added to page 1 header (PNG fallback)');
-                    return true;
-                } catch (e2) {
-                    console.error('PNG fallback failed, trying JPEG:', e2.message);
-                    try {
-                        doc.addImage(logoImage, 'JPEG', logoX, logoY, logoWidth, logoHeight);
-                        console.log('✓ Logo added to page 1 header (JPEG fallback)');
-                        return true;
-                    } catch (e3) {
-                        console.error('❌ ALL LOGO ADD METHODS FAILED ❌');
-                        console.error('Error:', e3);
-                        throw new Error('Failed to add logo to PDF page: ' + e3.message);
-                    }
-                }
-            }
-        }
-        
-        // Helper function to add new page if needed (no logo on new pages - logo only on page 1)
-        function checkNewPage(requiredHeight) {
-            if (yPos + requiredHeight > maxHeight) {
-                addFooter();
-                doc.addPage();
-                yPos = 20;
-                return true;
-            }
-            return false;
-        }
-        
-        // Logo only on first page (smaller, correct proportions)
-        addLogoToPageOneOnly();
-        
-        // Header with title
-        doc.setFontSize(18);
-        doc.setFont(undefined, 'bold');
-        const titleText = currentSop.meta.title || 'Untitled SOP';
-        doc.text(titleText, margin, yPos);
-        
-        yPos += 10;
-        
-        // Metadata
-        doc.setFontSize(10);
-        doc.setFont(undefined, 'normal');
-        const metadata = [
-            `SOP ID: ${currentSop.meta.sopId || 'N/A'}`,
-            `Department: ${currentSop.meta.department || 'N/A'}`,
-            `Version: ${currentSop.meta.version || 'N/A'}`,
-            `Author: ${currentSop.meta.author || 'N/A'}`,
-            `Status: ${currentSop.meta.status || 'N/A'}`,
-            `Effective Date: ${currentSop.meta.effectiveDate || 'N/A'}`,
-            `Review Date: ${currentSop.meta.reviewDate || 'N/A'}`
-        ];
-        
-        metadata.forEach(line => {
-            checkNewPage(5);
-            doc.text(line, margin, yPos);
-            yPos += 5;
-        });
-        
-        yPos += 5;
-        checkNewPage(10);
-        doc.line(margin, yPos, pageWidth - margin, yPos);
-        yPos += 10;
-        
-        // Description
-        if (currentSop.description) {
-            checkNewPage(15);
-            doc.setFontSize(12);
-            doc.setFont(undefined, 'bold');
-            doc.text('Description', margin, yPos);
-            yPos += 7;
-            
-            doc.setFontSize(10);
-            doc.setFont(undefined, 'normal');
-            const descLines = doc.splitTextToSize(currentSop.description, contentWidth);
-            descLines.forEach(line => {
-                checkNewPage(5);
-                doc.text(line, margin, yPos);
-                yPos += 5;
-            });
-            yPos += 5;
-        }
-        
-        // Safety
-        checkNewPage(15);
-        doc.setFontSize(12);
-        doc.setFont(undefined, 'bold');
-        doc.text('Safety', margin, yPos);
-        yPos += 7;
-        
-        doc.setFontSize(10);
-        doc.setFont(undefined, 'normal');
-        
-        if (currentSop.safety.warnings.length > 0) {
-            doc.setFont(undefined, 'bold');
-            doc.text('Safety Warnings:', margin, yPos);
-            yPos += 5;
-            doc.setFont(undefined, 'normal');
-            currentSop.safety.warnings.forEach(warning => {
-                checkNewPage(5);
-                doc.text(`• ${warning}`, margin + 5, yPos);
-                yPos += 5;
-            });
-        }
-        
-        if (currentSop.safety.ppe.length > 0) {
-            checkNewPage(5);
-            doc.setFont(undefined, 'bold');
-            doc.text('PPE Required:', margin, yPos);
-            yPos += 5;
-            doc.setFont(undefined, 'normal');
-            const ppeText = currentSop.safety.ppe.join(', ');
-            const ppeLines = doc.splitTextToSize(ppeText, contentWidth);
-            ppeLines.forEach(line => {
-                checkNewPage(5);
-                doc.text(`• ${line}`, margin + 5, yPos);
-                yPos += 5;
-            });
-        }
-        
-        if (currentSop.safety.notes) {
-            checkNewPage(5);
-            doc.setFont(undefined, 'bold');
-            doc.text('Safety Notes:', margin, yPos);
-            yPos += 5;
-            doc.setFont(undefined, 'normal');
-            const notesLines = doc.splitTextToSize(currentSop.safety.notes, contentWidth);
-            notesLines.forEach(line => {
-                checkNewPage(5);
-                doc.text(line, margin, yPos);
-                yPos += 5;
-            });
-        }
-        
-        yPos += 5;
-        
-        // Tools & Materials
-        checkNewPage(15);
-        doc.setFontSize(12);
-        doc.setFont(undefined, 'bold');
-        doc.text('Tools & Materials', margin, yPos);
-        yPos += 7;
-        
-        doc.setFontSize(10);
-        doc.setFont(undefined, 'normal');
-        
-        if (currentSop.tools.length > 0) {
-            doc.setFont(undefined, 'bold');
-            doc.text('Tools Required:', margin, yPos);
-            yPos += 5;
-            doc.setFont(undefined, 'normal');
-            currentSop.tools.forEach(tool => {
-                checkNewPage(5);
-                doc.text(`• ${tool}`, margin + 5, yPos);
-                yPos += 5;
-            });
-        }
-        
-        if (currentSop.materials.length > 0) {
-            checkNewPage(5);
-            doc.setFont(undefined, 'bold');
-            doc.text('Materials Required:', margin, yPos);
-            yPos += 5;
-            doc.setFont(undefined, 'normal');
-            currentSop.materials.forEach(material => {
-                checkNewPage(5);
-                doc.text(`• ${material}`, margin + 5, yPos);
-                yPos += 5;
-            });
-        }
-        
-        yPos += 5;
-        
-        // Steps - first step directly under heading when possible
-        checkNewPage(15);
-        doc.setFontSize(12);
-        doc.setFont(undefined, 'bold');
-        doc.text('Step-by-Step Instructions', margin, yPos);
-        yPos += 5;
-        
-        // Debug: Log steps count
-        console.log('=== PDF GENERATION: STEPS ===');
-        console.log('Total steps in currentSop:', currentSop.steps.length);
-        console.log('Steps array:', currentSop.steps);
-        
-        // Ensure we process ALL steps - use a more robust loop
-        const totalSteps = currentSop.steps.length;
-        for (let i = 0; i < totalSteps; i++) {
-            const step = currentSop.steps[i];
-            
-            if (!step) {
-                console.warn(`Step ${i + 1} is undefined, skipping`);
-                continue;
-            }
-            
-            console.log(`Processing step ${i + 1}/${totalSteps}:`, step.title || 'Untitled');
-            
-            // Calculate description height first (using 65% of content width)
-            let descHeight = 0;
-            const descColumnWidth = contentWidth * 0.65;
-            if (step.description) {
-                const descLines = doc.splitTextToSize(step.description, descColumnWidth);
-                descHeight = descLines.length * 5;
-            }
-            if (step.safetyNote) {
-                descHeight += 10;
-            }
-            
-            // Get image dimensions if exists - portrait and larger
-            let imageHeight = 0;
-            let imageWidth = 0;
-            let hasImage = false;
-            if (step.images && step.images.length > 0) {
-                try {
-                    const img = new Image();
-                    img.src = step.images[0]; // Use first image
-                    await new Promise((resolve, reject) => {
-                        const timeout = setTimeout(() => {
-                            // Timeout after 2 seconds - continue without image
-                            console.log('Image load timeout for step', i + 1);
-                            resolve();
-                        }, 2000);
-                        
-                        img.onload = function() {
-                            clearTimeout(timeout);
-                            // Larger portrait images - 50% of content width (was 30%)
-                            // Portrait aspect ratio: 3:4
-                            imageWidth = contentWidth * 0.45; // 45% of content width
-                            imageHeight = imageWidth * (4/3); // Maintain 3:4 portrait ratio
-                            // Limit to reasonable page size
-                            if (imageHeight > 80) {
-                                imageHeight = 80;
-                                imageWidth = imageHeight * (3/4);
-                            }
-                            hasImage = true;
-                            resolve();
-                        };
-                        img.onerror = () => {
-                            clearTimeout(timeout);
-                            console.log('Image load error for step', i + 1);
-                            resolve(); // Continue without image
-                        };
-                        if (img.complete && img.naturalWidth > 0) {
-                            clearTimeout(timeout);
-                            // Larger portrait images - 50% of content width
-                            imageWidth = contentWidth * 0.45; // 45% of content width
-                            imageHeight = imageWidth * (4/3); // Maintain 3:4 portrait ratio
-                            if (imageHeight > 80) {
-                                imageHeight = 80;
-                                imageWidth = imageHeight * (3/4);
-                            }
-                            hasImage = true;
-                            resolve();
-                        }
-                    });
-                } catch (e) {
-                    console.log('Error loading image for step', i + 1, ':', e);
-                    // Continue without image
-                }
-            }
-            
-            // Calculate total step height BEFORE drawing anything
-            const stepContentHeight = Math.max(descHeight, imageHeight) + 10;
-            const totalStepHeight = 15 + stepContentHeight; // Header (15) + content
-            
-            // Check if entire step fits on page BEFORE drawing
-            if (yPos + totalStepHeight > maxHeight) {
-                // Step doesn't fit, add footer to current page and create new page
-                addFooter();
-                doc.addPage();
-                yPos = 20;
-                // ALWAYS add logo to new page
-                addLogoToPage();
-            }
-            
-            // Now draw step header (only once)
-            checkNewPage(15); // Reserve space for header
-            doc.setFontSize(11);
-            doc.setFont(undefined, 'bold');
-            doc.text(`Step ${i + 1}: ${step.title || 'Untitled Step'}`, margin, yPos);
-            yPos += 7;
-            
-            // Step content - side by side layout
-            // Description on left, larger portrait image on right
-            const leftX = margin + 2; // Slight indent inside box
-            const columnWidth = contentWidth * 0.52; // Description gets 52% of width
-            const rightX = margin + columnWidth + 10; // Image positioned after description with gap
-            
-            // Left column: Description
-            let leftY = yPos;
-            doc.setFontSize(10);
-            doc.setFont(undefined, 'normal');
-            
-            if (step.description) {
-                const descLines = doc.splitTextToSize(step.description, columnWidth - 4);
-                descLines.forEach(line => {
-                    doc.text(line, leftX, leftY);
-                    leftY += 5;
-                });
-            }
-            
-            // Safety note
-            if (step.safetyNote) {
-                leftY += 2;
-                doc.setFont(undefined, 'italic');
-                doc.setTextColor(200, 150, 0);
-                const safetyLines = doc.splitTextToSize(`⚠ ${step.safetyNote}`, columnWidth - 4);
-                safetyLines.forEach(line => {
-                    doc.text(line, leftX, leftY);
-                    leftY += 5;
-                });
-                doc.setTextColor(0, 0, 0);
-            }
-            
-            // Right column: Image (portrait orientation, larger)
-            if (hasImage && step.images && step.images.length > 0) {
-                try {
-                    doc.addImage(step.images[0], 'JPEG', rightX, yPos, imageWidth, imageHeight);
-                } catch (err) {
-                    console.error('Error adding image to PDF:', err);
-                    doc.text('[Image]', rightX, yPos);
-                }
-            }
-            
-            // Move yPos to the bottom of the step (whichever is lower)
-            const stepEndY = Math.max(leftY, yPos + imageHeight) + 3;
-            yPos = stepEndY;
-            
-            // Draw horizontal line to separate steps (instead of box)
-            if (i < totalSteps - 1) {
-                checkNewPage(10);
-                yPos += 3; // Small gap before line
-                doc.setDrawColor(150, 150, 150); // Gray line
-                doc.setLineWidth(0.5);
-                doc.line(margin, yPos, pageWidth - margin, yPos);
-                yPos += 5; // Space after line before next step
-            }
-            
-            console.log(`Step ${i + 1}/${totalSteps} completed, yPos: ${yPos}`);
-        }
-        
-        console.log(`=== ALL ${totalSteps} STEPS PROCESSED ===`);
-        
-        // CRITICAL: Add footer to EVERY page (including first and last)
-        // Get current page number and add footer to all pages
-        const totalPages = doc.internal.pages.length - 1; // jsPDF uses 1-indexed pages, but has a base page
-        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-            doc.setPage(pageNum);
-            addFooter();
-        }
-        // Set back to last page for final operations
-        doc.setPage(totalPages);
-        
-        // Save PDF or return blob - include SOP title in filename
-        const titleSlug = (currentSop.meta.title || 'Untitled').replace(/[^a-z0-9]/gi, '_').substring(0, 50);
-        const fileName = `${currentSop.meta.sopId || 'sop'}_${titleSlug}_${Date.now()}.pdf`;
-        
-        // Always hide loading indicator when PDF generation completes
-        document.getElementById('loadingIndicator').classList.add('hidden');
-        
-        if (returnBlob) {
-            const pdfBlob = doc.output('blob');
-            resolve(pdfBlob);
-        } else {
-            doc.save(fileName);
-            showNotification('PDF generated successfully! Status changed to "Approved".', 'success');
-            resolve();
-        }
-    } catch (error) {
-        document.getElementById('loadingIndicator').classList.add('hidden');
-        showNotification('Error generating PDF: ' + error.message, 'error');
-        console.error('PDF generation error:', error);
-        reject(error);
-    }
-    });
-}
-
-// Tab Management - Make available globally immediately
-// Tab Management - Store implementation
-window._switchTabImpl = function switchTab(tabName) {
-    // Update tab buttons
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-    
-    // Update tab content
-    document.querySelectorAll('.tab-content').forEach(content => {
-        content.classList.remove('active');
-    });
-    
-    let contentId = 'sopRequests'; // Default to requests tab
-    if (tabName === 'editor') {
-        contentId = 'sopEditor';
-        
-        // If switching to editor and NOT loading from register, create blank SOP
-        if (!isLoadingFromRegister) {
-            // Create a blank SOP
-            currentSop = {
-                meta: {
-                    title: "",
-                    sopId: "",
-                    department: "",
-                    version: "1.0",
-                    author: "",
-                    status: "Draft",
-                    effectiveDate: "",
-                    reviewDate: ""
-                },
-                description: "",
-                safety: {
-                    warnings: [],
-                    ppe: [],
-                    notes: ""
-                },
-                tools: [],
-                materials: [],
-                steps: []
-            };
-            stepCounter = 0;
-            renderSop();
-            // Scroll to top when creating blank SOP
-            window.scrollTo(0, 0);
-        }
-        // Reset the flag after handling
-        isLoadingFromRegister = false;
-    } else if (tabName === 'register') {
-        contentId = 'sopRegister';
-    } else if (tabName === 'review') {
-        contentId = 'sopReview';
-    } else if (tabName === 'tasks') {
-        contentId = 'sopTasks';
-    } else if (tabName === 'requests') {
-        contentId = 'sopRequests';
-    } else if (tabName === 'users') {
-        contentId = 'sopUsers';
-    }
-    document.getElementById(contentId).classList.add('active');
-    
-    // Refresh when switching tabs
-    if (tabName === 'requests') {
-        refreshRequestsList();
-    } else if (tabName === 'register') {
-        refreshRegister();
-    } else if (tabName === 'review') {
-        refreshReviewList();
-        // Populate reviewer dropdowns after list is rendered
-        setTimeout(() => {
-            populateAllReviewerDropdowns();
-        }, 100);
-    } else if (tabName === 'tasks') {
-        refreshProgressTracker();
-        refreshTasksList();
-    } else if (tabName === 'users') {
-        refreshUsersList();
-        populateUserDropdown();
-        populateAllReviewerDropdowns();
-    } else if (tabName === 'editor') {
-        populateUserDropdown();
-    }
-    
-    // Show/hide floating save button
-    const floatingSaveBtn = document.querySelector('.editor-footer-actions');
-    if (floatingSaveBtn) {
-        if (tabName === 'editor') {
-            floatingSaveBtn.style.display = 'block';
-        } else {
-            floatingSaveBtn.style.display = 'none';
+        // Reset the flag after handling
+        isLoadingFromRegister = false;
+    } else if (tabName === 'register') {
+        contentId = 'sopRegister';
+    } else if (tabName === 'review') {
+        contentId = 'sopReview';
+    } else if (tabName === 'tasks') {
+        contentId = 'sopTasks';
+    } else if (tabName === 'requests') {
+        contentId = 'sopRequests';
+    } else if (tabName === 'users') {
+        contentId = 'sopUsers';
+    } else if (tabName === 'audit') {
+        contentId = 'sopAudit';
+    }
+    document.getElementById(contentId).classList.add('active');
+    
+    // Refresh when switching tabs
+    if (tabName === 'requests') {
+        refreshRequestsList();
+    } else if (tabName === 'register') {
+        refreshRegister();
+    } else if (tabName === 'review') {
+        refreshReviewList();
+        // Populate reviewer dropdowns after list is rendered
+        setTimeout(() => {
+            populateAllReviewerDropdowns();
+        }, 100);
+    } else if (tabName === 'tasks') {
+        refreshProgressTracker();
+        refreshTasksList();
+    } else if (tabName === 'users') {
+        refreshUsersList();
+        populateUserDropdown();
+        populateAllReviewerDropdowns();
+    } else if (tabName === 'editor') {
+        populateUserDropdown();
+    } else if (tabName === 'audit') {
+        refreshAuditLog();
+    }
+    
+    // Show/hide floating save button
+    const floatingSaveBtn = document.querySelector('.editor-footer-actions');
+    if (floatingSaveBtn) {
+        if (tabName === 'editor') {
+            floatingSaveBtn.style.display = 'block';
+        } else {
+            floatingSaveBtn.style.display = 'none';
         }
     }
 }
@@ -2510,7 +3135,7 @@ async function refreshRegister() {
         // LOAD FROM GITHUB ONLY
         let savedSops;
         try {
-            savedSops = await loadAllSopsMerged();
+            savedSops = await loadSopSummariesMerged();
         } catch (error) {
             renderRegisterTable([]);
             const msg = error.message || 'Check connection.';
@@ -2532,6 +3157,9 @@ async function refreshRegister() {
             }
         });
         
+        allSops.push(...(await loadSupersededVersions()));
+        await refreshReviewSchedule(allSops);
+        
         // Sort by last saved (newest first)
         allSops.sort((a, b) => {
             const dateA = new Date(a.savedAt || 0);
@@ -2545,11 +3173,304 @@ async function refreshRegister() {
         // Apply filters
         filterRegister();
     } catch (e) {
-        console.error('Error refreshing register:', e);
-        renderRegisterTable([]);
+        console.error('Error refreshing register:', e);
+        renderRegisterTable([]);
+    }
+}
+
+/**
+ * Register rows for superseded versions ({ key, release, meta }). They are revisions kept by the shared
+ * backend; Google Drive and local storage only hold each SOP's current version.
+ */
+async function loadSupersededVersions() {
+    if (!(typeof window.loadReleasesFromSharedAPI === 'function' && useSharedAccess())) return [];
+    try {
+        const releases = await window.loadReleasesFromSharedAPI('Superseded');
+        return releases.map(release => ({
+            key: release.sopId,
+            release,
+            meta: {
+                sopId: release.sopId, title: release.title, department: release.department, version: release.version,
+                author: release.author, status: 'Superseded', effectiveDate: release.effectiveDate, reviewDate: ''
+            },
+            savedAt: release.supersededAt
+        }));
+    } catch (e) {
+        console.warn('Could not load superseded versions:', e.message);
+        return [];
+    }
+}
+
+/** A superseded version as it was approved, marked Superseded (so it prints with the watermark). */
+async function loadSupersededVersion(key, rev) {
+    const record = await window.loadSopRevisionFromSharedAPI(key, rev);
+    return { ...record.content, meta: { ...record.content.meta, status: 'Superseded' } };
+}
+
+async function viewSupersededVersion(key, rev) {
+    try {
+        const row = allSops.find(s => s.release && s.key === key && s.release.revision === rev);
+        const sop = await loadSupersededVersion(key, rev);
+        const when = row && row.release.supersededAt ? ' on ' + new Date(row.release.supersededAt).toLocaleDateString() : '';
+        showSopView(sop, key, `Superseded by version ${(row && row.release.supersededBy) || 'N/A'}${when} – for reference only, do not work to this version.`);
+    } catch (e) {
+        showNotification('Error loading superseded version: ' + e.message, 'error');
+        console.error('Error:', e);
+    }
+}
+
+async function exportSupersededPdf(key, rev) {
+    try {
+        await exportSopToPdf(await loadSupersededVersion(key, rev));
+    } catch (e) {
+        showNotification('Error exporting PDF: ' + e.message, 'error');
+        console.error('Error:', e);
+    }
+}
+
+window.viewSupersededVersion = viewSupersededVersion;
+window.exportSupersededPdf = exportSupersededPdf;
+
+// Periodic reviews (sop-review-schedule.js). The register flags Approved SOPs whose review is due soon or
+// overdue, each gets a review task for its owner, and the owner and department heads are emailed. With the
+// shared backend the server sends the emails (GET /reviews/due says which went out); otherwise this browser
+// sends them through the email settings, once per state, remembered in localStorage 'sopReviewNotices'.
+let reviewsDue = new Map();
+const REVIEW_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function sharedReviewSchedule() {
+    return typeof window.loadReviewsDueFromSharedAPI === 'function' && typeof window.useSharedAccess === 'function' && window.useSharedAccess();
+}
+
+/** Due and overdue reviews: from the shared backend when there is one, else worked out from the register rows. */
+async function loadReviewsDue(sops) {
+    if (sharedReviewSchedule()) {
+        try {
+            return (await window.loadReviewsDueFromSharedAPI()).items || [];
+        } catch (e) {
+            console.warn('Could not load due reviews from the server:', e.message);
+        }
+    }
+    const dueSoonDays = Number(window.SOP_REVIEW_DUE_DAYS) || SopReviewSchedule.DEFAULT_DUE_SOON_DAYS;
+    return SopReviewSchedule.reviewsDue(sops.filter(sop => !sop.release), new Date(), dueSoonDays);
+}
+
+/** sops: register rows ({ key, meta, ... }). Updates the dashboard and review tasks, then sends any notices due. */
+async function refreshReviewSchedule(sops) {
+    const items = await loadReviewsDue(sops);
+    reviewsDue = new Map(items.map(item => [item.sopId, item]));
+    renderReviewScheduleDashboard(items);
+    syncReviewTasks(items, sops).catch(e => console.warn('Review tasks not updated:', e.message));
+    if (!sharedReviewSchedule()) {
+        sendReviewNotices(items).catch(e => console.warn('Review notices not sent:', e.message));
+    }
+}
+
+/** Runs on load and every hour, so tasks and emails do not wait for someone to open the register. */
+async function checkReviewSchedule() {
+    try {
+        const savedSops = await loadSopSummariesMerged();
+        await refreshReviewSchedule(Object.keys(savedSops).map(key => ({ key, ...savedSops[key] })));
+    } catch (e) {
+        console.warn('Review schedule check failed:', e.message);
+    }
+}
+
+function getReviewNotices() {
+    try {
+        return JSON.parse(localStorage.getItem('sopReviewNotices') || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+/** When the owner and department heads were emailed about the item's current state, or null. */
+function reviewNoticeSent(item) {
+    if (item.notified) return item.notified[item.state] || null;
+    return getReviewNotices()[SopReviewSchedule.noticeKey(item)] || null;
+}
+
+/** The SOP author (matched by name in the user list) and window.SOP_DEPARTMENT_HEADS for the department. */
+function reviewNoticeRecipients(item) {
+    const owner = findUserByName(item.author);
+    const heads = (window.SOP_DEPARTMENT_HEADS || {})[item.department] || [];
+    return [owner && owner.email, ...[].concat(heads)]
+        .map(email => String(email || '').trim().toLowerCase())
+        .filter((email, i, all) => email && all.indexOf(email) === i);
+}
+
+async function sendReviewNotices(items) {
+    const settings = getEmailSettings();
+    if (!settings || !settings.serviceId || !settings.templateId || !settings.publicKey || typeof emailjs === 'undefined') return;
+    emailjs.init(settings.publicKey);
+    for (const item of items) {
+        const key = SopReviewSchedule.noticeKey(item);
+        if (getReviewNotices()[key]) continue;
+        const to = reviewNoticeRecipients(item);
+        if (to.length === 0) continue;
+        for (const email of to) {
+            await emailjs.send(settings.serviceId, settings.templateId, {
+                to_email: email,
+                sop_title: item.title || 'Untitled SOP',
+                sop_id: item.sopId,
+                sop_department: item.department || 'N/A',
+                sop_author: item.author || 'N/A',
+                sop_reviewer: 'N/A',
+                sop_version: item.version || 'N/A',
+                pdf_content: '',
+                message: SopReviewSchedule.reviewMessage(item)
+            });
+        }
+        const notices = getReviewNotices();
+        notices[key] = { at: new Date().toISOString(), to };
+        localStorage.setItem('sopReviewNotices', JSON.stringify(notices));
+    }
+}
+
+/**
+ * One review task per SOP and review date, assigned to the SOP's author and due on the review date; it goes up
+ * to High priority once overdue and is completed by itself when the review date moves on (review confirmed or
+ * new version approved). With the shared backend the changes are sent to /tasks like any other task change.
+ */
+async function syncReviewTasks(items, sops) {
+    if (useSharedTasks()) {
+        try {
+            await loadSharedTasks();
+        } catch (e) {
+            console.warn('Could not load tasks from the server:', e.message);
+        }
+    }
+    let tasks;
+    try {
+        tasks = getLocalTasks();
+    } catch (e) {
+        return;
+    }
+    const now = new Date().toISOString();
+    const changes = [];
+    items.forEach(item => {
+        const reviewKey = SopReviewSchedule.taskKey(item);
+        const task = tasks.find(t => t.reviewKey === reviewKey);
+        if (!task) {
+            const owner = findUserByName(item.author);
+            const created = SopTasks.createTask({
+                id: 'review-' + reviewKey,
+                fields: {
+                    title: `Periodic review: ${item.sopId} ${item.title || 'Untitled SOP'}`,
+                    department: item.department || 'N/A',
+                    submittedBy: 'Review scheduler',
+                    assignedTo: item.author || '',
+                    assigneeEmail: owner ? owner.email : '',
+                    priority: item.state === 'overdue' ? 'High' : 'Medium',
+                    description: SopReviewSchedule.reviewMessage(item),
+                    dueDate: item.reviewDate,
+                    sopId: item.sopId,
+                    reviewKey,
+                    reviewDate: item.reviewDate,
+                    reviewState: item.state
+                },
+                at: now
+            });
+            tasks.push(created);
+            changes.push(['create', created]);
+        } else if (task.status !== 'Completed' && task.reviewState !== item.state) {
+            SopTasks.updateFields(task, {
+                priority: item.state === 'overdue' && task.priority !== 'Urgent' ? 'High' : task.priority,
+                description: SopReviewSchedule.reviewMessage(item),
+                dueDate: task.dueDate || item.reviewDate,
+                reviewState: item.state
+            }, { at: now });
+            changes.push(['update', task]);
+        }
+    });
+    tasks.forEach(task => {
+        if (!task.reviewKey || task.status === 'Completed') return;
+        const sop = sops.find(s => !s.release && s.key === task.sopId);
+        if (sop && sop.meta.reviewDate && sop.meta.reviewDate !== task.reviewDate) {
+            SopTasks.setStatus(task, 'Completed', { at: now });
+            changes.push(['update', task]);
+        }
+    });
+    if (changes.length === 0) return;
+    setLocalTasks(tasks);
+    sopTasks = tasks;
+    for (const [op, task] of changes) {
+        try {
+            await pushTaskChange(op, task);
+        } catch (e) {
+            console.warn(`Review task ${task.id} not sent:`, e.message);
+        }
+    }
+}
+
+/** A user from the Users list by "First Last" (case-insensitive), or undefined. */
+function findUserByName(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return wanted ? getUsers().find(u => `${u.firstName} ${u.lastName}`.trim().toLowerCase() === wanted) : undefined;
+}
+
+function renderReviewScheduleDashboard(items) {
+    const panel = document.getElementById('reviewScheduleDashboard');
+    if (!panel) return;
+    panel.classList.toggle('hidden', items.length === 0);
+    const overdue = items.filter(item => item.state === 'overdue').length;
+    document.getElementById('reviewOverdueCount').textContent = `${overdue} overdue`;
+    document.getElementById('reviewDueSoonCount').textContent = `${items.length - overdue} due soon`;
+    document.getElementById('reviewScheduleList').innerHTML = items.map(item => {
+        const notice = reviewNoticeSent(item);
+        return `
+            <div class="review-schedule-item ${item.state}">
+                <div class="review-schedule-sop">
+                    <strong>${escapeHtml(item.sopId)}</strong> ${escapeHtml(item.title || 'Untitled SOP')}
+                    <small>${escapeHtml(item.department || 'N/A')} · ${escapeHtml(item.author || 'N/A')} · version ${escapeHtml(item.version || 'N/A')} · review date ${escapeHtml(item.reviewDate)}</small>
+                    ${notice ? `<small>Emailed ${new Date(notice.at).toLocaleDateString()} to ${escapeHtml(notice.to.join(', '))}</small>` : ''}
+                </div>
+                <span class="review-due-badge ${item.state}">${escapeHtml(SopReviewSchedule.describeDue(item))}</span>
+                <div class="register-actions-cell">
+                    <button class="btn btn-secondary btn-small" onclick="viewSopFromRegister('${item.sopId}')" title="View">View</button>
+                    <button class="btn btn-success btn-small" onclick="confirmSopReview('${item.sopId}')" title="Still correct – next review in a year">Confirm Reviewed</button>
+                    <button class="btn btn-primary btn-small" onclick="loadSopFromRegister('${item.sopId}')" title="Start a new revision">Revise</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function showReviewsDueInRegister() {
+    document.getElementById('statusFilter').value = 'review-due';
+    filterRegister();
+}
+
+/** A periodic review found nothing to change: the SOP keeps its version and is next due for review in a year. */
+async function confirmSopReview(key) {
+    const comments = await showReasonPrompt('Confirm Periodic Review',
+        `Confirm ${key} has been reviewed and is still correct? Its next review will be due in a year. If anything needs changing, use Revise instead.`,
+        'What was checked (required)');
+    if (!comments) return;
+    try {
+        const sop = await loadSopMerged(key);
+        if (!sop) throw new Error('SOP not found.');
+        if (typeof window.useSharedAccess === 'function' && window.useSharedAccess()) {
+            await window.confirmSopReviewInSharedAPI(sop, { comments });
+        } else {
+            if (!useCloudSops()) throw new Error('Cloud storage not available');
+            const nextReview = new Date();
+            nextReview.setFullYear(nextReview.getFullYear() + 1);
+            sop.lastReview = { at: new Date().toISOString(), by: '', comments, previousReviewDate: sop.meta.reviewDate || '' };
+            sop.meta.reviewDate = nextReview.toISOString().split('T')[0];
+            await saveSopToCloud(sop, { reason: `Periodic review: no changes needed, next review ${sop.meta.reviewDate} – ${comments}` });
+        }
+        showNotification(`Review of ${key} recorded – next review due in a year.`, 'success');
+        await refreshRegister();
+    } catch (e) {
+        showNotification('Error confirming review: ' + e.message, 'error');
+        console.error('Error:', e);
     }
 }
 
+window.showReviewsDueInRegister = showReviewsDueInRegister;
+window.confirmSopReview = confirmSopReview;
+
 function updateDepartmentFilter() {
     const departments = new Set();
     allSops.forEach(sop => {
@@ -2585,7 +3506,9 @@ function filterRegister() {
             (sop.meta.sopId && sop.meta.sopId.toLowerCase().includes(searchTerm)) ||
             (sop.meta.author && sop.meta.author.toLowerCase().includes(searchTerm));
         
-        const matchesStatus = !statusFilter || sop.meta.status === statusFilter;
+        // Superseded versions only show under their own filter
+        let matchesStatus = statusFilter ? sop.meta.status === statusFilter : !sop.release;
+        if (statusFilter === 'review-due') matchesStatus = !sop.release && reviewsDue.has(sop.key);
         const matchesDepartment = !departmentFilter || sop.meta.department === departmentFilter;
         
         return matchesSearch && matchesStatus && matchesDepartment;
@@ -2612,22 +3535,29 @@ function renderRegisterTable(sops) {
         const savedDate = sop.savedAt ? new Date(sop.savedAt) : new Date();
         
         const statusClass = sop.meta.status ? sop.meta.status.toLowerCase().replace(/\s+/g, '-') : '';
+        const review = sop.release ? null : reviewsDue.get(sop.key);
+        if (review) row.className = 'review-' + review.state;
         
         row.innerHTML = `
             <td><strong>${escapeHtml(sop.meta.sopId || 'N/A')}</strong></td>
             <td>${escapeHtml(sop.meta.title || 'Untitled SOP')}</td>
             <td>${escapeHtml(sop.meta.department || 'N/A')}</td>
-            <td>${escapeHtml(sop.meta.version || 'N/A')}</td>
+            <td>${escapeHtml(sop.meta.version || 'N/A')}${sop.revisionOf ? ` <small class="revision-of">revises ${escapeHtml(sop.revisionOf.version || 'N/A')}</small>` : ''}</td>
             <td>${escapeHtml(sop.meta.author || 'N/A')}</td>
             <td><span class="status-badge ${statusClass}">${escapeHtml(sop.meta.status || 'N/A')}</span></td>
             <td>${escapeHtml(sop.meta.effectiveDate || 'N/A')}</td>
-            <td>${escapeHtml(sop.meta.reviewDate || 'N/A')}</td>
+            <td>${escapeHtml(sop.meta.reviewDate || 'N/A')}${review ? ` <span class="review-due-badge ${review.state}">${escapeHtml(SopReviewSchedule.describeDue(review))}</span>` : ''}</td>
             <td>${savedDate.toLocaleDateString()} ${savedDate.toLocaleTimeString()}</td>
-            <td class="register-actions-cell">
+            <td class="register-actions-cell">${sop.release ? `
+                <button class="btn btn-secondary btn-small" onclick="viewSupersededVersion('${sop.key}', ${sop.release.revision})" title="View this superseded version">View</button>
+                <button class="btn btn-success btn-small" onclick="exportSupersededPdf('${sop.key}', ${sop.release.revision})" title="Export PDF (SUPERSEDED watermark)">PDF</button>
+            ` : `
+                <button class="btn btn-secondary btn-small" onclick="viewSopFromRegister('${sop.key}')" title="View (works offline for approved SOPs)">View</button>
                 <button class="btn btn-primary btn-small" onclick="loadSopFromRegister('${sop.key}')" title="Edit">Edit</button>
                 <button class="btn btn-success btn-small" onclick="exportSopPdfFromRegister('${sop.key}')" title="Export PDF">PDF</button>
+                ${sop.meta.status === 'Approved' && canChangeSopStatus('Approved', 'Retired') ? `<button class="btn btn-secondary btn-small" onclick="retireSopFromRegister('${sop.key}')" title="Withdraw from use">Retire</button>` : ''}
                 <button class="btn btn-secondary btn-small" onclick="deleteSopFromRegister('${sop.key}')" title="Delete">Delete</button>
-            </td>
+            `}</td>
         `;
         tbody.appendChild(row);
     });
@@ -2635,14 +3565,14 @@ function renderRegisterTable(sops) {
 
 async function loadSopFromRegister(key) {
     try {
-        const savedSops = await loadAllSopsMerged();
-        const sop = savedSops[key];
+        const sop = await loadSopMerged(key);
         
         if (sop) {
             // Set flag to prevent switchTab from clearing the editor
             isLoadingFromRegister = true;
             currentSop = { ...sop };
             delete currentSop.savedAt;
+            currentSopBase = cloneSop(currentSop);
             renderSop();
             switchTab('editor');
             showNotification('SOP loaded successfully!', 'success');
@@ -2657,45 +3587,59 @@ async function loadSopFromRegister(key) {
 
 async function exportSopPdfFromRegister(key) {
     try {
-        const savedSops = await loadAllSopsMerged();
-        const sop = savedSops[key];
+        const sop = await loadSopMerged(key);
         
         if (!sop) {
             showNotification('SOP not found.', 'error');
             return;
         }
         
-        // Temporarily set current SOP for PDF export
-        const originalSop = { ...currentSop };
-        currentSop = { ...sop };
-        delete currentSop.savedAt;
-        
-        document.getElementById('loadingIndicator').classList.remove('hidden');
-        
-        // Use the existing PDF export function logic
-        await exportToPdf();
-        
-        // Restore original SOP
-        currentSop = originalSop;
-        
-        document.getElementById('loadingIndicator').classList.add('hidden');
+        await exportSopToPdf(sop);
     } catch (e) {
-        document.getElementById('loadingIndicator').classList.add('hidden');
         showNotification('Error exporting PDF: ' + e.message, 'error');
         console.error('Error:', e);
     }
 }
 
+/** Withdraw an approved SOP from use. It stays in the register and readable, with a RETIRED watermark. */
+async function retireSopFromRegister(key) {
+    const reason = await showReasonPrompt('Retire SOP',
+        `Retire ${key}? It will no longer be in use or due for review, and prints with a RETIRED watermark. A retired SOP cannot be changed or brought back.`,
+        'Reason for retiring (required)');
+    if (!reason) return;
+    try {
+        const sop = await loadSopMerged(key);
+        if (!sop) throw new Error('SOP not found.');
+        if (!useCloudSops()) throw new Error('Cloud storage not available');
+        if (!changeSopStatus(sop, sop.meta.status, 'Retired', { reason })) return;
+        await saveSopToCloud(sop, { reason });
+        offlineStoreCall('cacheSopsOffline', { [key]: cloneSop(sop) });
+        showNotification(`${key} retired.`, 'success');
+        await refreshRegister();
+    } catch (e) {
+        showNotification('Error retiring SOP: ' + e.message, 'error');
+        console.error('Error:', e);
+    }
+}
+
 async function deleteSopFromRegister(key) {
-    const confirmed = await showConfirmation('Delete SOP', 'Are you sure you want to delete this SOP? This action cannot be undone.');
-    if (!confirmed) {
-        return;
+    const sharedBackend = typeof window.useSharedAccess === 'function' && window.useSharedAccess();
+    let reason = '';
+    if (sharedBackend) {
+        reason = await showReasonPrompt('Delete SOP', `Move ${key} to Deleted SOPs? It can be restored from there until it is purged. Why is it being deleted?`, 'Reason for deleting (required)');
+        if (!reason) return;
+    } else {
+        const confirmed = await showConfirmation('Delete SOP', 'Are you sure you want to delete this SOP? This action cannot be undone.');
+        if (!confirmed) {
+            return;
+        }
     }
     
     try {
         // DELETE FROM GITHUB ONLY - NO LOCALSTORAGE
         if (typeof deleteSopFromCloud === 'function' && useCloudSops()) {
-            await deleteSopFromCloud(key);
+            await deleteSopFromCloud(key, reason);
+            offlineStoreCall('removeCachedSop', key);
             console.log('✅ SOP deleted from GitHub:', key);
             
             // If current SOP is deleted, clear it
@@ -2704,7 +3648,7 @@ async function deleteSopFromRegister(key) {
             }
             
             await refreshRegister();
-            showNotification('SOP deleted successfully.', 'success');
+            showNotification(sharedBackend ? 'SOP moved to Deleted SOPs.' : 'SOP deleted successfully.', 'success');
         } else {
             showNotification('GitHub storage not available', 'error');
         }
@@ -2714,6 +3658,92 @@ async function deleteSopFromRegister(key) {
     }
 }
 
+// Recycle bin (shared backend only): deleted SOPs can be restored, or purged by an admin
+async function showRecycleBin() {
+    const section = document.getElementById('recycleBinSection');
+    const list = document.getElementById('recycleBinList');
+    if (!section || !list) return;
+    
+    if (typeof window.useSharedAccess !== 'function' || !window.useSharedAccess()) {
+        showNotification('Deleted SOPs are kept by the shared backend, which is not configured.', 'warning');
+        return;
+    }
+    
+    section.classList.remove('hidden');
+    list.innerHTML = '<p>Loading deleted SOPs...</p>';
+    try {
+        const [bin, user] = await Promise.all([
+            window.loadRecycleBinFromSharedAPI(),
+            window.getCurrentUserFromSharedAPI().catch(() => null)
+        ]);
+        const isAdmin = !!(user && (user.roles || []).includes('admin'));
+        document.getElementById('recycleBinRetention').textContent =
+            `Deleted SOPs are purged automatically ${bin.retentionDays} days after deletion.`;
+        if (bin.items.length === 0) {
+            list.innerHTML = '<p>No deleted SOPs.</p>';
+            return;
+        }
+        list.innerHTML = `
+            <table class="register-table">
+                <thead>
+                    <tr><th>SOP ID</th><th>Title</th><th>Department</th><th>Deleted</th><th>By</th><th>Reason</th><th>Purged after</th><th>Actions</th></tr>
+                </thead>
+                <tbody>
+                    ${bin.items.map(item => `
+                        <tr>
+                            <td><strong>${escapeHtml(item.sopId)}</strong></td>
+                            <td>${escapeHtml(item.meta.title || 'Untitled')}</td>
+                            <td>${escapeHtml(item.meta.department || '')}</td>
+                            <td>${escapeHtml(new Date(item.deletedAt).toLocaleString())}</td>
+                            <td>${escapeHtml(item.deletedBy || '')}</td>
+                            <td>${escapeHtml(item.reason || '')}</td>
+                            <td>${escapeHtml(new Date(item.purgeAfter).toLocaleDateString())}</td>
+                            <td class="register-actions-cell">
+                                <button class="btn btn-primary" onclick="restoreSopFromRecycleBin('${escapeHtml(item.sopId)}')">Restore</button>
+                                ${isAdmin ? `<button class="btn btn-secondary" onclick="purgeSopFromRecycleBin('${escapeHtml(item.sopId)}')">Purge</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (e) {
+        list.innerHTML = `<p class="error-text">${escapeHtml(e.status === 403 ? 'Only approvers and admins can see deleted SOPs.' : 'Could not load deleted SOPs: ' + e.message)}</p>`;
+    }
+}
+
+function closeRecycleBin() {
+    document.getElementById('recycleBinSection').classList.add('hidden');
+}
+
+async function restoreSopFromRecycleBin(sopId) {
+    try {
+        await window.restoreSopFromSharedAPI(sopId);
+        showNotification(`${sopId} restored.`, 'success');
+        await refreshRegister();
+        await showRecycleBin();
+    } catch (e) {
+        showNotification('Could not restore SOP: ' + e.message, 'error');
+    }
+}
+
+async function purgeSopFromRecycleBin(sopId) {
+    const confirmed = await showConfirmation('Purge SOP', `Permanently remove ${sopId}? It can no longer be restored (its revision history and audit entries are kept).`);
+    if (!confirmed) return;
+    try {
+        await window.purgeSopFromSharedAPI(sopId);
+        showNotification(`${sopId} purged.`, 'success');
+        await showRecycleBin();
+    } catch (e) {
+        showNotification('Could not purge SOP: ' + e.message, 'error');
+    }
+}
+
+window.showRecycleBin = showRecycleBin;
+window.closeRecycleBin = closeRecycleBin;
+window.restoreSopFromRecycleBin = restoreSopFromRecycleBin;
+window.purgeSopFromRecycleBin = purgeSopFromRecycleBin;
+
 function exportRegister() {
     try {
         const { jsPDF } = window.jspdf;
@@ -2805,6 +3835,113 @@ function exportRegister() {
     }
 }
 
+// Audit Log Functions
+let auditEntries = [];
+
+const AUDIT_ACTION_LABELS = {
+    'created': 'Created',
+    'edited': 'Edited',
+    'submitted': 'Submitted for review',
+    'stage-approved': 'Stage signed off',
+    'approved': 'Approved',
+    'superseded': 'Superseded',
+    'reviewed': 'Periodic review confirmed',
+    'retired': 'Retired',
+    'rejected': 'Returned for changes',
+    'deleted': 'Deleted',
+    'restored': 'Restored',
+    'purged': 'Purged',
+    'id-reserved': 'ID reserved'
+};
+
+function getAuditFilters() {
+    const from = document.getElementById('auditFrom').value;
+    const to = document.getElementById('auditTo').value;
+    return {
+        sopId: document.getElementById('auditSopId').value.trim(),
+        action: document.getElementById('auditAction').value,
+        user: document.getElementById('auditUser').value.trim(),
+        from: from ? new Date(from + 'T00:00:00').toISOString() : '',
+        to: to ? new Date(to + 'T23:59:59.999').toISOString() : ''
+    };
+}
+
+async function refreshAuditLog() {
+    const tbody = document.getElementById('auditTableBody');
+    const status = document.getElementById('auditChainStatus');
+    if (!tbody) return;
+    
+    if (typeof window.useSharedAccess !== 'function' || !window.useSharedAccess()) {
+        auditEntries = [];
+        renderAuditTable();
+        status.className = 'audit-chain-status';
+        status.textContent = 'The audit log is kept by the shared backend – it is not available in local-only mode.';
+        return;
+    }
+    
+    tbody.innerHTML = '<tr><td colspan="7">Loading audit log...</td></tr>';
+    try {
+        const result = await window.loadAuditLogFromSharedAPI(getAuditFilters());
+        auditEntries = result.entries;
+        renderAuditTable();
+        const check = result.verification;
+        if (check && check.valid) {
+            status.className = 'audit-chain-status valid';
+            status.textContent = `✓ Hash chain verified (${check.checked} entries). Showing ${result.total}.`;
+        } else if (check) {
+            status.className = 'audit-chain-status broken';
+            status.textContent = `⚠ Hash chain broken at entry #${check.brokenAt} – the log has been altered after that point was written.`;
+        }
+    } catch (e) {
+        auditEntries = [];
+        renderAuditTable();
+        status.className = 'audit-chain-status broken';
+        status.textContent = e.status === 403 ? 'Only reviewers, approvers and admins can view the audit log.' : 'Could not load audit log: ' + e.message;
+    }
+}
+
+function renderAuditTable() {
+    const tbody = document.getElementById('auditTableBody');
+    const empty = document.getElementById('auditEmpty');
+    tbody.innerHTML = auditEntries.map(entry => `
+        <tr>
+            <td>${entry.seq}</td>
+            <td>${escapeHtml(new Date(entry.at).toLocaleString())}</td>
+            <td>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</td>
+            <td>${escapeHtml(entry.sopId)}${entry.revision ? ` <small>(rev ${entry.revision})</small>` : ''}</td>
+            <td>${escapeHtml(entry.fromStatus && entry.toStatus && entry.fromStatus !== entry.toStatus ? entry.fromStatus + ' → ' + entry.toStatus : entry.toStatus || entry.fromStatus)}</td>
+            <td>${escapeHtml(entry.userName || entry.userEmail)}</td>
+            <td>${escapeHtml(entry.reason)}</td>
+        </tr>
+    `).join('');
+    empty.classList.toggle('hidden', auditEntries.length > 0);
+}
+
+function csvCell(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// CSV includes the hashes so an auditor can re-check the chain outside the app
+function exportAuditCsv() {
+    if (auditEntries.length === 0) {
+        showNotification('No audit entries to export.', 'warning');
+        return;
+    }
+    const columns = ['seq', 'at', 'action', 'sopId', 'revision', 'fromStatus', 'toStatus', 'userName', 'userEmail', 'reason', 'prevHash', 'hash'];
+    const rows = [columns.join(',')].concat(auditEntries.map(entry => columns.map(c => csvCell(entry[c])).join(',')));
+    const blob = new Blob([rows.join('\r\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `SOP-Audit-Log-${new Date().toISOString().split('T')[0]}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+window.refreshAuditLog = refreshAuditLog;
+window.exportAuditCsv = exportAuditCsv;
+
 // Utility Functions
 function escapeHtml(text) {
     if (!text) return '';
@@ -2834,11 +3971,132 @@ window.useFileUpload = useFileUpload;
 window.handleFileUpload = handleFileUpload;
 window.confirmImageSelection = confirmImageSelection;
 window.loadFromFile = loadFromFile;
-// SOP Requests Functions
+// SOP Requests Functions (sop-requests.js). With the shared backend requests live on the server (/requests)
+// and localStorage keeps this device's copy; a change made offline waits in the outbox as a 'request' write.
 let sopRequests = [];
 
+function useSharedRequests() {
+    return typeof window.useSharedAccess === 'function' && window.useSharedAccess() && typeof window.loadRequestsFromSharedAPI === 'function';
+}
+
+function getLocalRequests() {
+    return JSON.parse(localStorage.getItem('sopRequests') || '[]').map(SopRequests.upgradeRequest);
+}
+
+function setLocalRequests(requests) {
+    localStorage.setItem('sopRequests', JSON.stringify(requests));
+    offlineStoreCall('cacheRecordsOffline', 'requests', requests);
+}
+
+function storeRequestLocally(request) {
+    const requests = getLocalRequests();
+    const index = requests.findIndex(r => r.id === request.id);
+    if (index === -1) requests.push(request);
+    else requests[index] = request;
+    setLocalRequests(requests);
+}
+
+/** Who is acting on a request: the signed-in backend user, or nobody in particular without accounts. */
+function requestActor() {
+    return typeof window.getSharedAPIUser === 'function' ? window.getSharedAPIUser() : null;
+}
+
+/** Reviewers and approvers accept, decline and delete requests; without accounts everyone can. */
+function canManageRequests() {
+    const roles = currentUserRoles();
+    return !roles || roles.some(role => ['admin', 'reviewer', 'approver'].includes(role));
+}
+
+/**
+ * Send one request change to the server: op 'create' | 'update' | 'delete' with this device's copy of it,
+ * or 'vote' with the vote ({ at, by, comment }) already added to that copy.
+ */
+async function sendRequestChange(op, request, vote) {
+    if (op === 'delete') return await window.deleteRequestFromSharedAPI(request.id);
+    let stored = null;
+    if (op === 'vote') {
+        stored = await window.voteForRequestInSharedAPI(request.id, vote.comment);
+        storeRequestLocally(stored);
+        return stored;
+    }
+    if (op === 'create') {
+        const { id, title, department, submitter, priority, description, submittedAt, justification, possibleDuplicates } = request;
+        stored = await window.createRequestInSharedAPI({ id, title, department, submitter, priority, description, submittedAt, justification, possibleDuplicates });
+    }
+    if (!stored || stored.status !== request.status || stored.sopId !== request.sopId) {
+        const { title, department, submitter, priority, description, status, sopId } = request;
+        stored = await window.updateRequestInSharedAPI(request.id, {
+            title, department, submitter, priority, description, status, sopId,
+            reason: status === 'Declined' ? request.declineReason : ''
+        });
+    }
+    storeRequestLocally(stored);
+    return stored;
+}
+
+// Votes wait in the outbox beside the request's own changes, so one never replaces the other
+function requestOutboxKey(op, request) {
+    return op === 'vote' ? `${request.id}#vote` : request.id;
+}
+
+/** Keep a request change for the outbox; changes to a request not yet on the server stay its 'create'. */
+async function queueRequestForSync(op, request, vote) {
+    if (op === 'vote') {
+        const entry = await offlineStoreCall('queueOutboxWrite', { type: 'request', key: requestOutboxKey(op, request), payload: { op, request, vote }, base: null, reason: '' });
+        await updateSyncStatus();
+        return !!entry;
+    }
+    const queued = ((await offlineStoreCall('listOutbox')) || []).find(e => e.type === 'request' && e.key === request.id);
+    if (queued && queued.payload.op === 'create') {
+        if (op === 'delete') {
+            await offlineStoreCall('removeOutboxEntry', queued.id);
+            await updateSyncStatus();
+            return true;
+        }
+        op = 'create';
+    }
+    const entry = await offlineStoreCall('queueOutboxWrite', { type: 'request', key: request.id, payload: { op, request }, base: null, reason: '' });
+    await updateSyncStatus();
+    return !!entry;
+}
+
+/**
+ * Save a request change made on this device to the server. Returns 'local' without the shared backend,
+ * 'saved', or 'queued' when it waits in the outbox (earlier queued changes to the same request go first).
+ */
+async function pushRequestChange(op, request, vote) {
+    if (!useSharedRequests()) return 'local';
+    const keys = [request.id, requestOutboxKey(op, request)];
+    const queued = ((await offlineStoreCall('listOutbox')) || []).some(e => e.type === 'request' && keys.includes(e.key));
+    if (!queued) {
+        try {
+            await sendRequestChange(op, request, vote);
+            return 'saved';
+        } catch (error) {
+            if (!isOfflineError(error)) throw error;
+            setBackendOnline(false);
+        }
+    }
+    if (!(await queueRequestForSync(op, request, vote))) throw new Error('Cannot reach the SOP server and this browser cannot keep changes offline.');
+    if (backendOnline !== false) syncOutbox();
+    return 'queued';
+}
+
+async function replayRequestWrite(entry) {
+    const { op, request, vote } = entry.payload;
+    try {
+        await sendRequestChange(op, request, vote);
+    } catch (error) {
+        // Already deleted, or already voted for (or closed) by the time the vote got there
+        if (!(op === 'delete' && error.status === 404) && !(op === 'vote' && error.status === 409)) throw error;
+    }
+    await finishOutboxEntry(entry, latest => {
+        if (latest.payload.op === 'create') latest.payload.op = 'update';
+    });
+}
+
 // Store implementation
-window._submitSopRequestImpl = function submitSopRequest(event) {
+window._submitSopRequestImpl = async function submitSopRequest(event) {
     // Prevent default form submission if event is provided
     if (event && typeof event.preventDefault === 'function') {
         event.preventDefault();
@@ -2871,29 +4129,42 @@ window._submitSopRequestImpl = function submitSopRequest(event) {
         return;
     }
     
-    const request = {
-        id: 'req-' + Date.now(),
-        title: titleValue,
-        department: departmentValue,
-        submitter: submitterValue,
-        priority: priorityValue,
-        description: descriptionValue,
-        status: 'Pending',
-        submittedAt: new Date().toISOString()
-    };
-    
-    console.log('Creating request:', request);
+    // Likely duplicates first: the submitter can +1 an open request or give a reason to go ahead
+    const duplicates = await findDuplicateRequests({ title: titleValue, description: descriptionValue });
+    let justification = '';
+    if (duplicates.length) {
+        const choice = await showDuplicateRequestDialog(duplicates);
+        if (choice.action === 'vote') {
+            if (await voteForRequest(choice.requestId, submitterValue, choice.comment)) clearRequestForm();
+            return;
+        }
+        if (choice.action === 'view') {
+            viewDuplicate(choice.match);
+            return;
+        }
+        if (choice.action !== 'submit') return;
+        justification = choice.justification;
+    }
     
     try {
-        let requests = JSON.parse(localStorage.getItem('sopRequests') || '[]');
-        console.log('Current requests in storage:', requests.length);
-        requests.push(request);
-        localStorage.setItem('sopRequests', JSON.stringify(requests));
-        console.log('Request saved. Total requests:', requests.length);
+        const request = SopRequests.createRequest({
+            id: 'req-' + Date.now(),
+            fields: { title: titleValue, department: departmentValue, submitter: submitterValue, priority: priorityValue, description: descriptionValue },
+            at: new Date().toISOString(),
+            by: requestActor(),
+            justification,
+            possibleDuplicates: duplicates.map(({ type, id, title }) => ({ type, id, title }))
+        });
+        storeRequestLocally(request);
+        const result = await pushRequestChange('create', request);
         
         clearRequestForm();
-        refreshRequestsList();
-        showNotification('SOP request submitted successfully!', 'success');
+        await refreshRequestsList();
+        if (result === 'queued') {
+            showNotification('SOP request saved on this device – it will reach the server when the connection is back.', 'warning');
+        } else {
+            showNotification('SOP request submitted successfully!', 'success');
+        }
         console.log('✓ Request submitted successfully');
     } catch (e) {
         console.error('Error submitting request:', e);
@@ -2905,9 +4176,155 @@ function clearRequestForm() {
     document.getElementById('sopRequestForm').reset();
 }
 
-function refreshRequestsList() {
+/** SOPs and open requests that look like the request being raised (sop-requests.js findDuplicates). */
+async function findDuplicateRequests(candidate) {
+    let sops = {};
+    try {
+        sops = await loadSopSummariesMerged();
+    } catch (e) {
+        console.warn('Could not load SOPs to check for duplicates:', e.message);
+    }
+    await refreshRequestsList();
+    return SopRequests.findDuplicates(candidate, { sops, requests: sopRequests });
+}
+
+let duplicateRequestResolve = null;
+
+/**
+ * List the likely duplicates and wait for the submitter's choice: { action: 'cancel' }, { action: 'view', match },
+ * { action: 'vote', requestId, comment } or { action: 'submit', justification }.
+ */
+function showDuplicateRequestDialog(matches) {
+    const list = document.getElementById('duplicateRequestList');
+    list.innerHTML = matches.map((match, index) => {
+        const what = match.type === 'sop' ? `SOP ${match.id} – ${match.status}` : `Request – ${match.status}${match.votes ? `, +${match.votes}` : ''}`;
+        return `
+            <li class="duplicate-match">
+                <a href="#" onclick="resolveDuplicateRequest({ action: 'view', index: ${index} }); return false;">${escapeHtml(match.title)}</a>
+                <span class="duplicate-match-info">${escapeHtml(what)}${match.department ? ' · ' + escapeHtml(match.department) : ''} · ${Math.round(match.score * 100)}% similar</span>
+                ${match.type === 'request' ? `<button type="button" class="btn btn-success btn-small" onclick="resolveDuplicateRequest({ action: 'vote', index: ${index} })" title="Add your name to this request instead">+1</button>` : ''}
+            </li>
+        `;
+    }).join('');
+    const input = document.getElementById('duplicateRequestJustification');
+    input.value = '';
+    document.getElementById('duplicateRequestDialog').classList.remove('hidden');
+    return new Promise(resolve => {
+        duplicateRequestResolve = (choice) => {
+            if (choice.action === 'submit' && !input.value.trim()) {
+                showNotification('Please say why this SOP is needed although similar ones exist.', 'warning');
+                return false;
+            }
+            const match = matches[choice.index];
+            if (choice.action === 'view') resolve({ action: 'view', match });
+            else if (choice.action === 'vote') resolve({ action: 'vote', requestId: match.id, comment: input.value.trim() });
+            else if (choice.action === 'submit') resolve({ action: 'submit', justification: input.value.trim() });
+            else resolve({ action: 'cancel' });
+            return true;
+        };
+    });
+}
+
+function resolveDuplicateRequest(choice) {
+    if (!duplicateRequestResolve || !duplicateRequestResolve(choice)) return;
+    duplicateRequestResolve = null;
+    document.getElementById('duplicateRequestDialog').classList.add('hidden');
+}
+
+/** Open a match from the duplicate list: the SOP, or the request highlighted in the list below the form. */
+function viewDuplicate(match) {
+    if (match.type === 'sop') {
+        viewSopFromRegister(match.id);
+        return;
+    }
+    const statusFilter = document.getElementById('requestStatusFilter');
+    if (statusFilter) statusFilter.value = 'open';
+    ['requestFilter', 'requestDeptFilter'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = 'all';
+    });
+    filterRequests();
+    const row = document.getElementById('request-row-' + match.id);
+    if (row) {
+        row.classList.add('request-row-highlight');
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setTimeout(() => row.classList.remove('request-row-highlight'), 4000);
+    }
+}
+
+/** "+1" an open request: the signed-in user, or voterName without accounts. Returns true once recorded. */
+async function voteForRequest(requestId, voterName, comment) {
+    const request = getLocalRequests().find(r => r.id === requestId);
+    if (!request) {
+        showNotification('Request not found.', 'error');
+        return false;
+    }
+    const vote = { at: new Date().toISOString(), by: requestActor() || { name: voterName }, comment: comment || '' };
+    try {
+        SopRequests.addVote(request, vote);
+        storeRequestLocally(request);
+        const result = await pushRequestChange('vote', request, vote);
+        if (result === 'queued') showNotification('Your +1 is saved on this device – it will reach the server when the connection is back.', 'warning');
+        else showNotification(`Added your +1 to "${request.title}".`, 'success');
+        return true;
+    } catch (e) {
+        console.error('Error voting for request:', e);
+        showNotification('Could not add your +1: ' + e.message, 'error');
+        return false;
+    } finally {
+        await refreshRequestsList();
+    }
+}
+
+/**
+ * Requests made on this device before the shared backend was set up are sent to it once, through the
+ * outbox, so they are not lost when the server's list replaces the local one.
+ */
+async function uploadLocalRequestsOnce() {
+    if (localStorage.getItem('sopRequestsUploaded')) return;
+    for (const request of getLocalRequests()) {
+        if (!(await queueRequestForSync('create', request))) return;
+    }
+    localStorage.setItem('sopRequestsUploaded', new Date().toISOString());
+    syncOutbox();
+}
+
+/** The server's requests, with this device's copy of any request whose change is still in the outbox. */
+async function loadSharedRequests() {
+    await uploadLocalRequestsOnce();
+    const requests = (await window.loadRequestsFromSharedAPI()).map(SopRequests.upgradeRequest);
+    const queued = ((await offlineStoreCall('listOutbox')) || []).filter(e => e.type === 'request');
+    queued.forEach(entry => {
+        const index = requests.findIndex(r => r.id === entry.payload.request.id);
+        if (entry.payload.op === 'vote') {
+            try {
+                if (index !== -1) SopRequests.addVote(requests[index], entry.payload.vote);
+            } catch (e) {
+                // Already counted on the server
+            }
+        } else if (entry.payload.op === 'delete') {
+            if (index !== -1) requests.splice(index, 1);
+        } else if (index === -1) {
+            requests.push(entry.payload.request);
+        } else {
+            requests[index] = entry.payload.request;
+        }
+    });
+    setLocalRequests(requests);
+}
+
+async function refreshRequestsList() {
     try {
-        sopRequests = JSON.parse(localStorage.getItem('sopRequests') || '[]');
+        if (useSharedRequests()) {
+            try {
+                await loadSharedRequests();
+            } catch (e) {
+                // Offline or signed out: show this device's copy
+                console.warn('Could not load requests from the server:', e.message);
+            }
+        }
+        sopRequests = getLocalRequests();
+        offlineStoreCall('cacheRecordsOffline', 'requests', sopRequests);
         filterRequests();
     } catch (e) {
         console.error('Error loading requests:', e);
@@ -2918,15 +4335,17 @@ function refreshRequestsList() {
 function filterRequests() {
     const priorityFilterEl = document.getElementById('requestFilter');
     const deptFilterEl = document.getElementById('requestDeptFilter');
+    const statusFilterEl = document.getElementById('requestStatusFilter');
     
     const priorityFilter = priorityFilterEl ? priorityFilterEl.value : 'all';
     const deptFilter = deptFilterEl ? deptFilterEl.value : 'all';
+    const statusFilter = statusFilterEl ? statusFilterEl.value : 'open';
     
     console.log('Filtering requests - Priority:', priorityFilter, 'Dept:', deptFilter);
     console.log('Total requests to filter:', sopRequests.length);
     
-    let filtered = sopRequests.filter(req => req.status === 'Pending');
-    console.log('Pending requests:', filtered.length);
+    let filtered = sopRequests.filter(req => statusFilter === 'all' ||
+        (statusFilter === 'open' ? SopRequests.isOpen(req) : req.status === statusFilter));
     
     if (priorityFilter !== 'all') {
         filtered = filtered.filter(req => {
@@ -2957,6 +4376,20 @@ function filterRequests() {
     renderRequestsList(filtered);
 }
 
+/** Action buttons for a request in the list, by its status. */
+function requestActionsHtml(req) {
+    const manage = canManageRequests();
+    const actor = requestActor();
+    const ownPending = req.status === 'Pending' && !!actor && req.submittedBy.email === String(actor.email || '').toLowerCase();
+    const buttons = [];
+    if (req.sopId) buttons.push(`<button class="btn btn-secondary btn-small" onclick="viewSopFromRegister('${escapeHtml(req.sopId)}')" title="View the SOP">View SOP</button>`);
+    if (req.status === 'Pending' && manage) buttons.push(`<button class="btn btn-success btn-small" onclick="acceptRequest('${req.id}')" title="Accept Request">Accept</button>`);
+    if (req.status === 'Pending' || req.status === 'Accepted') buttons.push(`<button class="btn btn-primary btn-small" onclick="startSopFromRequest('${req.id}')" title="Start Creating SOP">Start</button>`);
+    if (SopRequests.isOpen(req) && manage) buttons.push(`<button class="btn btn-secondary btn-small" onclick="declineRequest('${req.id}')" title="Decline Request">Decline</button>`);
+    if (manage || ownPending) buttons.push(`<button class="btn btn-secondary btn-small" onclick="deleteRequest('${req.id}')" title="Delete Request">Delete</button>`);
+    return buttons.join('\n');
+}
+
 function renderRequestsList(requests) {
     console.log('=== RENDER REQUESTS LIST ===');
     console.log('Requests to render:', requests.length);
@@ -2993,6 +4426,7 @@ function renderRequestsList(requests) {
                     <th>Requested By</th>
                     <th>Submitted Date</th>
                     <th>Description</th>
+                    <th>Status</th>
                     <th>Actions</th>
                 </tr>
             </thead>
@@ -3020,18 +4454,29 @@ function renderRequestsList(requests) {
             priorityClass = 'lowest';
             priorityLabel = '1 - Lowest';
         }
+        const history = req.history.map(h => `${h.at ? new Date(h.at).toLocaleString() : ''} ${h.status}${h.by ? ' by ' + h.by : ''}${h.note ? ': ' + h.note : ''}`).join('\n');
+        const voters = req.votes.map(v => v.name + (v.comment ? ': ' + v.comment : '')).join('\n');
+        const similar = req.possibleDuplicates.map(d => (d.type === 'sop' ? `SOP ${d.id}` : 'request') + ` "${d.title}"`).join(', ');
         
         html += `
-            <tr class="request-row priority-${priorityClass}">
+            <tr id="request-row-${escapeHtml(req.id)}" class="request-row priority-${priorityClass}">
                 <td><span class="priority-badge priority-${priorityClass}">${priorityNum}</span></td>
-                <td><strong>${escapeHtml(req.title)}</strong></td>
+                <td>
+                    <strong>${escapeHtml(req.title)}</strong>
+                    ${req.votes.length ? `<span class="request-votes" title="${escapeHtml(voters)}">+${req.votes.length}</span>` : ''}
+                    ${req.justification ? `<div class="request-justification" title="Similar to ${escapeHtml(similar)}">Submitted although similar to ${escapeHtml(similar || 'existing SOPs')}: ${escapeHtml(req.justification)}</div>` : ''}
+                </td>
                 <td>${escapeHtml(req.department)}</td>
                 <td>${escapeHtml(req.submitter)}</td>
                 <td>${submittedDate.toLocaleDateString()} ${submittedDate.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</td>
                 <td>${escapeHtml(req.description || 'No description')}</td>
+                <td title="${escapeHtml(history)}">
+                    <span class="request-status request-status-${req.status.toLowerCase().replace(/\s+/g, '-')}">${escapeHtml(req.status)}</span>
+                    ${req.sopId ? `<div class="request-sop-link">SOP <a href="#" onclick="viewSopFromRegister('${escapeHtml(req.sopId)}'); return false;">${escapeHtml(req.sopId)}</a></div>` : ''}
+                    ${req.status === 'Declined' && req.declineReason ? `<div class="request-decline-reason">${escapeHtml(req.declineReason)}</div>` : ''}
+                </td>
                 <td class="request-actions-cell">
-                    <button class="btn btn-primary btn-small" onclick="startSopFromRequest('${req.id}')" title="Start Creating SOP">Start</button>
-                    <button class="btn btn-secondary btn-small" onclick="deleteRequest('${req.id}')" title="Delete Request">Delete</button>
+                    ${requestActionsHtml(req)}
                 </td>
             </tr>
         `;
@@ -3045,7 +4490,7 @@ function renderRequestsList(requests) {
     container.innerHTML = html;
 }
 
-function startSopFromRequest(requestId) {
+async function startSopFromRequest(requestId) {
     const request = sopRequests.find(r => r.id === requestId);
     if (!request) {
         showNotification('Request not found.', 'error');
@@ -3055,7 +4500,7 @@ function startSopFromRequest(requestId) {
     // Set flag to prevent switchTab from clearing the editor
     isLoadingFromRegister = true;
     
-    // Create new SOP with request details
+    // Create new SOP with request details; requestId links the request to it when it is saved
     currentSop = {
         meta: {
             title: request.title,
@@ -3075,43 +4520,78 @@ function startSopFromRequest(requestId) {
         },
         tools: [],
         materials: [],
-        steps: []
+        steps: [],
+        requestId: request.id
     };
     
     stepCounter = 0;
     renderSop();
-    autoGenerateSopId();
+    await autoGenerateSopId();
     
-    // Mark request as in progress
-    markRequestStatus(requestId, 'In Progress');
+    // Mark request as in progress (with the server assigning IDs, the SOP ID follows on first save)
+    await changeRequestStatus(requestId, 'In Progress', { sopId: currentSop.meta.sopId || '' });
     
     // Switch to editor tab
     switchTab('editor');
     showNotification('SOP started from request. Fill in the details and save.', 'success');
 }
 
-function markRequestStatus(requestId, status) {
+/** Move a request to status ({ reason, sopId }); shows why and returns false when that is not possible. */
+async function changeRequestStatus(requestId, status, options = {}) {
+    const request = getLocalRequests().find(r => r.id === requestId);
+    if (!request) {
+        showNotification('Request not found.', 'error');
+        return false;
+    }
     try {
-        const requests = JSON.parse(localStorage.getItem('sopRequests') || '[]');
-        const index = requests.findIndex(r => r.id === requestId);
-        if (index !== -1) {
-            requests[index].status = status;
-            localStorage.setItem('sopRequests', JSON.stringify(requests));
-            refreshRequestsList();
-        }
+        SopRequests.setStatus(request, status, { at: new Date().toISOString(), by: requestActor(), ...options });
+        storeRequestLocally(request);
+        const result = await pushRequestChange('update', request);
+        if (result === 'queued') showNotification('Request updated on this device – it will reach the server when the connection is back.', 'warning');
+        return true;
     } catch (e) {
         console.error('Error updating request status:', e);
+        showNotification('Could not update the request: ' + e.message, 'error');
+        return false;
+    } finally {
+        await refreshRequestsList();
     }
 }
 
+async function acceptRequest(requestId) {
+    if (await changeRequestStatus(requestId, 'Accepted')) showNotification('Request accepted.', 'success');
+}
+
+async function declineRequest(requestId) {
+    const reason = await showReasonPrompt('Decline Request', 'The request will be closed as Declined. Why is it being declined?', 'Reason for declining (required)');
+    if (!reason) return;
+    if (await changeRequestStatus(requestId, 'Declined', { reason })) showNotification('Request declined.', 'success');
+}
+
+/** Without the shared backend: link the request an SOP was started from to its ID once it is saved. */
+function linkLocalRequestToSop(sop) {
+    const request = sop.requestId && getLocalRequests().find(r => r.id === sop.requestId);
+    if (!request || !SopRequests.isOpen(request) || (request.sopId === sop.meta.sopId && request.status === 'In Progress')) return;
+    SopRequests.linkSop(request, sop.meta.sopId, { at: new Date().toISOString() });
+    storeRequestLocally(request);
+}
+
+/** Without the shared backend: an approved SOP completes the requests it answers (the server does this itself). */
+function completeLocalRequestsForSop(sop) {
+    const requests = getLocalRequests();
+    const completed = SopRequests.completeForSop(requests, sop, { at: new Date().toISOString() });
+    if (completed.length) setLocalRequests(requests);
+    return completed;
+}
+
 function deleteRequest(requestId) {
-    showConfirmation('Delete Request', 'Are you sure you want to delete this request?').then(confirmed => {
+    showConfirmation('Delete Request', 'Are you sure you want to delete this request?').then(async confirmed => {
         if (confirmed) {
             try {
-                const requests = JSON.parse(localStorage.getItem('sopRequests') || '[]');
-                const filtered = requests.filter(r => r.id !== requestId);
-                localStorage.setItem('sopRequests', JSON.stringify(filtered));
-                refreshRequestsList();
+                const request = getLocalRequests().find(r => r.id === requestId);
+                if (request) await pushRequestChange('delete', request);
+                setLocalRequests(getLocalRequests().filter(r => r.id !== requestId));
+                await refreshRequestsList();
                 showNotification('Request deleted.', 'success');
             } catch (e) {
                 showNotification('Error deleting request: ' + e.message, 'error');
@@ -3154,23 +4634,148 @@ window.clearRequestForm = clearRequestForm;
 window.filterRequests = filterRequests;
 window.refreshRequestsList = refreshRequestsList;
 window.startSopFromRequest = startSopFromRequest;
+window.acceptRequest = acceptRequest;
+window.declineRequest = declineRequest;
 window.deleteRequest = deleteRequest;
+window.resolveDuplicateRequest = resolveDuplicateRequest;
 window.filterRegister = filterRegister;
 window.exportRegister = exportRegister;
 window.loadSopFromRegister = loadSopFromRegister;
 window.exportSopPdfFromRegister = exportSopPdfFromRegister;
 window.deleteSopFromRegister = deleteSopFromRegister;
+window.retireSopFromRegister = retireSopFromRegister;
 window.retryConnectionAndRefresh = retryConnectionAndRefresh;
 window.autoGenerateSopId = autoGenerateSopId;
 
+// Approval chains (sop-approval.js). The shared backend runs them; with Drive or this device only the
+// app applies the same rules, using window.SOP_APPROVAL_CHAINS from sop-config.js if set.
+function getClientApprovalChains() {
+    return SopApproval.normalizeChains(window.SOP_APPROVAL_CHAINS || null);
+}
+
+// Separation-of-duties rules: the shared backend's (with the signed-in user's department), otherwise
+// window.SOP_APPROVAL_RULES from sop-config.js. Loaded with the review list; the backend checks them again.
+let approvalRules = null;
+let approvalRulesDepartment;
+
+async function loadApprovalRules() {
+    approvalRules = SopApproval.normalizeRules(window.SOP_APPROVAL_RULES || null);
+    approvalRulesDepartment = undefined;
+    if (typeof window.useSharedAccess !== 'function' || !window.useSharedAccess()) return;
+    try {
+        const data = await window.loadApprovalRulesFromSharedAPI();
+        if (data && data.rules) {
+            approvalRules = SopApproval.normalizeRules(data.rules);
+            approvalRulesDepartment = data.department || '';
+        }
+    } catch (e) {
+        console.warn('Could not load approval rules:', e.message);
+    }
+}
+
+/** Who is signing: the signed-in backend user, or the reviewer picked from the list (Drive, this device). */
+function approvalSigner(reviewerName) {
+    const user = typeof window.useSharedAccess === 'function' && window.useSharedAccess() && typeof window.getSharedAPIUser === 'function'
+        ? window.getSharedAPIUser() : null;
+    return user ? { ...user, department: approvalRulesDepartment } : { name: reviewerName };
+}
+
+/** Reasons the signer may not take decision on the SOP's current stage (empty when they may). */
+async function approvalDutyViolations(sop, decision, reviewerName) {
+    if (!approvalRules) await loadApprovalRules();
+    const pending = sop.approval ? sop : { ...sop, approval: SopApproval.startApproval(sop.meta.department, getClientApprovalChains(), sop.savedAt || '') };
+    return SopApproval.dutyViolations(pending, approvalSigner(reviewerName), decision, approvalRules);
+}
+
+/** The rules for an SOP under review, and a warning when the signer wrote it, for the review screens. */
+function approvalDutyNoticeHtml(sop, reviewerName) {
+    const rule = SopApproval.rulesFor(sop.meta.department, approvalRules || undefined);
+    const lines = SopApproval.describeRules(sop.meta.department, approvalRules || undefined);
+    if (lines.length === 0) return '';
+    const signer = approvalSigner(reviewerName);
+    const blocked = !rule.authorMayApprove && SopApproval.isSopAuthor(sop, signer);
+    return `
+        <div class="duty-notice${blocked ? ' blocked' : ''}">
+            ${blocked ? `<strong>You are the author of this SOP – another reviewer must approve it.</strong>` : '<strong>Approval rules</strong>'}
+            <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+        </div>
+    `;
+}
+
+/** The stage an Under Review SOP is waiting for: from the server's index entry, the SOP itself, or its chain's first stage. */
+function pendingApprovalStage(sop) {
+    if (!sop || !sop.meta || sop.meta.status !== 'Under Review') return null;
+    if (sop.approvalStage) return sop.approvalStage;
+    const stage = SopApproval.currentStage(sop);
+    if (stage) return { index: sop.approval.current, of: sop.approval.stages.length, ...stage };
+    if (sop.approval) return null;
+    const chain = SopApproval.chainFor(sop.meta.department, getClientApprovalChains());
+    return { index: 0, of: chain.length, ...chain[0] };
+}
+
+function approvalStageLabel(sop) {
+    const stage = pendingApprovalStage(sop);
+    return stage ? `Stage ${stage.index + 1} of ${stage.of}: ${stage.name}` : '';
+}
+
+/** Without a signed-in backend user (Drive, this device only) every reviewer sees every stage. */
+function sopAwaitsCurrentUser(sop) {
+    const user = typeof window.getSharedAPIUser === 'function' ? window.getSharedAPIUser() : null;
+    if (!user) return true;
+    return SopApproval.canSignStage(pendingApprovalStage(sop), user);
+}
+
+/**
+ * Approve or return the current stage of an SOP's approval chain.
+ * details: { reviewerName, comments, reviewDate } – reviewerName is only used without the shared backend,
+ * which has the signed-in user sign the decision with their password instead.
+ * Returns { sop, stage, final }, or null if the signature was cancelled.
+ */
+async function submitApprovalDecision(sopKey, decision, details) {
+    const sop = await loadSopMerged(sopKey);
+    if (!sop) throw new Error('SOP not found.');
+    // Separation of duties: explain the block before asking for a signature
+    const reasons = await approvalDutyViolations(sop, decision, details.reviewerName);
+    if (reasons.length) {
+        showNotification('Approval blocked: ' + reasons.join(' '), 'warning');
+        return null;
+    }
+    if (typeof window.useSharedAccess === 'function' && window.useSharedAccess()) {
+        const password = await requestSignature(sop, SopApproval.signatureMeaning(pendingApprovalStage(sop), decision));
+        if (!password) return null;
+        return await window.submitApprovalDecisionToSharedAPI(sop, decision, { ...details, password });
+    }
+    if (!useCloudSops()) throw new Error('GitHub storage not available');
+    if (sop.meta.status !== 'Under Review') throw new Error('This SOP is not under review.');
+    if (!sop.approval) sop.approval = SopApproval.startApproval(sop.meta.department, getClientApprovalChains(), sop.savedAt || new Date().toISOString());
+    const result = SopApproval.applyDecision(sop, {
+        decision, user: { name: details.reviewerName }, comments: details.comments, at: new Date().toISOString()
+    });
+    if (result.final) {
+        sop.meta.reviewDate = details.reviewDate;
+        // A new revision takes effect when approved (the shared backend also marks the old version Superseded)
+        if (sop.revisionOf) sop.meta.effectiveDate = new Date().toISOString().split('T')[0];
+        delete sop.revisionOf;
+    }
+    SopLifecycle.checkTransition('Under Review', sop.meta.status, { sop, comments: details.comments, viaApprovalChain: true });
+    const reason = decision === 'approve'
+        ? `${result.stage.name} approved by ${result.stage.by}`
+        : `Returned for changes at ${result.stage.name} by ${result.stage.by}` + (details.comments ? ': ' + details.comments : '');
+    await saveSopToCloud(sop, { reason });
+    if (result.final) completeLocalRequestsForSop(sop);
+    return { sop, ...result };
+}
+
 // Review Functions
 let reviewSops = [];
 let filteredReviewSops = [];
 let currentReviewSopKey = null;
+let reviewViewSop = null;
 
 async function refreshReviewList() {
     try {
-        const savedSops = await loadAllSopsMerged();
+        // The shared backend knows who can sign which stage, so only list SOPs waiting for this user
+        const savedSops = await loadSopSummariesMerged({ status: 'Under Review', awaiting: 'me' });
         
         reviewSops = [];
         
@@ -3208,6 +4813,7 @@ async function refreshReviewList() {
         
         // Update department filter
         updateReviewDepartmentFilter();
+        await loadApprovalRules();
         
         // Apply filters
         filterReviewList();
@@ -3294,12 +4900,24 @@ function renderReviewList(sops) {
                     <th>Version</th>
                     <th>Author</th>
                     <th>Submitted</th>
+                    <th>Approval Stage</th>
                     <th>Actions</th>
                 </tr>
             </thead>
             <tbody>
     `;
     
+    // With the shared backend the signed-in user signs; the reviewer list is only for Drive / this device
+    const signer = typeof window.useSharedAccess === 'function' && window.useSharedAccess() && typeof window.getSharedAPIUser === 'function'
+        ? window.getSharedAPIUser() : null;
+    const reviewerField = key => signer ? `
+                                    <label>Signing As</label>
+                                    <div class="signing-as">${escapeHtml(signer.name || signer.email)}</div>` : `
+                                    <label>Reviewer Name *</label>
+                                    <select id="reviewerName-${key}" required>
+                                        <option value="">Select Reviewer</option>
+                                    </select>`;
+    
     sops.forEach(sop => {
         const savedDate = sop.savedAt ? new Date(sop.savedAt) : new Date();
         const oneYearFromNow = new Date();
@@ -3314,20 +4932,17 @@ function renderReviewList(sops) {
                 <td>${escapeHtml(sop.meta.version || 'N/A')}</td>
                 <td>${escapeHtml(sop.meta.author || 'N/A')}</td>
                 <td>${savedDate.toLocaleDateString()} ${savedDate.toLocaleTimeString()}</td>
+                <td><span class="approval-stage-badge">${escapeHtml(approvalStageLabel(sop) || 'N/A')}</span></td>
                 <td>
                     <button class="btn btn-secondary btn-small" onclick="viewSopForReview('${sop.key}')">View</button>
                 </td>
             </tr>
             <tr class="review-expanded-row" id="review-expanded-${sop.key}" style="display: none;">
-                <td colspan="7">
+                <td colspan="8">
                     <div class="review-expanded-content">
                         <div class="review-form-inline" id="review-form-${sop.key}">
                             <div class="review-form-grid">
-                                <div class="form-group">
-                                    <label>Reviewer Name *</label>
-                                    <select id="reviewerName-${sop.key}" required>
-                                        <option value="">Select Reviewer</option>
-                                    </select>
+                                <div class="form-group">${reviewerField(sop.key)}
                                 </div>
                                 <div class="form-group">
                                     <label>Next Annual Review Date *</label>
@@ -3338,8 +4953,9 @@ function renderReviewList(sops) {
                                 <label>Review Comments</label>
                                 <textarea id="reviewComments-${sop.key}" rows="3" placeholder="Enter any comments or feedback..."></textarea>
                             </div>
+                            ${approvalDutyNoticeHtml(sop)}
                             <div class="review-actions-inline">
-                                <button class="btn btn-success" onclick="approveSopInline('${sop.key}')">Approve & Generate PDF</button>
+                                <button class="btn btn-success" onclick="approveSopInline('${sop.key}')">Approve</button>
                                 <button class="btn btn-secondary" onclick="rejectSopInline('${sop.key}')">Request Changes</button>
                             </div>
                         </div>
@@ -3393,13 +5009,15 @@ async function approveSopInline(sopKey) {
     const reviewCommentsEl = document.getElementById(`reviewComments-${sopKey}`);
     const reviewDateEl = document.getElementById(`reviewDateInput-${sopKey}`);
     
-    if (!reviewerNameEl || !reviewCommentsEl || !reviewDateEl) return;
+    if (!reviewCommentsEl || !reviewDateEl) return;
     
-    const reviewerName = reviewerNameEl.value.trim();
+    const reviewerName = reviewerNameEl ? reviewerNameEl.value.trim() : '';
     const reviewComments = reviewCommentsEl.value.trim();
     const reviewDate = reviewDateEl.value;
+    // The shared backend signs the stage as the signed-in user
+    const sharedBackend = typeof window.useSharedAccess === 'function' && window.useSharedAccess();
     
-    if (!reviewerName) {
+    if (!reviewerName && !sharedBackend) {
         showNotification('Please enter reviewer name.', 'warning');
         return;
     }
@@ -3410,47 +5028,22 @@ async function approveSopInline(sopKey) {
     }
     
     try {
-        const savedSops = await loadAllSopsMerged();
-        const sop = savedSops[sopKey];
+        const result = await submitApprovalDecision(sopKey, 'approve', { reviewerName, comments: reviewComments, reviewDate });
+        if (!result) return;
+        const sop = result.sop;
         
-        if (!sop) {
-            showNotification('SOP not found.', 'error');
+        if (!result.final) {
+            showNotification(`${result.stage.name} sign-off recorded. Now waiting for: ${SopApproval.currentStage(sop).name}.`, 'success');
+            refreshReviewList();
             return;
         }
         
-        // Update SOP with review information
-        sop.meta.reviewer = reviewerName;
-        sop.meta.reviewComments = reviewComments;
-        sop.meta.status = 'Approved';
-        sop.meta.reviewDate = reviewDate;
-        sop.reviewedAt = new Date().toISOString();
-        
-        if (typeof saveSopToCloud === 'function' && useCloudSops()) {
-            try {
-                await saveSopToCloud(sop);
-                console.log('✅ SOP approved and saved to GitHub');
-            } catch (error) {
-                console.error('❌ Error saving to GitHub:', error);
-                showNotification('Error saving to GitHub: ' + error.message, 'error');
-                throw error;
-            }
-        } else {
-            showNotification('GitHub storage not available', 'error');
-            throw new Error('GitHub storage not available');
-        }
-        
         showNotification('SOP approved! Generating PDF...', 'info');
         
-        // Automatically generate PDF after approval and display inline
+        // Automatically generate PDF after the final approval and display inline
         try {
-            // Temporarily set current SOP for PDF export
-            const originalSop = { ...currentSop };
-            currentSop = { ...sop };
-            delete currentSop.savedAt;
-            if (currentSop.reviewedAt) delete currentSop.reviewedAt;
-            
             // Generate PDF as blob and display inline
-            const pdfBlob = await exportToPdf(true);
+            const pdfBlob = await exportSopToPdf(sop, true);
             
             // Display PDF in iframe
             const pdfViewer = document.getElementById(`pdf-viewer-${sopKey}`);
@@ -3479,10 +5072,7 @@ async function approveSopInline(sopKey) {
             } else {
                 showNotification('PDF viewer not found.', 'error');
             }
-            
-            // Restore original SOP
-            currentSop = originalSop;
-            
+
             // Refresh list to show approved status
             refreshReviewList();
         } catch (pdfError) {
@@ -3499,60 +5089,29 @@ async function approveSopInline(sopKey) {
 async function rejectSopInline(sopKey) {
     const reviewerNameEl = document.getElementById(`reviewerName-${sopKey}`);
     const reviewCommentsEl = document.getElementById(`reviewComments-${sopKey}`);
-    const reviewDateEl = document.getElementById(`reviewDateInput-${sopKey}`);
     
-    if (!reviewerNameEl || !reviewCommentsEl || !reviewDateEl) return;
+    if (!reviewCommentsEl) return;
     
-    const reviewerName = reviewerNameEl.value.trim();
+    const reviewerName = reviewerNameEl ? reviewerNameEl.value.trim() : '';
     const reviewComments = reviewCommentsEl.value.trim();
-    const reviewDate = reviewDateEl.value;
-    
-    if (!reviewerName) {
-        showNotification('Please enter reviewer name.', 'warning');
-        return;
-    }
+    const sharedBackend = typeof window.useSharedAccess === 'function' && window.useSharedAccess();
     
-    if (!reviewDate) {
-        showNotification('Please select a review date.', 'warning');
+    if (!reviewerName && !sharedBackend) {
+        showNotification('Please enter reviewer name.', 'warning');
         return;
     }
     
     if (!reviewComments) {
-        const confirmed = await showConfirmation('No Comments', 'No comments provided. Continue with rejection?');
-        if (!confirmed) {
-            return;
-        }
+        showNotification('Please enter comments so the author knows what to change.', 'warning');
+        return;
     }
     
     try {
-        const savedSops = await loadAllSopsMerged();
-        const sop = savedSops[sopKey];
-        
-        if (!sop) {
-            showNotification('SOP not found.', 'error');
-            return;
-        }
-        
-        // Update SOP with review information
-        sop.meta.reviewer = reviewerName;
-        sop.meta.reviewComments = reviewComments;
-        sop.meta.status = 'Draft';
-        sop.meta.reviewDate = reviewDate;
-        sop.reviewedAt = new Date().toISOString();
-        
-        if (typeof saveSopToCloud === 'function' && useCloudSops()) {
-            try {
-                await saveSopToCloud(sop);
-                console.log('✅ SOP rejected and saved');
-                showNotification('SOP returned to Draft status. Author can make changes based on your comments.', 'success');
-                await refreshReviewList();
-            } catch (error) {
-                console.error('❌ Error saving to GitHub:', error);
-                showNotification('Error saving to GitHub: ' + error.message, 'error');
-            }
-        } else {
-            showNotification('GitHub storage not available', 'error');
-        }
+        const result = await submitApprovalDecision(sopKey, 'reject', { reviewerName, comments: reviewComments });
+        if (!result) return;
+        console.log('✅ SOP returned at stage', result.stage.name);
+        showNotification('SOP rejected and returned to the author with your comments.', 'success');
+        await refreshReviewList();
     } catch (e) {
         showNotification('Error rejecting SOP: ' + e.message, 'error');
         console.error('Error:', e);
@@ -3561,27 +5120,15 @@ async function rejectSopInline(sopKey) {
 
 async function generatePdfFromReviewKey(sopKey) {
     try {
-        const savedSops = await loadAllSopsMerged();
-        const sop = savedSops[sopKey];
+        const sop = await loadSopMerged(sopKey);
         
         if (!sop) {
             showNotification('SOP not found.', 'error');
             return;
         }
         
-        // Temporarily set current SOP for PDF export
-        const originalSop = { ...currentSop };
-        currentSop = { ...sop };
-        delete currentSop.savedAt;
-        if (currentSop.reviewedAt) delete currentSop.reviewedAt;
-        
-        // Generate PDF
-        exportToPdf().catch((error) => {
-            console.error('PDF generation error:', error);
-        }).finally(() => {
-            // Restore original SOP
-            currentSop = originalSop;
-        });
+        // Generate PDF (errors are already shown by exportSopToPdf)
+        exportSopToPdf(sop).catch(() => {});
     } catch (e) {
         showNotification('Error generating PDF: ' + e.message, 'error');
         console.error('Error:', e);
@@ -3606,8 +5153,7 @@ function downloadPdfFromReview(sopKey) {
 
 async function viewSopForReview(sopKey) {
     try {
-        const savedSops = await loadAllSopsMerged();
-        const sop = savedSops[sopKey];
+        const sop = await loadSopMerged(sopKey);
         
         if (!sop) {
             showNotification('SOP not found.', 'error');
@@ -3626,10 +5172,18 @@ async function viewSopForReview(sopKey) {
         reviewViewContainer.classList.remove('hidden');
         
         // Populate and clear reviewer dropdown
-        populateReviewerDropdown('reviewViewerName', sop.meta.reviewer || '');
+        populateReviewerDropdown('reviewViewerName', sop.meta.reviewer || '', sop);
+        if (!approvalRules) await loadApprovalRules();
+        const dutyNotice = document.getElementById('reviewDutyNotice');
+        dutyNotice.innerHTML = approvalDutyNoticeHtml(sop);
+        dutyNotice.classList.toggle('hidden', !dutyNotice.innerHTML.trim());
+        // The shared backend signs as the signed-in user, so the reviewer list is not used there
+        const sharedBackend = typeof window.useSharedAccess === 'function' && window.useSharedAccess();
+        document.getElementById('reviewViewerName').closest('.form-group').style.display = sharedBackend ? 'none' : '';
         
         // Render SOP content in review view
         renderSopForReview(sop);
+        loadReviewDiff(sop);
         
     } catch (e) {
         showNotification('Error loading SOP: ' + e.message, 'error');
@@ -3646,30 +5200,55 @@ function closeReviewView() {
     currentReviewSopKey = null;
 }
 
-function renderSopForReview(sop) {
+async function renderSopForReview(sop) {
     const container = document.getElementById('reviewViewSopContent');
     if (!container) return;
     
-    let html = `
+    reviewViewSop = sop;
+    container.innerHTML = buildSopDisplayHtml(sop);
+    observeLazyImages(container);
+    // Comment buttons once the threads are in (the SOP is readable without them)
+    try {
+        const threads = await loadCommentThreads(sop.meta.sopId);
+        if (reviewViewSop !== sop) return;
+        container.innerHTML = buildSopDisplayHtml(sop, { commentCounts: SopComments.openCountsByAnchor(threads), sopKey: sop.meta.sopId, threads });
+        observeLazyImages(container);
+    } catch (e) {
+        console.warn('Could not load review comments:', e.message);
+    }
+}
+
+/**
+ * Read-only HTML for a whole SOP (review view and revision history).
+ * options.commentCounts (from SopComments.openCountsByAnchor) adds a comment button to every step, list item and field.
+ */
+function buildSopDisplayHtml(sop, options = {}) {
+    const comment = options.commentCounts
+        ? anchor => commentButtonHtml(options.sopKey, anchor, options.commentCounts)
+        : () => '';
+    const openTotal = (options.threads || []).filter(t => t.status === 'open').length;
+    return `
         <div class="sop-review-display">
             <!-- SOP Metadata -->
             <section class="sop-section">
-                <h1 class="sop-review-title">${escapeHtml(sop.meta.title || 'Untitled SOP')}</h1>
+                <h1 class="sop-review-title">${escapeHtml(sop.meta.title || 'Untitled SOP')} ${comment({ type: 'meta', ref: 'title', label: 'Title' })}</h1>
+                ${options.commentCounts ? `<button class="btn btn-secondary btn-small" onclick="openSopComments('${options.sopKey}', null)">💬 All comments (${openTotal} open)</button>` : ''}
                 <div class="review-metadata-list">
                     <div><strong>SOP ID:</strong> ${escapeHtml(sop.meta.sopId || 'N/A')}</div>
-                    <div><strong>Department:</strong> ${escapeHtml(sop.meta.department || 'N/A')}</div>
-                    <div><strong>Version:</strong> ${escapeHtml(sop.meta.version || 'N/A')}</div>
-                    <div><strong>Author:</strong> ${escapeHtml(sop.meta.author || 'N/A')}</div>
+                    <div><strong>Department:</strong> ${escapeHtml(sop.meta.department || 'N/A')} ${comment({ type: 'meta', ref: 'department', label: 'Department' })}</div>
+                    <div><strong>Version:</strong> ${escapeHtml(sop.meta.version || 'N/A')} ${comment({ type: 'meta', ref: 'version', label: 'Version' })}</div>
+                    <div><strong>Author:</strong> ${escapeHtml(sop.meta.author || 'N/A')} ${comment({ type: 'meta', ref: 'author', label: 'Author' })}</div>
                     <div><strong>Status:</strong> ${escapeHtml(sop.meta.status || 'N/A')}</div>
                     ${sop.meta.effectiveDate ? `<div><strong>Effective Date:</strong> ${escapeHtml(sop.meta.effectiveDate)}</div>` : ''}
                     ${sop.meta.reviewDate ? `<div><strong>Review Date:</strong> ${escapeHtml(sop.meta.reviewDate)}</div>` : ''}
                 </div>
+                ${buildApprovalStagesHtml(sop)}
                 <hr class="sop-metadata-divider">
             </section>
             
             <!-- Description -->
             <section class="sop-section">
-                <h2>Description</h2>
+                <h2>Description ${comment({ type: 'description', ref: '', label: 'Description' })}</h2>
                 <p class="review-text">${escapeHtml(sop.description || 'N/A').replace(/\n/g, '<br>')}</p>
             </section>
             
@@ -3680,18 +5259,18 @@ function renderSopForReview(sop) {
                     <div class="review-warnings">
                         <strong>Safety Warnings:</strong>
                         <ul>
-                            ${sop.safety.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}
+                            ${sop.safety.warnings.map(w => `<li>${escapeHtml(w)} ${comment({ type: 'warning', ref: w, label: 'Warning: ' + w })}</li>`).join('')}
                         </ul>
                     </div>
                 ` : ''}
                 ${sop.safety.ppe && sop.safety.ppe.length > 0 ? `
                     <div class="review-ppe">
-                        <strong>PPE Required:</strong> ${escapeHtml(sop.safety.ppe.join(', '))}
+                        <strong>PPE Required:</strong> ${sop.safety.ppe.map(p => `${escapeHtml(p)} ${comment({ type: 'ppe', ref: p, label: 'PPE: ' + p })}`).join(', ')}
                     </div>
                 ` : ''}
                 ${sop.safety.notes ? `
                     <div class="review-safety-notes">
-                        <strong>Hazard / Safety Notes:</strong>
+                        <strong>Hazard / Safety Notes:</strong> ${comment({ type: 'safety-notes', ref: '', label: 'Hazard / Safety Notes' })}
                         <p>${escapeHtml(sop.safety.notes).replace(/\n/g, '<br>')}</p>
                     </div>
                 ` : ''}
@@ -3704,7 +5283,7 @@ function renderSopForReview(sop) {
                     <div class="review-tools">
                         <strong>Tools Required:</strong>
                         <ul>
-                            ${sop.tools.map(t => `<li>${escapeHtml(t)}</li>`).join('')}
+                            ${sop.tools.map(t => `<li>${escapeHtml(t)} ${comment({ type: 'tool', ref: t, label: 'Tool: ' + t })}</li>`).join('')}
                         </ul>
                     </div>
                 ` : ''}
@@ -3712,7 +5291,7 @@ function renderSopForReview(sop) {
                     <div class="review-materials">
                         <strong>Materials / Consumables:</strong>
                         <ul>
-                            ${sop.materials.map(m => `<li>${escapeHtml(m)}</li>`).join('')}
+                            ${sop.materials.map(m => `<li>${escapeHtml(m)} ${comment({ type: 'material', ref: m, label: 'Material: ' + m })}</li>`).join('')}
                         </ul>
                     </div>
                 ` : ''}
@@ -3726,6 +5305,7 @@ function renderSopForReview(sop) {
                         <div class="review-step-header">
                             <span class="review-step-number">${index + 1}</span>
                             <strong>${escapeHtml(step.title || 'Untitled Step')}</strong>
+                            ${comment({ type: 'step', ref: step.id, label: `Step ${index + 1}: ${step.title || 'Untitled Step'}` })}
                         </div>
                         <div class="review-step-content">
                             <div class="review-step-description">
@@ -3738,7 +5318,7 @@ function renderSopForReview(sop) {
                             </div>
                             ${step.images && step.images.length > 0 ? `
                                 <div class="review-step-images">
-                                    ${step.images.map(img => `<img src="${escapeHtml(img)}" alt="Step ${index + 1}" class="review-step-image">`).join('')}
+                                    ${step.images.map(img => stepImageHtml(img, { full: true, alt: `Step ${index + 1}`, className: 'review-step-image' })).join('')}
                                 </div>
                             ` : ''}
                         </div>
@@ -3747,14 +5327,31 @@ function renderSopForReview(sop) {
             </section>
         </div>
     `;
-    
-    container.innerHTML = html;
+}
+
+function buildApprovalStagesHtml(sop) {
+    const stages = (sop.approval && sop.approval.stages) || [];
+    if (stages.length === 0) return '';
+    const statusText = { approved: 'Approved', rejected: 'Returned', pending: 'Pending' };
+    return `
+        <ol class="approval-stage-list">
+            ${stages.map(stage => `
+                <li class="approval-stage ${stage.status}">
+                    <strong>${escapeHtml(stage.name)}</strong> – ${statusText[stage.status] || escapeHtml(stage.status)}
+                    ${stage.by ? ` by ${escapeHtml(stage.by)}` : ''}${stage.at ? ` on ${new Date(stage.at).toLocaleDateString()}` : ''}
+                    ${stage.comments ? `<div class="approval-stage-comments">${escapeHtml(stage.comments)}</div>` : ''}
+                    ${stage.signature ? `<div class="approval-stage-signature">Signed by ${escapeHtml(stage.signature.signer.email)} – ${escapeHtml(stage.signature.meaning)}, revision ${stage.signature.revision}, SHA-256 ${escapeHtml(stage.signature.contentHash.slice(0, 12))}…</div>` : ''}
+                </li>
+            `).join('')}
+        </ol>
+    `;
 }
 
 async function approveSopFromReviewView() {
     const reviewerName = document.getElementById('reviewViewerName').value.trim();
+    const sharedBackend = typeof window.useSharedAccess === 'function' && window.useSharedAccess();
     
-    if (!reviewerName) {
+    if (!reviewerName && !sharedBackend) {
         showNotification('Please enter reviewer name.', 'warning');
         return;
     }
@@ -3765,49 +5362,26 @@ async function approveSopFromReviewView() {
     }
     
     try {
-        const savedSops = await loadAllSopsMerged();
-        const sop = savedSops[currentReviewSopKey];
-        
-        if (!sop) {
-            showNotification('SOP not found.', 'error');
-            return;
-        }
-        
         // Set review date to 1 year from now (annual review)
         const oneYearFromNow = new Date();
         oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
         const reviewDate = oneYearFromNow.toISOString().split('T')[0];
         
-        // Update SOP with review information
-        sop.meta.reviewer = reviewerName;
-        sop.meta.status = 'Approved';
-        sop.meta.reviewDate = reviewDate;
-        sop.reviewedAt = new Date().toISOString();
+        const result = await submitApprovalDecision(currentReviewSopKey, 'approve', { reviewerName, reviewDate });
+        if (!result) return;
+        const sop = result.sop;
         
-        // SAVE TO GITHUB ONLY - NO LOCALSTORAGE
-        if (typeof saveSopToCloud === 'function' && useCloudSops()) {
-            try {
-                await saveSopToCloud(sop);
-                console.log('✅ SOP approved and saved to GitHub');
-            } catch (error) {
-                console.error('❌ Error saving to GitHub:', error);
-                showNotification('Error saving to GitHub: ' + error.message, 'error');
-                throw error;
-            }
-        } else {
-            showNotification('GitHub storage not available', 'error');
-            throw new Error('GitHub storage not available');
+        if (!result.final) {
+            showNotification(`${result.stage.name} sign-off recorded. Now waiting for: ${SopApproval.currentStage(sop).name}.`, 'success');
+            closeReviewView();
+            refreshReviewList();
+            return;
         }
         
         showNotification('SOP approved! Generating PDF...', 'info');
         
         // Generate PDF
-        const originalSop = { ...currentSop };
-        currentSop = { ...sop };
-        delete currentSop.savedAt;
-        if (currentSop.reviewedAt) delete currentSop.reviewedAt;
-        
-        const pdfBlob = await exportToPdf(true);
+        const pdfBlob = await exportSopToPdf(sop, true);
         const pdfUrl = URL.createObjectURL(pdfBlob);
         
         // Create download link
@@ -3827,188 +5401,1050 @@ async function approveSopFromReviewView() {
             // Don't block approval if email fails
         }
         
-        URL.revokeObjectURL(pdfUrl);
+        URL.revokeObjectURL(pdfUrl);
+
+        showNotification('SOP approved and PDF generated!', 'success');
+        
+        // Close review view and refresh list
+        closeReviewView();
+        refreshReviewList();
+        
+    } catch (e) {
+        showNotification('Error approving SOP: ' + e.message, 'error');
+        console.error('Error:', e);
+    }
+}
+
+async function rejectSopFromReviewView() {
+    const reviewerName = document.getElementById('reviewViewerName').value.trim();
+    const sharedBackend = typeof window.useSharedAccess === 'function' && window.useSharedAccess();
+    
+    if (!reviewerName && !sharedBackend) {
+        showNotification('Please enter reviewer name.', 'warning');
+        return;
+    }
+    
+    if (!currentReviewSopKey) {
+        showNotification('No SOP selected for review.', 'error');
+        return;
+    }
+    
+    const comments = await showReasonPrompt('Request Changes', 'The SOP will be Rejected and go back to its author. What needs to change?', 'Comments for the author (required)');
+    if (!comments) return;
+    
+    try {
+        const result = await submitApprovalDecision(currentReviewSopKey, 'reject', { reviewerName, comments });
+        if (!result) return;
+        showNotification('SOP rejected and returned to the author with your comments.', 'success');
+        closeReviewView();
+        refreshReviewList();
+    } catch (e) {
+        showNotification('Error rejecting SOP: ' + e.message, 'error');
+        console.error('Error:', e);
+    }
+}
+
+// Review diff (sop-diff.js): the submitted SOP against its last approved revision, side by side or inline
+let reviewDiff = null;
+let reviewDiffMode = 'side';
+
+/** The newest Approved revision older than sop, or null (new SOP, or no revision history without the shared backend). */
+async function loadLastApprovedRevision(sop) {
+    if (!(typeof window.loadSopRevisionsFromSharedAPI === 'function' && useSharedAccess())) return null;
+    const revisions = await window.loadSopRevisionsFromSharedAPI(sop.meta.sopId);
+    const approved = revisions.find(r => r.status === 'Approved' && r.rev < (Number(sop.revision) || Infinity));
+    return approved ? await window.loadSopRevisionFromSharedAPI(sop.meta.sopId, approved.rev) : null;
+}
+
+async function loadReviewDiff(sop) {
+    const panel = document.getElementById('reviewDiffPanel');
+    const content = document.getElementById('reviewDiffContent');
+    reviewDiff = null;
+    panel.classList.remove('hidden');
+    document.getElementById('reviewDiffBase').textContent = '';
+    content.innerHTML = '<p>Looking for the last approved revision...</p>';
+    try {
+        const record = await loadLastApprovedRevision(sop);
+        if (currentReviewSopKey !== sop.meta.sopId) return;
+        if (!record) {
+            content.innerHTML = `<p class="diff-none">${useSharedAccess()
+                ? 'No earlier approved revision – this SOP is being approved for the first time.'
+                : 'Comparing with the approved version needs the shared SOP server.'}</p>`;
+            return;
+        }
+        reviewDiff = { record, diff: SopDiff.diffSop(record.content, sop) };
+        document.getElementById('reviewDiffBase').textContent =
+            `(revision ${record.rev}${record.savedAt ? ', ' + new Date(record.savedAt).toLocaleDateString() : ''})`;
+        renderReviewDiff();
+    } catch (e) {
+        content.innerHTML = `<p class="error-text">Could not load the approved revision: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+function setReviewDiffMode(mode) {
+    reviewDiffMode = mode;
+    renderReviewDiff();
+}
+
+function renderReviewDiff() {
+    document.querySelectorAll('.review-diff-modes button').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === reviewDiffMode));
+    const content = document.getElementById('reviewDiffContent');
+    if (!reviewDiff) return;
+    const diff = reviewDiff.diff;
+    if (!diff.hasChanges) {
+        content.innerHTML = '<p class="diff-none">No changes to the content since it was approved.</p>';
+        return;
+    }
+    const sections = [];
+    if (diff.meta.length) {
+        sections.push(diffSectionHtml('Metadata', diff.meta.map(m => diffTextRowHtml(m.label, m.words)).join('')));
+    }
+    if (diff.description.changed) sections.push(diffSectionHtml('Description', diffTextRowHtml('', diff.description.words)));
+    const listLabels = { warnings: 'Safety Warnings', ppe: 'PPE', tools: 'Tools', materials: 'Materials / Consumables' };
+    Object.keys(listLabels).forEach(key => {
+        const items = diff.lists[key];
+        if (items.some(item => item.op !== 'same')) sections.push(diffSectionHtml(listLabels[key], diffListHtml(items)));
+    });
+    if (diff.safetyNotes.changed) sections.push(diffSectionHtml('Hazard / Safety Notes', diffTextRowHtml('', diff.safetyNotes.words)));
+    const changedSteps = diff.steps.filter(step => step.status !== 'same' || step.moved);
+    if (changedSteps.length) {
+        const unchanged = diff.steps.length - changedSteps.length;
+        sections.push(diffSectionHtml('Steps', changedSteps.map(diffStepHtml).join('') +
+            (unchanged ? `<p class="diff-none">${unchanged} unchanged step${unchanged === 1 ? '' : 's'} not shown.</p>` : '')));
+    }
+    content.innerHTML = sections.join('');
+    observeLazyImages(content);
+}
+
+function diffSectionHtml(title, body) {
+    return `<div class="diff-section"><h4>${escapeHtml(title)}</h4>${body}</div>`;
+}
+
+/** Word changes: inline shows both in one text; side by side shows the approved text left and the new text right. */
+function diffWordsHtml(words, side) {
+    return words.map(w => {
+        if (w.op === 'same') return escapeHtml(w.text);
+        if (side === 'old' && w.op === 'removed') return `<del class="diff-removed">${escapeHtml(w.text)}</del>`;
+        if (side === 'new' && w.op === 'added') return `<ins class="diff-added">${escapeHtml(w.text)}</ins>`;
+        if (!side) return w.op === 'added' ? `<ins class="diff-added">${escapeHtml(w.text)}</ins>` : `<del class="diff-removed">${escapeHtml(w.text)}</del>`;
+        return '';
+    }).join('').replace(/\n/g, '<br>');
+}
+
+function diffColumnsHtml(oldHtml, newHtml) {
+    if (reviewDiffMode === 'inline') return `<div class="diff-inline">${newHtml}</div>`;
+    return `<div class="diff-columns"><div class="diff-old">${oldHtml}</div><div class="diff-new">${newHtml}</div></div>`;
+}
+
+function diffTextRowHtml(label, words) {
+    const heading = label ? `<strong>${escapeHtml(label)}:</strong> ` : '';
+    if (reviewDiffMode === 'inline') return diffColumnsHtml('', heading + diffWordsHtml(words));
+    return diffColumnsHtml(heading + diffWordsHtml(words, 'old'), heading + diffWordsHtml(words, 'new'));
+}
+
+function diffListHtml(items) {
+    const li = item => `<li class="diff-${item.op}">${item.op === 'added' ? '+ ' : item.op === 'removed' ? '− ' : ''}${escapeHtml(item.value)}</li>`;
+    if (reviewDiffMode === 'inline') return diffColumnsHtml('', `<ul>${items.map(li).join('')}</ul>`);
+    return diffColumnsHtml(
+        `<ul>${items.filter(i => i.op !== 'added').map(li).join('')}</ul>`,
+        `<ul>${items.filter(i => i.op !== 'removed').map(li).join('')}</ul>`
+    );
+}
+
+function diffStepHtml(step) {
+    const number = step.toIndex >= 0 ? step.toIndex + 1 : step.fromIndex + 1;
+    const badges = [];
+    if (step.status === 'added') badges.push('<span class="diff-badge added">Added</span>');
+    if (step.status === 'removed') badges.push('<span class="diff-badge removed">Removed</span>');
+    if (step.status === 'changed') badges.push('<span class="diff-badge changed">Changed</span>');
+    if (step.moved) badges.push(`<span class="diff-badge moved">Moved from step ${step.fromIndex + 1} to ${step.toIndex + 1}</span>`);
+    const fields = [['Title', step.title], ['Description', step.description], ['Safety note', step.safetyNote]]
+        .filter(([, text]) => text.changed || step.status !== 'changed')
+        .filter(([, text]) => text.words.some(w => w.text.trim()))
+        .map(([label, text]) => diffTextRowHtml(label, text.words)).join('');
+    const images = step.images;
+    const thumbs = (list, cls) => list.map(img => `<span class="diff-image ${cls}">${stepImageHtml(img, { alt: 'Step ' + number })}</span>`).join('');
+    const imageRow = images.added.length || images.removed.length ? `
+        <div class="diff-images">
+            <strong>Photos:</strong>
+            ${images.removed.length ? `<span class="diff-removed">${images.removed.length} removed</span> ${thumbs(images.removed, 'removed')}` : ''}
+            ${images.added.length ? `<span class="diff-added">${images.added.length} added</span> ${thumbs(images.added, 'added')}` : ''}
+        </div>` : '';
+    return `
+        <div class="diff-step ${step.status}">
+            <div class="diff-step-header">Step ${number} ${badges.join(' ')}</div>
+            ${fields}
+            ${imageRow}
+        </div>
+    `;
+}
+
+window.setReviewDiffMode = setReviewDiffMode;
+
+// Review comments (sop-comments.js): threads pinned to a step, list item or field. The shared backend keeps
+// them per SOP; with Drive or this device only they travel inside the SOP as sop.comments.
+let commentsModalSopKey = null;
+let commentsModalAnchor = null;
+let commentsModalThreads = [];
+// onclick handlers refer to anchors by number – anchor refs are free text (warnings, tools, ...)
+const commentAnchors = [];
+
+function registerCommentAnchor(anchor) {
+    const key = SopComments.anchorKey(anchor);
+    let id = commentAnchors.findIndex(a => SopComments.anchorKey(a) === key);
+    if (id === -1) id = commentAnchors.push(anchor) - 1;
+    else commentAnchors[id] = anchor; // keep the newest label
+    return id;
+}
+
+function commentButtonHtml(sopKey, anchor, counts) {
+    const open = counts[SopComments.anchorKey(anchor)] || 0;
+    return `<button type="button" class="comment-btn${open ? ' has-open' : ''}" title="${open ? open + ' open comment(s)' : 'Add a comment'}" onclick="openSopComments('${sopKey}', ${registerCommentAnchor(anchor)})">💬${open ? ' ' + open : ''}</button>`;
+}
+
+function useSharedComments() {
+    return typeof window.useSharedAccess === 'function' && window.useSharedAccess();
+}
+
+async function loadCommentThreads(sopKey) {
+    if (!sopKey) return [];
+    if (useSharedComments()) return (await window.loadSopCommentsFromSharedAPI(sopKey)) || [];
+    const sop = await loadSopMerged(sopKey);
+    return (sop && sop.comments) || [];
+}
+
+function commentAuthorForDevice() {
+    const user = typeof window.getSharedAPIUser === 'function' ? window.getSharedAPIUser() : null;
+    if (user) return { email: user.email || '', name: user.name || user.email || '' };
+    const input = document.getElementById('commentAuthorName');
+    const name = (input && input.value.trim()) || localStorage.getItem('sopCommentAuthor') || '';
+    if (name) localStorage.setItem('sopCommentAuthor', name);
+    return { email: '', name };
+}
+
+/**
+ * Apply one change – { anchor, text } new thread, { threadId, text } reply, { threadId, resolved } – and
+ * return the SOP's threads afterwards.
+ */
+async function saveCommentChange(sopKey, change) {
+    if (useSharedComments()) {
+        if (typeof change.resolved === 'boolean') await window.resolveSopCommentInSharedAPI(sopKey, change.threadId, change.resolved);
+        else await window.postSopCommentToSharedAPI(sopKey, change);
+        return await loadCommentThreads(sopKey);
+    }
+    const sop = await loadSopMerged(sopKey);
+    if (!sop) throw new Error('Save the SOP before commenting on it.');
+    const threads = sop.comments = sop.comments || [];
+    const author = commentAuthorForDevice();
+    if (!author.name) throw new Error('Enter your name to comment.');
+    const at = new Date().toISOString();
+    const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    if (typeof change.resolved === 'boolean') SopComments.setResolved(threads, change.threadId, change.resolved, author, at);
+    else if (change.threadId) SopComments.addReply(threads, change.threadId, { id: newId(), text: change.text, author, at });
+    else SopComments.createThread(threads, { id: newId(), commentId: newId(), anchor: change.anchor, text: change.text, author, at, revision: sop.revision });
+    if (useCloudSops()) await saveSopToCloud(sop, { reason: 'Review comments' });
+    const savedSops = JSON.parse(localStorage.getItem('savedSops') || '{}');
+    if (savedSops[sopKey]) {
+        savedSops[sopKey].comments = threads;
+        localStorage.setItem('savedSops', JSON.stringify(savedSops));
+    }
+    // Keep the editor's copy in step so its next save does not drop the comments
+    if (currentSop.meta.sopId === sopKey) currentSop.comments = threads;
+    return threads;
+}
+
+/** anchorId: from registerCommentAnchor(), or null for every thread on the SOP. */
+async function openSopComments(sopKey, anchorId) {
+    if (!sopKey) {
+        showNotification('Save the SOP before commenting on it.', 'warning');
+        return;
+    }
+    commentsModalSopKey = sopKey;
+    commentsModalAnchor = anchorId === null || anchorId === undefined ? null : commentAnchors[anchorId];
+    document.getElementById('sopCommentsTitle').textContent = commentsModalAnchor ? 'Comments – ' + commentsModalAnchor.label : 'All Comments';
+    document.getElementById('newCommentForm').style.display = commentsModalAnchor ? '' : 'none';
+    document.getElementById('newCommentText').value = '';
+    const needsName = !(typeof window.getSharedAPIUser === 'function' && window.getSharedAPIUser());
+    document.getElementById('commentAuthorRow').style.display = needsName ? '' : 'none';
+    document.getElementById('commentAuthorName').value = localStorage.getItem('sopCommentAuthor') || '';
+    document.getElementById('sopCommentsList').innerHTML = '<p>Loading comments...</p>';
+    document.getElementById('sopCommentsModal').classList.remove('hidden');
+    try {
+        commentsModalThreads = await loadCommentThreads(sopKey);
+        renderSopCommentsList();
+    } catch (e) {
+        document.getElementById('sopCommentsList').innerHTML = `<p>Could not load comments: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+function closeSopComments() {
+    document.getElementById('sopCommentsModal').classList.add('hidden');
+}
+
+function renderSopCommentsList() {
+    const list = document.getElementById('sopCommentsList');
+    const threads = commentsModalAnchor ? SopComments.threadsFor(commentsModalThreads, commentsModalAnchor) : commentsModalThreads;
+    if (threads.length === 0) {
+        list.innerHTML = `<p class="comments-empty">${commentsModalAnchor ? 'No comments here yet.' : 'No comments on this SOP.'}</p>`;
+        return;
+    }
+    // Open threads first, then newest first
+    const sorted = threads.slice().sort((a, b) => (a.status === b.status ? 0 : a.status === 'open' ? -1 : 1) || Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    list.innerHTML = sorted.map(thread => `
+        <div class="comment-thread ${thread.status}">
+            <div class="comment-thread-header">
+                <strong>${escapeHtml(thread.anchor.label || thread.anchor.type)}</strong>
+                <span class="comment-thread-status">${thread.status === 'open' ? 'Open' : 'Resolved by ' + escapeHtml(thread.resolvedBy)}</span>
+                <button type="button" class="btn btn-secondary btn-small" onclick="toggleSopCommentResolved('${thread.id}', ${thread.status === 'open'})">${thread.status === 'open' ? 'Resolve' : 'Reopen'}</button>
+            </div>
+            ${thread.comments.map(c => `
+                <div class="comment">
+                    <div class="comment-meta">${escapeHtml(c.author.name || c.author.email || 'Unknown')} · ${new Date(c.at).toLocaleString()}</div>
+                    <div class="comment-text">${escapeHtml(c.text).replace(/\n/g, '<br>')}</div>
+                </div>
+            `).join('')}
+            <div class="comment-reply">
+                <textarea id="commentReply-${thread.id}" rows="2" placeholder="Reply..."></textarea>
+                <button type="button" class="btn btn-primary btn-small" onclick="replyToSopComment('${thread.id}')">Reply</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function applySopCommentChange(change) {
+    try {
+        commentsModalThreads = await saveCommentChange(commentsModalSopKey, change);
+        renderSopCommentsList();
+        if (reviewViewSop && reviewViewSop.meta.sopId === commentsModalSopKey) renderSopForReview(reviewViewSop);
+        if (currentSop.meta.sopId === commentsModalSopKey) decorateEditorCommentMarkers(commentsModalSopKey, commentsModalThreads);
+        return true;
+    } catch (e) {
+        showNotification('Could not save comment: ' + e.message, 'error');
+        return false;
+    }
+}
+
+async function addSopComment() {
+    const input = document.getElementById('newCommentText');
+    if (!input.value.trim()) {
+        showNotification('Please enter a comment.', 'warning');
+        return;
+    }
+    if (await applySopCommentChange({ anchor: commentsModalAnchor, text: input.value.trim() })) input.value = '';
+}
+
+async function replyToSopComment(threadId) {
+    const input = document.getElementById(`commentReply-${threadId}`);
+    if (!input || !input.value.trim()) {
+        showNotification('Please enter a reply.', 'warning');
+        return;
+    }
+    await applySopCommentChange({ threadId, text: input.value.trim() });
+}
+
+function toggleSopCommentResolved(threadId, resolved) {
+    return applySopCommentChange({ threadId, resolved });
+}
+
+// Editor: mark every step, list item and field with open comments until they are resolved
+let editorCommentThreads = { sopKey: null, threads: [] };
+
+async function refreshEditorCommentMarkers() {
+    const sopKey = currentSop.meta.sopId;
+    if (!sopKey) {
+        decorateEditorCommentMarkers(null, []);
+        return;
+    }
+    try {
+        const threads = await loadCommentThreads(sopKey);
+        if (currentSop.meta.sopId === sopKey) decorateEditorCommentMarkers(sopKey, threads);
+    } catch (e) {
+        console.warn('Could not load comments for the editor:', e.message);
+    }
+}
+
+function editorCommentTarget(anchor) {
+    const listItem = (containerId, inputClass) => {
+        const input = Array.from(document.querySelectorAll(`#${containerId} .${inputClass}`)).find(i => i.value.trim() === anchor.ref);
+        return input ? input.closest('.list-item') : null;
+    };
+    const labelFor = id => document.querySelector(`label[for="${id}"]`);
+    switch (anchor.type) {
+        case 'step': return document.querySelector(`#step-${CSS.escape(anchor.ref)} .step-header`);
+        case 'meta': return labelFor({ title: 'sopTitle', department: 'department', version: 'version', author: 'author' }[anchor.ref]);
+        case 'description': return labelFor('description');
+        case 'safety-notes': return labelFor('safetyNotes');
+        case 'warning': return listItem('warningsContainer', 'warning-input');
+        case 'tool': return listItem('toolsContainer', 'tool-input');
+        case 'material': return listItem('materialsContainer', 'material-input');
+        case 'ppe': {
+            const box = Array.from(document.querySelectorAll('.ppe-checkboxes input')).find(cb => cb.value === anchor.ref);
+            return box ? box.closest('label') : document.querySelector('.ppe-checkboxes').previousElementSibling;
+        }
+        default: return null;
+    }
+}
+
+/** Redraw the markers from threads (or the last loaded ones when sopKey is the same SOP). */
+function decorateEditorCommentMarkers(sopKey, threads) {
+    if (threads) editorCommentThreads = { sopKey, threads };
+    document.querySelectorAll('.comment-marker').forEach(marker => marker.remove());
+    const btn = document.getElementById('editorCommentsBtn');
+    if (editorCommentThreads.sopKey !== currentSop.meta.sopId) {
+        if (btn) btn.textContent = '💬 Comments';
+        return;
+    }
+    const open = editorCommentThreads.threads.filter(t => t.status === 'open');
+    if (btn) btn.textContent = open.length ? `💬 Comments (${open.length} open)` : '💬 Comments';
+    const counts = SopComments.openCountsByAnchor(open);
+    const seen = new Set();
+    open.forEach(thread => {
+        const key = SopComments.anchorKey(thread.anchor);
+        if (seen.has(key)) return;
+        seen.add(key);
+        const target = editorCommentTarget(thread.anchor);
+        if (!target) return;
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = 'comment-marker';
+        marker.textContent = `💬 ${counts[key]}`;
+        marker.title = `${counts[key]} open comment(s) – click to read and resolve`;
+        const anchorId = registerCommentAnchor(thread.anchor);
+        marker.onclick = () => openSopComments(editorCommentThreads.sopKey, anchorId);
+        target.appendChild(marker);
+    });
+}
+
+function openEditorComments() {
+    openSopComments(currentSop.meta.sopId, null);
+}
+
+window.openSopComments = openSopComments;
+window.openEditorComments = openEditorComments;
+window.closeSopComments = closeSopComments;
+window.addSopComment = addSopComment;
+window.replyToSopComment = replyToSopComment;
+window.toggleSopCommentResolved = toggleSopCommentResolved;
+
+// Make review functions globally accessible
+window.refreshReviewList = refreshReviewList;
+window.filterReviewList = filterReviewList;
+window.approveSopInline = approveSopInline;
+window.rejectSopInline = rejectSopInline;
+window.viewSopForReview = viewSopForReview;
+window.generatePdfFromReviewKey = generatePdfFromReviewKey;
+window.showLoadSection = showLoadSection;
+window.closeLoadSection = closeLoadSection;
+window.showExportsSection = showExportsSection;
+window.closeExportsSection = closeExportsSection;
+window.downloadExport = downloadExport;
+window.loadFromExport = loadFromExport;
+window.deleteExport = deleteExport;
+window.downloadAllExports = downloadAllExports;
+window.clearExports = clearExports;
+window.closeNotification = closeNotification;
+window.closeReviewView = closeReviewView;
+window.approveSopFromReviewView = approveSopFromReviewView;
+window.rejectSopFromReviewView = rejectSopFromReviewView;
+
+// Tasks & Progress Tracker Functions
+let sopTasks = [];
+
+// Progress dashboard (sop-kpis.js): with the shared backend the figures come from GET /kpis and the audit log;
+// otherwise they are worked out here from each SOP's approval record and this device's requests.
+let progressReport = null;
+
+/** The dashboard filters; the range starts as the last twelve months. */
+function progressFilters() {
+    const fromInput = document.getElementById('progressFrom');
+    const toInput = document.getElementById('progressTo');
+    const today = todayDateString();
+    if (fromInput && toInput && !fromInput.value && !toInput.value) {
+        const start = new Date();
+        start.setMonth(start.getMonth() - 11, 1);
+        fromInput.value = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-01`;
+        toInput.value = today;
+    }
+    const department = (document.getElementById('progressDept') || {}).value || 'all';
+    return { from: fromInput ? fromInput.value : '', to: toInput ? toInput.value : '', department: department === 'all' ? '' : department };
+}
+
+async function loadProgressReport(filters) {
+    if (typeof window.useSharedAccess === 'function' && window.useSharedAccess() && typeof window.loadKpisFromSharedAPI === 'function') {
+        try {
+            return await window.loadKpisFromSharedAPI(filters);
+        } catch (e) {
+            // Offline or signed out: work it out from this device's copies
+            console.warn('Could not load the progress figures from the server:', e.message);
+        }
+    }
+    const sops = await loadAllSopsMerged();
+    return SopKpis.computeKpis({
+        ...filters, sops, events: SopKpis.eventsFromSops(sops), requests: getLocalRequests(), today: todayDateString()
+    });
+}
+
+async function refreshProgressTracker() {
+    try {
+        const filters = progressFilters();
+        if (filters.from && filters.to && filters.from > filters.to) {
+            showNotification('The "From" date must be before the "To" date.', 'warning');
+            return;
+        }
+        progressReport = await loadProgressReport(filters);
+        renderProgressTracker(progressReport);
+    } catch (e) {
+        console.error('Error refreshing progress tracker:', e);
+    }
+}
+
+function formatKpiDays(days) {
+    return days === null || days === undefined ? '–' : `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/** The headline figures, shared by the tiles and the PDF report: [{ label, value, detail }]. */
+function progressKpiTiles(report) {
+    const coverage = report.coverage.reduce((sum, c) => ({ total: sum.total + c.total, approved: sum.approved + c.approved }), { total: 0, approved: 0 });
+    const turnaround = report.requestTurnaround;
+    return [
+        {
+            label: 'Time to approve', value: formatKpiDays(report.timeToApprove.medianDays),
+            detail: `Median of ${report.timeToApprove.count} approval${report.timeToApprove.count === 1 ? '' : 's'}; average ${formatKpiDays(report.timeToApprove.averageDays)}`
+        },
+        {
+            label: 'Review backlog', value: String(report.reviewBacklog.count),
+            detail: `Under review; oldest ${formatKpiDays(report.reviewBacklog.oldestAgeDays)}, average ${formatKpiDays(report.reviewBacklog.averageAgeDays)}`
+        },
+        {
+            label: 'Overdue reviews', value: String(report.overdueReviews.overdue),
+            detail: `${report.overdueReviews.dueSoon} due in the next ${SopKpis.DEFAULT_DUE_SOON_DAYS} days`, alert: report.overdueReviews.overdue > 0
+        },
+        {
+            label: 'SOP coverage', value: coverage.total ? `${Math.round((coverage.approved / coverage.total) * 100)}%` : '–',
+            detail: `${coverage.approved} of ${coverage.total} current SOPs approved`
+        },
+        {
+            label: 'Request turnaround', value: formatKpiDays(turnaround.medianDays),
+            detail: `Median of ${turnaround.completed} completed, ${turnaround.declined} declined; ${turnaround.open} open (average age ${formatKpiDays(turnaround.openAverageAgeDays)})`
+        }
+    ];
+}
+
+/**
+ * Bar positions for a chart from SopKpis.kpiCharts() in a width × height box (origin top left, as in SVG and
+ * jsPDF), leaving margins for the axis labels: { max, plot: { x, y, width, height }, groupWidth,
+ * bars: [{ x, y, width, height, color, name, label, value }] }.
+ */
+function kpiChartLayout(chart, width, height, { left = 30, top = 8, right = 6, bottom = 20 } = {}) {
+    const plot = { x: left, y: top, width: width - left - right, height: height - top - bottom };
+    const totals = chart.labels.map((label, i) => chart.stacked
+        ? chart.series.reduce((sum, s) => sum + (s.values[i] || 0), 0)
+        : Math.max(0, ...chart.series.map(s => s.values[i] || 0)));
+    const max = Math.max(1, ...totals);
+    const groupWidth = chart.labels.length ? plot.width / chart.labels.length : plot.width;
+    const barWidth = chart.stacked ? groupWidth * 0.6 : (groupWidth * 0.8) / chart.series.length;
+    const bars = [];
+    chart.labels.forEach((label, i) => {
+        let stackTop = plot.y + plot.height;
+        chart.series.forEach((series, s) => {
+            const value = series.values[i] || 0;
+            const barHeight = (value / max) * plot.height;
+            const x = plot.x + groupWidth * i + (chart.stacked ? groupWidth * 0.2 : groupWidth * 0.1 + barWidth * s);
+            const y = chart.stacked ? stackTop - barHeight : plot.y + plot.height - barHeight;
+            if (chart.stacked) stackTop -= barHeight;
+            bars.push({ x, y, width: barWidth, height: barHeight, color: series.color, name: series.name, label, value });
+        });
+    });
+    return { max, plot, bars, groupWidth };
+}
+
+function kpiChartSvg(chart) {
+    const width = 600;
+    const height = 220;
+    if (!chart.labels.length) return `<p class="progress-chart-empty">No data for this range.</p>`;
+    const { max, plot, bars, groupWidth } = kpiChartLayout(chart, width, height);
+    const bottom = plot.y + plot.height;
+    const ticks = [0, max / 2, max].map(value => {
+        const y = bottom - (value / max) * plot.height;
+        return `<line x1="${plot.x}" y1="${y}" x2="${plot.x + plot.width}" y2="${y}" class="progress-chart-grid"/>
+            <text x="${plot.x - 4}" y="${y + 3}" text-anchor="end">${Math.round(value * 10) / 10}</text>`;
+    }).join('');
+    const labelEvery = Math.ceil(chart.labels.length / 12);
+    const labels = chart.labels.map((label, i) => i % labelEvery ? '' :
+        `<text x="${plot.x + groupWidth * (i + 0.5)}" y="${bottom + 14}" text-anchor="middle">${escapeHtml(label.length > 14 ? label.slice(0, 13) + '…' : label)}</text>`).join('');
+    const rects = bars.filter(bar => bar.value > 0).map(bar =>
+        `<rect x="${bar.x}" y="${bar.y}" width="${bar.width}" height="${bar.height}" fill="${bar.color}"><title>${escapeHtml(`${bar.label} – ${bar.name}: ${bar.value}`)}</title></rect>`).join('');
+    const summary = chart.labels.map((label, i) => `${label}: ${chart.series.map(s => `${s.name} ${s.values[i] || 0}`).join(', ')}`).join('; ');
+    return `
+        <svg viewBox="0 0 ${width} ${height}" class="progress-chart-svg" role="img" aria-label="${escapeHtml(`${chart.title}. ${summary}`)}">
+            ${ticks}${rects}${labels}
+        </svg>
+        <div class="progress-chart-legend">
+            ${chart.series.map(s => `<span><i style="background:${s.color}"></i>${escapeHtml(s.name)}</span>`).join('')}
+            <span class="progress-chart-unit">(${escapeHtml(chart.unit)})</span>
+        </div>
+    `;
+}
+
+function renderProgressTracker(report) {
+    const container = document.getElementById('progressTracker');
+    if (!container) return;
+    
+    const tiles = progressKpiTiles(report).map(tile => `
+        <div class="progress-kpi${tile.alert ? ' progress-kpi-alert' : ''}">
+            <div class="progress-kpi-label">${escapeHtml(tile.label)}</div>
+            <div class="progress-kpi-value">${escapeHtml(tile.value)}</div>
+            <div class="progress-kpi-detail">${escapeHtml(tile.detail)}</div>
+        </div>
+    `).join('');
+    const charts = SopKpis.kpiCharts(report).map(chart => `
+        <figure class="progress-chart">
+            <figcaption>${escapeHtml(chart.title)}</figcaption>
+            ${kpiChartSvg(chart)}
+        </figure>
+    `).join('');
+    const overdueRows = report.overdueReviews.items.map(item => `
+        <tr>
+            <td><a href="#" onclick="viewSopFromRegister('${escapeHtml(item.sopId)}'); return false;">${escapeHtml(item.sopId)}</a></td>
+            <td>${escapeHtml(item.title)}</td>
+            <td>${escapeHtml(item.department)}</td>
+            <td>${escapeHtml(item.reviewDate)}</td>
+            <td>${formatKpiDays(-item.days)}</td>
+        </tr>
+    `).join('');
+    const coverageRows = report.coverage.map(c => `
+        <tr>
+            <td><strong>${escapeHtml(c.department)}</strong></td>
+            <td>${c.total}</td>
+            <td>${c.approved}</td>
+            <td>${c.underReview}</td>
+            <td>${c.percentApproved}%</td>
+            <td>${c.openRequests}</td>
+        </tr>
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="progress-kpis">${tiles}</div>
+        <div class="progress-charts">${charts}</div>
+        <div class="progress-table-container">
+            <h4>Coverage by department</h4>
+            ${coverageRows ? `
+            <table class="progress-table">
+                <thead>
+                    <tr><th>Department</th><th>Current SOPs</th><th>Approved</th><th>Under Review</th><th>% Approved</th><th>Open Requests</th></tr>
+                </thead>
+                <tbody>${coverageRows}</tbody>
+            </table>` : '<p>No SOPs yet.</p>'}
+        </div>
+        ${overdueRows ? `
+        <div class="progress-table-container">
+            <h4>Overdue reviews</h4>
+            <table class="progress-table">
+                <thead>
+                    <tr><th>SOP ID</th><th>Title</th><th>Department</th><th>Review Date</th><th>Overdue By</th></tr>
+                </thead>
+                <tbody>${overdueRows}</tbody>
+            </table>
+        </div>` : ''}
+    `;
+}
+
+/** Draw a chart from SopKpis.kpiCharts() into the PDF at (x, y); returns the height used. */
+function drawPdfKpiChart(doc, chart, x, y, width) {
+    const height = 60;
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    doc.text(chart.title, x, y);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(7);
+    if (!chart.labels.length) {
+        doc.text('No data for this range.', x, y + 6);
+        return 12;
+    }
+    const top = y + 3;
+    const { max, plot, bars, groupWidth } = kpiChartLayout(chart, width, height - 10, { left: 10, top: 2, right: 0, bottom: 8 });
+    const bottom = top + plot.y + plot.height;
+    doc.setDrawColor(200, 200, 200);
+    [0, max / 2, max].forEach(value => {
+        const lineY = bottom - (value / max) * plot.height;
+        doc.line(x + plot.x, lineY, x + plot.x + plot.width, lineY);
+        doc.text(String(Math.round(value * 10) / 10), x + plot.x - 2, lineY + 1, { align: 'right' });
+    });
+    bars.filter(bar => bar.value > 0).forEach(bar => {
+        doc.setFillColor(bar.color);
+        doc.rect(x + bar.x, top + bar.y, bar.width, bar.height, 'F');
+    });
+    const labelEvery = Math.ceil(chart.labels.length / 12);
+    chart.labels.forEach((label, i) => {
+        if (i % labelEvery) return;
+        doc.text(label.length > 14 ? label.slice(0, 13) + '…' : label, x + plot.x + groupWidth * (i + 0.5), bottom + 4, { align: 'center' });
+    });
+    let legendX = x + plot.x;
+    chart.series.forEach(series => {
+        doc.setFillColor(series.color);
+        doc.rect(legendX, bottom + 7, 3, 3, 'F');
+        doc.text(series.name, legendX + 4, bottom + 9.5);
+        legendX += doc.getTextWidth(series.name) + 10;
+    });
+    doc.text(`(${chart.unit})`, legendX, bottom + 9.5);
+    doc.setDrawColor(0, 0, 0);
+    return height + 6;
+}
+
+/** The dashboard as a management report PDF, for the filters on screen. */
+async function exportProgressReport() {
+    try {
+        if (!progressReport) await refreshProgressTracker();
+        const report = progressReport;
+        if (!report) return;
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: 'a4'
+        });
+        
+        let yPos = 20;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = 15;
+        const maxHeight = doc.internal.pageSize.getHeight() - 20;
+        const ensureSpace = (needed) => {
+            if (yPos + needed > maxHeight) {
+                doc.addPage();
+                yPos = 20;
+            }
+        };
         
-        currentSop = originalSop;
+        // Title
+        doc.setFontSize(18);
+        doc.setFont(undefined, 'bold');
+        doc.text('SOP Progress Report', margin, yPos);
+        yPos += 10;
         
-        showNotification('SOP approved and PDF generated!', 'success');
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        const range = report.range || {};
+        doc.text(`${range.department || 'All departments'} – ${range.from || 'start'} to ${range.to || 'today'}`, margin, yPos);
+        yPos += 5;
+        doc.text(`Generated: ${new Date().toLocaleString()}`, margin, yPos);
+        yPos += 10;
         
-        // Close review view and refresh list
-        closeReviewView();
-        refreshReviewList();
+        // Key figures
+        progressKpiTiles(report).forEach(tile => {
+            ensureSpace(10);
+            doc.setFont(undefined, 'bold');
+            doc.text(`${tile.label}: ${tile.value}`, margin, yPos);
+            doc.setFont(undefined, 'normal');
+            doc.setFontSize(8);
+            doc.text(tile.detail, margin + 5, yPos + 4);
+            doc.setFontSize(10);
+            yPos += 10;
+        });
+        yPos += 4;
         
-    } catch (e) {
-        showNotification('Error approving SOP: ' + e.message, 'error');
-        console.error('Error:', e);
+        // Charts
+        SopKpis.kpiCharts(report).forEach(chart => {
+            ensureSpace(70);
+            yPos += drawPdfKpiChart(doc, chart, margin, yPos, pageWidth - margin * 2);
+        });
+        
+        // Tables
+        const table = (title, headers, colWidths, rows) => {
+            if (!rows.length) return;
+            ensureSpace(20);
+            doc.setFontSize(12);
+            doc.setFont(undefined, 'bold');
+            doc.text(title, margin, yPos);
+            yPos += 7;
+            doc.setFontSize(9);
+            let xPos = margin;
+            headers.forEach((header, i) => {
+                doc.text(header, xPos, yPos);
+                xPos += colWidths[i];
+            });
+            yPos += 2;
+            doc.line(margin, yPos, pageWidth - margin, yPos);
+            yPos += 5;
+            doc.setFont(undefined, 'normal');
+            rows.forEach(row => {
+                ensureSpace(7);
+                xPos = margin;
+                row.forEach((cell, i) => {
+                    const text = doc.splitTextToSize(String(cell), colWidths[i] - 2);
+                    doc.text(text[0] || '', xPos, yPos);
+                    xPos += colWidths[i];
+                });
+                yPos += 6;
+            });
+            yPos += 6;
+        };
+        table('Coverage by department', ['Department', 'Current SOPs', 'Approved', 'Under Review', '% Approved', 'Open Requests'],
+            [45, 27, 22, 27, 25, 30],
+            report.coverage.map(c => [c.department, c.total, c.approved, c.underReview, `${c.percentApproved}%`, c.openRequests]));
+        table('Overdue reviews', ['SOP ID', 'Title', 'Department', 'Review Date', 'Overdue By'], [25, 65, 35, 27, 28],
+            report.overdueReviews.items.map(item => [item.sopId, item.title, item.department, item.reviewDate, formatKpiDays(-item.days)]));
+        table('Longest in review', ['SOP ID', 'Title', 'Department', 'Submitted', 'Waiting'], [25, 65, 35, 27, 28],
+            report.reviewBacklog.items.map(item => [item.sopId, item.title, item.department, String(item.since).slice(0, 10), formatKpiDays(item.ageDays)]));
+        
+        doc.save(`SOP-Progress-Report-${Date.now()}.pdf`);
+        showNotification('Progress report exported successfully!', 'success');
+    } catch (error) {
+        showNotification('Error exporting progress report: ' + error.message, 'error');
+        console.error('Export error:', error);
     }
 }
 
-function rejectSopFromReviewView() {
-    if (!currentReviewSopKey) {
-        showNotification('No SOP selected for review.', 'error');
-        return;
-    }
-    
-    showNotification('SOP marked for changes. Status remains "Under Review".', 'info');
-    closeReviewView();
+// Tasks (sop-tasks.js) are addressed by their id. With the shared backend they live on the server (/tasks) and
+// localStorage keeps this device's copy; a change made offline waits in the outbox as a 'task' write.
+function useSharedTasks() {
+    return typeof window.useSharedAccess === 'function' && window.useSharedAccess() && typeof window.loadTasksFromSharedAPI === 'function';
 }
 
-// Make review functions globally accessible
-window.refreshReviewList = refreshReviewList;
-window.filterReviewList = filterReviewList;
-window.approveSopInline = approveSopInline;
-window.rejectSopInline = rejectSopInline;
-window.viewSopForReview = viewSopForReview;
-window.generatePdfFromReviewKey = generatePdfFromReviewKey;
-window.showLoadSection = showLoadSection;
-window.closeLoadSection = closeLoadSection;
-window.showExportsSection = showExportsSection;
-window.closeExportsSection = closeExportsSection;
-window.downloadExport = downloadExport;
-window.loadFromExport = loadFromExport;
-window.deleteExport = deleteExport;
-window.downloadAllExports = downloadAllExports;
-window.clearExports = clearExports;
-window.closeNotification = closeNotification;
-window.closeReviewView = closeReviewView;
-window.approveSopFromReviewView = approveSopFromReviewView;
-window.rejectSopFromReviewView = rejectSopFromReviewView;
+function getLocalTasks() {
+    return JSON.parse(localStorage.getItem('sopTasks') || '[]').map(SopTasks.upgradeTask);
+}
 
-// Tasks & Progress Tracker Functions
-let sopTasks = [];
+function setLocalTasks(tasks) {
+    localStorage.setItem('sopTasks', JSON.stringify(tasks));
+    offlineStoreCall('cacheRecordsOffline', 'tasks', tasks);
+}
 
-async function refreshProgressTracker() {
-    try {
-        const savedSops = await loadAllSopsMerged();
-        const progressData = calculateMonthlyProgress(savedSops);
-        renderProgressTracker(progressData);
-    } catch (e) {
-        console.error('Error refreshing progress tracker:', e);
+function storeTaskLocally(task) {
+    const tasks = getLocalTasks();
+    const index = tasks.findIndex(t => t.id === task.id);
+    if (index === -1) tasks.push(task);
+    else tasks[index] = task;
+    setLocalTasks(tasks);
+}
+
+function taskFormFields(task) {
+    const { title, department, submittedBy, assignedTo, assigneeEmail, priority, description, dueDate, sopId } = task;
+    return { title, department, submittedBy, assignedTo, assigneeEmail, priority, description, dueDate, sopId };
+}
+
+/**
+ * Send one task change to the server: op 'create' | 'update' | 'delete' with this device's copy of it,
+ * or 'comment' with the comment ({ id, text }) already added to that copy.
+ */
+async function sendTaskChange(op, task, comment) {
+    if (op === 'delete') return await window.deleteTaskFromSharedAPI(task.id);
+    let stored;
+    if (op === 'comment') {
+        stored = await window.addTaskCommentInSharedAPI(task.id, { id: comment.id, text: comment.text });
+    } else if (op === 'create') {
+        const { id, submittedAt, reviewKey, reviewDate, reviewState } = task;
+        stored = await window.createTaskInSharedAPI({ id, submittedAt, reviewKey, reviewDate, reviewState, ...taskFormFields(task) });
+        // Started or completed before it reached the server (a stored review task may already be further on)
+        if (stored.status !== task.status && SopTasks.canTransition(stored.status, task.status)) {
+            stored = await window.updateTaskInSharedAPI(task.id, { status: task.status });
+        }
+    } else {
+        stored = await window.updateTaskInSharedAPI(task.id, { ...taskFormFields(task), reviewState: task.reviewState, status: task.status });
     }
+    storeTaskLocally(stored);
+    return stored;
 }
 
-function calculateMonthlyProgress(savedSops) {
-    const monthlyData = {};
-    
-    Object.values(savedSops).forEach(sop => {
-        if (!sop.meta || !sop.savedAt) return;
-        
-        const savedDate = new Date(sop.savedAt);
-        const monthKey = `${savedDate.getFullYear()}-${String(savedDate.getMonth() + 1).padStart(2, '0')}`;
-        
-        if (!monthlyData[monthKey]) {
-            monthlyData[monthKey] = {
-                month: monthKey,
-                entered: 0,
-                closed: 0
-            };
+// Comments wait in the outbox beside the task's own changes, one entry each
+function taskOutboxKey(op, task, comment) {
+    return op === 'comment' ? `${task.id}#comment-${comment.id}` : task.id;
+}
+
+/** Keep a task change for the outbox; changes to a task not yet on the server stay its 'create'. */
+async function queueTaskForSync(op, task, comment) {
+    const outbox = ((await offlineStoreCall('listOutbox')) || []).filter(e => e.type === 'task');
+    const queued = outbox.find(e => e.key === task.id);
+    if (op !== 'comment' && queued && queued.payload.op === 'create') {
+        if (op === 'delete') {
+            for (const entry of outbox.filter(e => e.payload.task.id === task.id)) await offlineStoreCall('removeOutboxEntry', entry.id);
+            await updateSyncStatus();
+            return true;
         }
-        
-        monthlyData[monthKey].entered++;
-        
-        // Count as closed if status is "Approved"
-        if (sop.meta.status === 'Approved' && sop.meta.reviewDate) {
-            const reviewDate = new Date(sop.meta.reviewDate);
-            const reviewMonthKey = `${reviewDate.getFullYear()}-${String(reviewDate.getMonth() + 1).padStart(2, '0')}`;
-            
-            if (!monthlyData[reviewMonthKey]) {
-                monthlyData[reviewMonthKey] = {
-                    month: reviewMonthKey,
-                    entered: 0,
-                    closed: 0
-                };
-            }
-            
-            monthlyData[reviewMonthKey].closed++;
+        op = 'create';
+    }
+    const entry = await offlineStoreCall('queueOutboxWrite', { type: 'task', key: taskOutboxKey(op, task, comment), payload: { op, task, comment }, base: null, reason: '' });
+    await updateSyncStatus();
+    return !!entry;
+}
+
+/**
+ * Save a task change made on this device to the server. Returns 'local' without the shared backend,
+ * 'saved', or 'queued' when it waits in the outbox (earlier queued changes to the same task go first).
+ */
+async function pushTaskChange(op, task, comment) {
+    if (!useSharedTasks()) return 'local';
+    const queued = ((await offlineStoreCall('listOutbox')) || []).some(e => e.type === 'task' && e.payload.task.id === task.id);
+    if (!queued) {
+        try {
+            await sendTaskChange(op, task, comment);
+            return 'saved';
+        } catch (error) {
+            if (!isOfflineError(error)) throw error;
+            setBackendOnline(false);
         }
-    });
-    
-    // Convert to array and sort by month (newest first)
-    return Object.values(monthlyData).sort((a, b) => b.month.localeCompare(a.month));
+    }
+    if (!(await queueTaskForSync(op, task, comment))) throw new Error('Cannot reach the SOP server and this browser cannot keep changes offline.');
+    if (backendOnline !== false) syncOutbox();
+    return 'queued';
 }
 
-function renderProgressTracker(progressData) {
-    const container = document.getElementById('progressTracker');
-    if (!container) return;
-    
-    if (progressData.length === 0) {
-        container.innerHTML = '<p>No progress data available yet.</p>';
-        return;
+async function replayTaskWrite(entry) {
+    const { op, task, comment } = entry.payload;
+    try {
+        await sendTaskChange(op, task, comment);
+    } catch (error) {
+        // Deleted meanwhile (on another device, or by this delete before)
+        if (!((op === 'delete' || op === 'comment') && error.status === 404)) throw error;
     }
-    
-    let html = `
-        <div class="progress-table-container">
-            <table class="progress-table">
-                <thead>
-                    <tr>
-                        <th>Month</th>
-                        <th>SOPs Entered</th>
-                        <th>SOPs Closed</th>
-                        <th>Completion Rate</th>
-                        <th>Outstanding</th>
-                    </tr>
-                </thead>
-                <tbody>
-    `;
-    
-    progressData.forEach(data => {
-        const monthDate = new Date(data.month + '-01');
-        const monthName = monthDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
-        const completionRate = data.entered > 0 ? ((data.closed / data.entered) * 100).toFixed(1) : 0;
-        const outstanding = data.entered - data.closed;
-        
-        html += `
-            <tr>
-                <td><strong>${escapeHtml(monthName)}</strong></td>
-                <td>${data.entered}</td>
-                <td>${data.closed}</td>
-                <td>${completionRate}%</td>
-                <td>${outstanding}</td>
-            </tr>
-        `;
+    await finishOutboxEntry(entry, latest => {
+        if (latest.payload.op === 'create') latest.payload.op = 'update';
     });
-    
-    html += `
-                </tbody>
-            </table>
-        </div>
-    `;
-    
-    container.innerHTML = html;
 }
 
-function refreshTasksList() {
+/** Tasks made on this device before the shared backend was set up are sent to it once, through the outbox. */
+async function uploadLocalTasksOnce() {
+    if (localStorage.getItem('sopTasksUploaded')) return;
+    for (const task of getLocalTasks()) {
+        if (!(await queueTaskForSync('create', task))) return;
+    }
+    localStorage.setItem('sopTasksUploaded', new Date().toISOString());
+    syncOutbox();
+}
+
+/** The server's tasks, with this device's copy of any task whose change is still in the outbox. */
+async function loadSharedTasks() {
+    await uploadLocalTasksOnce();
+    const tasks = (await window.loadTasksFromSharedAPI()).map(SopTasks.upgradeTask);
+    const queued = ((await offlineStoreCall('listOutbox')) || []).filter(e => e.type === 'task');
+    queued.forEach(entry => {
+        const index = tasks.findIndex(t => t.id === entry.payload.task.id);
+        if (entry.payload.op === 'comment') {
+            if (index !== -1) SopTasks.addComment(tasks[index], entry.payload.comment);
+        } else if (entry.payload.op === 'delete') {
+            if (index !== -1) tasks.splice(index, 1);
+        } else if (index === -1) {
+            tasks.push(entry.payload.task);
+        } else {
+            tasks[index] = entry.payload.task;
+        }
+    });
+    setLocalTasks(tasks);
+}
+
+async function refreshTasksList() {
     try {
-        sopTasks = JSON.parse(localStorage.getItem('sopTasks') || '[]');
-        renderTasksList(sopTasks);
+        if (useSharedTasks()) {
+            try {
+                await loadSharedTasks();
+            } catch (e) {
+                // Offline or signed out: show this device's copy
+                console.warn('Could not load tasks from the server:', e.message);
+            }
+        }
+        sopTasks = getLocalTasks();
+        offlineStoreCall('cacheRecordsOffline', 'tasks', sopTasks);
+        renderTasks();
     } catch (e) {
         console.error('Error refreshing tasks list:', e);
         sopTasks = [];
-        renderTasksList([]);
+        renderTasks();
     }
 }
 
-function renderTasksList(tasks) {
+function getTasksView() {
+    return localStorage.getItem('sopTasksView') === 'board' ? 'board' : 'list';
+}
+
+function setTasksView(view) {
+    localStorage.setItem('sopTasksView', view === 'board' ? 'board' : 'list');
+    renderTasks();
+}
+
+/** Keep the assignee filter in step with the Users list and the people tasks are assigned to. */
+function populateTaskAssigneeFilter() {
+    const select = document.getElementById('taskFilterAssignee');
+    if (!select) return;
+    const current = select.value;
+    const people = new Map(getUsers().map(u => [u.email.toLowerCase(), `${u.firstName} ${u.lastName}`.trim()]));
+    sopTasks.forEach(t => { if (t.assigneeEmail && !people.has(t.assigneeEmail)) people.set(t.assigneeEmail, t.assignedTo || t.assigneeEmail); });
+    select.innerHTML = '<option value="all">Anyone</option><option value="-">Unassigned</option>' +
+        [...people].sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([email, name]) => `<option value="${escapeHtml(email)}">${escapeHtml(name)}</option>`).join('');
+    select.value = [...select.options].some(o => o.value === current) ? current : 'all';
+}
+
+function taskFilters() {
+    const value = (id) => {
+        const el = document.getElementById(id);
+        return el ? (el.type === 'checkbox' ? el.checked : el.value) : '';
+    };
+    return {
+        text: value('taskFilterText'), department: value('taskFilterDept'), assignee: value('taskFilterAssignee'),
+        priority: value('taskFilterPriority'), overdueOnly: value('taskFilterOverdue'), today: todayDateString()
+    };
+}
+
+/** Show sopTasks, filtered, as the list or the Kanban board – both work on the same task data. */
+function renderTasks() {
+    populateTaskAssigneeFilter();
+    const view = getTasksView();
+    const tasks = SopTasks.filterTasks(sopTasks, taskFilters());
+    const board = document.getElementById('tasksBoardContainer');
+    const list = document.getElementById('tasksListContainer');
+    if (board) board.classList.toggle('hidden', view !== 'board');
+    if (list) list.classList.toggle('hidden', view === 'board');
+    document.querySelectorAll('.tasks-board-only').forEach(el => el.classList.toggle('hidden', view !== 'board'));
+    ['list', 'board'].forEach(name => {
+        const button = document.getElementById(name === 'list' ? 'tasksViewList' : 'tasksViewBoard');
+        if (button) {
+            button.setAttribute('aria-pressed', String(view === name));
+            button.classList.toggle('btn-primary', view === name);
+            button.classList.toggle('btn-secondary', view !== name);
+        }
+    });
+    if (view === 'board') renderTasksBoard(tasks);
+    else renderTasksList(tasks, sopTasks.length ? 'No tasks match the filters.' : 'No tasks submitted yet.');
+}
+
+function todayDateString() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/** "Overdue by 3 days" / "Due today" / "Due in 5 days" for an open task with a due date, otherwise ''. */
+function describeTaskDue(task) {
+    const days = SopTasks.daysUntilDue(task, todayDateString());
+    if (days === null) return '';
+    const count = `${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'}`;
+    if (days < 0) return `Overdue by ${count}`;
+    return days === 0 ? 'Due today' : `Due in ${count}`;
+}
+
+function renderTasksList(tasks, emptyMessage = 'No tasks submitted yet.') {
     const container = document.getElementById('tasksListContainer');
     if (!container) return;
     
     if (tasks.length === 0) {
-        container.innerHTML = '<p class="tasks-empty">No tasks submitted yet.</p>';
+        container.innerHTML = `<p class="tasks-empty">${escapeHtml(emptyMessage)}</p>`;
         return;
     }
     
-    // Sort by date (newest first)
+    // Sort by date (newest first); buttons name the task by id, so the order does not matter
     const sortedTasks = [...tasks].sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+    const today = todayDateString();
     
     let html = '<div class="tasks-list">';
     
-    sortedTasks.forEach((task, index) => {
+    sortedTasks.forEach(task => {
         const submittedDate = new Date(task.submittedAt);
-        const statusClass = task.status === 'Completed' ? 'completed' : task.status === 'In Progress' ? 'in-progress' : 'pending';
+        const statusClass = taskStatusClass(task.status);
         const priorityClass = task.priority.toLowerCase();
+        const overdue = SopTasks.isOverdue(task, today);
+        const due = describeTaskDue(task);
+        const id = escapeHtml(task.id);
         
         html += `
-            <div class="task-item ${statusClass}">
+            <div class="task-item ${statusClass}${overdue ? ' overdue' : ''}">
                 <div class="task-header">
                     <div class="task-title-section">
                         <h4>${escapeHtml(task.title)}</h4>
@@ -4016,21 +6452,41 @@ function renderTasksList(tasks) {
                             <span class="task-department">${escapeHtml(task.department)}</span>
                             <span class="task-priority priority-${priorityClass}">${escapeHtml(task.priority)}</span>
                             <span class="task-status status-${statusClass}">${escapeHtml(task.status)}</span>
+                            ${due ? `<span class="task-due${overdue ? ' task-due-overdue' : ''}">${escapeHtml(due)}</span>` : ''}
                         </div>
                     </div>
                     <div class="task-actions">
                         ${task.status !== 'Completed' ? `
-                            <button class="btn btn-success btn-small" onclick="completeTask(${index})">Mark Complete</button>
-                            <button class="btn btn-secondary btn-small" onclick="startTask(${index})">Start</button>
+                            <button class="btn btn-success btn-small" onclick="completeTask('${id}')">Mark Complete</button>
+                            ${task.status === 'Pending' ? `<button class="btn btn-secondary btn-small" onclick="startTask('${id}')">Start</button>` : ''}
+                            ${task.status === 'Blocked'
+                                ? `<button class="btn btn-secondary btn-small" onclick="startTask('${id}')">Resume</button>`
+                                : `<button class="btn btn-secondary btn-small" onclick="blockTask('${id}')">Blocked</button>`}
+                            <button class="btn btn-secondary btn-small" onclick="showTaskForm('${id}')">Edit</button>
                         ` : ''}
-                        <button class="btn btn-danger btn-small" onclick="deleteTask(${index})">Delete</button>
+                        <button class="btn btn-danger btn-small" onclick="deleteTask('${id}')">Delete</button>
                     </div>
                 </div>
                 <div class="task-body">
                     <p><strong>Submitted by:</strong> ${escapeHtml(task.submittedBy)}</p>
+                    ${task.assignedTo ? `<p><strong>Assigned to:</strong> ${escapeHtml(task.assignedTo)}${task.assigneeEmail ? ` (${escapeHtml(task.assigneeEmail)})` : ''}</p>` : ''}
                     <p><strong>Submitted on:</strong> ${submittedDate.toLocaleDateString()} ${submittedDate.toLocaleTimeString()}</p>
+                    ${task.dueDate ? `<p><strong>Due:</strong> ${new Date(task.dueDate + 'T00:00:00').toLocaleDateString()}</p>` : ''}
+                    ${task.completedAt ? `<p><strong>Completed on:</strong> ${new Date(task.completedAt).toLocaleDateString()}</p>` : ''}
                     ${task.description ? `<p><strong>Description:</strong> ${escapeHtml(task.description).replace(/\n/g, '<br>')}</p>` : ''}
-                    ${task.sopId ? `<p><strong>Linked SOP:</strong> ${escapeHtml(task.sopId)}</p>` : ''}
+                    ${task.sopId ? `<p><strong>Linked SOP:</strong> <a href="#" onclick="viewSopFromRegister('${escapeHtml(task.sopId)}'); return false;">${escapeHtml(task.sopId)}</a></p>` : ''}
+                </div>
+                <div class="task-comments">
+                    ${task.comments.map(c => `
+                        <div class="task-comment">
+                            <span class="task-comment-meta">${escapeHtml(c.by)} · ${new Date(c.at).toLocaleString()}</span>
+                            <div>${escapeHtml(c.text).replace(/\n/g, '<br>')}</div>
+                        </div>
+                    `).join('')}
+                    <div class="task-comment-form">
+                        <input type="text" id="taskComment-${id}" placeholder="Add a comment..." onkeydown="if (event.key === 'Enter') addTaskComment('${id}')">
+                        <button class="btn btn-secondary btn-small" onclick="addTaskComment('${id}')">Comment</button>
+                    </div>
                 </div>
             </div>
         `;
@@ -4040,110 +6496,370 @@ function renderTasksList(tasks) {
     container.innerHTML = html;
 }
 
-function showTaskForm() {
-    const container = document.getElementById('taskFormContainer');
-    if (container) {
-        container.classList.remove('hidden');
-        // Clear form
-        document.getElementById('taskTitle').value = '';
-        document.getElementById('taskDepartment').value = '';
-        document.getElementById('taskSubmitter').value = '';
-        document.getElementById('taskPriority').value = 'Medium';
-        document.getElementById('taskDescription').value = '';
+function taskStatusClass(status) {
+    return status.toLowerCase().replace(/\s+/g, '-');
+}
+
+// Kanban board: one column per status, optional swimlanes (by department or assignee). Cards move by drag and
+// drop, the ◀ ▶ buttons, or the arrow keys on a focused card (up/down change swimlane). window.SOP_TASK_WIP_LIMITS
+// (sop-config.js), e.g. { "In Progress": 5 }, marks a column over its work-in-progress limit.
+let taskBoardLanes = [];
+
+function taskWipLimit(status) {
+    return Number((window.SOP_TASK_WIP_LIMITS || {})[status]) || 0;
+}
+
+function taskBoardSwimlane() {
+    const select = document.getElementById('taskSwimlanes');
+    return getTasksView() === 'board' && select ? select.value : '';
+}
+
+function taskLaneIndex(task) {
+    return Math.max(0, taskBoardLanes.findIndex(lane => Object.values(lane.columns).some(column => column.includes(task))));
+}
+
+function renderTasksBoard(tasks) {
+    const container = document.getElementById('tasksBoardContainer');
+    if (!container) return;
+    const lane = taskBoardSwimlane();
+    const counts = SopTasks.countByStatus(tasks);
+    const today = todayDateString();
+    taskBoardLanes = SopTasks.boardLanes(tasks, lane);
+    if (taskBoardLanes.length === 0) taskBoardLanes = [{ key: '', label: 'All tasks', columns: Object.fromEntries(SopTasks.STATUSES.map(status => [status, []])) }];
+    
+    let html = `<div class="kanban-board" style="--kanban-columns: ${SopTasks.STATUSES.length}">`;
+    html += '<div class="kanban-row kanban-header-row">';
+    SopTasks.STATUSES.forEach(status => {
+        const limit = taskWipLimit(status);
+        const over = limit > 0 && counts[status] > limit;
+        html += `
+            <div class="kanban-column-header status-${taskStatusClass(status)}${over ? ' kanban-over-limit' : ''}"${over ? ` title="Over the work-in-progress limit of ${limit}"` : ''}>
+                ${escapeHtml(status)} <span class="kanban-count">${counts[status]}${limit ? ' / ' + limit : ''}</span>
+            </div>
+        `;
+    });
+    html += '</div>';
+    
+    taskBoardLanes.forEach((swimlane, laneIndex) => {
+        if (lane) {
+            const total = SopTasks.STATUSES.reduce((sum, status) => sum + swimlane.columns[status].length, 0);
+            html += `<div class="kanban-lane-header">${escapeHtml(swimlane.label)} <span class="kanban-count">${total}</span></div>`;
+        }
+        html += '<div class="kanban-row">';
+        SopTasks.STATUSES.forEach((status, statusIndex) => {
+            html += `
+                <div class="kanban-cell" role="list" aria-label="${escapeHtml(status)}${lane ? ' – ' + escapeHtml(swimlane.label) : ''}"
+                    ondragover="taskDragOver(event)" ondragleave="taskDragLeave(event)" ondrop="taskDrop(event, ${statusIndex}, ${laneIndex})">
+                    ${swimlane.columns[status].map(task => taskCardHtml(task, statusIndex, today)).join('')}
+                </div>
+            `;
+        });
+        html += '</div>';
+    });
+    html += '</div>';
+    container.innerHTML = html;
+}
+
+function taskCardHtml(task, statusIndex, today) {
+    const id = escapeHtml(task.id);
+    const open = SopTasks.isOpen(task);
+    const overdue = SopTasks.isOverdue(task, today);
+    const due = describeTaskDue(task);
+    const previous = SopTasks.STATUSES[statusIndex - 1];
+    const next = SopTasks.STATUSES[statusIndex + 1];
+    const label = `${task.title}. ${task.status}, ${task.priority} priority${task.assignedTo ? ', assigned to ' + task.assignedTo : ''}${due ? ', ' + due : ''}.` +
+        (open ? ' Arrow keys move it.' : '');
+    return `
+        <div class="kanban-card priority-${task.priority.toLowerCase()}${overdue ? ' overdue' : ''}" id="kanban-card-${id}" role="listitem" tabindex="0"
+            draggable="${open}" aria-label="${escapeHtml(label)}"
+            ondragstart="taskDragStart(event, '${id}')" onkeydown="taskCardKeydown(event, '${id}')">
+            <div class="kanban-card-title">${escapeHtml(task.title)}</div>
+            <div class="kanban-card-meta">
+                <span class="task-priority priority-${task.priority.toLowerCase()}">${escapeHtml(task.priority)}</span>
+                ${task.assignedTo ? `<span>${escapeHtml(task.assignedTo)}</span>` : '<span class="kanban-unassigned">Unassigned</span>'}
+                ${due ? `<span class="task-due${overdue ? ' task-due-overdue' : ''}">${escapeHtml(due)}</span>` : ''}
+            </div>
+            ${task.sopId ? `<a href="#" class="kanban-card-sop" onclick="viewSopFromRegister('${escapeHtml(task.sopId)}'); return false;">${escapeHtml(task.sopId)}</a>` : ''}
+            ${open ? `
+                <div class="kanban-card-moves">
+                    ${previous ? `<button class="btn btn-secondary btn-small" tabindex="-1" aria-label="Move to ${previous}" onclick="moveTaskOnBoard('${id}', ${statusIndex - 1})">◀</button>` : ''}
+                    <button class="btn btn-secondary btn-small" tabindex="-1" onclick="showTaskForm('${id}')">Edit</button>
+                    ${next ? `<button class="btn btn-secondary btn-small" tabindex="-1" aria-label="Move to ${next}" onclick="moveTaskOnBoard('${id}', ${statusIndex + 1})">▶</button>` : ''}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function taskDragStart(event, taskId) {
+    event.dataTransfer.setData('text/plain', taskId);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+function taskDragOver(event) {
+    event.preventDefault();
+    event.currentTarget.classList.add('drag-over');
+}
+
+function taskDragLeave(event) {
+    event.currentTarget.classList.remove('drag-over');
+}
+
+function taskDrop(event, statusIndex, laneIndex) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drag-over');
+    const taskId = event.dataTransfer.getData('text/plain');
+    if (taskId) moveTaskOnBoard(taskId, statusIndex, laneIndex);
+}
+
+/** Arrow keys on a focused card: left/right to the previous/next column, up/down to the swimlane above/below. */
+function taskCardKeydown(event, taskId) {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const move = moves[event.key];
+    const task = sopTasks.find(t => t.id === taskId);
+    if (!move || !task || !SopTasks.isOpen(task) || (move[1] && !taskBoardSwimlane())) return;
+    const statusIndex = SopTasks.STATUSES.indexOf(task.status) + move[0];
+    const laneIndex = taskLaneIndex(task) + move[1];
+    if (statusIndex < 0 || statusIndex >= SopTasks.STATUSES.length || laneIndex < 0 || laneIndex >= taskBoardLanes.length) return;
+    event.preventDefault();
+    moveTaskOnBoard(taskId, statusIndex, laneIndex);
+}
+
+/** Move a card to the column at statusIndex and, with swimlanes, into the lane at laneIndex. */
+async function moveTaskOnBoard(taskId, statusIndex, laneIndex) {
+    const task = sopTasks.find(t => t.id === taskId);
+    if (!task) return;
+    const status = SopTasks.STATUSES[statusIndex];
+    const lane = taskBoardSwimlane();
+    const target = laneIndex === undefined ? null : taskBoardLanes[laneIndex];
+    let changes = null;
+    if (lane && target && target.key !== taskBoardLanes[taskLaneIndex(task)].key) {
+        changes = SopTasks.laneChange(lane, target.key);
+        if (lane === 'assignee') {
+            const user = getUsers().find(u => u.email.toLowerCase() === target.key);
+            changes.assignedTo = target.key ? (user ? `${user.firstName} ${user.lastName}`.trim() : target.label) : '';
+        }
+    }
+    if (status === task.status && !changes) return;
+    const moved = await changeTaskStatus(taskId, status, `Task moved to ${status}`, changes);
+    const announcer = document.getElementById('tasksBoardAnnouncer');
+    if (announcer) announcer.textContent = moved ? `${task.title} moved to ${status}${changes && target ? ', ' + target.label : ''}.` : '';
+    const card = document.getElementById('kanban-card-' + taskId);
+    if (card) card.focus();
+}
+
+// Set while the form edits an existing task rather than creating one
+let editingTaskId = null;
+
+/** Fill the assignee list from the Users list; current (an email) stays selected. */
+function populateTaskAssigneeDropdown(current = '') {
+    const select = document.getElementById('taskAssignee');
+    if (!select) return;
+    select.innerHTML = '<option value="">Unassigned</option>';
+    getUsers().forEach(user => {
+        const option = document.createElement('option');
+        option.value = user.email;
+        option.textContent = `${user.firstName} ${user.lastName} (${user.email})`;
+        option.selected = !!current && user.email.toLowerCase() === current.toLowerCase();
+        select.appendChild(option);
+    });
+}
+
+/** The SOP IDs offered for Linked SOP. */
+async function populateTaskSopOptions() {
+    const list = document.getElementById('taskSopOptions');
+    if (!list) return;
+    try {
+        const sops = await loadSopSummariesMerged();
+        list.innerHTML = Object.keys(sops).sort().map(key => `<option value="${escapeHtml(key)}">${escapeHtml((sops[key].meta && sops[key].meta.title) || '')}</option>`).join('');
+    } catch (e) {
+        console.warn('Could not load SOPs for the task form:', e.message);
     }
 }
 
+/** Open the form for a new task, or to edit the task with taskId. */
+function showTaskForm(taskId) {
+    const container = document.getElementById('taskFormContainer');
+    if (!container) return;
+    const task = typeof taskId === 'string' ? sopTasks.find(t => t.id === taskId) : null;
+    const actor = requestActor();
+    editingTaskId = task ? task.id : null;
+    container.classList.remove('hidden');
+    document.getElementById('taskFormHeading').textContent = task ? 'Edit Task' : 'Submit New SOP Task';
+    document.getElementById('taskSubmitButton').textContent = task ? 'Save Task' : 'Submit Task';
+    document.getElementById('taskTitle').value = task ? task.title : '';
+    document.getElementById('taskDepartment').value = task ? task.department : '';
+    document.getElementById('taskSubmitter').value = task ? task.submittedBy : (actor && actor.name) || '';
+    document.getElementById('taskPriority').value = task ? task.priority : 'Medium';
+    document.getElementById('taskDueDate').value = task ? task.dueDate : '';
+    document.getElementById('taskSopId').value = task ? task.sopId : '';
+    document.getElementById('taskDescription').value = task ? task.description : '';
+    populateTaskAssigneeDropdown(task ? task.assigneeEmail : '');
+    populateTaskSopOptions();
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
 function cancelTaskForm() {
     const container = document.getElementById('taskFormContainer');
     if (container) {
         container.classList.add('hidden');
     }
+    editingTaskId = null;
+}
+
+/** Show what happened to a task change: saved, or waiting for the connection. */
+function notifyTaskChange(result, message) {
+    if (result === 'queued') showNotification(`${message} on this device – it will reach the server when the connection is back.`, 'warning');
+    else showNotification(`${message}!`, 'success');
 }
 
-function submitTask() {
-    const title = document.getElementById('taskTitle').value.trim();
-    const department = document.getElementById('taskDepartment').value;
-    const submitter = document.getElementById('taskSubmitter').value.trim();
-    const priority = document.getElementById('taskPriority').value;
-    const description = document.getElementById('taskDescription').value.trim();
+async function submitTask() {
+    const assigneeEmail = document.getElementById('taskAssignee').value;
+    const assignee = getUsers().find(u => u.email === assigneeEmail);
+    const fields = {
+        title: document.getElementById('taskTitle').value.trim(),
+        department: document.getElementById('taskDepartment').value,
+        submittedBy: document.getElementById('taskSubmitter').value.trim(),
+        assignedTo: assignee ? `${assignee.firstName} ${assignee.lastName}`.trim() : '',
+        assigneeEmail: assignee ? assignee.email : '',
+        priority: document.getElementById('taskPriority').value,
+        dueDate: document.getElementById('taskDueDate').value,
+        sopId: document.getElementById('taskSopId').value.trim(),
+        description: document.getElementById('taskDescription').value.trim()
+    };
     
-    if (!title || !department || !submitter) {
+    if (!fields.title || !fields.department || !fields.submittedBy) {
         showNotification('Please fill in all required fields (Title, Department, Submitted By).', 'warning');
         return;
     }
     
     try {
-        const task = {
-            id: Date.now().toString(),
-            title: title,
-            department: department,
-            submittedBy: submitter,
-            priority: priority,
-            description: description,
-            status: 'Pending',
-            submittedAt: new Date().toISOString(),
-            sopId: null
-        };
-        
-        sopTasks.push(task);
-        localStorage.setItem('sopTasks', JSON.stringify(sopTasks));
-        
-        showNotification('Task submitted successfully!', 'success');
+        const at = new Date().toISOString();
+        let task = editingTaskId && getLocalTasks().find(t => t.id === editingTaskId);
+        let result;
+        if (task) {
+            SopTasks.updateFields(task, fields, { at });
+            storeTaskLocally(task);
+            result = await pushTaskChange('update', task);
+        } else {
+            task = SopTasks.createTask({ id: 'task-' + Date.now(), fields, at, by: requestActor() });
+            storeTaskLocally(task);
+            result = await pushTaskChange('create', task);
+        }
+        notifyTaskChange(result, editingTaskId ? 'Task saved' : 'Task submitted');
         cancelTaskForm();
-        refreshTasksList();
     } catch (e) {
-        showNotification('Error submitting task: ' + e.message, 'error');
+        showNotification('Error saving task: ' + e.message, 'error');
         console.error('Error:', e);
+    } finally {
+        await refreshTasksList();
     }
 }
 
-function completeTask(index) {
+/**
+ * Move the task with taskId to status, with any field changes (a new swimlane on the board). Blocking asks
+ * what the task is waiting for and adds it as a comment. Shows why and returns false when that is not possible.
+ */
+async function changeTaskStatus(taskId, status, message, changes = null) {
+    const task = getLocalTasks().find(t => t.id === taskId);
+    if (!task) {
+        showNotification('Task not found.', 'error');
+        return false;
+    }
+    if (task.status !== status && !SopTasks.canTransition(task.status, status)) {
+        showNotification(`A ${task.status.toLowerCase()} task cannot be moved to ${status}.`, 'warning');
+        return false;
+    }
+    let reason = '';
+    let by = '';
+    if (status === 'Blocked' && task.status !== 'Blocked') {
+        reason = await showReasonPrompt('Task Blocked', `What is "${task.title}" waiting for?`, 'Reason (required)');
+        by = reason && await taskCommentAuthor();
+        if (!reason || !by) return false;
+    }
     try {
-        const tasks = JSON.parse(localStorage.getItem('sopTasks') || '[]');
-        if (index >= 0 && index < tasks.length) {
-            tasks[index].status = 'Completed';
-            tasks[index].completedAt = new Date().toISOString();
-            localStorage.setItem('sopTasks', JSON.stringify(tasks));
-            refreshTasksList();
-            refreshProgressTracker();
-            showNotification('Task marked as completed!', 'success');
-        }
+        const at = new Date().toISOString();
+        if (changes) SopTasks.updateFields(task, changes, { at });
+        SopTasks.setStatus(task, status, { at });
+        const comment = reason ? SopTasks.addComment(task, { id: 'c-' + Date.now(), at, by, text: 'Blocked: ' + reason }) : null;
+        storeTaskLocally(task);
+        // Show the move straight away; the server copy follows
+        sopTasks = getLocalTasks();
+        renderTasks();
+        let result = await pushTaskChange('update', task);
+        if (comment && (await pushTaskChange('comment', task, comment)) === 'queued') result = 'queued';
+        notifyTaskChange(result, message);
+        return true;
     } catch (e) {
         showNotification('Error updating task: ' + e.message, 'error');
         console.error('Error:', e);
+        await refreshTasksList();
+        return false;
     }
 }
 
-function startTask(index) {
+async function completeTask(taskId) {
+    if (await changeTaskStatus(taskId, 'Completed', 'Task marked as completed')) refreshProgressTracker();
+}
+
+async function startTask(taskId) {
+    await changeTaskStatus(taskId, 'In Progress', 'Task marked as in progress');
+}
+
+async function blockTask(taskId) {
+    await changeTaskStatus(taskId, 'Blocked', 'Task marked as blocked');
+}
+
+/** The signed-in user's name; without accounts the name given the first time, remembered on this device. */
+async function taskCommentAuthor() {
+    const actor = requestActor();
+    if (actor) return actor.name || actor.email;
+    const remembered = localStorage.getItem('sopTaskCommentName');
+    if (remembered) return remembered;
+    const name = await showReasonPrompt('Your Name', 'Comments are signed with your name. It is remembered on this device.', 'Your name (required)');
+    if (name) localStorage.setItem('sopTaskCommentName', name);
+    return name;
+}
+
+async function addTaskComment(taskId) {
+    const input = document.getElementById('taskComment-' + taskId);
+    const text = input ? input.value.trim() : '';
+    if (!text) return;
+    const task = getLocalTasks().find(t => t.id === taskId);
+    if (!task) {
+        showNotification('Task not found.', 'error');
+        return;
+    }
+    const by = await taskCommentAuthor();
+    if (!by) return;
     try {
-        const tasks = JSON.parse(localStorage.getItem('sopTasks') || '[]');
-        if (index >= 0 && index < tasks.length) {
-            tasks[index].status = 'In Progress';
-            localStorage.setItem('sopTasks', JSON.stringify(tasks));
-            refreshTasksList();
-            showNotification('Task marked as in progress!', 'success');
-        }
+        const comment = SopTasks.addComment(task, { id: 'c-' + Date.now(), at: new Date().toISOString(), by, text });
+        storeTaskLocally(task);
+        const result = await pushTaskChange('comment', task, comment);
+        if (result === 'queued') notifyTaskChange(result, 'Comment saved');
     } catch (e) {
-        showNotification('Error updating task: ' + e.message, 'error');
+        showNotification('Error adding comment: ' + e.message, 'error');
         console.error('Error:', e);
+    } finally {
+        await refreshTasksList();
     }
 }
 
-async function deleteTask(index) {
+async function deleteTask(taskId) {
     const confirmed = await showConfirmation('Delete Task', 'Are you sure you want to delete this task?');
     if (!confirmed) return;
     
     try {
-        const tasks = JSON.parse(localStorage.getItem('sopTasks') || '[]');
-        if (index >= 0 && index < tasks.length) {
-            tasks.splice(index, 1);
-            localStorage.setItem('sopTasks', JSON.stringify(tasks));
-            refreshTasksList();
-            showNotification('Task deleted!', 'success');
-        }
+        const task = getLocalTasks().find(t => t.id === taskId);
+        if (!task) return;
+        await pushTaskChange('delete', task);
+        setLocalTasks(getLocalTasks().filter(t => t.id !== taskId));
+        showNotification('Task deleted!', 'success');
     } catch (e) {
         showNotification('Error deleting task: ' + e.message, 'error');
         console.error('Error:', e);
+    } finally {
+        await refreshTasksList();
     }
 }
 
@@ -4153,8 +6869,19 @@ window.cancelTaskForm = cancelTaskForm;
 window.submitTask = submitTask;
 window.completeTask = completeTask;
 window.startTask = startTask;
+window.blockTask = blockTask;
+window.setTasksView = setTasksView;
+window.renderTasks = renderTasks;
+window.taskDragStart = taskDragStart;
+window.taskDragOver = taskDragOver;
+window.taskDragLeave = taskDragLeave;
+window.taskDrop = taskDrop;
+window.taskCardKeydown = taskCardKeydown;
+window.moveTaskOnBoard = moveTaskOnBoard;
+window.addTaskComment = addTaskComment;
 window.deleteTask = deleteTask;
 window.refreshProgressTracker = refreshProgressTracker;
+window.exportProgressReport = exportProgressReport;
 window.refreshTasksList = refreshTasksList;
 
 // GitHub Storage Functions
@@ -4768,11 +7495,13 @@ function updateAuthorFromUser() {
     }
 }
 
-function populateReviewerDropdown(dropdownId, currentReviewer = '') {
+/** With sop, its author is listed but cannot be picked unless the approval rules let authors approve. */
+function populateReviewerDropdown(dropdownId, currentReviewer = '', sop = null) {
     const reviewerSelect = document.getElementById(dropdownId);
     if (!reviewerSelect) return;
     
     const users = getUsers();
+    const authorBlocked = !!sop && !SopApproval.rulesFor(sop.meta.department, approvalRules || undefined).authorMayApprove;
     
     // Clear existing options except the first one
     reviewerSelect.innerHTML = '<option value="">Select Reviewer</option>';
@@ -4782,7 +7511,10 @@ function populateReviewerDropdown(dropdownId, currentReviewer = '') {
         const option = document.createElement('option');
         option.value = fullName;
         option.textContent = `${fullName} (${user.email})`;
-        if (fullName === currentReviewer) {
+        if (authorBlocked && SopApproval.isSopAuthor(sop, { name: fullName, email: user.email })) {
+            option.disabled = true;
+            option.textContent += ' – author, cannot approve';
+        } else if (fullName === currentReviewer) {
             option.selected = true;
         }
         reviewerSelect.appendChild(option);
@@ -4794,8 +7526,7 @@ function populateAllReviewerDropdowns() {
     populateReviewerDropdown('reviewViewerName');
     
     // Populate all inline reviewer dropdowns in the review list
-    // Note: This will be populated when review list is refreshed from GitHub
-    // For now, just populate the main review view dropdown
+    filteredReviewSops.forEach(sop => populateReviewerDropdown(`reviewerName-${sop.key}`, '', sop));
 }
 
 async function sendPdfEmailToUser(pdfBlob, sop, user) {
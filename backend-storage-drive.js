@@ -0,0 +1,251 @@
+/**
+ * Google Drive storage driver – SOPs are <sopId>.json files in one shared folder, revisions live in
+ * its _revisions subfolder, step images (named by content hash) in _images and other small records
+ * (ID counters, recycle bin, ...) in one "_<collection>" subfolder per collection. The audit log is one JSONL file
+ * per month in _audit.
+ * Uses a service account (GOOGLE_SERVICE_ACCOUNT_JSON); staff never touch Drive.
+ */
+const { Readable } = require('stream');
+
+const REVISIONS_FOLDER = '_revisions';
+const IMAGES_FOLDER = '_images';
+const AUDIT_FOLDER = '_audit';
+
+function escapeQuery(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/** appProperties are limited to 124 bytes per key+value, so the list view gets a shortened reason. */
+function truncateBytes(text, maxBytes) {
+    let out = String(text || '');
+    while (Buffer.byteLength(out) > maxBytes) out = out.slice(0, -1);
+    return out;
+}
+
+function createDriveStorage({ folderId, serviceAccountJson }) {
+    if (!folderId) throw new Error('SOP_FOLDER_ID not configured');
+    if (!serviceAccountJson) throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON env var required (JSON string of service account key)');
+
+    // googleapis is only needed for this driver, so it is loaded on first use
+    const { google } = require('googleapis');
+    const auth = new google.auth.GoogleAuth({
+        credentials: JSON.parse(serviceAccountJson),
+        scopes: ['https://www.googleapis.com/auth/drive.file', 'https://www.googleapis.com/auth/drive']
+    });
+    const drive = google.drive({ version: 'v3', auth });
+    const subfolderIds = {};
+
+    async function findFile(parentId, name) {
+        const res = await drive.files.list({
+            q: `'${parentId}' in parents and name='${escapeQuery(name)}' and trashed=false`,
+            fields: 'files(id)'
+        });
+        return (res.data.files || [])[0] || null;
+    }
+
+    async function readJson(fileId) {
+        const fileRes = await drive.files.get({ fileId, alt: 'media' }, { responseType: 'text' });
+        return JSON.parse(fileRes.data);
+    }
+
+    async function getSubfolderId(name) {
+        if (subfolderIds[name]) return subfolderIds[name];
+        const res = await drive.files.list({
+            q: `'${folderId}' in parents and name='${name}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+            fields: 'files(id)'
+        });
+        const existing = (res.data.files || [])[0];
+        if (existing) {
+            subfolderIds[name] = existing.id;
+        } else {
+            const created = await drive.files.create({
+                requestBody: { name, parents: [folderId], mimeType: 'application/vnd.google-apps.folder' },
+                fields: 'id'
+            });
+            subfolderIds[name] = created.data.id;
+        }
+        return subfolderIds[name];
+    }
+
+    return {
+        name: 'drive',
+
+        async listSops() {
+            const res = await drive.files.list({
+                q: `'${folderId}' in parents and trashed=false and name contains '.json'`,
+                fields: 'files(id, name)',
+                pageSize: 500
+            });
+            const sops = {};
+            for (const file of res.data.files || []) {
+                if (!file.name.endsWith('.json')) continue;
+                try {
+                    const sop = await readJson(file.id);
+                    if (sop && sop.meta) {
+                        const id = sop.meta.sopId || file.name.replace('.json', '');
+                        sops[id] = sop;
+                    }
+                } catch (e) {
+                    console.warn('Skip file', file.name, e.message);
+                }
+            }
+            return sops;
+        },
+
+        async getSop(sopId) {
+            const file = await findFile(folderId, sopId + '.json');
+            return file ? await readJson(file.id) : null;
+        },
+
+        async saveSop(sop) {
+            const fileName = sop.meta.sopId + '.json';
+            const existing = await findFile(folderId, fileName);
+            const bodyStream = Readable.from([JSON.stringify(sop, null, 2)]);
+            if (existing) {
+                await drive.files.update({
+                    fileId: existing.id,
+                    media: { mimeType: 'application/json', body: bodyStream }
+                });
+            } else {
+                await drive.files.create({
+                    requestBody: { name: fileName, parents: [folderId] },
+                    media: { mimeType: 'application/json', body: bodyStream }
+                });
+            }
+            return true;
+        },
+
+        async deleteSop(sopId) {
+            const file = await findFile(folderId, sopId + '.json');
+            if (file) await drive.files.delete({ fileId: file.id });
+            return true;
+        },
+
+        // Revisions: one JSON file per save, tagged with appProperties so they can be listed without downloading
+        async listRevisions(sopId) {
+            const parentId = await getSubfolderId(REVISIONS_FOLDER);
+            const res = await drive.files.list({
+                q: `'${parentId}' in parents and appProperties has { key='sopId' and value='${escapeQuery(sopId)}' } and trashed=false`,
+                fields: 'files(id, appProperties)',
+                pageSize: 1000
+            });
+            return (res.data.files || [])
+                .map(f => f.appProperties || {})
+                .map(p => ({ rev: Number(p.rev), savedAt: p.savedAt || '', author: p.author || '', status: p.status || '', reason: p.reason || '' }))
+                .sort((a, b) => b.rev - a.rev);
+        },
+
+        async getRevision(sopId, rev) {
+            const file = await findFile(await getSubfolderId(REVISIONS_FOLDER), `${sopId}@${rev}.json`);
+            return file ? await readJson(file.id) : null;
+        },
+
+        async saveRevision(record) {
+            const parentId = await getSubfolderId(REVISIONS_FOLDER);
+            await drive.files.create({
+                requestBody: {
+                    name: `${record.sopId}@${record.rev}.json`,
+                    parents: [parentId],
+                    appProperties: {
+                        sopId: record.sopId,
+                        rev: String(record.rev),
+                        savedAt: record.savedAt,
+                        author: truncateBytes(record.author.name || record.author.email, 100),
+                        status: record.status,
+                        reason: truncateBytes(record.reason, 110)
+                    }
+                },
+                media: { mimeType: 'application/json', body: Readable.from([JSON.stringify(record, null, 2)]) }
+            });
+            return true;
+        },
+
+        async getBlob(id) {
+            const res = await drive.files.list({
+                q: `'${await getSubfolderId(IMAGES_FOLDER)}' in parents and name='${escapeQuery(id)}' and trashed=false`,
+                fields: 'files(id, mimeType)'
+            });
+            const file = (res.data.files || [])[0];
+            if (!file) return null;
+            const fileRes = await drive.files.get({ fileId: file.id, alt: 'media' }, { responseType: 'arraybuffer' });
+            return { data: Buffer.from(fileRes.data), contentType: file.mimeType };
+        },
+
+        async putBlob(id, data, contentType) {
+            const parentId = await getSubfolderId(IMAGES_FOLDER);
+            if (await findFile(parentId, id)) return true; // same hash, same bytes
+            await drive.files.create({
+                requestBody: { name: id, parents: [parentId] },
+                media: { mimeType: contentType, body: Readable.from([data]) }
+            });
+            return true;
+        },
+
+        async getDocument(collection, id) {
+            const file = await findFile(await getSubfolderId('_' + collection), id + '.json');
+            return file ? await readJson(file.id) : null;
+        },
+
+        async putDocument(collection, id, doc) {
+            const parentId = await getSubfolderId('_' + collection);
+            const existing = await findFile(parentId, id + '.json');
+            const media = { mimeType: 'application/json', body: Readable.from([JSON.stringify(doc, null, 2)]) };
+            if (existing) await drive.files.update({ fileId: existing.id, media });
+            else await drive.files.create({ requestBody: { name: id + '.json', parents: [parentId] }, media });
+            return true;
+        },
+
+        async listDocuments(collection) {
+            const res = await drive.files.list({
+                q: `'${await getSubfolderId('_' + collection)}' in parents and name contains '.json' and trashed=false`,
+                fields: 'files(id, name)',
+                pageSize: 1000
+            });
+            const docs = [];
+            for (const file of res.data.files || []) {
+                try {
+                    docs.push(await readJson(file.id));
+                } catch (e) {
+                    console.warn('Skip file', file.name, e.message);
+                }
+            }
+            return docs;
+        },
+
+        async deleteDocument(collection, id) {
+            const file = await findFile(await getSubfolderId('_' + collection), id + '.json');
+            if (file) await drive.files.delete({ fileId: file.id });
+            return true;
+        },
+
+        // Drive files cannot be appended to, so the month's file is rewritten with the new line added
+        async appendAuditEntry(entry) {
+            const parentId = await getSubfolderId(AUDIT_FOLDER);
+            const name = entry.at.slice(0, 7) + '.jsonl';
+            const existing = await findFile(parentId, name);
+            let text = '';
+            if (existing) text = (await drive.files.get({ fileId: existing.id, alt: 'media' }, { responseType: 'text' })).data;
+            const media = { mimeType: 'application/x-ndjson', body: Readable.from([text + JSON.stringify(entry) + '\n']) };
+            if (existing) await drive.files.update({ fileId: existing.id, media });
+            else await drive.files.create({ requestBody: { name, parents: [parentId] }, media });
+            return true;
+        },
+
+        async listAuditEntries() {
+            const res = await drive.files.list({
+                q: `'${await getSubfolderId(AUDIT_FOLDER)}' in parents and name contains '.jsonl' and trashed=false`,
+                fields: 'files(id, name)',
+                pageSize: 1000
+            });
+            const files = (res.data.files || []).sort((a, b) => a.name.localeCompare(b.name));
+            const entries = [];
+            for (const file of files) {
+                const text = (await drive.files.get({ fileId: file.id, alt: 'media' }, { responseType: 'text' })).data;
+                String(text).split('\n').filter(Boolean).forEach(line => entries.push(JSON.parse(line)));
+            }
+            return entries;
+        }
+    };
+}
+
+module.exports = { createDriveStorage };
@@ -0,0 +1,197 @@
+/**
+ * Local directory storage driver – for on-prem hosting and running the whole stack offline.
+ *
+ *   <dir>/sops/<sopId>.json               current version of each SOP
+ *   <dir>/revisions/<sopId>/<rev>.json    one file per revision, created exclusively and never rewritten
+ *   <dir>/images/<sha256>.<ext>            step images, named by content hash
+ *   <dir>/documents/<collection>/<id>.json other small records (ID counters, recycle bin, ...)
+ *   <dir>/audit/<YYYY-MM>.jsonl             audit log, one JSON entry per line, only ever appended to
+ *
+ * File names are URI-encoded SOP IDs, so IDs such as "H&S-2025-01-01-001" are safe on every OS.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+function fileNameFor(id) {
+    return encodeURIComponent(String(id)).replace(/\*/g, '%2A') + '.json';
+}
+
+// An SOP's revisions folder, or null for an ID such as ".." that would point at revisions/ or outside it
+function revisionsDirFor(revisionsDir, id) {
+    const name = fileNameFor(id).replace(/\.json$/, '');
+    const sopDir = path.join(revisionsDir, name);
+    return /^\.*$/.test(name) || path.dirname(sopDir) !== revisionsDir ? null : sopDir;
+}
+
+async function readJsonFile(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+/** Write via a temp file and rename so a crash never leaves a half-written SOP behind. */
+async function writeJsonAtomic(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmp, filePath);
+}
+
+function createLocalStorage({ dir }) {
+    if (!dir) throw new Error('SOP_DATA_DIR not configured');
+    const sopsDir = path.join(dir, 'sops');
+    const revisionsDir = path.join(dir, 'revisions');
+    const imagesDir = path.join(dir, 'images');
+    const documentsDir = path.join(dir, 'documents');
+    const auditDir = path.join(dir, 'audit');
+    fs.mkdirSync(sopsDir, { recursive: true });
+    fs.mkdirSync(revisionsDir, { recursive: true });
+    fs.mkdirSync(imagesDir, { recursive: true });
+    fs.mkdirSync(auditDir, { recursive: true });
+
+    return {
+        name: 'local',
+
+        async listSops() {
+            const sops = {};
+            for (const name of await fs.promises.readdir(sopsDir)) {
+                if (!name.endsWith('.json')) continue;
+                try {
+                    const sop = await readJsonFile(path.join(sopsDir, name));
+                    if (sop && sop.meta) sops[sop.meta.sopId || decodeURIComponent(name.replace('.json', ''))] = sop;
+                } catch (e) {
+                    console.warn('Skip file', name, e.message);
+                }
+            }
+            return sops;
+        },
+
+        async getSop(sopId) {
+            return readJsonFile(path.join(sopsDir, fileNameFor(sopId)));
+        },
+
+        async saveSop(sop) {
+            await writeJsonAtomic(path.join(sopsDir, fileNameFor(sop.meta.sopId)), sop);
+            return true;
+        },
+
+        async deleteSop(sopId) {
+            await fs.promises.rm(path.join(sopsDir, fileNameFor(sopId)), { force: true });
+            return true;
+        },
+
+        async listRevisions(sopId) {
+            const sopDir = revisionsDirFor(revisionsDir, sopId);
+            if (!sopDir) return [];
+            let names = [];
+            try {
+                names = await fs.promises.readdir(sopDir);
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+            const revisions = [];
+            for (const name of names) {
+                if (!/^\d+\.json$/.test(name)) continue;
+                const record = await readJsonFile(path.join(sopDir, name));
+                if (!record) continue;
+                revisions.push({
+                    rev: record.rev,
+                    savedAt: record.savedAt || '',
+                    author: (record.author && (record.author.name || record.author.email)) || '',
+                    status: record.status || '',
+                    reason: record.reason || ''
+                });
+            }
+            return revisions.sort((a, b) => b.rev - a.rev);
+        },
+
+        async getRevision(sopId, rev) {
+            const sopDir = revisionsDirFor(revisionsDir, sopId);
+            return sopDir ? readJsonFile(path.join(sopDir, Number(rev) + '.json')) : null;
+        },
+
+        async saveRevision(record) {
+            const sopDir = revisionsDirFor(revisionsDir, record.sopId);
+            if (!sopDir) throw new Error(`Invalid SOP ID for revisions: ${record.sopId}`);
+            await fs.promises.mkdir(sopDir, { recursive: true });
+            // 'wx' fails if the revision already exists – revisions are never overwritten
+            await fs.promises.writeFile(path.join(sopDir, Number(record.rev) + '.json'), JSON.stringify(record, null, 2), { flag: 'wx' });
+            return true;
+        },
+
+        async getBlob(id) {
+            for (const contentType of Object.keys(IMAGE_EXTENSIONS)) {
+                try {
+                    const data = await fs.promises.readFile(path.join(imagesDir, `${id}.${IMAGE_EXTENSIONS[contentType]}`));
+                    return { data, contentType };
+                } catch (e) {
+                    if (e.code !== 'ENOENT') throw e;
+                }
+            }
+            return null;
+        },
+
+        async putBlob(id, data, contentType) {
+            const ext = IMAGE_EXTENSIONS[contentType];
+            if (!ext) throw new Error('Unsupported image type ' + contentType);
+            try {
+                await fs.promises.writeFile(path.join(imagesDir, `${id}.${ext}`), data, { flag: 'wx' });
+            } catch (e) {
+                if (e.code !== 'EEXIST') throw e; // same hash, same bytes
+            }
+            return true;
+        },
+
+        async getDocument(collection, id) {
+            return readJsonFile(path.join(documentsDir, collection, fileNameFor(id)));
+        },
+
+        async putDocument(collection, id, doc) {
+            await writeJsonAtomic(path.join(documentsDir, collection, fileNameFor(id)), doc);
+            return true;
+        },
+
+        async listDocuments(collection) {
+            let names = [];
+            try {
+                names = await fs.promises.readdir(path.join(documentsDir, collection));
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+            const docs = [];
+            for (const name of names) {
+                if (!name.endsWith('.json')) continue;
+                const doc = await readJsonFile(path.join(documentsDir, collection, name));
+                if (doc) docs.push(doc);
+            }
+            return docs;
+        },
+
+        async deleteDocument(collection, id) {
+            await fs.promises.rm(path.join(documentsDir, collection, fileNameFor(id)), { force: true });
+            return true;
+        },
+
+        async appendAuditEntry(entry) {
+            await fs.promises.appendFile(path.join(auditDir, entry.at.slice(0, 7) + '.jsonl'), JSON.stringify(entry) + '\n');
+            return true;
+        },
+
+        async listAuditEntries() {
+            const entries = [];
+            const names = (await fs.promises.readdir(auditDir)).filter(n => /^\d{4}-\d{2}\.jsonl$/.test(n)).sort();
+            for (const name of names) {
+                const text = await fs.promises.readFile(path.join(auditDir, name), 'utf8');
+                text.split('\n').filter(Boolean).forEach(line => entries.push(JSON.parse(line)));
+            }
+            return entries;
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,40 @@
+/**
+ * Storage drivers for the SOP backend. Every driver implements the same async interface:
+ *
+ *   listSops()                 → { [sopId]: sop }
+ *   getSop(sopId)              → sop | null
+ *   saveSop(sop)               → true (keyed by sop.meta.sopId)
+ *   deleteSop(sopId)           → true
+ *   listRevisions(sopId)       → [{ rev, savedAt, author, status, reason }] newest first
+ *   getRevision(sopId, rev)    → { sopId, rev, author, savedAt, reason, status, content } | null
+ *   saveRevision(record)       → true (must never overwrite an existing revision)
+ *   getBlob(id)                → { data: Buffer, contentType } | null
+ *   putBlob(id, data, type)    → true (id is the sha256 of data, so an existing blob is left as is)
+ *   getDocument(coll, id)      → object | null  (small JSON records such as ID counters)
+ *   putDocument(coll, id, doc) → true (creates or replaces)
+ *   listDocuments(coll)        → [object]
+ *   deleteDocument(coll, id)   → true
+ *   appendAuditEntry(entry)    → true (append only; the caller serialises appends)
+ *   listAuditEntries()         → [entry] oldest first
+ *
+ * SOP_STORAGE_DRIVER picks the driver: "drive" (default, Google Drive) or "local" (SOP_DATA_DIR).
+ */
+const { createDriveStorage } = require('./backend-storage-drive');
+const { createLocalStorage } = require('./backend-storage-local');
+
+const DRIVERS = {
+    drive: env => createDriveStorage({
+        folderId: env.SOP_FOLDER_ID || env.FOLDER_ID || '',
+        serviceAccountJson: env.GOOGLE_SERVICE_ACCOUNT_JSON || ''
+    }),
+    local: env => createLocalStorage({ dir: env.SOP_DATA_DIR || './sop-data' })
+};
+
+function createStorage(env = process.env) {
+    const name = (env.SOP_STORAGE_DRIVER || 'drive').trim().toLowerCase();
+    const factory = DRIVERS[name];
+    if (!factory) throw new Error(`Unknown SOP_STORAGE_DRIVER "${name}" (use ${Object.keys(DRIVERS).join(' or ')})`);
+    return factory(env);
+}
+
+module.exports = { createStorage, DRIVERS };
@@ -1,112 +1,238 @@
 /**
  * SOP Shared Backend – one-time setup with a service account; staff never touch API keys or OAuth.
- * Deploy to Google Cloud Run or any Node host. Set FOLDER_ID and service account credentials.
+ * Deploy to Google Cloud Run or any Node host. Set FOLDER_ID and service account credentials,
+ * or SOP_STORAGE_DRIVER=local with SOP_DATA_DIR to keep SOPs on local disk (see backend-storage.js).
+ *
+ * Every /sops call needs a bearer token: either a session token issued by POST /auth/session
+ * (HMAC-signed with SOP_AUTH_SECRET) or a Firebase ID token (FIREBASE_PROJECT_ID).
+ * Roles (author, reviewer, approver, admin) come from the token and are checked per route.
+ *
+ * Every save also writes a numbered revision through the storage driver. Revisions are only ever
+ * created, never updated, so an approved text stays retrievable after later edits.
+ *
+ * Saves are optimistic-concurrency checked: GET /sops/:id returns ETag "<revision>", and POST /sops
+ * must send If-Match with that tag (or If-None-Match: * for a new SOP). Stale writes get 409.
+ *
+ * Step photos are stored once by sha256 (POST /images, GET /images/:id) and referenced from
+ * steps[].images as { ref, thumb }. Inline data-URL images are moved to the image store on save.
+ *
+ * New SOP IDs are reserved with POST /sop-ids { department }, which hands out each number once.
+ *
+ * Status changes follow the lifecycle in sop-lifecycle.js (Draft → Under Review → Approved → Superseded or
+ * Retired, with Rejected): transitions it does not allow get 409, the wrong role 403, missing data 400.
+ *
+ * Submitting an SOP for review starts its department's approval chain (SOP_APPROVAL_CHAINS, see
+ * sop-approval.js). Each stage is signed with POST /sops/:id/approval; the last sign-off approves it.
+ * Signing re-checks the user's password and stores a signature manifest (signer, meaning, time,
+ * SHA-256 of the signed content) on the stage. Separation-of-duties rules (SOP_APPROVAL_RULES) are checked
+ * before each approval – by default the author cannot approve their own SOP – and a blocked sign-off gets 403.
+ *
+ * Every change (create, edit, submit, approve, reject, delete, restore, purge, ID reservation) is
+ * written to a hash-chained audit log, queried with GET /audit.
+ *
+ * DELETE /sops/:id needs a reason and only moves the SOP to the recycle bin; it can be restored until
+ * SOP_RECYCLE_RETENTION_DAYS have passed or an admin purges it.
+ *
+ * Version numbers are set by the server (sop-versioning.js): an Approved SOP only changes through a new
+ * draft revision at the next major or minor version, with a change reason. Approving it marks the
+ * version it replaces Superseded; released versions are listed with GET /sops/:id/releases and
+ * GET /releases, and superseded revisions print with a SUPERSEDED watermark.
+ *
+ * Approved SOPs are due for periodic review on meta.reviewDate (sop-review-schedule.js). GET /reviews/due lists
+ * those due soon or overdue; a scheduled check (every SOP_REVIEW_CHECK_HOURS, or POST /reviews/run from Cloud
+ * Scheduler) emails the owner and SOP_DEPARTMENT_HEADS through EmailJS. POST /sops/:id/review confirms a review
+ * that needed no changes and moves the review date on.
+ *
+ * SOP requests (sop-requests.js) are kept one document each: GET/POST /requests, GET/PUT/DELETE /requests/:id.
+ * An SOP started from a request carries sop.requestId; saving it links the request to the SOP's ID, and
+ * approving it completes the request.
+ *
+ * Review comments are threads pinned to a step, list item or field (sop-comments.js), stored per SOP
+ * apart from its revisions: GET/POST /sops/:id/comments, POST /sops/:id/comments/:threadId/resolve.
+ *
+ * GET /kpis?from=&to=&department= works out the Tasks tab's progress dashboard (sop-kpis.js) from the audit log,
+ * the SOP index and the requests.
+ *
+ * GET /sops/:id/pdf renders the SOP (or ?rev=N) with sop-pdf-renderer.js, the same code the browser
+ * uses, so a given revision always produces the same PDF. Needs the jspdf package and Recorp_logo.png.
  */
-const { google } = require('googleapis');
-const { Readable } = require('stream');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./backend-storage');
+const SopApproval = require('./sop-approval');
+const SopComments = require('./sop-comments');
+const SopVersioning = require('./sop-versioning');
+const SopLifecycle = require('./sop-lifecycle');
+const SopReviewSchedule = require('./sop-review-schedule');
+const SopRequests = require('./sop-requests');
+const SopTasks = require('./sop-tasks');
+const SopKpis = require('./sop-kpis');
 
-const FOLDER_ID = process.env.SOP_FOLDER_ID || process.env.FOLDER_ID || '';
 const PORT = process.env.PORT || 8080;
 
-function getDrive() {
-    const key = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-    if (!key) throw new Error('GOOGLE_SERVICE_ACCOUNT_JSON env var required (JSON string of service account key)');
-    const creds = JSON.parse(key);
-    const auth = new google.auth.GoogleAuth({
-        credentials: creds,
-        scopes: ['https://www.googleapis.com/auth/drive.file', 'https://www.googleapis.com/auth/drive']
-    });
-    const drive = google.drive({ version: 'v3', auth });
-    return drive;
-}
+// Auth configuration
+const AUTH_SECRET = process.env.SOP_AUTH_SECRET || '';
+const AUTH_DISABLED = process.env.SOP_AUTH_DISABLED === 'true';
+const SESSION_TTL_HOURS = Number(process.env.SOP_SESSION_TTL_HOURS) || 12;
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || '';
+const FIREBASE_API_KEY = process.env.FIREBASE_API_KEY || '';
+const DEFAULT_ROLES = (process.env.SOP_DEFAULT_ROLES || 'author').split(',').map(r => r.trim()).filter(Boolean);
+const ALLOWED_ORIGINS = (process.env.SOP_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+const ROLES = ['author', 'reviewer', 'approver', 'admin'];
+const MAX_IMAGE_BYTES = (Number(process.env.SOP_MAX_IMAGE_MB) || 8) * 1024 * 1024;
+const RECYCLE_RETENTION_DAYS = Number(process.env.SOP_RECYCLE_RETENTION_DAYS) || 90;
 
-async function listSops(drive) {
-    const res = await drive.files.list({
-        q: `'${FOLDER_ID}' in parents and trashed=false and name contains '.json'`,
-        fields: 'files(id, name)',
-        pageSize: 500
-    });
-    const files = res.data.files || [];
-    const sops = {};
-    for (const file of files) {
-        if (!file.name.endsWith('.json')) continue;
-        try {
-            const fileRes = await drive.files.get({
-                fileId: file.id,
-                alt: 'media'
-            }, { responseType: 'text' });
-            const sop = JSON.parse(fileRes.data);
-            if (sop && sop.meta) {
-                const id = sop.meta.sopId || file.name.replace('.json', '');
-                sops[id] = sop;
-            }
-        } catch (e) {
-            console.warn('Skip file', file.name, e.message);
-        }
+// Users, roles and passwords
+function parseJsonEnv(name) {
+    const raw = process.env[name];
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        console.warn(name + ' is not valid JSON:', e.message);
+        return null;
     }
-    return sops;
 }
 
-async function getSop(drive, sopId) {
-    const fileName = sopId + '.json';
-    const res = await drive.files.list({
-        q: `'${FOLDER_ID}' in parents and name='${fileName.replace(/'/g, "\\'")}' and trashed=false`,
-        fields: 'files(id)'
-    });
-    const files = res.data.files || [];
-    if (files.length === 0) return null;
-    const fileRes = await drive.files.get({
-        fileId: files[0].id,
-        alt: 'media'
-    }, { responseType: 'text' });
-    return JSON.parse(fileRes.data);
-}
-
-async function saveSop(drive, sop) {
-    const sopId = (sop && sop.meta && sop.meta.sopId) || 'sop-' + Date.now();
-    const fileName = sopId + '.json';
-    const body = JSON.stringify(sop, null, 2);
-
-    const listRes = await drive.files.list({
-        q: `'${FOLDER_ID}' in parents and name='${fileName.replace(/'/g, "\\'")}' and trashed=false`,
-        fields: 'files(id)'
-    });
-    const existing = (listRes.data.files || [])[0];
+function normalizeRoles(roles) {
+    return (Array.isArray(roles) ? roles : [])
+        .map(r => String(r).trim().toLowerCase())
+        .filter(r => ROLES.includes(r));
+}
 
-    const bodyStream = Readable.from([body]);
-    if (existing) {
-        await drive.files.update({
-            fileId: existing.id,
-            media: { mimeType: 'application/json', body: bodyStream }
-        });
-    } else {
-        await drive.files.create({
-            requestBody: { name: fileName, parents: [FOLDER_ID] },
-            media: { mimeType: 'application/json', body: bodyStream }
+/** Local accounts for the HMAC stand-in, from SOP_LOCAL_USERS: { "email": { name, roles, passwordHash } } */
+function getLocalUsers() {
+    const raw = parseJsonEnv('SOP_LOCAL_USERS') || {};
+    const users = {};
+    Object.keys(raw).forEach(email => { users[email.trim().toLowerCase()] = raw[email]; });
+    return users;
+}
+
+/** Roles for a Firebase user: token claim first, then SOP_ROLE_MAP ({ "email": ["approver"] }), then SOP_DEFAULT_ROLES. */
+function rolesForEmail(email, claimedRoles) {
+    if (Array.isArray(claimedRoles) && claimedRoles.length) return normalizeRoles(claimedRoles);
+    const map = parseJsonEnv('SOP_ROLE_MAP') || {};
+    const key = Object.keys(map).find(k => k.toLowerCase() === String(email || '').toLowerCase());
+    return normalizeRoles(key ? map[key] : DEFAULT_ROLES);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const parts = String(stored || '').split('$');
+    if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+    const expected = Buffer.from(parts[2], 'hex');
+    const actual = crypto.scryptSync(String(password), parts[1], expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/** Check an email/password against local accounts, then Firebase. Returns the user or null. */
+async function signIn(email, password) {
+    const key = String(email || '').trim().toLowerCase();
+    if (!key || !password) return null;
+    const local = getLocalUsers()[key];
+    if (local) {
+        if (!verifyPassword(password, local.passwordHash)) return null;
+        return { id: key, email: key, name: local.name || key, roles: normalizeRoles(local.roles || DEFAULT_ROLES) };
+    }
+    if (FIREBASE_API_KEY) {
+        const res = await fetch('https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=' + encodeURIComponent(FIREBASE_API_KEY), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: key, password, returnSecureToken: true })
         });
+        if (!res.ok) return null;
+        const data = await res.json();
+        return { id: data.localId, email: key, name: data.displayName || key, roles: rolesForEmail(key) };
     }
-    return true;
+    return null;
 }
 
-async function deleteSop(drive, sopId) {
-    const fileName = sopId + '.json';
-    const res = await drive.files.list({
-        q: `'${FOLDER_ID}' in parents and name='${fileName.replace(/'/g, "\\'")}' and trashed=false`,
-        fields: 'files(id)'
-    });
-    const files = res.data.files || [];
-    if (files.length > 0) {
-        await drive.files.delete({ fileId: files[0].id });
+// Session tokens: v1.<base64url payload>.<base64url HMAC-SHA256>
+function issueSessionToken(user) {
+    if (!AUTH_SECRET) throw httpError(503, 'SOP_AUTH_SECRET not configured');
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { sub: user.id, email: user.email, name: user.name, roles: user.roles, iat: now, exp: now + SESSION_TTL_HOURS * 3600 };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const sig = crypto.createHmac('sha256', AUTH_SECRET).update('v1.' + body).digest('base64url');
+    return { token: `v1.${body}.${sig}`, expiresAt: payload.exp * 1000 };
+}
+
+function verifySessionToken(token) {
+    if (!AUTH_SECRET) return null;
+    const [version, body, sig] = token.split('.');
+    if (version !== 'v1' || !body || !sig) return null;
+    const expected = crypto.createHmac('sha256', AUTH_SECRET).update('v1.' + body).digest();
+    const actual = Buffer.from(sig, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return { id: payload.sub, email: payload.email || '', name: payload.name || payload.email || payload.sub, roles: normalizeRoles(payload.roles) };
+}
+
+// Firebase ID tokens (RS256, keys rotated by Google)
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+let firebaseCerts = { keys: {}, expiresAt: 0 };
+
+async function getFirebaseCerts() {
+    if (firebaseCerts.expiresAt > Date.now()) return firebaseCerts.keys;
+    const res = await fetch(FIREBASE_CERTS_URL);
+    if (!res.ok) throw new Error('Could not fetch Firebase signing keys');
+    const maxAge = /max-age=(\d+)/.exec(res.headers.get('cache-control') || '');
+    firebaseCerts = { keys: await res.json(), expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 3600000) };
+    return firebaseCerts.keys;
+}
+
+async function verifyFirebaseToken(token) {
+    if (!FIREBASE_PROJECT_ID) return null;
+    const [h, p, s] = token.split('.');
+    if (!h || !p || !s) return null;
+    const header = JSON.parse(Buffer.from(h, 'base64url').toString('utf8'));
+    const payload = JSON.parse(Buffer.from(p, 'base64url').toString('utf8'));
+    if (header.alg !== 'RS256') return null;
+    const cert = (await getFirebaseCerts())[header.kid];
+    if (!cert) return null;
+    const valid = crypto.verify('sha256', Buffer.from(h + '.' + p), cert, Buffer.from(s, 'base64url'));
+    const now = Math.floor(Date.now() / 1000);
+    if (!valid || payload.aud !== FIREBASE_PROJECT_ID || payload.iss !== 'https://securetoken.google.com/' + FIREBASE_PROJECT_ID) return null;
+    if (!payload.sub || payload.exp < now || payload.iat > now + 300) return null;
+    return { id: payload.sub, email: payload.email || '', name: payload.name || payload.email || payload.sub, roles: rolesForEmail(payload.email, payload.roles) };
+}
+
+/** Resolve the bearer token on a request to { id, email, name, roles }, or null. */
+async function authenticate(req) {
+    if (AUTH_DISABLED) return { id: 'local', email: '', name: 'Local User', roles: ROLES.slice() };
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+    const token = match[1].trim();
+    try {
+        if (token.startsWith('v1.')) return verifySessionToken(token);
+        return await verifyFirebaseToken(token);
+    } catch (e) {
+        console.warn('Token rejected:', e.message);
+        return null;
     }
-    return true;
+}
+
+/** Admins may do anything; everyone else needs one of the listed roles. */
+function hasRole(user, roles) {
+    return !!user && (user.roles.includes('admin') || roles.some(r => user.roles.includes(r)));
 }
 
 // CORS and JSON helpers
 function cors(req, res) {
     const origin = req.headers.origin || '*';
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+    if (ALLOWED_ORIGINS.length === 0 || ALLOWED_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, X-Change-Reason, If-Match, If-None-Match');
     if (req.method === 'OPTIONS') {
         res.writeHead(204);
         res.end();
@@ -121,69 +247,1667 @@ function sendJson(res, status, data) {
     res.end(JSON.stringify(data));
 }
 
-// HTTP server (Cloud Run / Node)
-const http = require('http');
-const server = http.createServer(async (req, res) => {
-    if (cors(req, res)) return;
+/** data is merged into the JSON error body (e.g. the current SOP on a 409). */
+function httpError(status, message, data) {
+    const err = new Error(message);
+    err.status = status;
+    err.data = data;
+    return err;
+}
 
-    const url = new URL(req.url || '', 'http://localhost');
-    const path = url.pathname.replace(/\/$/, '') || '';
-    const pathParts = path.split('/').filter(Boolean);
+async function readJsonBody(req) {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    try {
+        return JSON.parse(body || '{}');
+    } catch (e) {
+        throw httpError(400, 'Request body is not valid JSON');
+    }
+}
+
+async function readRawBody(req, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) throw httpError(413, `Image is larger than ${Math.round(maxBytes / 1048576)} MB`);
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Images: content-addressed blobs. The type is sniffed from the bytes, never trusted from the client.
+function detectImageType(data) {
+    if (data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+    if (data.length > 8 && data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (data.length > 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (data.length > 6 && /^GIF8[79]a$/.test(data.toString('ascii', 0, 6))) return 'image/gif';
+    return null;
+}
+
+async function storeImage(store, data) {
+    const contentType = detectImageType(data);
+    if (!contentType) throw httpError(415, 'Only JPEG, PNG, WebP or GIF images can be uploaded');
+    const id = crypto.createHash('sha256').update(data).digest('hex');
+    await store.putBlob(id, data, contentType);
+    return { id, contentType, size: data.length };
+}
+
+/**
+ * Replace inline data-URL step images with { ref, thumb } references to the image store (no server-side
+ * resizing, so migrated images use the full image as their thumbnail). Returns how many were moved.
+ */
+async function externalizeImages(store, sop) {
+    let moved = 0;
+    for (const step of Array.isArray(sop.steps) ? sop.steps : []) {
+        if (!Array.isArray(step.images)) continue;
+        for (let i = 0; i < step.images.length; i++) {
+            const image = step.images[i];
+            const match = typeof image === 'string' && /^data:image\/[\w+.-]+;base64,(.+)$/.exec(image);
+            if (!match) continue;
+            const { id } = await storeImage(store, Buffer.from(match[1], 'base64'));
+            step.images[i] = { ref: id, thumb: id };
+            moved++;
+        }
+    }
+    return moved;
+}
+
+// PDFs use the same renderer as the browser. jspdf is only needed for GET /sops/:id/pdf, so it is
+// loaded on first use and the rest of the backend runs without it.
+let pdfRenderer = null;
+function getPdfRenderer() {
+    if (!pdfRenderer) {
+        let jsPDF;
+        try {
+            ({ jsPDF } = require('jspdf'));
+        } catch (e) {
+            throw httpError(501, 'PDF rendering is not installed on this server (npm install jspdf@2.5.1)');
+        }
+        pdfRenderer = { jsPDF, ...require('./sop-pdf-renderer') };
+    }
+    return pdfRenderer;
+}
+
+let pdfLogoDataUrl = null;
+async function readPdfLogo() {
+    if (!pdfLogoDataUrl) {
+        const file = process.env.SOP_PDF_LOGO || path.join(__dirname, 'Recorp_logo.png');
+        const data = await fs.promises.readFile(file).catch(() => null);
+        if (!data || !detectImageType(data)) throw httpError(500, 'PDF logo not found at ' + file);
+        pdfLogoDataUrl = `data:${detectImageType(data)};base64,${data.toString('base64')}`;
+    }
+    return pdfLogoDataUrl;
+}
+
+async function renderSopPdfBuffer(store, sop) {
+    const { jsPDF, renderSopPdf, resolveSopPdfImages } = getPdfRenderer();
+    const logo = await readPdfLogo();
+    const stepImages = await resolveSopPdfImages(sop, async image => {
+        if (typeof image === 'string') return image;
+        const blob = await store.getBlob(image.ref);
+        return blob ? `data:${blob.contentType};base64,${blob.data.toString('base64')}` : null;
+    });
+    return Buffer.from(renderSopPdf(jsPDF, sop, { logo, stepImages }).output('arraybuffer'));
+}
+
+/** Change reason travels in a header so the SOP body stays the document itself. Clients URI-encode it. */
+function readChangeReason(req) {
+    const raw = String(req.headers['x-change-reason'] || '');
+    try {
+        return decodeURIComponent(raw).trim().slice(0, 1000);
+    } catch (e) {
+        return raw.trim().slice(0, 1000);
+    }
+}
+
+function withoutRevisionFields(sop) {
+    const { revision, revisedBy, revisedAt, savedAt, ...content } = sop || {};
+    return JSON.stringify(content);
+}
+
+/**
+ * Write the next numbered revision for sop and stamp sop.revision. SOPs saved before revisions
+ * existed get their current text kept as revision 1 first. An unchanged re-save with no reason
+ * (the editor autosaves) does not add a revision.
+ */
+async function recordRevision(storage, sop, existing, user, reason) {
+    const sopId = sop.meta.sopId;
+    let current = (existing && Number(existing.revision)) || 0;
+    if (existing && !current) {
+        current = 1;
+        await storage.saveRevision({
+            sopId, rev: current, author: { id: '', email: '', name: existing.meta.author || '' },
+            savedAt: existing.savedAt || new Date().toISOString(), reason: 'Version saved before revision history',
+            status: existing.meta.status || '', content: { ...existing, revision: current }
+        });
+    }
+    if (existing && !reason && withoutRevisionFields(existing) === withoutRevisionFields(sop)) {
+        sop.revision = current;
+        return current;
+    }
+    const rev = current + 1;
+    sop.revision = rev;
+    sop.revisedBy = user.name || user.email;
+    sop.revisedAt = new Date().toISOString();
+    await storage.saveRevision({
+        sopId, rev, author: { id: user.id, email: user.email, name: user.name },
+        savedAt: sop.revisedAt, reason, status: sop.meta.status || '', content: sop
+    });
+    return rev;
+}
 
-    if (!FOLDER_ID) {
-        sendJson(res, 503, { error: 'SOP_FOLDER_ID not configured' });
-        return;
+// Optimistic concurrency. SOPs saved before revision history count as revision 0.
+function etagFor(sop) {
+    return `"${Number(sop && sop.revision) || 0}"`;
+}
+
+function withEtag(sop) {
+    return { ...sop, revision: Number(sop.revision) || 0 };
+}
+
+function checkPreconditions(req, existing) {
+    const ifMatch = String(req.headers['if-match'] || '').trim();
+    const ifNoneMatch = String(req.headers['if-none-match'] || '').trim();
+    if (existing) {
+        if (ifNoneMatch === '*') throw httpError(409, 'An SOP with this ID already exists', { current: withEtag(existing) });
+        if (!ifMatch) throw httpError(428, 'If-Match header required – reload the SOP and save again');
+        const tags = ifMatch.split(',').map(t => t.trim().replace(/^W\//, ''));
+        if (!tags.includes('*') && !tags.includes(etagFor(existing))) {
+            const by = existing.revisedBy ? ' by ' + existing.revisedBy : '';
+            throw httpError(409, `This SOP was changed${by} since you opened it (now revision ${Number(existing.revision) || 0})`, { current: withEtag(existing) });
+        }
+    } else if (ifMatch) {
+        throw httpError(409, 'This SOP no longer exists on the server', { current: null });
+    } else if (ifNoneMatch !== '*') {
+        throw httpError(428, 'If-None-Match: * header required to create an SOP');
+    }
+}
+
+/** Serialise read-check-write per SOP within this instance (run Cloud Run with max instances 1). */
+const sopLocks = new Map();
+function withSopLock(sopId, fn) {
+    const previous = sopLocks.get(sopId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+    sopLocks.set(sopId, tail);
+    tail.then(() => { if (sopLocks.get(sopId) === tail) sopLocks.delete(sopId); });
+    return run;
+}
+
+// SOP index: metadata-only summaries so the register and review list do not download every
+// document (and its step photos). Rebuilt from storage after SOP_INDEX_TTL_SECONDS, patched on writes.
+const INDEX_TTL_MS = (Number(process.env.SOP_INDEX_TTL_SECONDS) || 60) * 1000;
+const INDEX_MAX_LIMIT = 500;
+let sopIndex = null;
+let sopIndexBuilding = null;
+
+function summarizeSop(sopId, sop) {
+    return {
+        key: sopId,
+        meta: { ...(sop.meta || {}) },
+        savedAt: sop.savedAt || sop.revisedAt || '',
+        reviewedAt: sop.reviewedAt || '',
+        revision: Number(sop.revision) || 0,
+        revisedAt: sop.revisedAt || '',
+        revisedBy: sop.revisedBy || '',
+        stepCount: Array.isArray(sop.steps) ? sop.steps.length : 0,
+        // For spotting duplicate SOP requests without loading every SOP
+        stepTitles: Array.isArray(sop.steps) ? sop.steps.map(step => String(step.title || '').slice(0, 120)) : [],
+        revisionOf: sop.revisionOf || null,
+        approvalStage: pendingApprovalStage(sop)
+    };
+}
+
+async function getSopIndex(store) {
+    if (sopIndex && Date.now() - sopIndex.builtAt < INDEX_TTL_MS) return sopIndex.items;
+    if (!sopIndexBuilding) {
+        sopIndexBuilding = store.listSops().then(sops => {
+            const items = new Map();
+            Object.keys(sops).forEach(id => items.set(id, summarizeSop(id, sops[id])));
+            sopIndex = { builtAt: Date.now(), items };
+            return items;
+        }).finally(() => { sopIndexBuilding = null; });
+    }
+    return sopIndexBuilding;
+}
+
+/** Keep the cached index in step with a write on this instance (sop = null for a delete). */
+function updateSopIndex(sopId, sop) {
+    if (!sopIndex) return;
+    if (sop) sopIndex.items.set(sopId, summarizeSop(sopId, sop));
+    else sopIndex.items.delete(sopId);
+}
+
+/**
+ * Filter, sort (most recently updated first) and page index entries.
+ * Query: status and department (comma-separated for several), author (substring), updatedSince (ISO date),
+ * awaiting=me (SOPs whose current approval stage user can sign), limit, offset.
+ */
+function querySopIndex(items, params, user) {
+    const list = (name) => (params.get(name) || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const statuses = list('status');
+    const departments = list('department');
+    const author = (params.get('author') || '').trim().toLowerCase();
+    const since = params.get('updatedSince') ? Date.parse(params.get('updatedSince')) : NaN;
+    if (params.get('updatedSince') && isNaN(since)) throw httpError(400, 'updatedSince must be an ISO date');
+    const awaitingMe = params.get('awaiting') === 'me';
+    const updatedAt = (s) => Date.parse(s.revisedAt || s.savedAt || s.reviewedAt || '') || 0;
+
+    const matches = Array.from(items.values()).filter(s => {
+        const meta = s.meta;
+        if (statuses.length && !statuses.includes(String(meta.status || '').toLowerCase())) return false;
+        if (departments.length && !departments.includes(String(meta.department || '').toLowerCase())) return false;
+        if (author && !String(meta.author || '').toLowerCase().includes(author)) return false;
+        if (!isNaN(since) && updatedAt(s) < since) return false;
+        if (awaitingMe && !SopApproval.canSignStage(s.approvalStage, user)) return false;
+        return true;
+    }).sort((a, b) => updatedAt(b) - updatedAt(a));
+
+    const offset = Math.max(0, parseInt(params.get('offset'), 10) || 0);
+    const limit = Math.min(INDEX_MAX_LIMIT, Math.max(1, parseInt(params.get('limit'), 10) || INDEX_MAX_LIMIT));
+    return { items: matches.slice(offset, offset + limit), total: matches.length, limit, offset };
+}
+
+// Audit log: append-only and hash-chained. Each entry's hash covers its fields and the previous
+// entry's hash, so editing or removing a stored entry breaks the chain from that point on.
+const AUDIT_FIELDS = ['seq', 'at', 'action', 'sopId', 'revision', 'fromStatus', 'toStatus', 'reason', 'userEmail', 'userName', 'prevHash'];
+const AUDIT_GENESIS = '0'.repeat(64);
+const AUDIT_ACTIONS = ['created', 'edited', 'submitted', 'stage-approved', 'approved', 'superseded', 'reviewed', 'retired', 'rejected', 'deleted', 'restored', 'purged', 'id-reserved'];
+let auditEntries = null;
+
+function auditHash(entry) {
+    const values = AUDIT_FIELDS.map(f => (entry[f] === undefined ? null : entry[f]));
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+/** What a save did, judged from the status before and after. */
+function auditActionFor(existing, sop) {
+    const from = (existing && existing.meta && existing.meta.status) || '';
+    const to = (sop.meta && sop.meta.status) || '';
+    if (!existing) return 'created';
+    if (to === 'Approved' && from !== 'Approved') return 'approved';
+    if (to === 'Rejected' && from !== 'Rejected') return 'rejected';
+    if (to === 'Retired' && from !== 'Retired') return 'retired';
+    if (to === 'Under Review' && from !== 'Under Review') return 'submitted';
+    return 'edited';
+}
+
+/** Run fn with the loaded log under the audit lock (the log is read once, then kept in memory). */
+function withAuditLog(store, fn) {
+    return withSopLock('audit-log', async () => {
+        if (!auditEntries) auditEntries = await store.listAuditEntries();
+        return fn(auditEntries);
+    });
+}
+
+async function recordAudit(store, user, event) {
+    return withAuditLog(store, async (entries) => {
+        const last = entries[entries.length - 1];
+        const entry = {
+            seq: last ? last.seq + 1 : 1,
+            at: new Date().toISOString(),
+            action: event.action,
+            sopId: event.sopId || '',
+            revision: Number(event.revision) || 0,
+            fromStatus: event.fromStatus || '',
+            toStatus: event.toStatus || '',
+            reason: event.reason || '',
+            userEmail: user.email || '',
+            userName: user.name || '',
+            prevHash: last ? last.hash : AUDIT_GENESIS
+        };
+        entry.hash = auditHash(entry);
+        await store.appendAuditEntry(entry);
+        entries.push(entry);
+        return entry;
+    });
+}
+
+/** Recompute the chain. brokenAt is the seq of the first entry that does not match. */
+function verifyAuditChain(entries) {
+    let prevHash = AUDIT_GENESIS;
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.seq !== i + 1 || entry.prevHash !== prevHash || auditHash(entry) !== entry.hash) {
+            return { valid: false, checked: i, brokenAt: entry.seq || i + 1 };
+        }
+        prevHash = entry.hash;
     }
+    return { valid: true, checked: entries.length, brokenAt: null };
+}
 
-    let drive;
+/**
+ * Filter and page audit entries, newest first.
+ * Query: sopId, action (comma-separated), user (email or name substring), from / to (ISO dates), limit, offset.
+ */
+function queryAuditLog(entries, params) {
+    const actions = (params.get('action') || '').split(',').map(a => a.trim()).filter(Boolean);
+    const sopId = (params.get('sopId') || '').trim();
+    const who = (params.get('user') || '').trim().toLowerCase();
+    const from = params.get('from') ? Date.parse(params.get('from')) : NaN;
+    const to = params.get('to') ? Date.parse(params.get('to')) : NaN;
+    if ((params.get('from') && isNaN(from)) || (params.get('to') && isNaN(to))) throw httpError(400, 'from and to must be ISO dates');
+    const unknown = actions.find(a => !AUDIT_ACTIONS.includes(a));
+    if (unknown) throw httpError(400, `Unknown action "${unknown}" (use ${AUDIT_ACTIONS.join(', ')})`);
+    const matches = entries.filter(e => {
+        if (sopId && e.sopId !== sopId) return false;
+        if (actions.length && !actions.includes(e.action)) return false;
+        if (who && !(e.userEmail + ' ' + e.userName).toLowerCase().includes(who)) return false;
+        const at = Date.parse(e.at);
+        if (!isNaN(from) && at < from) return false;
+        if (!isNaN(to) && at > to) return false;
+        return true;
+    }).reverse();
+    const offset = Math.max(0, parseInt(params.get('offset'), 10) || 0);
+    const limit = Math.min(INDEX_MAX_LIMIT, Math.max(1, parseInt(params.get('limit'), 10) || INDEX_MAX_LIMIT));
+    return { entries: matches.slice(offset, offset + limit), total: matches.length, limit, offset };
+}
+
+// Recycle bin: deleted SOPs are kept as "recycle-bin" documents ({ sopId, sop, deletedAt, deletedBy,
+// reason, purgeAfter }) until restored, purged by an admin or past the retention period. Revisions and
+// audit entries are never removed.
+const RETENTION_USER = { id: '', email: '', name: 'Retention policy', roles: [] };
+
+function recycleBinSummary(entry) {
+    return {
+        sopId: entry.sopId,
+        meta: { ...((entry.sop && entry.sop.meta) || {}) },
+        revision: Number(entry.sop && entry.sop.revision) || 0,
+        deletedAt: entry.deletedAt,
+        deletedBy: entry.deletedBy,
+        reason: entry.reason,
+        purgeAfter: entry.purgeAfter
+    };
+}
+
+/** Purge entries past their retention date. Returns the entries that are left. */
+async function sweepRecycleBin(store) {
+    const now = Date.now();
+    const kept = [];
+    for (const entry of await store.listDocuments('recycle-bin')) {
+        if (Date.parse(entry.purgeAfter) > now) {
+            kept.push(entry);
+            continue;
+        }
+        await withSopLock(entry.sopId, async () => {
+            // Re-read under the lock in case it was restored meanwhile
+            if (!(await store.getDocument('recycle-bin', entry.sopId))) return;
+            await store.deleteDocument('recycle-bin', entry.sopId);
+            await recordAudit(store, RETENTION_USER, {
+                action: 'purged', sopId: entry.sopId, revision: entry.sop && entry.sop.revision,
+                reason: `Retention period of ${RECYCLE_RETENTION_DAYS} days ended`
+            });
+        });
+    }
+    return kept;
+}
+
+// Approval chains (sop-approval.js). SOP_APPROVAL_CHAINS (JSON) sets the stages per department, with a
+// "default" chain for the rest. sop.approval is owned by the server: clients cannot write it through POST /sops.
+function getApprovalChains() {
     try {
-        drive = getDrive();
+        return SopApproval.normalizeChains(parseJsonEnv('SOP_APPROVAL_CHAINS'));
     } catch (e) {
-        sendJson(res, 503, { error: 'Server not configured: ' + e.message });
-        return;
+        throw httpError(500, 'SOP_APPROVAL_CHAINS: ' + e.message);
     }
+}
 
+// Separation of duties (sop-approval.js). SOP_APPROVAL_RULES (JSON) sets them per department like the chains;
+// approver departments come from SOP_LOCAL_USERS entries ("department") or SOP_USER_DEPARTMENTS ({ "email": "Quality" }).
+function getApprovalRules() {
     try {
-        if (pathParts[0] === 'sops' && pathParts.length === 1) {
-            if (req.method === 'GET') {
-                const sops = await listSops(drive);
-                sendJson(res, 200, { sops });
+        return SopApproval.normalizeRules(parseJsonEnv('SOP_APPROVAL_RULES'));
+    } catch (e) {
+        throw httpError(500, 'SOP_APPROVAL_RULES: ' + e.message);
+    }
+}
+
+function departmentForEmail(email) {
+    const key = String(email || '').trim().toLowerCase();
+    const local = getLocalUsers()[key];
+    if (local && local.department) return String(local.department);
+    const map = parseJsonEnv('SOP_USER_DEPARTMENTS') || {};
+    const match = Object.keys(map).find(k => k.toLowerCase() === key);
+    return match ? String(map[match]) : '';
+}
+
+/** 403 with every reason when the rules do not let user take decision on the SOP's current stage. */
+function checkApprovalDuties(sop, user, decision) {
+    const signer = { ...user, department: departmentForEmail(user.email) };
+    const reasons = SopApproval.dutyViolations(sop, signer, decision, getApprovalRules());
+    if (reasons.length) throw httpError(403, reasons.join(' '), { reasons });
+}
+
+/** An admin approving by saving (skipping the chain) signs every stage left, so the same rules apply. */
+function checkSaveApprovalDuties(existing, user) {
+    const sop = JSON.parse(JSON.stringify(existing));
+    if (!SopApproval.currentStage(sop)) {
+        const submittedBy = sop.approval && sop.approval.submittedBy;
+        sop.approval = { ...SopApproval.startApproval(sop.meta.department, getApprovalChains(), new Date().toISOString()), submittedBy };
+    }
+    const approval = sop.approval;
+    for (; approval.current < approval.stages.length - 1; approval.current++) {
+        Object.assign(approval.stages[approval.current], { status: 'approved', by: user.name, byEmail: user.email });
+    }
+    checkApprovalDuties(sop, user, 'approve');
+}
+
+/**
+ * Carry the stored approval over a save; submitting (or editing what reviewers sign off) starts the chain again,
+ * recording who submitted it. A new revision of an approved SOP starts without the old sign-offs – they stay
+ * with the approved revision.
+ */
+function applyApprovalOnSave(existing, sop, user) {
+    const previous = existing && existing.approval;
+    const fromStatus = (existing && existing.meta && existing.meta.status) || '';
+    const revising = fromStatus === 'Approved' && sop.meta.status !== 'Approved';
+    if (sop.meta.status === 'Under Review') {
+        const unchanged = fromStatus === 'Under Review' && previous &&
+            SopApproval.approvalContentKey(existing) === SopApproval.approvalContentKey(sop);
+        sop.approval = unchanged ? previous : {
+            ...SopApproval.startApproval(sop.meta.department, getApprovalChains(), new Date().toISOString()),
+            submittedBy: { email: user.email, name: user.name }
+        };
+    } else if (previous && !revising) {
+        sop.approval = previous;
+    } else {
+        delete sop.approval;
+    }
+}
+
+/** Stage waiting for sign-off; SOPs submitted before approval chains start at their chain's first stage. */
+function pendingApprovalStage(sop) {
+    if (!sop.meta || sop.meta.status !== 'Under Review') return null;
+    const stage = SopApproval.currentStage(sop);
+    if (stage) return { index: sop.approval.current, of: sop.approval.stages.length, ...stage };
+    if (!sop.approval) {
+        const chain = SopApproval.chainFor(sop.meta.department, getApprovalChains());
+        return { index: 0, of: chain.length, ...chain[0] };
+    }
+    return null;
+}
+
+/** Electronic signatures: the signer re-enters the password of the account the session belongs to. */
+async function reauthenticate(user, password) {
+    if (AUTH_DISABLED) throw httpError(403, 'Electronic signatures need sign-in – unset SOP_AUTH_DISABLED');
+    if (!password) throw httpError(400, 'password is required to sign');
+    const signer = await signIn(user.email, password);
+    if (!signer || signer.email !== String(user.email || '').toLowerCase()) throw httpError(403, 'Signature not accepted: incorrect password');
+    return signer;
+}
+
+function approvalContentHash(sop) {
+    return crypto.createHash('sha256').update(SopApproval.approvalContentKey(sop)).digest('hex');
+}
+
+function oneYearFrom(date) {
+    const next = new Date(date);
+    next.setFullYear(next.getFullYear() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+/** A review date sent by the client: "YYYY-MM-DD" after today, or 400. Returns it trimmed ('' when not sent). */
+function checkReviewDate(value) {
+    const reviewDate = String(value || '').trim();
+    if (reviewDate && !(/^\d{4}-\d{2}-\d{2}$/.test(reviewDate) &&
+        SopReviewSchedule.dayNumber(reviewDate) > SopReviewSchedule.dayNumber(new Date()))) {
+        throw httpError(400, 'reviewDate must be a date after today');
+    }
+    return reviewDate;
+}
+
+// Versions (sop-versioning.js). The version is not the client's to set: it stays fixed while a revision is
+// worked on, and leaving Approved must move to the next major or minor version with a change reason (the
+// X-Change-Reason header, or the reason the editor put in sop.revisionOf). Returns the reason to record.
+function applyVersionOnSave(existing, sop, reason) {
+    if (!existing) {
+        sop.meta.version = sop.meta.version || SopVersioning.FIRST_VERSION;
+        delete sop.revisionOf;
+        return reason;
+    }
+    const fromVersion = existing.meta.version || '';
+    const contentChanged = SopApproval.approvalContentKey(existing) !== SopApproval.approvalContentKey(sop);
+    if (existing.meta.status === 'Retired') {
+        if (contentChanged) throw httpError(409, 'Retired SOPs cannot be changed');
+        return reason;
+    }
+    if (existing.meta.status === 'Approved') {
+        // Only Draft / Under Review start a new revision; any other status is left to checkLifecycle().
+        if (sop.meta.status !== 'Draft' && sop.meta.status !== 'Under Review') {
+            if (contentChanged) {
+                throw httpError(409, 'Approved SOPs change through a new revision – save it as a Draft at the next version with a change reason');
+            }
+            return reason;
+        }
+        const bump = SopVersioning.bumpBetween(fromVersion, sop.meta.version);
+        if (!bump) {
+            throw httpError(400, `A new revision of version ${fromVersion || 'N/A'} is ${SopVersioning.nextVersion(fromVersion, 'minor')} (minor) or ${SopVersioning.nextVersion(fromVersion, 'major')} (major)`);
+        }
+        const why = String((sop.revisionOf && sop.revisionOf.reason) || '').trim().slice(0, 1000) || reason;
+        if (!why) throw httpError(400, 'A change reason is required to revise an approved SOP');
+        sop.revisionOf = { version: fromVersion, revision: Number(existing.revision) || 0, bump, reason: why };
+        return reason || why;
+    }
+    sop.meta.version = fromVersion || sop.meta.version || SopVersioning.FIRST_VERSION;
+    if (existing.revisionOf && sop.meta.status !== 'Approved') sop.revisionOf = existing.revisionOf;
+    else delete sop.revisionOf;
+    return reason;
+}
+
+// Lifecycle (sop-lifecycle.js): every status change a user makes is checked against the allowed transitions.
+const LIFECYCLE_ERROR_STATUS = { 'not-allowed': 409, forbidden: 403, incomplete: 400 };
+
+/** Check existing → sop's status for user; context: { reason, comments, viaApprovalChain }. Returns the transition or null. */
+function checkLifecycle(existing, sop, user, context = {}) {
+    const from = existing ? SopLifecycle.normalizeStatus(existing.meta && existing.meta.status) : '';
+    try {
+        return SopLifecycle.checkTransition(from, sop.meta.status, { roles: user.roles, sop, ...context });
+    } catch (e) {
+        throw httpError(LIFECYCLE_ERROR_STATUS[e.code] || 400, e.message);
+    }
+}
+
+/** An approved revision takes effect on the day it is approved. */
+function completeRevision(existing, sop, at) {
+    if (existing && existing.revisionOf) sop.meta.effectiveDate = at.slice(0, 10);
+    delete sop.revisionOf;
+}
+
+/**
+ * Add sop (just approved) to its released versions – one { sopId, versions } document per SOP in the
+ * "releases" collection – and audit the version it supersedes. SOPs approved before releases were kept
+ * get their last approved revision recorded first so it can be superseded too.
+ */
+async function releaseApprovedRevision(store, sop, user) {
+    const sopId = sop.meta.sopId;
+    const revision = Number(sop.revision) || 0;
+    const superseded = await withSopLock('releases:' + sopId, async () => {
+        const doc = (await store.getDocument('releases', sopId)) || { sopId, versions: [] };
+        if (SopVersioning.releaseFor(doc.versions, revision)) return [];
+        if (doc.versions.length === 0) {
+            const previous = (await store.listRevisions(sopId)).find(r => r.status === 'Approved' && r.rev < revision);
+            const record = previous && await store.getRevision(sopId, previous.rev);
+            if (record) doc.versions.push(releaseEntry(record.content, record.rev, record.savedAt, record.author && record.author.name));
+        }
+        const result = SopVersioning.addRelease(doc.versions, releaseEntry(sop, revision, sop.revisedAt || new Date().toISOString(), user.name || user.email));
+        await store.putDocument('releases', sopId, doc);
+        return result;
+    });
+    for (const old of superseded) {
+        await recordAudit(store, user, {
+            action: 'superseded', sopId, revision: old.revision, fromStatus: 'Approved', toStatus: 'Superseded',
+            reason: `Version ${old.version || 'N/A'} superseded by version ${sop.meta.version || 'N/A'} (revision ${revision})`
+        });
+    }
+}
+
+function releaseEntry(sop, revision, approvedAt, approvedBy) {
+    const meta = sop.meta || {};
+    return {
+        version: meta.version || '', revision, title: meta.title || '', department: meta.department || '', author: meta.author || '',
+        effectiveDate: meta.effectiveDate || '', approvedAt, approvedBy: approvedBy || ''
+    };
+}
+
+/** A revision as it should be printed: superseded and retired versions carry that status (and so the watermark). */
+async function revisionForPrint(store, sopId, record) {
+    const doc = await store.getDocument('releases', sopId);
+    const release = SopVersioning.releaseFor(doc && doc.versions, record.rev);
+    if (!release || release.status === 'Approved') return record.content;
+    return { ...record.content, meta: { ...record.content.meta, status: release.status } };
+}
+
+/** Retiring an SOP withdraws its released version too, so GET /releases?status=Approved no longer lists it. */
+async function retireRelease(store, sop, user, at) {
+    const sopId = sop.meta.sopId;
+    await withSopLock('releases:' + sopId, async () => {
+        const doc = await store.getDocument('releases', sopId);
+        const current = doc && doc.versions.find(v => v.status === 'Approved');
+        if (!current) return;
+        Object.assign(current, { status: 'Retired', retiredAt: at, retiredBy: user.name || user.email });
+        await store.putDocument('releases', sopId, doc);
+    });
+}
+
+// Periodic reviews (sop-review-schedule.js). From SOP_REVIEW_DUE_DAYS before an Approved SOP's review date the
+// owner (its author) and the department heads (SOP_DEPARTMENT_HEADS: { "Production": ["lead@…"] }) are emailed,
+// once when it is due soon and once when it is overdue. Sent notices are kept per SOP in "review-notices"
+// ({ sopId, reviewDate, sent: { 'due-soon': { at, to } } }) and start over when the review date moves.
+const REVIEW_DUE_SOON_DAYS = Number(process.env.SOP_REVIEW_DUE_DAYS) || SopReviewSchedule.DEFAULT_DUE_SOON_DAYS;
+const REVIEW_CHECK_HOURS = Number(process.env.SOP_REVIEW_CHECK_HOURS ?? 24) || 0;
+const CRON_SECRET = process.env.SOP_CRON_SECRET || '';
+const EMAILJS_SEND_URL = 'https://api.emailjs.com/api/v1.0/email/send';
+
+/** The EmailJS service and template the app's email settings use, or null when not configured. */
+function getEmailConfig() {
+    const config = {
+        serviceId: process.env.SOP_EMAILJS_SERVICE_ID || '',
+        templateId: process.env.SOP_EMAILJS_TEMPLATE_ID || '',
+        publicKey: process.env.SOP_EMAILJS_PUBLIC_KEY || '',
+        privateKey: process.env.SOP_EMAILJS_PRIVATE_KEY || ''
+    };
+    return config.serviceId && config.templateId && config.publicKey ? config : null;
+}
+
+async function sendEmail(config, params) {
+    const res = await fetch(EMAILJS_SEND_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            service_id: config.serviceId, template_id: config.templateId, user_id: config.publicKey,
+            accessToken: config.privateKey || undefined, template_params: params
+        })
+    });
+    if (!res.ok) throw new Error(`EmailJS ${res.status}: ${await res.text()}`);
+}
+
+function getDepartmentHeads(department) {
+    const heads = parseJsonEnv('SOP_DEPARTMENT_HEADS') || {};
+    const list = heads[department] || [];
+    return (Array.isArray(list) ? list : [list]).map(e => String(e).trim().toLowerCase()).filter(Boolean);
+}
+
+/** The author's email: a local account with the author's name, else whoever created the SOP. */
+async function reviewOwnerEmail(store, item) {
+    const users = getLocalUsers();
+    const name = item.author.trim().toLowerCase();
+    const email = name && Object.keys(users).find(e => String(users[e].name || '').trim().toLowerCase() === name);
+    if (email) return email;
+    const first = (await store.listRevisions(item.sopId)).filter(r => r.author && r.author.email).pop();
+    return first ? first.author.email.toLowerCase() : '';
+}
+
+/**
+ * Email owners and department heads about reviews that are due soon or overdue and not yet notified in that
+ * state. Notices are only marked sent once the email went out, so a failure is retried on the next run.
+ */
+async function runReviewSchedule(store) {
+    const index = await getSopIndex(store);
+    const items = SopReviewSchedule.reviewsDue(Array.from(index.values()), new Date(), REVIEW_DUE_SOON_DAYS);
+    const email = getEmailConfig();
+    const result = { checkedAt: new Date().toISOString(), due: items.length, sent: 0, failed: 0, emailConfigured: !!email };
+    if (!email) return result;
+    for (const item of items) {
+        await withSopLock('review-notices:' + item.sopId, async () => {
+            let doc = await store.getDocument('review-notices', item.sopId);
+            if (!doc || doc.reviewDate !== item.reviewDate) doc = { sopId: item.sopId, reviewDate: item.reviewDate, sent: {} };
+            if (doc.sent[item.state]) return;
+            const to = [await reviewOwnerEmail(store, item), ...getDepartmentHeads(item.department)]
+                .filter((e, i, all) => e && all.indexOf(e) === i);
+            if (to.length === 0) return;
+            try {
+                for (const recipient of to) {
+                    await sendEmail(email, {
+                        to_email: recipient, sop_title: item.title || 'Untitled SOP', sop_id: item.sopId,
+                        sop_department: item.department || 'N/A', sop_author: item.author || 'N/A',
+                        sop_reviewer: 'N/A', sop_version: item.version || 'N/A', pdf_content: '',
+                        message: SopReviewSchedule.reviewMessage(item)
+                    });
+                }
+            } catch (e) {
+                console.warn(`Review notice for ${item.sopId} not sent:`, e.message);
+                result.failed++;
                 return;
             }
-            if (req.method === 'POST') {
-                let body = '';
-                for await (const chunk of req) body += chunk;
-                const sop = JSON.parse(body || '{}');
-                await saveSop(drive, sop);
-                sendJson(res, 200, { ok: true });
+            doc.sent[item.state] = { at: new Date().toISOString(), to };
+            await store.putDocument('review-notices', item.sopId, doc);
+            result.sent++;
+        });
+    }
+    return result;
+}
+
+/** Due and overdue reviews with the notices already sent for them. */
+async function listReviewsDue(store) {
+    const index = await getSopIndex(store);
+    const items = SopReviewSchedule.reviewsDue(Array.from(index.values()), new Date(), REVIEW_DUE_SOON_DAYS);
+    const notices = new Map((await store.listDocuments('review-notices')).map(doc => [doc.sopId, doc]));
+    return items.map(item => {
+        const doc = notices.get(item.sopId);
+        return { ...item, notified: doc && doc.reviewDate === item.reviewDate ? doc.sent : {} };
+    });
+}
+
+let reviewRun = null;
+/** One run at a time per instance; the timer and POST /reviews/run share it. */
+function runReviewScheduleOnce(store) {
+    if (!reviewRun) reviewRun = runReviewSchedule(store).finally(() => { reviewRun = null; });
+    return reviewRun;
+}
+
+// Review comments (sop-comments.js): one { sopId, threads } document per SOP in the "comments" collection,
+// kept outside the SOP so discussing it never creates a revision or clashes with the author's saves.
+function commentAuthor(user) {
+    return { email: user.email || '', name: user.name || user.email || '' };
+}
+
+/** Run fn(threads) under the SOP's comment lock and store the threads afterwards. Returns fn's result. */
+function updateSopComments(store, sopId, fn) {
+    return withSopLock('comments:' + sopId, async () => {
+        const doc = (await store.getDocument('comments', sopId)) || { sopId, threads: [] };
+        let result;
+        try {
+            result = fn(doc.threads);
+        } catch (e) {
+            throw e.status ? e : httpError(e.message === 'Comment thread not found' ? 404 : 400, e.message);
+        }
+        await store.putDocument('comments', sopId, doc);
+        return result;
+    });
+}
+
+// SOP requests (sop-requests.js): one document per request in the "requests" collection. Anyone signed in can
+// raise and start them; accepting, declining and completing by hand is for reviewers and approvers.
+const REQUEST_ID_PATTERN = /^req-[A-Za-z0-9-]{1,60}$/;
+const REQUEST_MANAGER_STATUSES = ['Accepted', 'Declined', 'Completed'];
+
+/** Run fn(request) under the request's lock and store it afterwards. Returns the request. */
+function updateRequest(store, id, fn) {
+    return withSopLock('request:' + id, async () => {
+        const request = await store.getDocument('requests', id);
+        if (!request) throw httpError(404, 'Request not found');
+        try {
+            fn(request);
+        } catch (e) {
+            throw e.status ? e : httpError(/cannot go from|cannot be changed|cannot be voted for|already asked/.test(e.message) ? 409 : 400, e.message);
+        }
+        await store.putDocument('requests', id, request);
+        return request;
+    });
+}
+
+function isRequestSubmitter(request, user) {
+    return !!request.submittedBy.email && request.submittedBy.email === String(user.email || '').toLowerCase();
+}
+
+/** An SOP saved with a requestId links that request to it (and marks it In Progress). */
+async function linkRequestToSop(store, sop, user) {
+    const request = sop.requestId && await store.getDocument('requests', sop.requestId);
+    if (!request || !SopRequests.isOpen(request)) return;
+    if (request.sopId === sop.meta.sopId && request.status === 'In Progress') return;
+    await updateRequest(store, request.id, r => SopRequests.linkSop(r, sop.meta.sopId, { at: new Date().toISOString(), by: user }));
+}
+
+/** Approving an SOP completes the open requests it answers. */
+async function completeRequestsForSop(store, sop, user) {
+    const at = new Date().toISOString();
+    for (const request of SopRequests.requestsForSop(await store.listDocuments('requests'), sop)) {
+        await updateRequest(store, request.id, r => SopRequests.completeForSop([r], sop, { at, by: user }));
+    }
+}
+
+// SOP tasks (sop-tasks.js): one document per task in the "tasks" collection, addressed by id. Anyone signed in
+// can raise, assign, start, complete and comment on them; deleting is for whoever raised one, reviewers and approvers.
+const TASK_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9@&._-]{0,119}$/;
+const TASK_FIELDS = ['title', 'department', 'submittedBy', 'assignedTo', 'assigneeEmail', 'priority', 'description', 'dueDate', 'sopId', 'reviewState'];
+
+function updateTask(store, id, fn) {
+    return withSopLock('task:' + id, async () => {
+        const task = await store.getDocument('tasks', id);
+        if (!task) throw httpError(404, 'Task not found');
+        const upgraded = SopTasks.upgradeTask(task);
+        let result;
+        try {
+            result = fn(upgraded);
+        } catch (e) {
+            throw e.status ? e : httpError(/cannot go from|cannot be changed/.test(e.message) ? 409 : 400, e.message);
+        }
+        await store.putDocument('tasks', id, upgraded);
+        return { task: upgraded, result };
+    });
+}
+
+function isTaskCreator(task, user) {
+    return !!(task.createdBy && task.createdBy.email) && task.createdBy.email === String(user.email || '').toLowerCase();
+}
+
+// SOP ID allocation. Each department has a scheme; SOP_ID_SCHEMES (JSON) overrides it per department:
+//   { "Production": { "code": "PROD", "pattern": "{code}-{YYYY}-{MM}-{DD}-{seq}", "digits": 3, "reset": "month" } }
+// reset is "month", "year" or "never": when the sequence starts again at 1. Dates use the server's TZ.
+const DEPARTMENT_CODES = { 'Production': 'PROD', 'Engineering': 'ENG', 'Compliance': 'COMP', 'Health and Safety': 'H&S' };
+const DEFAULT_ID_SCHEME = { pattern: '{code}-{YYYY}-{MM}-{DD}-{seq}', digits: 3, reset: 'month' };
+const ID_RESET_PERIODS = ['month', 'year', 'never'];
+
+function getIdScheme(department) {
+    const custom = (parseJsonEnv('SOP_ID_SCHEMES') || {})[department] || {};
+    const scheme = { ...DEFAULT_ID_SCHEME, code: DEPARTMENT_CODES[department] || 'GEN', ...custom };
+    if (!ID_RESET_PERIODS.includes(scheme.reset)) throw httpError(500, `SOP_ID_SCHEMES: reset for ${department} must be month, year or never`);
+    if (!String(scheme.pattern).includes('{seq}')) throw httpError(500, `SOP_ID_SCHEMES: pattern for ${department} needs {seq}`);
+    return scheme;
+}
+
+function idDateParts(date) {
+    return {
+        YYYY: String(date.getFullYear()),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        DD: String(date.getDate()).padStart(2, '0')
+    };
+}
+
+function formatSopId(scheme, date, seq) {
+    const parts = { ...idDateParts(date), code: scheme.code, seq: String(seq).padStart(Number(scheme.digits) || 1, '0') };
+    return scheme.pattern.replace(/\{(code|YYYY|MM|DD|seq)\}/g, (m, token) => parts[token]);
+}
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Regex matching IDs this scheme produced in the current period; group 1 is the sequence. */
+function sopIdMatcher(scheme, date) {
+    const parts = idDateParts(date);
+    const fixed = { code: scheme.code, YYYY: scheme.reset === 'never' ? null : parts.YYYY, MM: scheme.reset === 'month' ? parts.MM : null };
+    const source = scheme.pattern.split(/\{(code|YYYY|MM|DD|seq)\}/).map((piece, i) => {
+        if (i % 2 === 0) return escapeRegExp(piece); // literal text between tokens
+        if (piece === 'seq') return '(\\d+)';
+        if (fixed[piece]) return escapeRegExp(fixed[piece]);
+        return piece === 'YYYY' ? '\\d{4}' : '\\d{2}';
+    }).join('');
+    return new RegExp('^' + source + '$');
+}
+
+/**
+ * Reserve the next ID for a department. The counter lives in storage ("counters" documents) and is
+ * read-incremented-written under a lock; a missing counter starts after the highest existing SOP ID,
+ * and an ID that is somehow already taken is skipped.
+ */
+async function reserveSopId(store, department, user) {
+    const scheme = getIdScheme(department);
+    const now = new Date();
+    const parts = idDateParts(now);
+    const period = scheme.reset === 'month' ? `${parts.YYYY}-${parts.MM}` : scheme.reset === 'year' ? parts.YYYY : 'all';
+    const counterId = `${scheme.code}@${period}`;
+    return withSopLock('sop-id-counter:' + counterId, async () => {
+        const index = await getSopIndex(store);
+        const counter = await store.getDocument('counters', counterId);
+        let seq = counter ? counter.last : 0;
+        if (!counter) {
+            const matcher = sopIdMatcher(scheme, now);
+            index.forEach((summary, id) => {
+                const match = matcher.exec(id);
+                if (match) seq = Math.max(seq, parseInt(match[1], 10));
+            });
+        }
+        let sopId;
+        do {
+            seq++;
+            sopId = formatSopId(scheme, now, seq);
+        } while (index.has(sopId));
+        await store.putDocument('counters', counterId, {
+            id: counterId, department, last: seq, lastSopId: sopId,
+            reservedBy: user.email || user.name || '', reservedAt: now.toISOString()
+        });
+        await recordAudit(store, user, { action: 'id-reserved', sopId, reason: department });
+        return { sopId, department, sequence: seq };
+    });
+}
+
+let storage = null;
+function getStorage() {
+    if (storage) return storage;
+    try {
+        storage = createStorage();
+    } catch (e) {
+        throw httpError(503, 'Server not configured: ' + e.message);
+    }
+    return storage;
+}
+
+// Routes: path segments starting with ':' are parameters; roles lists who may call the route.
+const ANY_ROLE = ROLES;
+const routes = [
+    {
+        method: 'GET', path: ['health'], public: true,
+        handler: async ({ res }) => sendJson(res, 200, { ok: true })
+    },
+    {
+        method: 'POST', path: ['auth', 'session'], public: true,
+        handler: async ({ req, res }) => {
+            const { email, password } = await readJsonBody(req);
+            const user = await signIn(email, password);
+            if (!user) throw httpError(401, 'Incorrect email or password');
+            if (user.roles.length === 0) throw httpError(403, 'No SOP roles assigned to this account');
+            sendJson(res, 200, { ...issueSessionToken(user), user });
+        }
+    },
+    {
+        method: 'GET', path: ['me'], roles: ANY_ROLE,
+        handler: async ({ res, user }) => sendJson(res, 200, { user })
+    },
+    {
+        // Separation-of-duties rules and the caller's department, so the app can explain a block before signing
+        method: 'GET', path: ['approval-rules'], roles: ANY_ROLE,
+        handler: async ({ res, user }) => sendJson(res, 200, { rules: getApprovalRules(), department: departmentForEmail(user.email) })
+    },
+    {
+        method: 'GET', path: ['sops', 'index'], roles: ANY_ROLE,
+        handler: async ({ res, url, user }) => {
+            const items = await getSopIndex(getStorage());
+            sendJson(res, 200, querySopIndex(items, url.searchParams, user));
+        }
+    },
+    {
+        method: 'GET', path: ['sops'], roles: ANY_ROLE,
+        handler: async ({ res, url, user }) => {
+            if (url.searchParams.get('fields') === 'meta') {
+                // Same entries as /sops/index, keyed by SOP ID like the full listing
+                const page = querySopIndex(await getSopIndex(getStorage()), url.searchParams, user);
+                const sops = {};
+                page.items.forEach(s => { sops[s.key] = s; });
+                sendJson(res, 200, { sops, total: page.total, limit: page.limit, offset: page.offset });
                 return;
             }
+            const sops = await getStorage().listSops();
+            Object.keys(sops).forEach(id => { sops[id] = withEtag(sops[id]); });
+            sendJson(res, 200, { sops });
         }
-        if (pathParts[0] === 'sops' && pathParts.length === 2) {
-            const id = decodeURIComponent(pathParts[1]);
-            if (req.method === 'GET') {
-                const sop = await getSop(drive, id);
-                if (!sop) {
-                    sendJson(res, 404, { error: 'Not found' });
-                    return;
+    },
+    {
+        method: 'POST', path: ['sops'], roles: ['author', 'reviewer', 'approver'],
+        handler: async ({ req, res, user }) => {
+            const store = getStorage();
+            const sop = await readJsonBody(req);
+            const sopId = sop && sop.meta && sop.meta.sopId;
+            if (!sopId) throw httpError(400, 'meta.sopId is required');
+            // "." and ".." would name folders rather than an SOP in file-based storage
+            if (/^\.+$/.test(String(sopId))) throw httpError(400, 'meta.sopId is not a valid SOP ID');
+            await withSopLock(sopId, async () => {
+                const existing = await store.getSop(sopId);
+                checkPreconditions(req, existing);
+                const fromStatus = (existing && existing.meta && existing.meta.status) || '';
+                // A save without a status keeps the stored one
+                sop.meta.status = sop.meta.status || (existing ? SopLifecycle.normalizeStatus(fromStatus) : 'Draft');
+                const toStatus = sop.meta.status;
+                const reason = applyVersionOnSave(existing, sop, readChangeReason(req));
+                // Approval and rejection go through every stage of the chain (POST /sops/:id/approval); only admins can skip it
+                checkLifecycle(existing, sop, user, { reason });
+                const approving = toStatus === 'Approved' && fromStatus !== 'Approved';
+                if (approving) checkSaveApprovalDuties(existing, user);
+                applyApprovalOnSave(existing, sop, user);
+                if (approving) completeRevision(existing, sop, new Date().toISOString());
+                const movedImages = await externalizeImages(store, sop);
+                const previousRevision = (existing && Number(existing.revision)) || 0;
+                const revision = await recordRevision(store, sop, existing, user, reason);
+                await store.saveSop(sop);
+                updateSopIndex(sopId, sop);
+                await linkRequestToSop(store, sop, user);
+                if (revision !== previousRevision) {
+                    await recordAudit(store, user, {
+                        action: auditActionFor(existing, sop), sopId, revision, fromStatus, toStatus, reason
+                    });
+                    if (approving) {
+                        await releaseApprovedRevision(store, sop, user);
+                        await completeRequestsForSop(store, sop, user);
+                    }
+                    if (toStatus === 'Retired' && fromStatus !== 'Retired') await retireRelease(store, sop, user, sop.revisedAt);
                 }
-                sendJson(res, 200, sop);
+                res.setHeader('ETag', etagFor(sop));
+                const result = { ok: true, revision, revisedAt: sop.revisedAt || '' };
+                // Let the client swap its inline copies for the stored references
+                if (movedImages > 0) result.steps = sop.steps.map(step => ({ id: step.id, images: step.images }));
+                sendJson(res, 200, result);
+            });
+        }
+    },
+    {
+        // Sign off (or return) the current approval stage as an electronic signature.
+        // Body: { decision: 'approve' | 'reject', comments, reviewDate, password }
+        method: 'POST', path: ['sops', ':id', 'approval'], roles: ['reviewer', 'approver'],
+        handler: async ({ req, res, params, user }) => {
+            const store = getStorage();
+            const body = await readJsonBody(req);
+            const decision = body && body.decision;
+            if (decision !== 'approve' && decision !== 'reject') throw httpError(400, 'decision must be "approve" or "reject"');
+            const comments = String(body.comments || '').trim();
+            if (decision === 'reject' && !comments) throw httpError(400, 'comments are required when returning an SOP');
+            const reviewDate = checkReviewDate(body.reviewDate);
+            await withSopLock(params.id, async () => {
+                const existing = await store.getSop(params.id);
+                if (!existing) throw httpError(404, 'Not found');
+                checkPreconditions(req, existing);
+                if (!existing.meta || existing.meta.status !== 'Under Review') throw httpError(409, 'This SOP is not under review');
+                const sop = JSON.parse(JSON.stringify(existing));
+                // An SOP put under review before approval chains existed: its chain starts from that save
+                if (!sop.approval) sop.approval = SopApproval.startApproval(sop.meta.department, getApprovalChains(), sop.revisedAt || sop.savedAt || new Date().toISOString());
+                const stage = SopApproval.currentStage(sop);
+                if (!SopApproval.canSignStage(stage, user)) {
+                    throw httpError(403, `This SOP is waiting for ${stage ? stage.name : 'another'} sign-off`);
+                }
+                checkApprovalDuties(sop, user, decision);
+                await reauthenticate(user, body.password);
+                const at = new Date().toISOString();
+                const signature = {
+                    signer: { id: user.id, email: user.email, name: user.name },
+                    meaning: SopApproval.signatureMeaning(stage, decision),
+                    signedAt: at,
+                    revision: Number(existing.revision) || 0,
+                    contentHash: approvalContentHash(existing),
+                    method: 'password'
+                };
+                const fromStatus = sop.meta.status;
+                const result = SopApproval.applyDecision(sop, { decision, user, comments, at, signature });
+                if (result.final) {
+                    sop.meta.reviewDate = reviewDate || oneYearFrom(at);
+                    completeRevision(existing, sop, at);
+                }
+                checkLifecycle(existing, sop, user, { comments, viaApprovalChain: true });
+                const reason = decision === 'approve'
+                    ? `${result.stage.name} approved by ${result.stage.by}`
+                    : `Returned for changes at ${result.stage.name} by ${result.stage.by}: ${comments}`;
+                const revision = await recordRevision(store, sop, existing, user, reason);
+                await store.saveSop(sop);
+                updateSopIndex(params.id, sop);
+                const action = decision === 'reject' ? 'rejected' : (result.final ? 'approved' : 'stage-approved');
+                await recordAudit(store, user, { action, sopId: params.id, revision, fromStatus, toStatus: sop.meta.status, reason });
+                if (result.final) {
+                    await releaseApprovedRevision(store, sop, user);
+                    await completeRequestsForSop(store, sop, user);
+                }
+                res.setHeader('ETag', etagFor(sop));
+                sendJson(res, 200, { ok: true, revision, final: result.final, stage: result.stage, sop: withEtag(sop) });
+            });
+        }
+    },
+    {
+        method: 'POST', path: ['sop-ids'], roles: ['author', 'reviewer', 'approver'],
+        handler: async ({ req, res, user }) => {
+            const { department } = await readJsonBody(req);
+            if (!department || typeof department !== 'string') throw httpError(400, 'department is required');
+            sendJson(res, 200, await reserveSopId(getStorage(), department.trim(), user));
+        }
+    },
+    {
+        method: 'GET', path: ['sops', ':id'], roles: ANY_ROLE,
+        handler: async ({ res, params }) => {
+            const sop = await getStorage().getSop(params.id);
+            if (!sop) throw httpError(404, 'Not found');
+            res.setHeader('ETag', etagFor(sop));
+            sendJson(res, 200, withEtag(sop));
+        }
+    },
+    {
+        method: 'GET', path: ['sops', ':id', 'revisions'], roles: ANY_ROLE,
+        handler: async ({ res, params }) => {
+            const revisions = await getStorage().listRevisions(params.id);
+            sendJson(res, 200, { revisions });
+        }
+    },
+    {
+        method: 'GET', path: ['sops', ':id', 'revisions', ':rev'], roles: ANY_ROLE,
+        handler: async ({ res, params }) => {
+            const rev = parseInt(params.rev, 10);
+            if (!(rev > 0)) throw httpError(400, 'Revision must be a positive number');
+            const record = await getStorage().getRevision(params.id, rev);
+            if (!record) throw httpError(404, 'Revision not found');
+            sendJson(res, 200, record);
+        }
+    },
+    {
+        // ?rev=N renders that revision; the same revision always gives the same bytes
+        method: 'GET', path: ['sops', ':id', 'pdf'], roles: ANY_ROLE,
+        handler: async ({ req, res, url, params }) => {
+            const store = getStorage();
+            let sop;
+            if (url.searchParams.has('rev')) {
+                const rev = parseInt(url.searchParams.get('rev'), 10);
+                if (!(rev > 0)) throw httpError(400, 'Revision must be a positive number');
+                const record = await store.getRevision(params.id, rev);
+                if (!record) throw httpError(404, 'Revision not found');
+                sop = await revisionForPrint(store, params.id, record);
+            } else {
+                sop = await store.getSop(params.id);
+                if (!sop) throw httpError(404, 'Not found');
+            }
+            // A revision prints differently once it is superseded or retired (watermark)
+            const watermarked = ['Superseded', 'Retired'].includes(sop.meta.status);
+            const etag = `"pdf-${Number(sop.revision) || 0}${watermarked ? '-' + sop.meta.status.toLowerCase() : ''}"`;
+            res.setHeader('ETag', etag);
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304);
+                res.end();
                 return;
             }
-            if (req.method === 'DELETE') {
-                await deleteSop(drive, id);
+            const pdf = await renderSopPdfBuffer(store, sop);
+            const fileName = getPdfRenderer().sopPdfBaseName(sop) + (sop.revision ? `_rev${sop.revision}` : '') + '.pdf';
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="${fileName.replace(/[^\w.-]/g, '_')}"`);
+            res.writeHead(200);
+            res.end(pdf);
+        }
+    },
+    {
+        method: 'GET', path: ['sops', ':id', 'releases'], roles: ANY_ROLE,
+        handler: async ({ res, params }) => {
+            const doc = await getStorage().getDocument('releases', params.id);
+            sendJson(res, 200, { versions: (doc && doc.versions) || [] });
+        }
+    },
+    {
+        // Released versions of every SOP, newest approval first. Query: status (Approved or Superseded)
+        method: 'GET', path: ['releases'], roles: ANY_ROLE,
+        handler: async ({ res, url }) => {
+            const status = (url.searchParams.get('status') || '').trim().toLowerCase();
+            const releases = [];
+            (await getStorage().listDocuments('releases')).forEach(doc => {
+                (doc.versions || []).forEach(v => {
+                    if (!status || String(v.status).toLowerCase() === status) releases.push({ sopId: doc.sopId, ...v });
+                });
+            });
+            releases.sort((a, b) => String(b.approvedAt).localeCompare(String(a.approvedAt)));
+            sendJson(res, 200, { releases });
+        }
+    },
+    {
+        method: 'GET', path: ['reviews', 'due'], roles: ANY_ROLE,
+        handler: async ({ res }) => {
+            sendJson(res, 200, { dueSoonDays: REVIEW_DUE_SOON_DAYS, items: await listReviewsDue(getStorage()) });
+        }
+    },
+    {
+        // Send due review notices now. Cloud Scheduler calls this with X-Cron-Secret: SOP_CRON_SECRET; admins may too.
+        method: 'POST', path: ['reviews', 'run'], public: true,
+        handler: async ({ req, res }) => {
+            const secret = Buffer.from(String(req.headers['x-cron-secret'] || ''));
+            const fromScheduler = CRON_SECRET && secret.length === Buffer.byteLength(CRON_SECRET) &&
+                crypto.timingSafeEqual(secret, Buffer.from(CRON_SECRET));
+            if (!fromScheduler) {
+                const user = await authenticate(req);
+                if (!user) throw httpError(401, 'Sign in required');
+                if (!hasRole(user, ['admin'])) throw httpError(403, 'Your role does not allow this action');
+            }
+            sendJson(res, 200, await runReviewScheduleOnce(getStorage()));
+        }
+    },
+    {
+        // Confirm a periodic review that needed no changes: the SOP stays at its version with a new review date.
+        // Body: { comments, reviewDate } – reviewDate defaults to a year from today.
+        method: 'POST', path: ['sops', ':id', 'review'], roles: ['reviewer', 'approver'],
+        handler: async ({ req, res, params, user }) => {
+            const store = getStorage();
+            const body = await readJsonBody(req) || {};
+            const today = new Date().toISOString();
+            const reviewDate = checkReviewDate(body.reviewDate) || oneYearFrom(today);
+            const comments = String(body.comments || '').trim().slice(0, 1000);
+            await withSopLock(params.id, async () => {
+                const existing = await store.getSop(params.id);
+                if (!existing) throw httpError(404, 'Not found');
+                checkPreconditions(req, existing);
+                if (!existing.meta || existing.meta.status !== 'Approved') throw httpError(409, 'Only Approved SOPs have periodic reviews');
+                const sop = JSON.parse(JSON.stringify(existing));
+                sop.meta.reviewDate = reviewDate;
+                sop.lastReview = { at: today, by: user.name || user.email, comments, previousReviewDate: existing.meta.reviewDate || '' };
+                const reason = `Periodic review: no changes needed, next review ${sop.meta.reviewDate}` + (comments ? ` – ${comments}` : '');
+                const revision = await recordRevision(store, sop, existing, user, reason);
+                await store.saveSop(sop);
+                updateSopIndex(params.id, sop);
+                await recordAudit(store, user, { action: 'reviewed', sopId: params.id, revision, fromStatus: 'Approved', toStatus: 'Approved', reason });
+                res.setHeader('ETag', etagFor(sop));
+                sendJson(res, 200, { ok: true, revision, sop: withEtag(sop) });
+            });
+        }
+    },
+    {
+        method: 'GET', path: ['sops', ':id', 'comments'], roles: ANY_ROLE,
+        handler: async ({ res, params }) => {
+            const doc = await getStorage().getDocument('comments', params.id);
+            sendJson(res, 200, { threads: (doc && doc.threads) || [] });
+        }
+    },
+    {
+        // New thread: { anchor: { type, ref, label }, text }. Reply: { threadId, text }.
+        method: 'POST', path: ['sops', ':id', 'comments'], roles: ['author', 'reviewer', 'approver'],
+        handler: async ({ req, res, params, user }) => {
+            const store = getStorage();
+            const body = (await readJsonBody(req)) || {};
+            const sop = await store.getSop(params.id);
+            if (!sop) throw httpError(404, 'Not found');
+            const at = new Date().toISOString();
+            const thread = await updateSopComments(store, params.id, threads => (body.threadId
+                ? SopComments.addReply(threads, body.threadId, { id: crypto.randomUUID(), text: body.text, author: commentAuthor(user), at })
+                : SopComments.createThread(threads, {
+                    id: crypto.randomUUID(), commentId: crypto.randomUUID(), anchor: body.anchor, text: body.text,
+                    author: commentAuthor(user), at, revision: sop.revision
+                })));
+            sendJson(res, 200, { ok: true, thread });
+        }
+    },
+    {
+        // Body: { resolved: true | false }
+        method: 'POST', path: ['sops', ':id', 'comments', ':threadId', 'resolve'], roles: ['author', 'reviewer', 'approver'],
+        handler: async ({ req, res, params, user }) => {
+            const store = getStorage();
+            const { resolved } = (await readJsonBody(req)) || {};
+            if (typeof resolved !== 'boolean') throw httpError(400, 'resolved must be true or false');
+            const thread = await updateSopComments(store, params.id, threads =>
+                SopComments.setResolved(threads, params.threadId, resolved, commentAuthor(user), new Date().toISOString()));
+            sendJson(res, 200, { ok: true, thread });
+        }
+    },
+    {
+        // ?status=open for Pending, Accepted and In Progress, or a single status
+        method: 'GET', path: ['requests'], roles: ANY_ROLE,
+        handler: async ({ res, url }) => {
+            const status = url.searchParams.get('status');
+            const requests = (await getStorage().listDocuments('requests'))
+                .filter(r => !status || (status === 'open' ? SopRequests.isOpen(r) : r.status === status))
+                .sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)));
+            sendJson(res, 200, { requests });
+        }
+    },
+    {
+        // Body: { title, department, submitter, priority, description }, plus id and submittedAt when a request
+        // raised offline is replayed (sending the same id again returns the stored request). A request submitted
+        // although it looked like a duplicate also sends { justification, possibleDuplicates: [{ type, id, title }] }.
+        method: 'POST', path: ['requests'], roles: ANY_ROLE,
+        handler: async ({ req, res, user }) => {
+            const store = getStorage();
+            const body = (await readJsonBody(req)) || {};
+            if (body.id !== undefined && !REQUEST_ID_PATTERN.test(String(body.id))) throw httpError(400, 'id must look like req-<letters, digits or ->');
+            const id = body.id || `req-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+            const request = await withSopLock('request:' + id, async () => {
+                const existing = await store.getDocument('requests', id);
+                if (existing) {
+                    if (isRequestSubmitter(existing, user)) return existing;
+                    throw httpError(409, 'A request with this id already exists');
+                }
+                const submittedAt = body.submittedAt && !isNaN(Date.parse(body.submittedAt)) && Date.parse(body.submittedAt) <= Date.now()
+                    ? new Date(body.submittedAt).toISOString() : new Date().toISOString();
+                let created;
+                try {
+                    created = SopRequests.createRequest({
+                        id, fields: body, at: submittedAt, by: user,
+                        justification: body.justification, possibleDuplicates: body.possibleDuplicates
+                    });
+                } catch (e) {
+                    throw httpError(400, e.message);
+                }
+                await store.putDocument('requests', id, created);
+                return created;
+            });
+            sendJson(res, 200, { ok: true, request });
+        }
+    },
+    {
+        method: 'GET', path: ['requests', ':id'], roles: ANY_ROLE,
+        handler: async ({ res, params }) => {
+            const request = await getStorage().getDocument('requests', params.id);
+            if (!request) throw httpError(404, 'Request not found');
+            sendJson(res, 200, { request });
+        }
+    },
+    {
+        // Body: any of the form fields (submitter or reviewers/approvers, while open) and
+        // { status, reason, sopId } – reason is required to decline.
+        method: 'PUT', path: ['requests', ':id'], roles: ANY_ROLE,
+        handler: async ({ req, res, params, user }) => {
+            const body = (await readJsonBody(req)) || {};
+            const manager = hasRole(user, ['reviewer', 'approver']);
+            const request = await updateRequest(getStorage(), params.id, r => {
+                // Only fields that change count, so a client can send the whole request back
+                const fields = ['title', 'department', 'submitter', 'priority', 'description']
+                    .filter(f => body[f] !== undefined && String(body[f]).trim() !== String(r[f]));
+                if (fields.length && !manager && !isRequestSubmitter(r, user)) throw httpError(403, 'Only the person who raised a request, reviewers and approvers can change it');
+                if (body.status && body.status !== r.status && REQUEST_MANAGER_STATUSES.includes(body.status) && !manager) {
+                    throw httpError(403, `Only reviewers and approvers can mark a request ${body.status}`);
+                }
+                if (fields.length) SopRequests.updateFields(r, Object.fromEntries(fields.map(f => [f, body[f]])));
+                if (body.status || body.sopId !== undefined) {
+                    SopRequests.setStatus(r, body.status || r.status, { at: new Date().toISOString(), by: user, reason: body.reason, sopId: body.sopId });
+                }
+            });
+            sendJson(res, 200, { ok: true, request });
+        }
+    },
+    {
+        // "+1" from someone who needs the same SOP. Body: { comment } (optional).
+        method: 'POST', path: ['requests', ':id', 'vote'], roles: ANY_ROLE,
+        handler: async ({ req, res, params, user }) => {
+            const body = (await readJsonBody(req)) || {};
+            const by = { email: String(user.email || '').toLowerCase(), name: user.name || '' };
+            const request = await updateRequest(getStorage(), params.id, r =>
+                SopRequests.addVote(r, { at: new Date().toISOString(), by, comment: body.comment }));
+            sendJson(res, 200, { ok: true, request });
+        }
+    },
+    {
+        // Reviewers and approvers, or whoever raised it while it is still Pending
+        method: 'DELETE', path: ['requests', ':id'], roles: ANY_ROLE,
+        handler: async ({ res, params, user }) => {
+            const store = getStorage();
+            await withSopLock('request:' + params.id, async () => {
+                const request = await store.getDocument('requests', params.id);
+                if (!request) throw httpError(404, 'Request not found');
+                if (!hasRole(user, ['reviewer', 'approver']) && !(isRequestSubmitter(request, user) && request.status === 'Pending')) {
+                    throw httpError(403, 'Only reviewers and approvers can delete a request once it is under way');
+                }
+                await store.deleteDocument('requests', params.id);
+            });
+            sendJson(res, 200, { ok: true });
+        }
+    },
+    {
+        // ?status=open for Pending and In Progress, or a single status; ?assignee=<email>
+        method: 'GET', path: ['tasks'], roles: ANY_ROLE,
+        handler: async ({ res, url }) => {
+            const status = url.searchParams.get('status');
+            const assignee = String(url.searchParams.get('assignee') || '').toLowerCase();
+            const tasks = (await getStorage().listDocuments('tasks')).map(SopTasks.upgradeTask)
+                .filter(t => !status || (status === 'open' ? SopTasks.isOpen(t) : t.status === status))
+                .filter(t => !assignee || t.assigneeEmail === assignee)
+                .sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)));
+            sendJson(res, 200, { tasks });
+        }
+    },
+    {
+        // Body: the form fields (see TASK_FIELDS), plus id and submittedAt when a task made offline is replayed.
+        // Sending an id again returns the stored task – to whoever made it, or for the same periodic review.
+        method: 'POST', path: ['tasks'], roles: ANY_ROLE,
+        handler: async ({ req, res, user }) => {
+            const store = getStorage();
+            const body = (await readJsonBody(req)) || {};
+            if (body.id !== undefined && !TASK_ID_PATTERN.test(String(body.id))) throw httpError(400, 'id may only use letters, digits, @ & . _ and -');
+            const id = body.id ? String(body.id) : `task-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+            const task = await withSopLock('task:' + id, async () => {
+                const existing = await store.getDocument('tasks', id);
+                if (existing) {
+                    if (isTaskCreator(existing, user) || (existing.reviewKey && existing.reviewKey === body.reviewKey)) return SopTasks.upgradeTask(existing);
+                    throw httpError(409, 'A task with this id already exists');
+                }
+                const submittedAt = body.submittedAt && !isNaN(Date.parse(body.submittedAt)) && Date.parse(body.submittedAt) <= Date.now()
+                    ? new Date(body.submittedAt).toISOString() : new Date().toISOString();
+                let created;
+                try {
+                    created = SopTasks.createTask({ id, fields: body, at: submittedAt, by: user });
+                } catch (e) {
+                    throw httpError(400, e.message);
+                }
+                await store.putDocument('tasks', id, created);
+                return created;
+            });
+            sendJson(res, 200, { ok: true, task });
+        }
+    },
+    {
+        method: 'GET', path: ['tasks', ':id'], roles: ANY_ROLE,
+        handler: async ({ res, params }) => {
+            const task = await getStorage().getDocument('tasks', params.id);
+            if (!task) throw httpError(404, 'Task not found');
+            sendJson(res, 200, { task: SopTasks.upgradeTask(task) });
+        }
+    },
+    {
+        // Body: any of the form fields and { status }. Only fields that change count, so the whole task can be sent back.
+        method: 'PUT', path: ['tasks', ':id'], roles: ANY_ROLE,
+        handler: async ({ req, res, params }) => {
+            const body = (await readJsonBody(req)) || {};
+            const at = new Date().toISOString();
+            const { task } = await updateTask(getStorage(), params.id, t => {
+                const fields = TASK_FIELDS.filter(f => body[f] !== undefined && String(body[f] === null ? '' : body[f]).trim() !== String(t[f]));
+                if (fields.length) SopTasks.updateFields(t, Object.fromEntries(fields.map(f => [f, body[f]])), { at });
+                if (body.status) SopTasks.setStatus(t, body.status, { at });
+            });
+            sendJson(res, 200, { ok: true, task });
+        }
+    },
+    {
+        // Body: { id, text } – the id (made by the client) keeps a comment sent twice from being added twice
+        method: 'POST', path: ['tasks', ':id', 'comments'], roles: ANY_ROLE,
+        handler: async ({ req, res, params, user }) => {
+            const body = (await readJsonBody(req)) || {};
+            const { task, result } = await updateTask(getStorage(), params.id, t => SopTasks.addComment(t, {
+                id: body.id ? String(body.id).slice(0, 80) : crypto.randomUUID(),
+                at: new Date().toISOString(), by: user.name || user.email, text: body.text
+            }));
+            sendJson(res, 200, { ok: true, task, comment: result });
+        }
+    },
+    {
+        method: 'DELETE', path: ['tasks', ':id'], roles: ANY_ROLE,
+        handler: async ({ res, params, user }) => {
+            const store = getStorage();
+            await withSopLock('task:' + params.id, async () => {
+                const task = await store.getDocument('tasks', params.id);
+                if (!task) throw httpError(404, 'Task not found');
+                if (!hasRole(user, ['reviewer', 'approver']) && !isTaskCreator(task, user)) {
+                    throw httpError(403, 'Only the person who raised a task, reviewers and approvers can delete it');
+                }
+                await store.deleteDocument('tasks', params.id);
+            });
+            sendJson(res, 200, { ok: true });
+        }
+    },
+    {
+        method: 'DELETE', path: ['sops', ':id'], roles: ['approver'],
+        handler: async ({ req, res, params, user }) => {
+            const reason = readChangeReason(req);
+            if (!reason) throw httpError(400, 'A reason is required to delete an SOP (X-Change-Reason header)');
+            const store = getStorage();
+            await withSopLock(params.id, async () => {
+                const existing = await store.getSop(params.id);
+                if (!existing) throw httpError(404, 'Not found');
+                const deletedAt = new Date();
+                const purgeAfter = new Date(deletedAt.getTime() + RECYCLE_RETENTION_DAYS * 86400000);
+                await store.putDocument('recycle-bin', params.id, {
+                    sopId: params.id, sop: existing, deletedAt: deletedAt.toISOString(),
+                    deletedBy: user.name || user.email, reason, purgeAfter: purgeAfter.toISOString()
+                });
+                await store.deleteSop(params.id);
+                updateSopIndex(params.id, null);
+                await recordAudit(store, user, {
+                    action: 'deleted', sopId: params.id, revision: existing.revision,
+                    fromStatus: (existing.meta && existing.meta.status) || '', reason
+                });
+                sendJson(res, 200, { ok: true, purgeAfter: purgeAfter.toISOString() });
+            });
+        }
+    },
+    {
+        method: 'GET', path: ['recycle-bin'], roles: ['approver'],
+        handler: async ({ res }) => {
+            const entries = await sweepRecycleBin(getStorage());
+            const items = entries.map(recycleBinSummary).sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+            sendJson(res, 200, { items, retentionDays: RECYCLE_RETENTION_DAYS });
+        }
+    },
+    {
+        method: 'POST', path: ['recycle-bin', ':id', 'restore'], roles: ['approver'],
+        handler: async ({ res, params, user }) => {
+            const store = getStorage();
+            await withSopLock(params.id, async () => {
+                const entry = await store.getDocument('recycle-bin', params.id);
+                if (!entry) throw httpError(404, 'Not in the recycle bin');
+                if (await store.getSop(params.id)) {
+                    throw httpError(409, 'An SOP with this ID exists again – rename or delete it before restoring');
+                }
+                await store.saveSop(entry.sop);
+                await store.deleteDocument('recycle-bin', params.id);
+                updateSopIndex(params.id, entry.sop);
+                await recordAudit(store, user, {
+                    action: 'restored', sopId: params.id, revision: entry.sop.revision,
+                    toStatus: (entry.sop.meta && entry.sop.meta.status) || '', reason: 'Deleted because: ' + entry.reason
+                });
+                res.setHeader('ETag', etagFor(entry.sop));
+                sendJson(res, 200, { ok: true, sop: withEtag(entry.sop) });
+            });
+        }
+    },
+    {
+        method: 'DELETE', path: ['recycle-bin', ':id'], roles: ['admin'],
+        handler: async ({ req, res, params, user }) => {
+            const store = getStorage();
+            await withSopLock(params.id, async () => {
+                const entry = await store.getDocument('recycle-bin', params.id);
+                if (!entry) throw httpError(404, 'Not in the recycle bin');
+                await store.deleteDocument('recycle-bin', params.id);
+                await recordAudit(store, user, {
+                    action: 'purged', sopId: params.id, revision: entry.sop && entry.sop.revision,
+                    reason: readChangeReason(req) || 'Purged from the recycle bin'
+                });
                 sendJson(res, 200, { ok: true });
+            });
+        }
+    },
+    {
+        method: 'GET', path: ['audit'], roles: ['reviewer', 'approver'],
+        handler: async ({ res, url }) => {
+            const result = await withAuditLog(getStorage(), entries => ({
+                ...queryAuditLog(entries, url.searchParams),
+                verification: verifyAuditChain(entries)
+            }));
+            sendJson(res, 200, result);
+        }
+    },
+    {
+        // Progress dashboard figures; from and to ("YYYY-MM-DD") and department are optional
+        method: 'GET', path: ['kpis'], roles: ANY_ROLE,
+        handler: async ({ res, url }) => {
+            const from = url.searchParams.get('from') || '';
+            const to = url.searchParams.get('to') || '';
+            [from, to].forEach(date => {
+                if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) throw httpError(400, 'from and to must be dates (YYYY-MM-DD)');
+            });
+            const store = getStorage();
+            const index = await getSopIndex(store);
+            const departmentOf = (sopId) => (index.get(sopId) && index.get(sopId).meta.department) || '';
+            const events = await withAuditLog(store, entries => SopKpis.eventsFromAudit(entries, departmentOf));
+            const report = SopKpis.computeKpis({
+                sops: [...index.values()], events, requests: await store.listDocuments('requests'),
+                from, to, department: url.searchParams.get('department') || '', today: new Date().toISOString().slice(0, 10)
+            });
+            sendJson(res, 200, report);
+        }
+    },
+    {
+        method: 'POST', path: ['images'], roles: ['author', 'reviewer', 'approver'],
+        handler: async ({ req, res }) => {
+            const data = await readRawBody(req, MAX_IMAGE_BYTES);
+            if (data.length === 0) throw httpError(400, 'Image body is empty');
+            const image = await storeImage(getStorage(), data);
+            sendJson(res, 200, { ...image, url: '/images/' + image.id });
+        }
+    },
+    {
+        method: 'GET', path: ['images', ':id'], roles: ANY_ROLE,
+        handler: async ({ req, res, params }) => {
+            if (!/^[a-f0-9]{64}$/.test(params.id)) throw httpError(400, 'Invalid image id');
+            const etag = `"${params.id}"`;
+            res.setHeader('ETag', etag);
+            res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304);
+                res.end();
                 return;
             }
+            const blob = await getStorage().getBlob(params.id);
+            if (!blob) throw httpError(404, 'Image not found');
+            res.setHeader('Content-Type', blob.contentType);
+            res.writeHead(200);
+            res.end(blob.data);
+        }
+    },
+    {
+        // One-off clean-up: move inline images out of every stored SOP (each changed SOP gets a new revision)
+        method: 'POST', path: ['admin', 'migrate-images'], roles: ['admin'],
+        handler: async ({ res, user }) => {
+            const store = getStorage();
+            const ids = Object.keys(await store.listSops());
+            let migratedSops = 0;
+            let migratedImages = 0;
+            for (const sopId of ids) {
+                await withSopLock(sopId, async () => {
+                    const sop = await store.getSop(sopId);
+                    if (!sop) return;
+                    const existing = JSON.parse(JSON.stringify(sop));
+                    const moved = await externalizeImages(store, sop);
+                    if (moved === 0) return;
+                    const reason = 'Moved inline step images to the image store';
+                    const revision = await recordRevision(store, sop, existing, user, reason);
+                    await store.saveSop(sop);
+                    updateSopIndex(sopId, sop);
+                    const status = (sop.meta && sop.meta.status) || '';
+                    await recordAudit(store, user, { action: 'edited', sopId, revision, fromStatus: status, toStatus: status, reason });
+                    migratedSops++;
+                    migratedImages += moved;
+                });
+            }
+            sendJson(res, 200, { ok: true, checked: ids.length, migratedSops, migratedImages });
         }
-        sendJson(res, 404, { error: 'Not found' });
+    }
+];
+
+function matchRoute(method, pathParts) {
+    for (const route of routes) {
+        if (route.method !== method || route.path.length !== pathParts.length) continue;
+        const params = {};
+        const matches = route.path.every((segment, i) => {
+            if (segment.startsWith(':')) {
+                try {
+                    params[segment.slice(1)] = decodeURIComponent(pathParts[i]);
+                } catch (e) {
+                    throw httpError(400, 'Bad path');
+                }
+                return true;
+            }
+            return segment === pathParts[i];
+        });
+        if (matches) return { route, params };
+    }
+    return null;
+}
+
+// HTTP server (Cloud Run / Node)
+const http = require('http');
+const server = http.createServer(async (req, res) => {
+    if (cors(req, res)) return;
+
+    const url = new URL(req.url || '', 'http://localhost');
+    const path = url.pathname.replace(/\/$/, '') || '';
+    const pathParts = path.split('/').filter(Boolean);
+
+    try {
+        const match = matchRoute(req.method, pathParts);
+        if (!match) throw httpError(404, 'Not found');
+        const { route, params } = match;
+
+        let user = null;
+        if (!route.public) {
+            user = await authenticate(req);
+            if (!user) {
+                if (!AUTH_DISABLED && !AUTH_SECRET && !FIREBASE_PROJECT_ID) throw httpError(503, 'Authentication not configured: set SOP_AUTH_SECRET or FIREBASE_PROJECT_ID');
+                throw httpError(401, 'Sign in required');
+            }
+            if (!hasRole(user, route.roles)) throw httpError(403, 'Your role does not allow this action');
+        }
+
+        await route.handler({ req, res, url, params, user });
     } catch (e) {
-        console.error(e);
-        sendJson(res, 500, { error: e.message || 'Server error' });
+        const status = e.status || 500;
+        if (status >= 500) console.error(e);
+        sendJson(res, status, { error: e.message || 'Server error', ...(e.data || {}) });
     }
 });
 
-server.listen(PORT, () => {
-    console.log('SOP Shared Backend listening on port', PORT);
-    if (!FOLDER_ID) console.warn('WARNING: SOP_FOLDER_ID not set');
-});
+if (process.argv[2] === 'hash-password') {
+    // Usage: node cloud-run-backend.js hash-password <password>  → value for SOP_LOCAL_USERS passwordHash
+    console.log(hashPassword(process.argv[3] || ''));
+} else {
+    server.listen(PORT, () => {
+        console.log('SOP Shared Backend listening on port', PORT);
+        try {
+            console.log('Storage driver:', getStorage().name);
+        } catch (e) {
+            console.warn('WARNING: ' + e.message);
+        }
+        if (AUTH_DISABLED) console.warn('WARNING: SOP_AUTH_DISABLED=true – every request is treated as an admin');
+        else if (!AUTH_SECRET && !FIREBASE_PROJECT_ID) console.warn('WARNING: no SOP_AUTH_SECRET or FIREBASE_PROJECT_ID – all SOP routes will refuse requests');
+        if (!getEmailConfig()) console.warn('Review notices are not emailed: set SOP_EMAILJS_SERVICE_ID, SOP_EMAILJS_TEMPLATE_ID and SOP_EMAILJS_PUBLIC_KEY');
+    });
+    // Cloud Run only runs the timer while an instance is up – schedule POST /reviews/run as well
+    if (REVIEW_CHECK_HOURS > 0) {
+        const checkReviews = () => runReviewScheduleOnce(getStorage())
+            .catch(e => console.warn('Review schedule check failed:', e.message));
+        setTimeout(checkReviews, 60 * 1000).unref();
+        setInterval(checkReviews, REVIEW_CHECK_HOURS * 60 * 60 * 1000).unref();
+    }
+}
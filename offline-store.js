@@ -0,0 +1,187 @@
+/**
+ * Offline store – an IndexedDB copy of SOPs, requests and tasks, plus an outbox of writes that could not
+ * reach the server. app.js queues a write when a save fails for lack of a connection and replays the
+ * outbox (oldest first) once testBackendConnection() succeeds. It also pre-caches approved SOPs here
+ * so operators can read them with no signal.
+ *
+ * Outbox entries: { id, type, key, payload, base, reason, queuedAt, updatedAt, version, state, error }
+ *   type    what to replay ('sop' = save payload, an SOP, with If-Match base.revision;
+ *           'request' = payload { op: 'create' | 'update' | 'delete' | 'vote', request, vote }, see sop-requests.js;
+ *           'task' = payload { op: 'create' | 'update' | 'delete' | 'comment', task, comment }, see sop-tasks.js)
+ *   base    the server copy the write started from, for a three-way merge if the server moved on
+ *   state   'pending', or 'conflict' / 'failed' once a replay needs a person to decide
+ * Queuing a second write for the same type + key replaces the payload but keeps the original base, and
+ * bumps version so a replay in flight can tell its payload was superseded.
+ */
+(function () {
+    'use strict';
+
+    const DB_NAME = 'sop-offline';
+    const DB_VERSION = 2;
+    const STORES = ['sops', 'sopCacheInfo', 'requests', 'tasks', 'outbox'];
+
+    let dbPromise = null;
+
+    function isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    function openDb() {
+        if (!isAvailable()) return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    if (!db.objectStoreNames.contains('sops')) db.createObjectStore('sops');
+                    if (!db.objectStoreNames.contains('sopCacheInfo')) db.createObjectStore('sopCacheInfo');
+                    if (!db.objectStoreNames.contains('requests')) db.createObjectStore('requests', { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains('tasks')) db.createObjectStore('tasks', { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+                req.onblocked = () => reject(new Error('Offline store is open in an older tab – close it and reload'));
+            });
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    }
+
+    /** Run fn(store) in one transaction; resolves with fn's request result once the transaction commits. */
+    async function withStore(name, mode, fn) {
+        if (!STORES.includes(name)) throw new Error('Unknown offline store ' + name);
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(name, mode);
+            let result;
+            const req = fn(tx.objectStore(name));
+            if (req) req.onsuccess = () => { result = req.result; };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Offline store transaction aborted'));
+        });
+    }
+
+    // SOPs are keyed by SOP ID. Summaries (meta only) never replace a cached full SOP.
+    // sopCacheInfo records when each full SOP was cached: { cachedAt, revision }.
+    async function cacheSops(sops) {
+        const db = await openDb();
+        const cachedAt = new Date().toISOString();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['sops', 'sopCacheInfo'], 'readwrite');
+            const store = tx.objectStore('sops');
+            const info = tx.objectStore('sopCacheInfo');
+            Object.keys(sops || {}).forEach(key => {
+                const sop = sops[key];
+                if (!sop || !sop.meta) return;
+                if (Array.isArray(sop.steps)) {
+                    store.put(sop, key);
+                    info.put({ cachedAt, revision: Number(sop.revision) || 0 }, key);
+                    return;
+                }
+                const req = store.get(key);
+                req.onsuccess = () => {
+                    const cached = req.result;
+                    if (!cached || !Array.isArray(cached.steps) || (Number(sop.revision) || 0) > (Number(cached.revision) || 0)) {
+                        store.put(sop, key);
+                        info.delete(key);
+                    }
+                };
+            });
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /** { cachedAt, revision } of the cached full SOP, or null if only its summary (or nothing) is cached. */
+    async function getSopCacheInfo(key) {
+        return (await withStore('sopCacheInfo', 'readonly', store => store.get(key))) || null;
+    }
+
+    async function getCachedSop(key) {
+        return (await withStore('sops', 'readonly', store => store.get(key))) || null;
+    }
+
+    async function getCachedSops() {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const sops = {};
+            const req = db.transaction('sops', 'readonly').objectStore('sops').openCursor();
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) return resolve(sops);
+                sops[cursor.key] = cursor.value;
+                cursor.continue();
+            };
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function removeCachedSop(key) {
+        await withStore('sops', 'readwrite', store => store.delete(key));
+        await withStore('sopCacheInfo', 'readwrite', store => store.delete(key));
+        return true;
+    }
+
+    /** Replace the cached requests or tasks with list (each item needs an id). */
+    async function cacheRecords(kind, list) {
+        await withStore(kind, 'readwrite', store => {
+            store.clear();
+            (list || []).forEach(item => { if (item && item.id !== undefined && item.id !== null) store.put(item); });
+        });
+        return true;
+    }
+
+    async function getCachedRecords(kind) {
+        return (await withStore(kind, 'readonly', store => store.getAll())) || [];
+    }
+
+    async function listOutbox() {
+        const entries = (await withStore('outbox', 'readonly', store => store.getAll())) || [];
+        return entries.sort((a, b) => a.id - b.id);
+    }
+
+    /** Add a write to the outbox, or fold it into the queued write for the same type + key. Returns the entry. */
+    async function queueOutboxWrite({ type, key, payload, base, reason }) {
+        const now = new Date().toISOString();
+        const existing = (await listOutbox()).find(e => e.type === type && e.key === key);
+        const entry = existing
+            ? Object.assign(existing, {
+                payload,
+                reason: [existing.reason, reason].filter(Boolean).join('; '),
+                updatedAt: now,
+                version: (existing.version || 1) + 1,
+                state: existing.state === 'failed' ? 'pending' : existing.state,
+                error: existing.state === 'failed' ? '' : existing.error
+            })
+            : { type, key, payload, base: base || null, reason: reason || '', queuedAt: now, updatedAt: now, version: 1, state: 'pending', error: '' };
+        entry.id = await withStore('outbox', 'readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    async function updateOutboxEntry(entry) {
+        await withStore('outbox', 'readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    async function removeOutboxEntry(id) {
+        await withStore('outbox', 'readwrite', store => store.delete(id));
+        return true;
+    }
+
+    if (typeof window !== 'undefined') {
+        window.isOfflineStoreAvailable = isAvailable;
+        window.cacheSopsOffline = cacheSops;
+        window.getCachedSop = getCachedSop;
+        window.getSopCacheInfo = getSopCacheInfo;
+        window.getCachedSops = getCachedSops;
+        window.removeCachedSop = removeCachedSop;
+        window.cacheRecordsOffline = cacheRecords;
+        window.getCachedRecords = getCachedRecords;
+        window.listOutbox = listOutbox;
+        window.queueOutboxWrite = queueOutboxWrite;
+        window.updateOutboxEntry = updateOutboxEntry;
+        window.removeOutboxEntry = removeOutboxEntry;
+    }
+})();
@@ -1,10 +1,13 @@
 /**
  * Shared SOP API – staff get SOPs from your backend with no API key or OAuth.
  * You set SOP_SHARED_API_URL once (e.g. in index.html); staff just open the app.
+ * Staff sign in once per device; every call carries the session (or Firebase) token as a bearer token.
  */
 (function () {
     'use strict';
 
+    const SESSION_KEY = 'sopAuthSession';
+
     function getBaseUrl() {
         let url = typeof window !== 'undefined' && (window.SOP_SHARED_API_URL || window.sopSharedApiUrl);
         if (!url || typeof url !== 'string') url = '';
@@ -17,64 +20,371 @@
         return getBaseUrl().length > 0;
     }
 
-    async function loadAllSopsFromSharedAPI() {
+    function getSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+            if (session && session.token && session.expiresAt > Date.now()) return session;
+        } catch (_) { /* ignore corrupt session */ }
+        return null;
+    }
+
+    /** Firebase ID token when firebase-auth.js has a signed-in user, otherwise our own session token. */
+    async function getAuthToken() {
+        const fbUser = typeof window.getCurrentUser === 'function' ? window.getCurrentUser() : null;
+        if (fbUser && typeof fbUser.getIdToken === 'function') {
+            try {
+                return await fbUser.getIdToken();
+            } catch (e) {
+                console.warn('Could not get Firebase ID token:', e.message);
+            }
+        }
+        const session = getSession();
+        return session ? session.token : '';
+    }
+
+    /**
+     * fetch() against the backend with auth, timeout and JSON error handling.
+     * options.body is sent as JSON; options.rawBody (a Blob) is sent as-is. options.responseType 'blob'
+     * returns the response Blob instead of parsed JSON.
+     * Errors carry .status and .data; a 401 also fires 'sop-auth-required' so the app can prompt for sign-in.
+     */
+    async function request(path, options = {}) {
         const base = getBaseUrl();
-        if (!base) return null;
+        const headers = Object.assign({ Accept: 'application/json' }, options.headers || {});
+        if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+        if (options.rawBody) headers['Content-Type'] = options.rawBody.type || 'application/octet-stream';
+        const token = options.auth === false ? '' : await getAuthToken();
+        if (token) headers.Authorization = 'Bearer ' + token;
+
+        const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = setTimeout(() => ctrl && ctrl.abort(), options.timeout || 15000);
+        let res;
         try {
-            const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
-            const timeout = setTimeout(() => ctrl && ctrl.abort(), 15000);
-            const res = await fetch(base + '/sops', {
-                method: 'GET',
+            res = await fetch(base + path, {
+                method: options.method || 'GET',
                 mode: 'cors',
                 credentials: 'omit',
-                headers: { Accept: 'application/json' },
+                headers,
+                body: options.rawBody || (options.body !== undefined ? JSON.stringify(options.body) : undefined),
                 signal: ctrl ? ctrl.signal : undefined
             });
+        } catch (e) {
+            throw new Error(e.name === 'AbortError' ? 'Request timed out (try again on better connection)' : e.message);
+        } finally {
             clearTimeout(timeout);
-            const data = res.ok ? await res.json() : (await res.text().then(t => { try { return JSON.parse(t); } catch (_) { return {}; } }));
-            if (!res.ok) {
-                const msg = (data && data.error) ? data.error : (res.statusText || 'Failed to load SOPs');
-                throw new Error(msg);
+        }
+        if (res.ok && options.responseType === 'blob') return await res.blob();
+        const data = await res.text().then(t => { try { return JSON.parse(t); } catch (_) { return {}; } });
+        if (!res.ok) {
+            const err = new Error((data && data.error) ? data.error : (res.statusText || 'Request failed'));
+            err.status = res.status;
+            err.data = data;
+            if (res.status === 401 && typeof window !== 'undefined') {
+                window.dispatchEvent(new CustomEvent('sop-auth-required', { detail: { message: err.message } }));
             }
+            throw err;
+        }
+        return data;
+    }
+
+    async function signInToSharedAPI(email, password) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/auth/session', { method: 'POST', body: { email, password }, auth: false });
+        localStorage.setItem(SESSION_KEY, JSON.stringify(data));
+        return data.user;
+    }
+
+    function signOutOfSharedAPI() {
+        localStorage.removeItem(SESSION_KEY);
+    }
+
+    /** The user from the stored session, without a network call (null when signed out or expired). */
+    function getSharedAPIUser() {
+        const session = getSession();
+        return session ? session.user : null;
+    }
+
+    async function getCurrentUserFromSharedAPI() {
+        if (!getBaseUrl()) return null;
+        const data = await request('/me');
+        return data.user || null;
+    }
+
+    async function loadAllSopsFromSharedAPI() {
+        if (!getBaseUrl()) return null;
+        try {
+            const data = await request('/sops');
             const sops = data.sops || data;
             if (typeof sops === 'object' && !Array.isArray(sops)) return sops;
             return {};
         } catch (e) {
-            const msg = e.name === 'AbortError' ? 'Request timed out (try again on better connection)' : e.message;
-            console.warn('Shared SOP API load failed:', msg);
-            throw new Error(msg);
+            console.warn('Shared SOP API load failed:', e.message);
+            throw e;
         }
     }
 
-    async function saveSopToSharedAPI(sop) {
-        const base = getBaseUrl();
-        if (!base) return false;
+    /**
+     * Metadata-only listing ({ [sopId]: { key, meta, savedAt, revision, ... } }) – no steps or photos.
+     * filters: { status, department, author, updatedSince, awaiting } (status/department may be comma-separated;
+     * awaiting: 'me' keeps SOPs whose current approval stage the signed-in user can sign).
+     * Fetches every page so callers get the whole register.
+     */
+    async function loadSopIndexFromSharedAPI(filters = {}) {
+        if (!getBaseUrl()) return null;
+        const sops = {};
+        let offset = 0;
+        for (;;) {
+            const params = new URLSearchParams({ fields: 'meta', offset: String(offset) });
+            Object.keys(filters).forEach(k => { if (filters[k]) params.set(k, filters[k]); });
+            const data = await request('/sops?' + params.toString());
+            Object.assign(sops, data.sops || {});
+            offset += data.limit || 0;
+            if (!data.limit || offset >= (data.total || 0)) break;
+        }
+        return sops;
+    }
+
+    /** One full SOP, or null if it does not exist on the server. */
+    async function loadSopFromSharedAPI(sopId) {
+        if (!getBaseUrl()) return null;
         try {
-            const res = await fetch(base + '/sops', {
-                method: 'POST',
-                mode: 'cors',
-                credentials: 'omit',
-                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-                body: JSON.stringify(sop)
-            });
-            const data = res.ok ? null : (await res.text().then(t => { try { return JSON.parse(t); } catch (_) { return {}; } }));
-            if (!res.ok) {
-                const msg = (data && data.error) ? data.error : (res.statusText || 'Failed to save SOP');
-                throw new Error(msg);
+            return await request('/sops/' + encodeURIComponent(sopId));
+        } catch (e) {
+            if (e.status === 404) return null;
+            throw e;
+        }
+    }
+
+    /**
+     * options.reason is stored with the revision this save creates. Returns the new revision number.
+     * sop.revision (set by the server on every load) is sent as If-Match, so a save based on an out-of-date
+     * copy fails with status 409 and err.data.current holding the server's copy. No revision = new SOP.
+     */
+    async function saveSopToSharedAPI(sop, options = {}) {
+        if (!getBaseUrl()) return false;
+        try {
+            const headers = options.reason ? { 'X-Change-Reason': encodeURIComponent(options.reason) } : {};
+            if (typeof sop.revision === 'number') headers['If-Match'] = '"' + sop.revision + '"';
+            else headers['If-None-Match'] = '*';
+            const data = await request('/sops', { method: 'POST', body: sop, headers });
+            if (data && data.revision) {
+                sop.revision = data.revision;
+                if (data.revisedAt) sop.revisedAt = data.revisedAt;
             }
-            return true;
+            // The server moved inline photos to the image store – keep our copy in step
+            (data && data.steps || []).forEach(stored => {
+                const step = (sop.steps || []).find(s => s.id === stored.id);
+                if (step) step.images = stored.images;
+            });
+            return data.revision || true;
         } catch (e) {
             console.error('Shared SOP API save failed:', e);
             throw e;
         }
     }
 
-    async function deleteSopFromSharedAPI(sopId) {
-        const base = getBaseUrl();
-        if (!base) return false;
+    /**
+     * Sign off (decision 'approve') or return ('reject') the SOP's current approval stage.
+     * details: { comments, reviewDate, password } – the password is re-checked for the electronic signature.
+     * Sent with If-Match like a save. Returns { revision, final, stage, sop } – stage is the one just decided,
+     * sop the server's updated copy.
+     */
+    async function submitApprovalDecisionToSharedAPI(sop, decision, details = {}) {
+        if (!getBaseUrl()) return null;
+        const headers = typeof sop.revision === 'number' ? { 'If-Match': '"' + sop.revision + '"' } : {};
+        return await request('/sops/' + encodeURIComponent(sop.meta.sopId) + '/approval', {
+            method: 'POST', body: { decision, comments: details.comments, reviewDate: details.reviewDate, password: details.password }, headers
+        });
+    }
+
+    /** Review comment threads for an SOP (see sop-comments.js). */
+    async function loadSopCommentsFromSharedAPI(sopId) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/sops/' + encodeURIComponent(sopId) + '/comments');
+        return data.threads || [];
+    }
+
+    /** comment: { anchor, text } starts a thread, { threadId, text } replies. Returns the updated thread. */
+    async function postSopCommentToSharedAPI(sopId, comment) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/sops/' + encodeURIComponent(sopId) + '/comments', { method: 'POST', body: comment });
+        return data.thread;
+    }
+
+    async function resolveSopCommentInSharedAPI(sopId, threadId, resolved) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/sops/' + encodeURIComponent(sopId) + '/comments/' + encodeURIComponent(threadId) + '/resolve', {
+            method: 'POST', body: { resolved }
+        });
+        return data.thread;
+    }
+
+    /** Reserve the next SOP ID for a department. Returns { sopId, department, sequence }; each ID is handed out once. */
+    async function reserveSopIdFromSharedAPI(department) {
+        if (!getBaseUrl()) return null;
+        return await request('/sop-ids', { method: 'POST', body: { department } });
+    }
+
+    /**
+     * Audit log entries (newest first), fetching every page.
+     * filters: { sopId, action, user, from, to }. Returns { entries, total, verification }.
+     */
+    async function loadAuditLogFromSharedAPI(filters = {}) {
+        if (!getBaseUrl()) return null;
+        const entries = [];
+        let offset = 0;
+        let data;
+        for (;;) {
+            const params = new URLSearchParams({ offset: String(offset) });
+            Object.keys(filters).forEach(k => { if (filters[k]) params.set(k, filters[k]); });
+            data = await request('/audit?' + params.toString());
+            entries.push(...(data.entries || []));
+            offset += data.limit || 0;
+            if (!data.limit || offset >= (data.total || 0)) break;
+        }
+        return { entries, total: data.total || entries.length, verification: data.verification || null };
+    }
+
+    async function loadSopRevisionsFromSharedAPI(sopId) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/sops/' + encodeURIComponent(sopId) + '/revisions');
+        return data.revisions || [];
+    }
+
+    async function loadSopRevisionFromSharedAPI(sopId, rev) {
+        if (!getBaseUrl()) return null;
+        return await request('/sops/' + encodeURIComponent(sopId) + '/revisions/' + encodeURIComponent(rev));
+    }
+
+    /** Released versions of one SOP: [{ version, revision, status, approvedAt, supersededAt, supersededBy, ... }] */
+    async function loadSopReleasesFromSharedAPI(sopId) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/sops/' + encodeURIComponent(sopId) + '/releases');
+        return data.versions || [];
+    }
+
+    /** Released versions of every SOP (status 'Approved' or 'Superseded' to filter), newest approval first. */
+    async function loadReleasesFromSharedAPI(status) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/releases' + (status ? '?status=' + encodeURIComponent(status) : ''));
+        return data.releases || [];
+    }
+
+    /** Approved SOPs due for periodic review soon or overdue: { dueSoonDays, items } (see sop-review-schedule.js). */
+    async function loadReviewsDueFromSharedAPI() {
+        if (!getBaseUrl()) return null;
+        return await request('/reviews/due');
+    }
+
+    /** Confirm a periodic review that needed no changes; details: { comments, reviewDate }. Returns { revision, sop }. */
+    async function confirmSopReviewInSharedAPI(sop, details = {}) {
+        if (!getBaseUrl()) return null;
+        const headers = typeof sop.revision === 'number' ? { 'If-Match': '"' + sop.revision + '"' } : {};
+        return await request('/sops/' + encodeURIComponent(sop.meta.sopId) + '/review', {
+            method: 'POST', body: { comments: details.comments, reviewDate: details.reviewDate }, headers
+        });
+    }
+
+    /** Separation-of-duties rules and the signed-in user's department: { rules, department } (see sop-approval.js). */
+    async function loadApprovalRulesFromSharedAPI() {
+        if (!getBaseUrl()) return null;
+        return await request('/approval-rules');
+    }
+
+    /** SOP requests, newest first (see sop-requests.js). */
+    async function loadRequestsFromSharedAPI() {
+        if (!getBaseUrl()) return null;
+        const data = await request('/requests');
+        return data.requests || [];
+    }
+
+    /** Raise a request; the id and submittedAt of one raised offline are kept. Returns the stored request. */
+    async function createRequestInSharedAPI(sopRequest) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/requests', { method: 'POST', body: sopRequest });
+        return data.request;
+    }
+
+    /** changes: any form fields and { status, reason, sopId }. Returns the stored request. */
+    async function updateRequestInSharedAPI(requestId, changes) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/requests/' + encodeURIComponent(requestId), { method: 'PUT', body: changes });
+        return data.request;
+    }
+
+    /** "+1" a request for the signed-in user. Returns the stored request. */
+    async function voteForRequestInSharedAPI(requestId, comment) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/requests/' + encodeURIComponent(requestId) + '/vote', { method: 'POST', body: { comment: comment || '' } });
+        return data.request;
+    }
+
+    async function deleteRequestFromSharedAPI(requestId) {
+        if (!getBaseUrl()) return false;
+        await request('/requests/' + encodeURIComponent(requestId), { method: 'DELETE' });
+        return true;
+    }
+
+    /** Tasks, newest first (see sop-tasks.js). */
+    async function loadTasksFromSharedAPI() {
+        if (!getBaseUrl()) return null;
+        const data = await request('/tasks');
+        return data.tasks || [];
+    }
+
+    /** Create a task; the id and submittedAt of one made offline are kept. Returns the stored task. */
+    async function createTaskInSharedAPI(task) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/tasks', { method: 'POST', body: task });
+        return data.task;
+    }
+
+    /** changes: any form fields and { status }. Returns the stored task. */
+    async function updateTaskInSharedAPI(taskId, changes) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/tasks/' + encodeURIComponent(taskId), { method: 'PUT', body: changes });
+        return data.task;
+    }
+
+    /** comment: { id, text }. Returns the stored task. */
+    async function addTaskCommentInSharedAPI(taskId, comment) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/tasks/' + encodeURIComponent(taskId) + '/comments', { method: 'POST', body: comment });
+        return data.task;
+    }
+
+    async function deleteTaskFromSharedAPI(taskId) {
+        if (!getBaseUrl()) return false;
+        await request('/tasks/' + encodeURIComponent(taskId), { method: 'DELETE' });
+        return true;
+    }
+
+    /** Progress dashboard figures (see sop-kpis.js); filters: { from, to, department }. */
+    async function loadKpisFromSharedAPI(filters = {}) {
+        if (!getBaseUrl()) return null;
+        const params = new URLSearchParams();
+        Object.keys(filters).forEach(k => { if (filters[k]) params.set(k, filters[k]); });
+        return await request('/kpis' + (params.toString() ? '?' + params.toString() : ''));
+    }
+
+    /** Upload a step photo (Blob). Returns { id, contentType, size, url }; the id is its sha256. */
+    async function uploadImageToSharedAPI(blob) {
+        if (!getBaseUrl()) return null;
+        return await request('/images', { method: 'POST', rawBody: blob, timeout: 60000 });
+    }
+
+    /** Fetch a stored image as a Blob (images need the bearer token, so a plain <img src> cannot load them). */
+    async function fetchImageFromSharedAPI(id) {
+        if (!getBaseUrl()) return null;
+        return await request('/images/' + encodeURIComponent(id), { responseType: 'blob', headers: { Accept: 'image/*' }, timeout: 30000 });
+    }
+
+    /** Moves the SOP to the server's recycle bin; reason is required and goes into the audit log. */
+    async function deleteSopFromSharedAPI(sopId, reason) {
+        if (!getBaseUrl()) return false;
         try {
-            const res = await fetch(base + '/sops/' + encodeURIComponent(sopId), { method: 'DELETE' });
-            if (!res.ok) throw new Error(res.statusText || 'Failed to delete SOP');
+            const headers = { 'X-Change-Reason': encodeURIComponent(reason || '') };
+            await request('/sops/' + encodeURIComponent(sopId), { method: 'DELETE', headers });
             return true;
         } catch (e) {
             console.error('Shared SOP API delete failed:', e);
@@ -82,10 +392,65 @@
         }
     }
 
+    /** Deleted SOPs: { items: [{ sopId, meta, deletedAt, deletedBy, reason, purgeAfter }], retentionDays } */
+    async function loadRecycleBinFromSharedAPI() {
+        if (!getBaseUrl()) return null;
+        return await request('/recycle-bin');
+    }
+
+    async function restoreSopFromSharedAPI(sopId) {
+        if (!getBaseUrl()) return null;
+        const data = await request('/recycle-bin/' + encodeURIComponent(sopId) + '/restore', { method: 'POST' });
+        return data.sop;
+    }
+
+    /** Permanently remove a deleted SOP (admins only). Its revision history and audit entries stay. */
+    async function purgeSopFromSharedAPI(sopId) {
+        if (!getBaseUrl()) return false;
+        await request('/recycle-bin/' + encodeURIComponent(sopId), { method: 'DELETE' });
+        return true;
+    }
+
     if (typeof window !== 'undefined') {
         window.useSharedAccess = useSharedAccess;
+        window.sharedApiRequest = request;
+        window.signInToSharedAPI = signInToSharedAPI;
+        window.signOutOfSharedAPI = signOutOfSharedAPI;
+        window.getSharedAPIUser = getSharedAPIUser;
+        window.getCurrentUserFromSharedAPI = getCurrentUserFromSharedAPI;
         window.loadAllSopsFromSharedAPI = loadAllSopsFromSharedAPI;
+        window.loadSopIndexFromSharedAPI = loadSopIndexFromSharedAPI;
+        window.loadSopFromSharedAPI = loadSopFromSharedAPI;
         window.saveSopToSharedAPI = saveSopToSharedAPI;
+        window.submitApprovalDecisionToSharedAPI = submitApprovalDecisionToSharedAPI;
+        window.loadSopCommentsFromSharedAPI = loadSopCommentsFromSharedAPI;
+        window.postSopCommentToSharedAPI = postSopCommentToSharedAPI;
+        window.resolveSopCommentInSharedAPI = resolveSopCommentInSharedAPI;
         window.deleteSopFromSharedAPI = deleteSopFromSharedAPI;
+        window.loadRecycleBinFromSharedAPI = loadRecycleBinFromSharedAPI;
+        window.restoreSopFromSharedAPI = restoreSopFromSharedAPI;
+        window.purgeSopFromSharedAPI = purgeSopFromSharedAPI;
+        window.reserveSopIdFromSharedAPI = reserveSopIdFromSharedAPI;
+        window.loadAuditLogFromSharedAPI = loadAuditLogFromSharedAPI;
+        window.loadSopRevisionsFromSharedAPI = loadSopRevisionsFromSharedAPI;
+        window.loadSopRevisionFromSharedAPI = loadSopRevisionFromSharedAPI;
+        window.loadSopReleasesFromSharedAPI = loadSopReleasesFromSharedAPI;
+        window.loadReleasesFromSharedAPI = loadReleasesFromSharedAPI;
+        window.loadReviewsDueFromSharedAPI = loadReviewsDueFromSharedAPI;
+        window.confirmSopReviewInSharedAPI = confirmSopReviewInSharedAPI;
+        window.loadApprovalRulesFromSharedAPI = loadApprovalRulesFromSharedAPI;
+        window.loadRequestsFromSharedAPI = loadRequestsFromSharedAPI;
+        window.createRequestInSharedAPI = createRequestInSharedAPI;
+        window.updateRequestInSharedAPI = updateRequestInSharedAPI;
+        window.voteForRequestInSharedAPI = voteForRequestInSharedAPI;
+        window.deleteRequestFromSharedAPI = deleteRequestFromSharedAPI;
+        window.loadTasksFromSharedAPI = loadTasksFromSharedAPI;
+        window.createTaskInSharedAPI = createTaskInSharedAPI;
+        window.updateTaskInSharedAPI = updateTaskInSharedAPI;
+        window.addTaskCommentInSharedAPI = addTaskCommentInSharedAPI;
+        window.deleteTaskFromSharedAPI = deleteTaskFromSharedAPI;
+        window.loadKpisFromSharedAPI = loadKpisFromSharedAPI;
+        window.uploadImageToSharedAPI = uploadImageToSharedAPI;
+        window.fetchImageFromSharedAPI = fetchImageFromSharedAPI;
     }
 })();
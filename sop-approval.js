@@ -0,0 +1,279 @@
+/**
+ * SOP approval chains, shared by the browser (Under Review tab) and the backend (POST /sops/:id/approval).
+ *
+ * A chain is the ordered list of sign-offs an SOP needs before it is Approved, set per department:
+ *
+ *   { "default":           [{ "name": "Supervisor", "roles": ["reviewer"] }, { "name": "Quality Manager", "roles": ["approver"] }],
+ *     "Health and Safety": [{ "name": "Supervisor", "roles": ["reviewer"] }, { "name": "H&S", "users": ["hs@recorp.com"] }, ...] }
+ *
+ * A stage can be signed by anyone with one of its roles (admins can sign every stage) or listed in its users.
+ * Submitting an SOP for review starts sop.approval:
+ *
+ *   { department, startedAt, submittedBy: { email, name }, current, completedAt, stages: [{ id, name, roles, users, status, by, byEmail, at, comments, signature }] }
+ *
+ * status is 'pending', 'approved' or 'rejected'; current is the index of the stage waiting for a decision.
+ * With the shared backend every decision is an electronic signature – the signer re-enters their password and
+ * the stage keeps the manifest printed on the PDF:
+ *
+ *   signature: { signer: { id, email, name }, meaning, signedAt, revision, contentHash, method }
+ *
+ * contentHash is the SHA-256 of approvalContentKey() for the revision that was signed.
+ *
+ * Separation-of-duties rules are set per department too (with a "default" the others inherit from) and are
+ * checked before every approve decision, on top of who may sign the stage:
+ *
+ *   { "default": { "authorMayApprove": false, "minDistinctApprovers": 2 },
+ *     "Health and Safety": { "approverRoles": ["approver"], "approverDepartments": ["Quality"], "approverInSopDepartment": true } }
+ *
+ * The SOP's author is meta.author and whoever submitted it (approval.submittedBy). minDistinctApprovers counts
+ * different people across the chain; the approver rules apply to the final sign-off. Roles and departments are
+ * only checked where there are accounts (the shared backend).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopApproval = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_APPROVAL_CHAINS = {
+        default: [
+            { name: 'Supervisor', roles: ['reviewer'] },
+            { name: 'Quality Manager', roles: ['approver'] }
+        ],
+        'Health and Safety': [
+            { name: 'Supervisor', roles: ['reviewer'] },
+            { name: 'H&S', roles: ['approver'] },
+            { name: 'Quality Manager', roles: ['approver'] }
+        ]
+    };
+
+    const DEFAULT_APPROVAL_RULES = {
+        default: {
+            authorMayApprove: false,
+            minDistinctApprovers: 1,
+            approverRoles: [],
+            approverDepartments: [],
+            approverInSopDepartment: false
+        }
+    };
+
+    function stageId(name, index) {
+        return (String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'stage') + '-' + (index + 1);
+    }
+
+    /** Validate a chains object (e.g. from SOP_APPROVAL_CHAINS). Throws on a malformed chain; falls back to the defaults. */
+    function normalizeChains(raw) {
+        const source = raw && typeof raw === 'object' ? raw : DEFAULT_APPROVAL_CHAINS;
+        const chains = {};
+        Object.keys(source).forEach(department => {
+            const stages = source[department];
+            if (!Array.isArray(stages) || stages.length === 0) throw new Error(`Approval chain "${department}" needs at least one stage`);
+            chains[department] = stages.map((stage, index) => {
+                if (!stage || !stage.name) throw new Error(`Approval chain "${department}" stage ${index + 1} needs a name`);
+                const users = (stage.users || []).map(u => String(u).trim().toLowerCase()).filter(Boolean);
+                const roles = (stage.roles || (users.length ? [] : ['approver'])).map(r => String(r).trim().toLowerCase()).filter(Boolean);
+                return { id: stageId(stage.name, index), name: String(stage.name), roles, users };
+            });
+        });
+        if (!chains.default) chains.default = normalizeChains(DEFAULT_APPROVAL_CHAINS).default;
+        return chains;
+    }
+
+    function normalizeRule(rule, base, label) {
+        if (!rule || typeof rule !== 'object') throw new Error(`Approval rules "${label}" must be an object`);
+        const list = (value, name) => {
+            if (value === undefined) return base[name].slice();
+            if (!Array.isArray(value)) throw new Error(`Approval rules "${label}" ${name} must be a list`);
+            return value.map(v => String(v).trim()).filter(Boolean);
+        };
+        const min = rule.minDistinctApprovers === undefined ? base.minDistinctApprovers : Number(rule.minDistinctApprovers);
+        if (!Number.isInteger(min) || min < 1) throw new Error(`Approval rules "${label}" minDistinctApprovers must be a whole number from 1`);
+        return {
+            authorMayApprove: rule.authorMayApprove === undefined ? base.authorMayApprove : !!rule.authorMayApprove,
+            minDistinctApprovers: min,
+            approverRoles: list(rule.approverRoles, 'approverRoles').map(r => r.toLowerCase()),
+            approverDepartments: list(rule.approverDepartments, 'approverDepartments'),
+            approverInSopDepartment: rule.approverInSopDepartment === undefined ? base.approverInSopDepartment : !!rule.approverInSopDepartment
+        };
+    }
+
+    /** Validate a rules object (e.g. from SOP_APPROVAL_RULES); each department's rules fill in from "default". */
+    function normalizeRules(raw) {
+        const source = raw && typeof raw === 'object' ? raw : DEFAULT_APPROVAL_RULES;
+        const base = normalizeRule(source.default || {}, DEFAULT_APPROVAL_RULES.default, 'default');
+        const rules = { default: base };
+        Object.keys(source).filter(department => department !== 'default').forEach(department => {
+            rules[department] = normalizeRule(source[department], base, department);
+        });
+        return rules;
+    }
+
+    function rulesFor(department, rules) {
+        const all = rules || normalizeRules();
+        return all[department] || all.default;
+    }
+
+    function chainFor(department, chains) {
+        const all = chains || normalizeChains();
+        return all[department] || all.default;
+    }
+
+    function startApproval(department, chains, now) {
+        return {
+            department: department || '',
+            startedAt: now,
+            current: 0,
+            completedAt: '',
+            stages: chainFor(department, chains).map(stage => ({
+                ...stage, status: 'pending', by: '', byEmail: '', at: '', comments: ''
+            }))
+        };
+    }
+
+    /** The stage waiting for a decision, or null (no approval started, or finished). */
+    function currentStage(sop) {
+        const approval = sop && sop.approval;
+        if (!approval || !Array.isArray(approval.stages)) return null;
+        const stage = approval.stages[approval.current];
+        return stage && stage.status === 'pending' ? stage : null;
+    }
+
+    /** user: { email, roles } as issued by the backend. */
+    function canSignStage(stage, user) {
+        if (!stage || !user) return false;
+        const roles = user.roles || [];
+        if (roles.includes('admin')) return true;
+        if ((stage.users || []).includes(String(user.email || '').toLowerCase())) return true;
+        return (stage.roles || []).some(role => roles.includes(role));
+    }
+
+    function sameText(a, b) {
+        return !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    }
+
+    /** Whether user ({ name, email }) wrote the SOP: its author, or whoever submitted it for review. */
+    function isSopAuthor(sop, user) {
+        if (!sop || !user) return false;
+        const submittedBy = (sop.approval && sop.approval.submittedBy) || {};
+        return sameText(user.name, sop.meta && sop.meta.author) ||
+            sameText(user.email, submittedBy.email) || sameText(user.name, submittedBy.name);
+    }
+
+    function signerKey(person) {
+        return String(person.email || person.byEmail || person.name || person.by || '').trim().toLowerCase();
+    }
+
+    /**
+     * Why user may not approve the current stage under the separation-of-duties rules – a list of reasons,
+     * empty when they may. user: { name, email, roles, department }; roles and department are left out without
+     * accounts. Rejecting is never blocked.
+     */
+    function dutyViolations(sop, user, decision, rules) {
+        const stage = currentStage(sop);
+        if (!stage || decision !== 'approve' || !user) return [];
+        const rule = rulesFor(sop.meta.department, rules);
+        const approval = sop.approval;
+        const final = approval.current === approval.stages.length - 1;
+        const reasons = [];
+        if (!rule.authorMayApprove && isSopAuthor(sop, user)) {
+            reasons.push(`You are the author of this SOP, so someone else must approve the ${stage.name} stage.`);
+        }
+        const signers = new Set(approval.stages.filter(s => s.status === 'approved').map(signerKey).filter(Boolean));
+        const alreadySigned = signers.has(signerKey(user));
+        const possible = signers.size + (alreadySigned ? 0 : 1) + (approval.stages.length - approval.current - 1);
+        if (possible < rule.minDistinctApprovers) {
+            reasons.push(alreadySigned
+                ? `This SOP needs approval from ${rule.minDistinctApprovers} different people and you have already signed an earlier stage.`
+                : `This SOP needs approval from ${rule.minDistinctApprovers} different people, but its approval chain only has ${approval.stages.length} stage${approval.stages.length === 1 ? '' : 's'}.`);
+        }
+        if (final && Array.isArray(user.roles) && rule.approverRoles.length &&
+            !user.roles.includes('admin') && !rule.approverRoles.some(role => user.roles.includes(role))) {
+            reasons.push(`The final approval needs the ${rule.approverRoles.join(' or ')} role.`);
+        }
+        const departments = rule.approverDepartments.concat(rule.approverInSopDepartment && sop.meta.department ? [sop.meta.department] : []);
+        if (final && user.department !== undefined && departments.length && !departments.some(d => sameText(d, user.department))) {
+            reasons.push(`The final approval must come from ${departments.join(' or ')} (your department: ${user.department || 'none'}).`);
+        }
+        return reasons;
+    }
+
+    /** Throw with every reason when dutyViolations() finds any (error.code 'separation-of-duties'). */
+    function checkDuties(sop, user, decision, rules) {
+        const reasons = dutyViolations(sop, user, decision, rules);
+        if (!reasons.length) return;
+        const error = new Error(reasons.join(' '));
+        error.code = 'separation-of-duties';
+        error.reasons = reasons;
+        throw error;
+    }
+
+    /** The rules in words, for the review screens. */
+    function describeRules(department, rules) {
+        const rule = rulesFor(department, rules);
+        const lines = [];
+        if (!rule.authorMayApprove) lines.push('The author cannot approve their own SOP.');
+        if (rule.minDistinctApprovers > 1) lines.push(`At least ${rule.minDistinctApprovers} different people must approve it.`);
+        if (rule.approverRoles.length) lines.push(`The final approver needs the ${rule.approverRoles.join(' or ')} role.`);
+        const departments = rule.approverDepartments.concat(rule.approverInSopDepartment ? ['the SOP\'s own department'] : []);
+        if (departments.length) lines.push(`The final approver must be from ${departments.join(' or ')}.`);
+        return lines;
+    }
+
+    /** What the signer attests to, shown before they sign and printed in the manifest. */
+    function signatureMeaning(stage, decision) {
+        const name = (stage && stage.name) || 'reviewer';
+        return decision === 'reject' ? `Returned for changes at ${name} review` : `Approved as ${name}`;
+    }
+
+    /**
+     * Record a decision on the current stage. 'approve' moves to the next stage, or marks the SOP Approved
+     * after the last one; 'reject' sends the SOP back to its author as Rejected. Returns { stage, final }.
+     */
+    function applyDecision(sop, { decision, user, comments, at, signature }) {
+        const stage = currentStage(sop);
+        if (!stage) throw new Error('This SOP is not waiting for an approval decision');
+        if (decision !== 'approve' && decision !== 'reject') throw new Error('decision must be "approve" or "reject"');
+        Object.assign(stage, {
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            by: user.name || user.email || '',
+            byEmail: user.email || '',
+            at,
+            comments: comments || ''
+        });
+        if (signature) stage.signature = signature;
+        sop.meta.reviewer = stage.by;
+        sop.meta.reviewComments = stage.comments;
+        sop.reviewedAt = at;
+        if (decision === 'reject') {
+            sop.meta.status = 'Rejected';
+            return { stage, final: false };
+        }
+        const approval = sop.approval;
+        if (approval.current < approval.stages.length - 1) {
+            approval.current += 1;
+            return { stage, final: false };
+        }
+        approval.completedAt = at;
+        sop.meta.status = 'Approved';
+        return { stage, final: true };
+    }
+
+    /** What reviewers sign off – an edit to any of it during review restarts the chain. */
+    function approvalContentKey(sop) {
+        const meta = (sop && sop.meta) || {};
+        return JSON.stringify([meta.title, meta.department, meta.version, sop.description, sop.safety, sop.tools, sop.materials, sop.steps]);
+    }
+
+    /** "Stage 2 of 3: H&S" */
+    function describeStage(sop) {
+        const stage = currentStage(sop);
+        if (!stage) return '';
+        return `Stage ${sop.approval.current + 1} of ${sop.approval.stages.length}: ${stage.name}`;
+    }
+
+    return {
+        DEFAULT_APPROVAL_CHAINS, DEFAULT_APPROVAL_RULES, normalizeChains, normalizeRules, chainFor, rulesFor,
+        startApproval, currentStage, canSignStage, isSopAuthor, dutyViolations, checkDuties, describeRules,
+        signatureMeaning, applyDecision, approvalContentKey, describeStage
+    };
+}));
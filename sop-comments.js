@@ -0,0 +1,100 @@
+/**
+ * Review comments, shared by the browser (review view and editor markers) and the backend (/sops/:id/comments).
+ *
+ * Comments are threads pinned to one part of an SOP:
+ *
+ *   { id, anchor: { type, ref, label }, status, createdAt, revision, resolvedBy, resolvedAt,
+ *     comments: [{ id, author: { email, name }, text, at }] }
+ *
+ * anchor.type is one of ANCHOR_TYPES. ref identifies the item: the step id for steps, the field name for
+ * 'meta' (title, department, version, author), the item text for warnings, PPE, tools and materials, and ''
+ * for description and safety-notes. label is what people see ("Step 3: Isolate power").
+ * status is 'open' or 'resolved'; a reply does not reopen a resolved thread.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopComments = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ANCHOR_TYPES = ['meta', 'description', 'warning', 'ppe', 'safety-notes', 'tool', 'material', 'step'];
+    const META_FIELDS = ['title', 'department', 'version', 'author'];
+    const MAX_COMMENT_LENGTH = 4000;
+
+    function anchorKey(anchor) {
+        return `${anchor.type}:${anchor.ref || ''}`;
+    }
+
+    /** Check an anchor from a request. Throws on anything that does not point at a part of an SOP. */
+    function normalizeAnchor(anchor) {
+        if (!anchor || !ANCHOR_TYPES.includes(anchor.type)) throw new Error(`anchor.type must be one of ${ANCHOR_TYPES.join(', ')}`);
+        const ref = String(anchor.ref || '').trim();
+        if (anchor.type === 'meta' && !META_FIELDS.includes(ref)) throw new Error(`meta comments need ref ${META_FIELDS.join(', ')}`);
+        if (['warning', 'ppe', 'tool', 'material', 'step'].includes(anchor.type) && !ref) throw new Error('anchor.ref is required');
+        return { type: anchor.type, ref, label: String(anchor.label || '').trim().slice(0, 200) };
+    }
+
+    function normalizeText(text) {
+        const value = String(text || '').trim();
+        if (!value) throw new Error('Comment text is required');
+        if (value.length > MAX_COMMENT_LENGTH) throw new Error(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+        return value;
+    }
+
+    function findThread(threads, threadId) {
+        const thread = (threads || []).find(t => t.id === threadId);
+        if (!thread) throw new Error('Comment thread not found');
+        return thread;
+    }
+
+    /** Start a thread. Returns the new thread (also appended to threads). */
+    function createThread(threads, { id, commentId, anchor, text, author, at, revision }) {
+        const thread = {
+            id,
+            anchor: normalizeAnchor(anchor),
+            status: 'open',
+            createdAt: at,
+            revision: Number(revision) || 0,
+            resolvedBy: '',
+            resolvedAt: '',
+            comments: [{ id: commentId, author, text: normalizeText(text), at }]
+        };
+        threads.push(thread);
+        return thread;
+    }
+
+    function addReply(threads, threadId, { id, text, author, at }) {
+        const thread = findThread(threads, threadId);
+        thread.comments.push({ id, author, text: normalizeText(text), at });
+        return thread;
+    }
+
+    function setResolved(threads, threadId, resolved, author, at) {
+        const thread = findThread(threads, threadId);
+        thread.status = resolved ? 'resolved' : 'open';
+        thread.resolvedBy = resolved ? (author.name || author.email || '') : '';
+        thread.resolvedAt = resolved ? at : '';
+        return thread;
+    }
+
+    /** { [anchorKey]: number of open threads } – what the editor and review view mark. */
+    function openCountsByAnchor(threads) {
+        const counts = {};
+        (threads || []).forEach(thread => {
+            if (thread.status !== 'open') return;
+            const key = anchorKey(thread.anchor);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    function threadsFor(threads, anchor) {
+        const key = anchorKey(anchor);
+        return (threads || []).filter(thread => anchorKey(thread.anchor) === key);
+    }
+
+    return {
+        ANCHOR_TYPES, META_FIELDS, anchorKey, normalizeAnchor, createThread, addReply, setResolved,
+        openCountsByAnchor, threadsFor
+    };
+}));
@@ -0,0 +1,163 @@
+/**
+ * SOP diff – what changed between two versions of an SOP (the review view compares the submitted version
+ * with the last approved revision). Pure functions, no DOM.
+ *
+ *   const diff = SopDiff.diffSop(approved, submitted);
+ *
+ * Text fields are diffed word by word and lists item by item with a longest-common-subsequence match, so
+ * an inserted warning shows as one addition rather than every later item changing. Steps are matched by id:
+ *
+ *   diff.meta        [{ field, label, from, to, words }]            changed fields only
+ *   diff.description / diff.safetyNotes   { changed, words }
+ *   diff.lists       { warnings, ppe, tools, materials } → [{ op, value }]
+ *   diff.steps       [{ status, moved, fromIndex, toIndex, from, to, title, description, safetyNote,
+ *                       images: { added, removed, kept } }]
+ *   diff.hasChanges
+ *
+ * op is 'same', 'added' or 'removed'; status is 'same', 'changed', 'added' or 'removed'.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopDiff = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const META_FIELDS = [
+        { field: 'title', label: 'Title' },
+        { field: 'department', label: 'Department' },
+        { field: 'version', label: 'Version' },
+        { field: 'author', label: 'Author' },
+        { field: 'effectiveDate', label: 'Effective Date' }
+    ];
+
+    /** LCS over two arrays, compared by key(item). Returns [{ op, a, b }] in order (a from old, b from new). */
+    function diffSequence(oldItems, newItems, key = x => x) {
+        const a = oldItems || [];
+        const b = newItems || [];
+        const ka = a.map(key);
+        const kb = b.map(key);
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = ka[i] === kb[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (ka[i] === kb[j]) {
+                ops.push({ op: 'same', a: a[i++], b: b[j++] });
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                ops.push({ op: 'removed', a: a[i++] });
+            } else {
+                ops.push({ op: 'added', b: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ op: 'removed', a: a[i++] });
+        while (j < b.length) ops.push({ op: 'added', b: b[j++] });
+        return ops;
+    }
+
+    /** Word-level diff of two strings: [{ op, text }], whitespace kept with the words so joining rebuilds the text. */
+    function diffWords(oldText, newText) {
+        const tokens = text => String(text || '').match(/\s+|[^\s]+/g) || [];
+        const ops = diffSequence(tokens(oldText), tokens(newText));
+        const merged = [];
+        ops.forEach(({ op, a, b }) => {
+            const text = op === 'added' ? b : a;
+            const last = merged[merged.length - 1];
+            if (last && last.op === op) last.text += text;
+            else merged.push({ op, text });
+        });
+        return merged;
+    }
+
+    function textDiff(oldText, newText) {
+        const changed = String(oldText || '') !== String(newText || '');
+        return { changed, words: changed ? diffWords(oldText, newText) : [{ op: 'same', text: String(newText || '') }] };
+    }
+
+    function listDiff(oldList, newList) {
+        return diffSequence(oldList, newList).map(({ op, a, b }) => ({ op, value: op === 'added' ? b : a }));
+    }
+
+    /** Stored images are { ref, thumb }; older ones are inline data URLs. */
+    function imageKey(image) {
+        if (!image) return '';
+        return typeof image === 'string' ? image : (image.ref || image.thumb || '');
+    }
+
+    function imageDiff(oldImages, newImages) {
+        const images = { added: [], removed: [], kept: [] };
+        diffSequence(oldImages, newImages, imageKey).forEach(({ op, a, b }) => {
+            if (op === 'added') images.added.push(b);
+            else if (op === 'removed') images.removed.push(a);
+            else images.kept.push(b);
+        });
+        return images;
+    }
+
+    function stepDiff(from, to, fromIndex, toIndex, moved) {
+        const title = textDiff(from && from.title, to && to.title);
+        const description = textDiff(from && from.description, to && to.description);
+        const safetyNote = textDiff(from && from.safetyNote, to && to.safetyNote);
+        const images = imageDiff(from && from.images, to && to.images);
+        let status = 'same';
+        if (!from) status = 'added';
+        else if (!to) status = 'removed';
+        else if (title.changed || description.changed || safetyNote.changed || images.added.length || images.removed.length) status = 'changed';
+        return { status, moved: !!moved, fromIndex, toIndex, from: from || null, to: to || null, title, description, safetyNote, images };
+    }
+
+    /**
+     * Steps in the new order, with removed steps where they used to be. A step whose id is still there but
+     * out of sequence with the others is reported as moved (it keeps its content diff).
+     */
+    function diffSteps(oldSteps, newSteps) {
+        const a = oldSteps || [];
+        const b = newSteps || [];
+        const oldIndex = new Map(a.map((step, i) => [step.id, i]));
+        const newIndex = new Map(b.map((step, i) => [step.id, i]));
+        const ops = diffSequence(a, b, step => step.id);
+        const result = [];
+        ops.forEach(({ op, a: from, b: to }) => {
+            if (op === 'same') {
+                result.push(stepDiff(from, to, oldIndex.get(from.id), newIndex.get(to.id), false));
+            } else if (op === 'added') {
+                const was = oldIndex.has(to.id) ? a[oldIndex.get(to.id)] : null;
+                result.push(stepDiff(was, to, was ? oldIndex.get(to.id) : -1, newIndex.get(to.id), !!was));
+            } else if (!newIndex.has(from.id)) {
+                result.push(stepDiff(from, null, oldIndex.get(from.id), -1, false));
+            }
+            // a removed op for a step that is still there is the other half of a move
+        });
+        return result;
+    }
+
+    function diffSop(from, to) {
+        const fromMeta = (from && from.meta) || {};
+        const toMeta = (to && to.meta) || {};
+        const fromSafety = (from && from.safety) || {};
+        const toSafety = (to && to.safety) || {};
+        const meta = META_FIELDS
+            .filter(({ field }) => String(fromMeta[field] || '') !== String(toMeta[field] || ''))
+            .map(({ field, label }) => ({ field, label, from: fromMeta[field] || '', to: toMeta[field] || '', words: diffWords(fromMeta[field], toMeta[field]) }));
+        const description = textDiff(from && from.description, to && to.description);
+        const safetyNotes = textDiff(fromSafety.notes, toSafety.notes);
+        const lists = {
+            warnings: listDiff(fromSafety.warnings, toSafety.warnings),
+            ppe: listDiff(fromSafety.ppe, toSafety.ppe),
+            tools: listDiff(from && from.tools, to && to.tools),
+            materials: listDiff(from && from.materials, to && to.materials)
+        };
+        const steps = diffSteps(from && from.steps, to && to.steps);
+        const hasChanges = meta.length > 0 || description.changed || safetyNotes.changed ||
+            Object.keys(lists).some(k => lists[k].some(item => item.op !== 'same')) ||
+            steps.some(step => step.status !== 'same' || step.moved);
+        return { meta, description, safetyNotes, lists, steps, hasChanges };
+    }
+
+    return { diffSequence, diffWords, diffSop };
+}));
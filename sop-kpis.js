@@ -0,0 +1,252 @@
+/**
+ * Progress KPIs for the Tasks tab dashboard and its management report, shared by the browser and the backend
+ * (GET /kpis). They are worked out from lifecycle events – when an SOP went Under Review, Approved or
+ * Rejected – rather than from savedAt, which every save moves:
+ *
+ *   { at, sopId, department, action, fromStatus, toStatus }
+ *
+ * The backend takes them from the audit log (eventsFromAudit); with Drive or this device only they are read
+ * from each SOP's current approval record (eventsFromSops), so earlier review rounds are not counted there.
+ *
+ *   const report = SopKpis.computeKpis({ sops, events, requests, from: '2025-01-01', to: '2025-12-31',
+ *                                        department: 'Production', today: '2026-01-05' });
+ *
+ * from, to and department filter the event-based figures (time to approve, throughput, request turnaround);
+ * the review backlog, overdue reviews and coverage are as of today, filtered by department only. Time to
+ * approve runs from the first submission after the previous approval, so rework after a rejection counts.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopKpis = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const DEFAULT_DUE_SOON_DAYS = 30;
+    const MAX_MONTHS = 36;
+    const BACKLOG_BUCKETS = [
+        { label: '0–7 days', max: 7 },
+        { label: '8–30 days', max: 30 },
+        { label: '31–90 days', max: 90 },
+        { label: 'Over 90 days', max: Infinity }
+    ];
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const COLORS = { submitted: '#3498db', approved: '#27ae60', rejected: '#e74c3c', underReview: '#f39c12', other: '#95a5a6' };
+
+    function dateOf(value) {
+        return String(value || '').slice(0, 10);
+    }
+
+    function daysBetween(start, end) {
+        const days = (Date.parse(end) - Date.parse(start)) / DAY_MS;
+        return isNaN(days) ? null : days;
+    }
+
+    function round(value) {
+        return value === null ? null : Math.round(value * 10) / 10;
+    }
+
+    function average(values) {
+        return values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    }
+
+    function median(values) {
+        if (!values.length) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+    }
+
+    function declinedAt(request) {
+        const entry = (request.history || []).find(h => h.status === 'Declined');
+        return entry ? entry.at : '';
+    }
+
+    function toList(sops) {
+        return Array.isArray(sops) ? sops : Object.keys(sops || {}).map(key => ({ key, ...sops[key] }));
+    }
+
+    /** Audit log entries → events; departmentOf(sopId) supplies the department the log does not keep. */
+    function eventsFromAudit(entries, departmentOf) {
+        return (entries || [])
+            .filter(e => e.toStatus && e.fromStatus !== e.toStatus)
+            .map(e => ({
+                at: e.at, sopId: e.sopId, department: (departmentOf && departmentOf(e.sopId)) || '',
+                action: e.action || '', fromStatus: e.fromStatus || '', toStatus: e.toStatus
+            }));
+    }
+
+    /** Events read from each SOP's current approval record (Drive or this device only). */
+    function eventsFromSops(sops) {
+        const events = [];
+        toList(sops).forEach(sop => {
+            const meta = sop.meta || {};
+            const approval = sop.approval;
+            if (!approval || !approval.startedAt) return;
+            const base = { sopId: meta.sopId || sop.key || '', department: meta.department || approval.department || '' };
+            events.push({ ...base, at: approval.startedAt, action: 'submitted', fromStatus: '', toStatus: 'Under Review' });
+            (approval.stages || []).filter(stage => stage.status === 'rejected' && stage.at)
+                .forEach(stage => events.push({ ...base, at: stage.at, action: 'rejected', fromStatus: 'Under Review', toStatus: 'Rejected' }));
+            if (approval.completedAt && ['Approved', 'Superseded', 'Retired'].includes(meta.status)) {
+                events.push({ ...base, at: approval.completedAt, action: 'approved', fromStatus: 'Under Review', toStatus: 'Approved' });
+            }
+        });
+        return events;
+    }
+
+    /**
+     * "2025-01" … "2025-12" for the range, or the months events fall in when it is open-ended. A longer span
+     * keeps its last MAX_MONTHS months.
+     */
+    function monthsFor(from, to, events) {
+        const dates = events.map(e => dateOf(e.at)).filter(Boolean).sort();
+        const start = (from || dates[0] || '').slice(0, 7);
+        const end = (to || dates[dates.length - 1] || '').slice(0, 7);
+        if (!start || !end || start > end) return [];
+        const [startYear, startMonth] = start.split('-').map(Number);
+        const [endYear, endMonth] = end.split('-').map(Number);
+        const last = endYear * 12 + endMonth - 1;
+        const months = [];
+        for (let index = Math.max(startYear * 12 + startMonth - 1, last - MAX_MONTHS + 1); index <= last; index++) {
+            months.push(`${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`);
+        }
+        return months;
+    }
+
+    /**
+     * All the dashboard's figures. sops: SOPs or register summaries (array or keyed by SOP ID); events: see
+     * above; requests: SOP requests (sop-requests.js). today is "YYYY-MM-DD".
+     */
+    function computeKpis({ sops, events, requests, from = '', to = '', department = '', today, dueSoonDays = DEFAULT_DUE_SOON_DAYS }) {
+        const wantedDepartment = department && department !== 'all' ? department : '';
+        const deptOk = (d) => !wantedDepartment || d === wantedDepartment;
+        const inRange = (at) => {
+            const day = dateOf(at);
+            return !!day && (!from || day >= from) && (!to || day <= to);
+        };
+        const sopList = toList(sops).filter(sop => sop.meta && deptOk(sop.meta.department || ''));
+        const sorted = (events || []).filter(e => e.at).sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+        // One pass over each SOP's history: when its current review round started, and each approval
+        const cycleStart = new Map();
+        const approvals = [];
+        sorted.forEach(e => {
+            if (e.toStatus === 'Under Review' && !cycleStart.has(e.sopId)) cycleStart.set(e.sopId, e.at);
+            if (e.toStatus === 'Approved') {
+                const started = cycleStart.get(e.sopId);
+                if (started && inRange(e.at) && deptOk(e.department)) approvals.push({ ...e, days: daysBetween(started, e.at) });
+                cycleStart.delete(e.sopId);
+            }
+        });
+        const approvalDays = approvals.map(a => a.days).filter(d => d !== null);
+
+        const rangeEvents = sorted.filter(e => inRange(e.at) && deptOk(e.department));
+        const months = monthsFor(from, to, rangeEvents);
+        const throughput = months.map(month => {
+            const inMonth = rangeEvents.filter(e => e.at.slice(0, 7) === month);
+            const monthApprovals = approvals.filter(a => a.at.slice(0, 7) === month).map(a => a.days).filter(d => d !== null);
+            return {
+                month,
+                submitted: inMonth.filter(e => e.toStatus === 'Under Review').length,
+                approved: inMonth.filter(e => e.toStatus === 'Approved').length,
+                rejected: inMonth.filter(e => e.toStatus === 'Rejected').length,
+                averageDaysToApprove: average(monthApprovals)
+            };
+        });
+
+        const backlogItems = sopList.filter(sop => sop.meta.status === 'Under Review').map(sop => {
+            const key = sop.meta.sopId || sop.key || '';
+            const since = cycleStart.get(key) || (sop.approval && sop.approval.startedAt) || sop.savedAt || '';
+            return { sopId: key, title: sop.meta.title || '', department: sop.meta.department || '', since, ageDays: round(daysBetween(since, today)) };
+        }).sort((a, b) => (b.ageDays || 0) - (a.ageDays || 0));
+        const ages = backlogItems.map(item => item.ageDays).filter(d => d !== null);
+
+        const reviewItems = sopList.filter(sop => sop.meta.status === 'Approved' && sop.meta.reviewDate).map(sop => ({
+            sopId: sop.meta.sopId || sop.key || '', title: sop.meta.title || '', department: sop.meta.department || '',
+            reviewDate: dateOf(sop.meta.reviewDate), days: daysBetween(today, dateOf(sop.meta.reviewDate))
+        })).filter(item => item.days !== null);
+        const overdue = reviewItems.filter(item => item.days < 0).sort((a, b) => a.days - b.days);
+
+        const requestList = (requests || []).filter(r => deptOk(r.department || ''));
+        const openRequests = requestList.filter(r => ['Pending', 'Accepted', 'In Progress'].includes(r.status));
+        const completed = requestList.filter(r => r.status === 'Completed' && inRange(r.completedAt));
+        const turnaround = completed.map(r => daysBetween(r.submittedAt, r.completedAt)).filter(d => d !== null);
+
+        const departments = [...new Set(sopList.map(sop => sop.meta.department || '').concat(openRequests.map(r => r.department || '')))]
+            .filter(Boolean).sort();
+        const coverage = departments.map(name => {
+            const current = sopList.filter(sop => (sop.meta.department || '') === name && !['Retired', 'Superseded'].includes(sop.meta.status));
+            const approved = current.filter(sop => sop.meta.status === 'Approved').length;
+            const underReview = current.filter(sop => sop.meta.status === 'Under Review').length;
+            return {
+                department: name, total: current.length, approved, underReview, other: current.length - approved - underReview,
+                openRequests: openRequests.filter(r => r.department === name).length,
+                percentApproved: current.length ? Math.round((approved / current.length) * 100) : 0
+            };
+        });
+
+        return {
+            range: { from, to, department: wantedDepartment, today },
+            timeToApprove: { count: approvalDays.length, averageDays: average(approvalDays), medianDays: median(approvalDays) },
+            reviewBacklog: {
+                count: backlogItems.length, averageAgeDays: average(ages), oldestAgeDays: ages.length ? Math.max(...ages) : null,
+                buckets: BACKLOG_BUCKETS.map((bucket, i) => ({
+                    label: bucket.label,
+                    count: ages.filter(age => age <= bucket.max && (i === 0 || age > BACKLOG_BUCKETS[i - 1].max)).length
+                })),
+                items: backlogItems.slice(0, 10)
+            },
+            overdueReviews: {
+                overdue: overdue.length, dueSoon: reviewItems.filter(item => item.days >= 0 && item.days <= dueSoonDays).length,
+                items: overdue.slice(0, 10)
+            },
+            coverage,
+            requestTurnaround: {
+                completed: completed.length, declined: requestList.filter(r => r.status === 'Declined' && inRange(declinedAt(r))).length,
+                open: openRequests.length, averageDays: average(turnaround), medianDays: median(turnaround),
+                openAverageAgeDays: average(openRequests.map(r => daysBetween(r.submittedAt, today)).filter(d => d !== null))
+            },
+            throughput
+        };
+    }
+
+    /**
+     * The dashboard's charts, for the page (SVG) and the PDF report alike:
+     * [{ id, title, unit, labels, stacked, series: [{ name, color, values }] }]
+     */
+    function kpiCharts(report) {
+        const monthLabel = (month) => `${MONTH_NAMES[Number(month.slice(5, 7)) - 1]} ${month.slice(2, 4)}`;
+        return [
+            {
+                id: 'throughput', title: 'SOPs submitted, approved and rejected per month', unit: 'SOPs',
+                labels: report.throughput.map(t => monthLabel(t.month)), stacked: false,
+                series: [
+                    { name: 'Submitted', color: COLORS.submitted, values: report.throughput.map(t => t.submitted) },
+                    { name: 'Approved', color: COLORS.approved, values: report.throughput.map(t => t.approved) },
+                    { name: 'Rejected', color: COLORS.rejected, values: report.throughput.map(t => t.rejected) }
+                ]
+            },
+            {
+                id: 'timeToApprove', title: 'Average days from submission to approval', unit: 'days',
+                labels: report.throughput.map(t => monthLabel(t.month)), stacked: false,
+                series: [{ name: 'Days to approve', color: COLORS.approved, values: report.throughput.map(t => t.averageDaysToApprove || 0) }]
+            },
+            {
+                id: 'coverage', title: 'SOP coverage per department', unit: 'SOPs',
+                labels: report.coverage.map(c => c.department), stacked: true,
+                series: [
+                    { name: 'Approved', color: COLORS.approved, values: report.coverage.map(c => c.approved) },
+                    { name: 'Under review', color: COLORS.underReview, values: report.coverage.map(c => c.underReview) },
+                    { name: 'Draft / rejected', color: COLORS.other, values: report.coverage.map(c => c.other) }
+                ]
+            },
+            {
+                id: 'backlog', title: 'Review backlog by age', unit: 'SOPs',
+                labels: report.reviewBacklog.buckets.map(b => b.label), stacked: false,
+                series: [{ name: 'Under review', color: COLORS.underReview, values: report.reviewBacklog.buckets.map(b => b.count) }]
+            }
+        ];
+    }
+
+    return { DEFAULT_DUE_SOON_DAYS, BACKLOG_BUCKETS, eventsFromAudit, eventsFromSops, computeKpis, kpiCharts };
+}));
@@ -0,0 +1,127 @@
+/**
+ * SOP lifecycle – the statuses an SOP moves through and the only transitions allowed between them, shared by
+ * the browser (editor, review, register) and the backend (POST /sops, POST /sops/:id/approval), which both
+ * call checkTransition() before changing meta.status:
+ *
+ *   Draft ──submit──▶ Under Review ──approve──▶ Approved ──retire──▶ Retired
+ *                       │      ▲                  │
+ *                  reject      submit             ├─revise──▶ Draft / Under Review (next version)
+ *                       ▼      │                  └─supersede (newer version approved) ──▶ Superseded
+ *                       Rejected
+ *
+ * Each transition says who may trigger it (roles; admins may trigger any but system ones), whether it only
+ * happens through the approval chain, and what the SOP must have first:
+ *
+ *   SopLifecycle.checkTransition('Draft', 'Under Review', { roles: user.roles, sop });   // throws if not allowed
+ *
+ * The error's code is 'not-allowed' (no such transition), 'forbidden' (wrong role or not through the chain)
+ * or 'incomplete' (required data missing). roles is left out where there are no accounts (Drive, this device).
+ * Saving without changing status is allowed except for Superseded SOPs; Approved and Retired content only
+ * changes through a new revision (sop-versioning.js).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopLifecycle = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STATUSES = ['Draft', 'Under Review', 'Rejected', 'Approved', 'Superseded', 'Retired'];
+    const EDITORS = ['author', 'reviewer', 'approver'];
+    const SIGNERS = ['reviewer', 'approver'];
+
+    // from '' is a new SOP. chain: only as a decision of the approval chain (POST /sops/:id/approval);
+    // system: only the tool itself, never a user's save.
+    const TRANSITIONS = [
+        { from: '', to: 'Draft', action: 'create', roles: EDITORS, requires: [] },
+        { from: '', to: 'Under Review', action: 'submit', roles: EDITORS, requires: ['title', 'department', 'steps'] },
+        { from: 'Draft', to: 'Under Review', action: 'submit', roles: EDITORS, requires: ['title', 'department', 'steps'] },
+        { from: 'Rejected', to: 'Under Review', action: 'submit', roles: EDITORS, requires: ['title', 'department', 'steps'] },
+        { from: 'Under Review', to: 'Approved', action: 'approve', roles: SIGNERS, chain: true, requires: ['reviewDate'] },
+        { from: 'Under Review', to: 'Rejected', action: 'reject', roles: SIGNERS, chain: true, requires: ['comments'] },
+        { from: 'Approved', to: 'Draft', action: 'revise', roles: EDITORS, requires: ['revisionOf'] },
+        { from: 'Approved', to: 'Under Review', action: 'revise', roles: EDITORS, requires: ['revisionOf', 'title', 'department', 'steps'] },
+        { from: 'Approved', to: 'Retired', action: 'retire', roles: ['approver'], requires: ['reason'] },
+        { from: 'Approved', to: 'Superseded', action: 'supersede', roles: [], system: true, requires: [] }
+    ];
+
+    const REQUIREMENTS = {
+        title: { label: 'a title', met: (sop) => !!String(sop.meta.title || '').trim() },
+        department: { label: 'a department', met: (sop) => !!String(sop.meta.department || '').trim() },
+        steps: { label: 'at least one step', met: (sop) => Array.isArray(sop.steps) && sop.steps.length > 0 },
+        reviewDate: { label: 'a review date', met: (sop) => !!sop.meta.reviewDate },
+        revisionOf: { label: 'a new version number and change reason', met: (sop) => !!(sop.revisionOf && sop.revisionOf.reason) },
+        reason: { label: 'a reason', met: (sop, context) => !!String(context.reason || '').trim() },
+        comments: { label: 'comments for the author', met: (sop, context) => !!String(context.comments || '').trim() }
+    };
+
+    const ACTION_LABELS = {
+        create: 'Creating an SOP', submit: 'Submitting for review', approve: 'Approving', reject: 'Rejecting',
+        revise: 'Revising an approved SOP', retire: 'Retiring an SOP', supersede: 'Superseding'
+    };
+
+    /** Status as stored; SOPs saved before statuses were required count as Draft. */
+    function normalizeStatus(status) {
+        return STATUSES.includes(status) ? status : 'Draft';
+    }
+
+    function findTransition(from, to) {
+        return TRANSITIONS.find(t => t.from === from && t.to === to) || null;
+    }
+
+    /** Statuses a user with roles can move an SOP to from status (roles left out: everything but system ones). */
+    function nextStatuses(from, roles) {
+        return TRANSITIONS
+            .filter(t => t.from === normalizeStatus(from) && !t.system && roleAllowed(t, roles))
+            .map(t => t.to);
+    }
+
+    function roleAllowed(transition, roles) {
+        if (!roles) return true;
+        return roles.includes('admin') || transition.roles.some(role => roles.includes(role));
+    }
+
+    function lifecycleError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    function joinLabels(labels, conjunction = 'and') {
+        return labels.length < 2 ? labels.join('') : `${labels.slice(0, -1).join(', ')} ${conjunction} ${labels[labels.length - 1]}`;
+    }
+
+    /**
+     * Check a status change and return its transition (null when the status stays the same). from is the stored
+     * status ('' or null for a new SOP). context: { roles, sop, reason, comments, viaApprovalChain, system }.
+     */
+    function checkTransition(from, to, context = {}) {
+        const fromStatus = from ? normalizeStatus(from) : '';
+        if (!STATUSES.includes(to)) throw lifecycleError('not-allowed', `Unknown status "${to}"`);
+        if (fromStatus === to) {
+            if (to === 'Superseded') throw lifecycleError('not-allowed', 'Superseded SOPs cannot be changed');
+            return null;
+        }
+        const transition = findTransition(fromStatus, to);
+        if (!transition) {
+            throw lifecycleError('not-allowed', `An SOP cannot go from ${fromStatus || 'new'} to ${to}`);
+        }
+        if (transition.system && !context.system) {
+            throw lifecycleError('forbidden', `SOPs become ${to} automatically – it cannot be set by hand`);
+        }
+        if (!transition.system && !roleAllowed(transition, context.roles)) {
+            throw lifecycleError('forbidden', `${ACTION_LABELS[transition.action]} needs the ${joinLabels(transition.roles, 'or')} role`);
+        }
+        const admin = !!context.roles && context.roles.includes('admin');
+        if (transition.chain && !context.viaApprovalChain && !admin) {
+            throw lifecycleError('forbidden', `SOPs are ${to === 'Approved' ? 'approved' : 'rejected'} through their approval chain`);
+        }
+        const sop = context.sop || { meta: {} };
+        const missing = transition.requires.filter(name => !REQUIREMENTS[name].met(sop, context)).map(name => REQUIREMENTS[name].label);
+        if (missing.length) {
+            throw lifecycleError('incomplete', `${ACTION_LABELS[transition.action]} needs ${joinLabels(missing)}`);
+        }
+        return transition;
+    }
+
+    return { STATUSES, TRANSITIONS, normalizeStatus, findTransition, nextStatuses, checkTransition };
+}));
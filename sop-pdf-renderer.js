@@ -0,0 +1,362 @@
+/**
+ * SOP → PDF renderer shared by the browser (exportToPdf in app.js) and the backend (GET /sops/:id/pdf).
+ * It only reads the SOP and the assets it is given – no DOM, no clock, no network – so the same SOP,
+ * logo and photos always produce the same PDF bytes (creation date and file ID come from the SOP).
+ *
+ *   const assets = { logo, stepImages: await resolveSopPdfImages(sop, image => dataUrl) };
+ *   const doc = renderSopPdf(jsPDF, sop, assets);   // jsPDF document, call doc.output(...)
+ *
+ * assets.logo is a data URL (page 1 header); assets.stepImages maps step id → data URL of its first photo.
+ * A Superseded SOP (an approved version replaced by a newer one) gets a SUPERSEDED watermark on every page, a
+ * Retired one (withdrawn from use) a RETIRED watermark.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopPdfRenderer = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    /** "2025-03-07" → "Mar 7, 2025" without going through the local time zone. */
+    function formatDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+        if (!match) return String(value || '');
+        return `${MONTHS[Number(match[2]) - 1]} ${Number(match[3])}, ${match[1]}`;
+    }
+
+    /** The moment this version of the SOP was fixed – used as the PDF creation date. */
+    function sopTimestamp(sop) {
+        const candidates = [sop.reviewedAt, sop.revisedAt, sop.savedAt, sop.meta && sop.meta.effectiveDate];
+        for (const value of candidates) {
+            const time = Date.parse(value || '');
+            if (!isNaN(time)) return new Date(time);
+        }
+        return new Date(Date.UTC(2000, 0, 1));
+    }
+
+    function pdfDateString(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}+00'00'`;
+    }
+
+    /** 32 hex chars derived from the SOP content (FNV-1a, four seeds) – stands in for jsPDF's random file ID. */
+    function contentFileId(sop) {
+        const text = JSON.stringify([sop.meta, sop.description, sop.safety, sop.tools, sop.materials, sop.steps, sop.approval]);
+        let id = '';
+        [0x811c9dc5, 0x01000193, 0x2b992ddf, 0x5bd1e995].forEach(seed => {
+            let hash = seed >>> 0;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            id += hash.toString(16).padStart(8, '0');
+        });
+        return id.toUpperCase();
+    }
+
+    function imageFormat(dataUrl) {
+        const match = /^data:image\/([a-z]+)/i.exec(dataUrl || '');
+        const type = match ? match[1].toUpperCase() : 'JPEG';
+        return type === 'JPG' ? 'JPEG' : type;
+    }
+
+    /**
+     * Resolve each step's first photo to a data URL. resolveImage(image) gets the stored value
+     * (data URL or { ref, thumb }); failures leave the step without a photo.
+     */
+    async function resolveSopPdfImages(sop, resolveImage) {
+        const stepImages = {};
+        for (const step of (sop && sop.steps) || []) {
+            if (!step || !Array.isArray(step.images) || step.images.length === 0) continue;
+            try {
+                const dataUrl = await resolveImage(step.images[0]);
+                if (dataUrl) stepImages[step.id] = dataUrl;
+            } catch (e) {
+                console.warn('Could not load image for step', step.title || step.id, e.message);
+            }
+        }
+        return stepImages;
+    }
+
+    function renderSopPdf(jsPDF, sop, assets = {}) {
+        const meta = sop.meta || {};
+        const safety = sop.safety || {};
+        const warnings = safety.warnings || [];
+        const ppe = safety.ppe || [];
+        const tools = sop.tools || [];
+        const materials = sop.materials || [];
+        const steps = (sop.steps || []).filter(Boolean);
+        const stepImages = assets.stepImages || {};
+
+        const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+        doc.setCreationDate(pdfDateString(sopTimestamp(sop)));
+        doc.setFileId(contentFileId(sop));
+        doc.setDocumentProperties({ title: meta.title || 'Untitled SOP', subject: meta.sopId || '', creator: 'RECORP SOP Tool' });
+
+        let yPos = 20;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const margin = 15;
+        const contentWidth = pageWidth - (2 * margin);
+        const maxHeight = pageHeight - 50; // leave room for the footer
+
+        // Footer: SOP Name | Version | Date Produced (drawn on every page at the end)
+        function addFooter() {
+            doc.setFontSize(8);
+            doc.setFont(undefined, 'normal');
+            doc.setTextColor(100, 100, 100);
+            const dateProduced = formatDate(meta.effectiveDate || sopTimestamp(sop).toISOString());
+            const footerText = `${meta.title || 'Untitled SOP'} | Version ${meta.version || 'N/A'} | Date Produced: ${dateProduced}`;
+            doc.text(footerText, (pageWidth - doc.getTextWidth(footerText)) / 2, pageHeight - 10);
+            doc.setTextColor(0, 0, 0);
+        }
+
+        function addStatusWatermark(text) {
+            doc.saveGraphicsState();
+            doc.setGState(new doc.GState({ opacity: 0.15 }));
+            doc.setFontSize(80);
+            doc.setFont(undefined, 'bold');
+            doc.setTextColor(200, 0, 0);
+            // Rotated 45° about the page centre: start half the text width back along the diagonal
+            const half = doc.getTextWidth(text) / 2 * Math.SQRT1_2;
+            doc.text(text, pageWidth / 2 - half, pageHeight / 2 + half, { angle: 45 });
+            doc.restoreGraphicsState();
+            doc.setTextColor(0, 0, 0);
+        }
+
+        function checkNewPage(requiredHeight) {
+            if (yPos + requiredHeight > maxHeight) {
+                doc.addPage();
+                yPos = 20;
+                return true;
+            }
+            return false;
+        }
+
+        // Logo on the first page only (top right), scaled to fit 25 x 10 mm without distortion
+        if (assets.logo) {
+            let ratio = assets.logoAspectRatio;
+            if (!(ratio > 0)) {
+                try {
+                    const props = doc.getImageProperties(assets.logo);
+                    ratio = props.width / props.height;
+                } catch (e) {
+                    ratio = 25 / 9;
+                }
+            }
+            const logoWidth = ratio >= 1 ? 25 : 10 * ratio;
+            const logoHeight = ratio >= 1 ? 25 / ratio : 10;
+            doc.addImage(assets.logo, imageFormat(assets.logo), pageWidth - margin - logoWidth, 10, logoWidth, logoHeight);
+        }
+
+        // Header with title
+        doc.setFontSize(18);
+        doc.setFont(undefined, 'bold');
+        doc.text(meta.title || 'Untitled SOP', margin, yPos);
+        yPos += 10;
+
+        // Metadata
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        [
+            `SOP ID: ${meta.sopId || 'N/A'}`,
+            `Department: ${meta.department || 'N/A'}`,
+            `Version: ${meta.version || 'N/A'}`,
+            `Author: ${meta.author || 'N/A'}`,
+            `Status: ${meta.status || 'N/A'}`,
+            `Effective Date: ${meta.effectiveDate || 'N/A'}`,
+            `Review Date: ${meta.reviewDate || 'N/A'}`
+        ].forEach(line => {
+            checkNewPage(5);
+            doc.text(line, margin, yPos);
+            yPos += 5;
+        });
+
+        yPos += 5;
+        checkNewPage(10);
+        doc.line(margin, yPos, pageWidth - margin, yPos);
+        yPos += 10;
+
+        function heading(text) {
+            checkNewPage(15);
+            doc.setFontSize(12);
+            doc.setFont(undefined, 'bold');
+            doc.text(text, margin, yPos);
+            yPos += 7;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+        }
+
+        function label(text) {
+            checkNewPage(5);
+            doc.setFont(undefined, 'bold');
+            doc.text(text, margin, yPos);
+            yPos += 5;
+            doc.setFont(undefined, 'normal');
+        }
+
+        function lines(textLines, x) {
+            textLines.forEach(line => {
+                checkNewPage(5);
+                doc.text(line, x, yPos);
+                yPos += 5;
+            });
+        }
+
+        // Description
+        if (sop.description) {
+            heading('Description');
+            lines(doc.splitTextToSize(sop.description, contentWidth), margin);
+            yPos += 5;
+        }
+
+        // Safety
+        heading('Safety');
+        if (warnings.length > 0) {
+            label('Safety Warnings:');
+            lines(warnings.map(w => `• ${w}`), margin + 5);
+        }
+        if (ppe.length > 0) {
+            label('PPE Required:');
+            lines(doc.splitTextToSize(ppe.join(', '), contentWidth).map(l => `• ${l}`), margin + 5);
+        }
+        if (safety.notes) {
+            label('Safety Notes:');
+            lines(doc.splitTextToSize(safety.notes, contentWidth), margin);
+        }
+        yPos += 5;
+
+        // Tools & Materials
+        heading('Tools & Materials');
+        if (tools.length > 0) {
+            label('Tools Required:');
+            lines(tools.map(t => `• ${t}`), margin + 5);
+        }
+        if (materials.length > 0) {
+            label('Materials Required:');
+            lines(materials.map(m => `• ${m}`), margin + 5);
+        }
+        yPos += 5;
+
+        // Steps - first step directly under heading when possible
+        checkNewPage(15);
+        doc.setFontSize(12);
+        doc.setFont(undefined, 'bold');
+        doc.text('Step-by-Step Instructions', margin, yPos);
+        yPos += 5;
+
+        // Description on the left, portrait (3:4) photo on the right
+        const columnWidth = contentWidth * 0.52;
+        const leftX = margin + 2;
+        const rightX = margin + columnWidth + 10;
+        let imageWidth = contentWidth * 0.45;
+        let imageHeight = imageWidth * (4 / 3);
+        if (imageHeight > 80) {
+            imageHeight = 80;
+            imageWidth = imageHeight * (3 / 4);
+        }
+
+        steps.forEach((step, i) => {
+            const imageData = stepImages[step.id] || null;
+            let descHeight = step.description ? doc.splitTextToSize(step.description, contentWidth * 0.65).length * 5 : 0;
+            if (step.safetyNote) descHeight += 10;
+            const stepHeight = 15 + Math.max(descHeight, imageData ? imageHeight : 0) + 10;
+
+            // Start the step on a new page if all of it does not fit
+            if (yPos + stepHeight > maxHeight) {
+                doc.addPage();
+                yPos = 20;
+            }
+
+            checkNewPage(15);
+            doc.setFontSize(11);
+            doc.setFont(undefined, 'bold');
+            doc.text(`Step ${i + 1}: ${step.title || 'Untitled Step'}`, margin, yPos);
+            yPos += 7;
+
+            let leftY = yPos;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+            if (step.description) {
+                doc.splitTextToSize(step.description, columnWidth - 4).forEach(line => {
+                    doc.text(line, leftX, leftY);
+                    leftY += 5;
+                });
+            }
+            if (step.safetyNote) {
+                leftY += 2;
+                doc.setFont(undefined, 'italic');
+                doc.setTextColor(200, 150, 0);
+                doc.splitTextToSize(`⚠ ${step.safetyNote}`, columnWidth - 4).forEach(line => {
+                    doc.text(line, leftX, leftY);
+                    leftY += 5;
+                });
+                doc.setTextColor(0, 0, 0);
+            }
+
+            let drawnImageHeight = 0;
+            if (imageData) {
+                try {
+                    doc.addImage(imageData, imageFormat(imageData), rightX, yPos, imageWidth, imageHeight);
+                    drawnImageHeight = imageHeight;
+                } catch (err) {
+                    doc.text('[Image]', rightX, yPos);
+                }
+            }
+
+            yPos = Math.max(leftY, yPos + drawnImageHeight) + 3;
+
+            // Grey rule between steps
+            if (i < steps.length - 1) {
+                checkNewPage(10);
+                yPos += 3;
+                doc.setDrawColor(150, 150, 150);
+                doc.setLineWidth(0.5);
+                doc.line(margin, yPos, pageWidth - margin, yPos);
+                yPos += 5;
+            }
+        });
+
+        // Approvals: every signed stage of the approval chain (sop-approval.js), with its signature manifest
+        const approvals = ((sop.approval && sop.approval.stages) || []).filter(stage => stage.status === 'approved');
+        if (approvals.length > 0) {
+            yPos += 10;
+            heading(approvals.some(stage => stage.signature) ? 'Approvals – Signature Manifest' : 'Approvals');
+            approvals.forEach((stage, i) => {
+                const signature = stage.signature;
+                checkNewPage(signature ? 25 : 5);
+                lines(doc.splitTextToSize(`${i + 1}. ${stage.name}: ${stage.by || 'N/A'} – ${formatDate(stage.at) || 'N/A'}`, contentWidth), margin);
+                if (!signature) return;
+                doc.setFontSize(8);
+                lines([
+                    `Signed by: ${signature.signer.name || ''} <${signature.signer.email || ''}>`,
+                    `Meaning: ${signature.meaning}`,
+                    `Signed at: ${String(signature.signedAt).replace('T', ' ').replace(/\.\d+Z$/, ' UTC')} (${signature.method} re-authentication)`,
+                    `Revision ${signature.revision} content SHA-256: ${signature.contentHash}`
+                ], margin + 5);
+                doc.setFontSize(10);
+                yPos += 2;
+            });
+        }
+
+        const totalPages = doc.getNumberOfPages();
+        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+            doc.setPage(pageNum);
+            addFooter();
+            if (meta.status === 'Superseded' || meta.status === 'Retired') addStatusWatermark(meta.status.toUpperCase());
+        }
+        doc.setPage(totalPages);
+        return doc;
+    }
+
+    /** File name without extension, e.g. "PROD-2025-01-15-001_Forklift_Checks". */
+    function sopPdfBaseName(sop) {
+        const meta = (sop && sop.meta) || {};
+        const titleSlug = (meta.title || 'Untitled').replace(/[^a-z0-9]/gi, '_').substring(0, 50);
+        return `${meta.sopId || 'sop'}_${titleSlug}`;
+    }
+
+    return { renderSopPdf, resolveSopPdfImages, sopPdfBaseName };
+}));
@@ -0,0 +1,255 @@
+/**
+ * SOP requests – asks for a new SOP, shared by the browser (Requests tab) and the backend (/requests).
+ *
+ *   { id, title, department, submitter, priority, description, status, submittedAt, submittedBy: { email, name },
+ *     sopId, declineReason, completedAt, history: [{ at, by, status, note }],
+ *     votes: [{ at, name, email, comment }], justification, possibleDuplicates: [{ type, id, title }] }
+ *
+ * priority is '1' (lowest) to '5' (urgent); submitter is the name typed on the form, submittedBy the account
+ * (empty without one). A request moves through:
+ *
+ *   Pending ──accept──▶ Accepted ──start──▶ In Progress ──(its SOP approved)──▶ Completed
+ *      └──────────────start──────────────────▲     any open status ──decline (reason)──▶ Declined
+ *
+ * Starting an SOP from a request puts the request's id on the SOP (sop.requestId) and the SOP's ID on the
+ * request (sopId), so the list links to the SOP and approving the SOP completes the request.
+ *
+ * Before a request is submitted, findDuplicates() compares its title and description with the existing SOPs
+ * and the open requests. The submitter can then add a "+1" vote to a matching request instead, or submit
+ * anyway – the request then keeps the justification and the matches that were shown (possibleDuplicates).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopRequests = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STATUSES = ['Pending', 'Accepted', 'In Progress', 'Completed', 'Declined'];
+    const OPEN_STATUSES = ['Pending', 'Accepted', 'In Progress'];
+    const TRANSITIONS = {
+        'Pending': ['Accepted', 'In Progress', 'Declined'],
+        'Accepted': ['In Progress', 'Declined'],
+        'In Progress': ['Completed', 'Declined'],
+        'Completed': [],
+        'Declined': []
+    };
+    const PRIORITIES = ['1', '2', '3', '4', '5'];
+    const MAX_TEXT_LENGTH = 4000;
+    const MAX_DUPLICATES = 5;
+    const DUPLICATE_THRESHOLD = 0.45;
+    // Words that say nothing about what an SOP covers
+    const STOP_WORDS = new Set(('a an and are as at be by for from how in into is it of on or our the this to we when ' +
+        'with new sop sops procedure procedures standard operating process instruction instructions need needed ' +
+        'please request create write document guide').split(' '));
+
+    function text(value, name, required, max = 200) {
+        const result = String(value === undefined || value === null ? '' : value).trim();
+        if (required && !result) throw new Error(`${name} is required`);
+        if (result.length > max) throw new Error(`${name} is limited to ${max} characters`);
+        return result;
+    }
+
+    /** Check the form fields. Throws on a missing title, department, submitter or an unknown priority. */
+    function normalizeFields(fields) {
+        const source = fields || {};
+        const priority = String(source.priority || '3');
+        if (!PRIORITIES.includes(priority)) throw new Error('priority must be 1 to 5');
+        return {
+            title: text(source.title, 'title', true),
+            department: text(source.department, 'department', true),
+            submitter: text(source.submitter, 'submitter', true),
+            priority,
+            description: text(source.description, 'description', false, MAX_TEXT_LENGTH)
+        };
+    }
+
+    function createRequest({ id, fields, at, by, justification, possibleDuplicates }) {
+        const duplicates = normalizeDuplicates(possibleDuplicates);
+        const reason = text(justification, 'justification', false, MAX_TEXT_LENGTH);
+        if (duplicates.length && !reason) throw new Error('justification is required when the request may be a duplicate');
+        return {
+            id,
+            ...normalizeFields(fields),
+            status: 'Pending',
+            submittedAt: at,
+            submittedBy: by && by.email ? { email: by.email, name: by.name || '' } : { email: '', name: '' },
+            sopId: '',
+            declineReason: '',
+            completedAt: '',
+            history: [{ at, by: personName(by), status: 'Pending', note: '' }],
+            votes: [],
+            justification: reason,
+            possibleDuplicates: duplicates
+        };
+    }
+
+    function normalizeDuplicates(list) {
+        if (!Array.isArray(list)) return [];
+        return list.slice(0, MAX_DUPLICATES)
+            .filter(d => d && (d.type === 'sop' || d.type === 'request') && d.id)
+            .map(d => ({ type: d.type, id: text(d.id, 'duplicate id', true), title: text(d.title, 'duplicate title', false) }));
+    }
+
+    /** Requests saved before they had a history or link start with them empty. */
+    function upgradeRequest(request) {
+        return {
+            sopId: '', declineReason: '', completedAt: '', submittedBy: { email: '', name: '' },
+            votes: [], justification: '', possibleDuplicates: [],
+            history: [{ at: request.submittedAt || '', by: request.submitter || '', status: 'Pending', note: '' }],
+            ...request,
+            status: STATUSES.includes(request.status) ? request.status : 'Pending',
+            priority: String(request.priority || '3')
+        };
+    }
+
+    function personName(by) {
+        return (by && (by.name || by.email)) || '';
+    }
+
+    function isOpen(request) {
+        return OPEN_STATUSES.includes(request.status);
+    }
+
+    function canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Move request (mutated) to status. options: { at, by, reason, sopId } – Declined needs a reason; sopId
+     * links the SOP. Setting the status it already has only updates the link. Returns request.
+     */
+    function setStatus(request, status, { at, by, reason, sopId } = {}) {
+        if (!STATUSES.includes(status)) throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+        if (sopId !== undefined) request.sopId = text(sopId, 'sopId', false);
+        if (request.status === status) return request;
+        if (!canTransition(request.status, status)) throw new Error(`A request cannot go from ${request.status} to ${status}`);
+        const note = text(reason, 'reason', status === 'Declined', MAX_TEXT_LENGTH);
+        request.status = status;
+        if (status === 'Declined') request.declineReason = note;
+        if (status === 'Completed') request.completedAt = at;
+        request.history.push({ at, by: personName(by), status, note });
+        return request;
+    }
+
+    /** Change the form fields while the request is still open. */
+    function updateFields(request, fields) {
+        if (!isOpen(request)) throw new Error(`${request.status} requests cannot be changed`);
+        return Object.assign(request, normalizeFields({ ...request, ...fields }));
+    }
+
+    /** Record the SOP started from request; a Pending or Accepted request is then In Progress. */
+    function linkSop(request, sopId, { at, by } = {}) {
+        if (!isOpen(request)) return request;
+        return setStatus(request, 'In Progress', { at, by, sopId, reason: sopId ? `SOP ${sopId}` : '' });
+    }
+
+    /**
+     * Add a "+1" vote (mutated) from by ({ email, name }) to an open request. Each person votes once – matched by
+     * email, or by name without an account. Returns request.
+     */
+    function addVote(request, { at, by, comment } = {}) {
+        if (!isOpen(request)) throw new Error(`${request.status} requests cannot be voted for`);
+        const name = text(personName(by), 'name', true);
+        const email = (by && by.email) || '';
+        const votes = request.votes || (request.votes = []);
+        const same = (vote) => email ? vote.email === email : !vote.email && vote.name.toLowerCase() === name.toLowerCase();
+        if (votes.some(same) || (email ? request.submittedBy.email === email : request.submitter.toLowerCase() === name.toLowerCase())) {
+            throw new Error('You have already asked for this SOP');
+        }
+        votes.push({ at, name, email, comment: text(comment, 'comment', false, MAX_TEXT_LENGTH) });
+        return request;
+    }
+
+    /** Lower-case words without stop words, plurals and -ing/-ed endings: "Cleaning the Fillers" → ['clean', 'filler']. */
+    function keywords(value) {
+        return String(value || '').toLowerCase().split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+            .map(word => word.length > 5 ? word.replace(/(ing|ed)$/, '') : word)
+            .map(word => word.length > 3 ? word.replace(/(es|s)$/, '') : word);
+    }
+
+    function trigrams(value) {
+        const grams = new Set();
+        const padded = ` ${keywords(value).join(' ')} `;
+        for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+        return grams;
+    }
+
+    function dice(a, b) {
+        if (!a.size || !b.size) return 0;
+        let shared = 0;
+        a.forEach(item => { if (b.has(item)) shared++; });
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    /** 0–1: how alike two titles are, by shared words or – for typos and word order – shared letter triples. */
+    function titleSimilarity(a, b) {
+        return Math.max(dice(new Set(keywords(a)), new Set(keywords(b))), dice(trigrams(a), trigrams(b)));
+    }
+
+    /** 0–1: the share of the candidate's words found in the other text. */
+    function coverage(words, other) {
+        if (words.size < 3) return 0;
+        const found = new Set(keywords(other));
+        let shared = 0;
+        words.forEach(word => { if (found.has(word)) shared++; });
+        return shared / words.size;
+    }
+
+    /**
+     * SOPs and open requests that look like the same thing as candidate ({ title, description }), best match first:
+     * [{ type: 'sop' | 'request', id, title, department, status, score, votes }]. sops are SOP objects or register
+     * summaries (steps, or stepTitles as the backend's index has them), as an array or keyed by SOP ID; Retired
+     * and Superseded SOPs and closed requests are left out. options: { threshold, limit, excludeId }.
+     */
+    function findDuplicates(candidate, { sops, requests } = {}, { threshold = DUPLICATE_THRESHOLD, limit = MAX_DUPLICATES, excludeId } = {}) {
+        const title = (candidate && candidate.title) || '';
+        const words = new Set(keywords(`${title} ${(candidate && candidate.description) || ''}`));
+        const score = (otherTitle, otherText) => {
+            const titleScore = titleSimilarity(title, otherTitle);
+            return Math.max(titleScore, 0.5 * titleScore + 0.5 * coverage(words, `${otherTitle} ${otherText}`));
+        };
+        const matches = [];
+        const sopList = Array.isArray(sops) ? sops : Object.keys(sops || {}).map(key => ({ key, ...sops[key] }));
+        sopList.forEach(sop => {
+            const meta = sop.meta || {};
+            if (meta.status === 'Retired' || meta.status === 'Superseded') return;
+            const steps = sop.stepTitles || (sop.steps || []).map(step => `${step.title || ''} ${step.description || ''}`);
+            matches.push({
+                type: 'sop', id: meta.sopId || sop.key || '', title: meta.title || '', department: meta.department || '',
+                status: meta.status || 'Draft', votes: 0, score: score(meta.title, `${meta.description || ''} ${steps.join(' ')}`)
+            });
+        });
+        (requests || []).filter(r => isOpen(r) && r.id !== excludeId).forEach(request => {
+            matches.push({
+                type: 'request', id: request.id, title: request.title, department: request.department, status: request.status,
+                votes: (request.votes || []).length, score: score(request.title, request.description)
+            });
+        });
+        return matches
+            .filter(match => match.id && match.score >= threshold)
+            .map(match => ({ ...match, score: Math.round(match.score * 100) / 100 }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /** The open requests an approved SOP answers: linked by its ID or named in sop.requestId. */
+    function requestsForSop(requests, sop) {
+        const sopId = sop && sop.meta && sop.meta.sopId;
+        return (requests || []).filter(r => isOpen(r) && ((sopId && r.sopId === sopId) || (sop.requestId && r.id === sop.requestId)));
+    }
+
+    /** Complete (mutated) the open requests answered by sop, just approved. Returns them. */
+    function completeForSop(requests, sop, { at, by } = {}) {
+        return requestsForSop(requests, sop).map(request => {
+            if (request.status !== 'In Progress') setStatus(request, 'In Progress', { at, by, sopId: sop.meta.sopId });
+            return setStatus(request, 'Completed', { at, by, sopId: sop.meta.sopId, reason: `SOP ${sop.meta.sopId} version ${sop.meta.version || 'N/A'} approved` });
+        });
+    }
+
+    return {
+        STATUSES, OPEN_STATUSES, TRANSITIONS, PRIORITIES, DUPLICATE_THRESHOLD, normalizeFields, createRequest,
+        upgradeRequest, isOpen, canTransition, setStatus, updateFields, addVote, keywords, titleSimilarity,
+        findDuplicates, linkSop, requestsForSop, completeForSop
+    };
+}));
@@ -0,0 +1,79 @@
+/**
+ * Periodic review schedule, shared by the browser (register dashboard, review tasks) and the backend's
+ * scheduled check (POST /reviews/run, GET /reviews/due).
+ *
+ * An Approved SOP is due for review on meta.reviewDate (set to a year out when it is approved). From
+ * dueSoonDays before that date it is 'due-soon', after it 'overdue':
+ *
+ *   const items = SopReviewSchedule.reviewsDue(sops, '2025-06-01', 30);
+ *   // [{ sopId, title, department, author, version, reviewDate, state, days }]  overdue first
+ *
+ * days is the number of days until the review date (negative when overdue). Owners and department heads
+ * are told once per state per review date – noticeKey() – and get one review task per review date – taskKey().
+ * Confirming the review (no changes needed) or approving a new version moves the review date on.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopReviewSchedule = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_DUE_SOON_DAYS = 30;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /** "2025-06-01" (or a Date) → days since the epoch, ignoring the time zone. NaN when it is not a date. */
+    function dayNumber(value) {
+        const text = value instanceof Date ? value.toISOString() : String(value || '');
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+        return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS : NaN;
+    }
+
+    /** { state: 'overdue' | 'due-soon' | 'scheduled', days } for an Approved SOP with a review date, otherwise null. */
+    function reviewState(sop, today, dueSoonDays = DEFAULT_DUE_SOON_DAYS) {
+        const meta = (sop && sop.meta) || {};
+        if (meta.status !== 'Approved') return null;
+        const days = dayNumber(meta.reviewDate) - dayNumber(today);
+        if (isNaN(days)) return null;
+        return { state: days < 0 ? 'overdue' : days <= dueSoonDays ? 'due-soon' : 'scheduled', days };
+    }
+
+    /** SOPs due soon or overdue. sops is an array or an object keyed by SOP ID. */
+    function reviewsDue(sops, today, dueSoonDays = DEFAULT_DUE_SOON_DAYS) {
+        const list = Array.isArray(sops) ? sops : Object.keys(sops || {}).map(key => ({ key, ...sops[key] }));
+        const items = [];
+        list.forEach(sop => {
+            const review = reviewState(sop, today, dueSoonDays);
+            if (!review || review.state === 'scheduled') return;
+            const meta = sop.meta;
+            items.push({
+                sopId: meta.sopId || sop.key || '', title: meta.title || '', department: meta.department || '',
+                author: meta.author || '', version: meta.version || '', reviewDate: meta.reviewDate, ...review
+            });
+        });
+        return items.sort((a, b) => a.days - b.days);
+    }
+
+    function noticeKey(item) {
+        return `${item.sopId}@${item.reviewDate}:${item.state}`;
+    }
+
+    function taskKey(item) {
+        return `${item.sopId}@${item.reviewDate}`;
+    }
+
+    /** "Overdue by 3 days" / "Due today" / "Due in 12 days" */
+    function describeDue(item) {
+        const n = Math.abs(item.days);
+        const days = `${n} day${n === 1 ? '' : 's'}`;
+        if (item.days < 0) return `Overdue by ${days}`;
+        return item.days === 0 ? 'Due today' : `Due in ${days}`;
+    }
+
+    /** The text of the email and of the review task. */
+    function reviewMessage(item) {
+        return `Periodic review of ${item.sopId} "${item.title}" (version ${item.version || 'N/A'}, ${item.department || 'no department'}): ` +
+            `${describeDue(item).toLowerCase()} – review date ${item.reviewDate}. Confirm it is still correct (Confirm Reviewed in the SOP Register) or start a new revision.`;
+    }
+
+    return { DEFAULT_DUE_SOON_DAYS, dayNumber, reviewState, reviewsDue, noticeKey, taskKey, describeDue, reviewMessage };
+}));
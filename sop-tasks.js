@@ -0,0 +1,208 @@
+/**
+ * SOP tasks – work items on the Tasks tab, shared by the browser and the backend (/tasks). Tasks are always
+ * addressed by id, never by their place in a list:
+ *
+ *   { id, title, department, submittedBy, createdBy: { email, name }, assignedTo, assigneeEmail, priority,
+ *     description, status, submittedAt, dueDate, sopId, completedAt, updatedAt, comments: [{ id, at, by, text }] }
+ *
+ * submittedBy is the name typed on the form, createdBy the account (empty without one); assignedTo is picked
+ * from the Users list. dueDate is "YYYY-MM-DD" or ''; a task not Completed after its due date is overdue.
+ * Periodic review tasks (sop-review-schedule.js) also carry reviewKey, reviewDate and reviewState and are due
+ * on the review date.
+ *
+ *   Pending ──start──▶ In Progress ──complete──▶ Completed
+ *      │  ▲               │   ▲                    ▲
+ *      ▼  │               ▼   │                    │
+ *      Blocked ───────────────────complete─────────┘
+ *
+ * Any open status can go to any other open status (the board moves cards freely); Completed is final.
+ * The Kanban board groups tasks with boardLanes() into swimlanes (by department or assignee) and columns
+ * (one per status).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopTasks = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STATUSES = ['Pending', 'In Progress', 'Blocked', 'Completed'];
+    const TRANSITIONS = {
+        'Pending': ['In Progress', 'Blocked', 'Completed'],
+        'In Progress': ['Pending', 'Blocked', 'Completed'],
+        'Blocked': ['Pending', 'In Progress', 'Completed'],
+        'Completed': []
+    };
+    const LANE_FIELDS = { department: 'department', assignee: 'assigneeEmail' };
+    const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+    const MAX_TEXT_LENGTH = 4000;
+
+    function text(value, name, required, max = 200) {
+        const result = String(value === undefined || value === null ? '' : value).trim();
+        if (required && !result) throw new Error(`${name} is required`);
+        if (result.length > max) throw new Error(`${name} is limited to ${max} characters`);
+        return result;
+    }
+
+    function dateOnly(value, name) {
+        const result = text(value, name, false);
+        if (result && (!/^\d{4}-\d{2}-\d{2}$/.test(result) || isNaN(Date.parse(result)))) throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+        return result;
+    }
+
+    /** Check the form fields. Throws on a missing title, department or submitter, an unknown priority or a bad date. */
+    function normalizeFields(fields) {
+        const source = fields || {};
+        const priority = String(source.priority || 'Medium');
+        if (!PRIORITIES.includes(priority)) throw new Error(`priority must be one of ${PRIORITIES.join(', ')}`);
+        return {
+            title: text(source.title, 'title', true),
+            department: text(source.department, 'department', true),
+            submittedBy: text(source.submittedBy, 'submittedBy', true),
+            assignedTo: text(source.assignedTo, 'assignedTo', false),
+            assigneeEmail: text(source.assigneeEmail, 'assigneeEmail', false).toLowerCase(),
+            priority,
+            description: text(source.description, 'description', false, MAX_TEXT_LENGTH),
+            dueDate: dateOnly(source.dueDate, 'dueDate'),
+            sopId: text(source.sopId, 'sopId', false)
+        };
+    }
+
+    // Review tasks keep which review they are for; the scheduler that made them sets these
+    const REVIEW_FIELDS = ['reviewKey', 'reviewDate', 'reviewState'];
+
+    function createTask({ id, fields, at, by }) {
+        const task = {
+            id: text(id, 'id', true),
+            ...normalizeFields(fields),
+            createdBy: by && by.email ? { email: by.email, name: by.name || '' } : { email: '', name: '' },
+            status: 'Pending',
+            submittedAt: at,
+            completedAt: '',
+            updatedAt: at,
+            comments: []
+        };
+        REVIEW_FIELDS.forEach(name => { if (fields && fields[name]) task[name] = text(fields[name], name, false); });
+        return task;
+    }
+
+    /** Tasks saved before they had ids as strings, due dates or comments get them; a null sopId becomes ''. */
+    function upgradeTask(task) {
+        return {
+            assignedTo: '', assigneeEmail: '', description: '', dueDate: '', completedAt: '',
+            createdBy: { email: '', name: '' }, comments: [],
+            ...task,
+            id: String(task.id),
+            sopId: task.sopId || '',
+            status: STATUSES.includes(task.status) ? task.status : 'Pending',
+            priority: PRIORITIES.includes(task.priority) ? task.priority : 'Medium',
+            updatedAt: task.updatedAt || task.completedAt || task.submittedAt || ''
+        };
+    }
+
+    function isOpen(task) {
+        return task.status !== 'Completed';
+    }
+
+    function canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /** Move task (mutated) to status; setting the status it already has does nothing. Returns task. */
+    function setStatus(task, status, { at } = {}) {
+        if (!STATUSES.includes(status)) throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+        if (task.status === status) return task;
+        if (!canTransition(task.status, status)) throw new Error(`A task cannot go from ${task.status} to ${status}`);
+        task.status = status;
+        task.completedAt = status === 'Completed' ? at : '';
+        task.updatedAt = at;
+        return task;
+    }
+
+    /** Change the form fields (mutated) while the task is open. Returns task. */
+    function updateFields(task, fields, { at } = {}) {
+        if (!isOpen(task)) throw new Error('Completed tasks cannot be changed');
+        Object.assign(task, normalizeFields({ ...task, ...fields }));
+        REVIEW_FIELDS.forEach(name => { if (fields && fields[name]) task[name] = text(fields[name], name, false); });
+        task.updatedAt = at;
+        return task;
+    }
+
+    /** Add a comment (mutated); a comment with an id the task already has is not added twice. Returns the comment. */
+    function addComment(task, { id, at, by, text: body }) {
+        const comments = task.comments || (task.comments = []);
+        const existing = comments.find(c => c.id === id);
+        if (existing) return existing;
+        const comment = { id: text(id, 'comment id', true), at, by: text(by, 'name', true), text: text(body, 'comment', true, MAX_TEXT_LENGTH) };
+        comments.push(comment);
+        task.updatedAt = at;
+        return comment;
+    }
+
+    /** Days from today ("YYYY-MM-DD") to the due date – negative when overdue – or null without one or once Completed. */
+    function daysUntilDue(task, today) {
+        if (!task.dueDate || !isOpen(task)) return null;
+        return Math.round((Date.parse(task.dueDate) - Date.parse(String(today).slice(0, 10))) / 86400000);
+    }
+
+    function isOverdue(task, today) {
+        const days = daysUntilDue(task, today);
+        return days !== null && days < 0;
+    }
+
+    /**
+     * The tasks matching filters: { text, department, assignee (email, or '-' for unassigned), priority, status,
+     * overdueOnly, today }. Empty or 'all' filters match everything.
+     */
+    function filterTasks(tasks, filters = {}) {
+        const wanted = (value) => value && value !== 'all';
+        const words = String(filters.text || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return (tasks || []).filter(task => {
+            if (wanted(filters.department) && task.department !== filters.department) return false;
+            if (wanted(filters.assignee) && (filters.assignee === '-' ? !!task.assigneeEmail : task.assigneeEmail !== filters.assignee)) return false;
+            if (wanted(filters.priority) && task.priority !== filters.priority) return false;
+            if (wanted(filters.status) && (filters.status === 'open' ? !isOpen(task) : task.status !== filters.status)) return false;
+            if (filters.overdueOnly && !isOverdue(task, filters.today)) return false;
+            const haystack = `${task.title} ${task.description} ${task.sopId} ${task.assignedTo} ${task.submittedBy}`.toLowerCase();
+            return words.every(word => haystack.includes(word));
+        });
+    }
+
+    /**
+     * Kanban swimlanes: lane is 'department', 'assignee' or '' (one lane). Returns
+     * [{ key, label, columns: { <status>: [tasks] } }] with lanes sorted by label (unassigned last) and each
+     * column ordered by priority (Urgent first), then due date.
+     */
+    function boardLanes(tasks, lane = '') {
+        const field = LANE_FIELDS[lane];
+        const lanes = new Map();
+        (tasks || []).forEach(task => {
+            const key = field ? task[field] || '' : '';
+            if (!lanes.has(key)) {
+                const label = !field ? 'All tasks' : lane === 'assignee' ? task.assignedTo || key || 'Unassigned' : key || 'No department';
+                lanes.set(key, { key, label, columns: Object.fromEntries(STATUSES.map(status => [status, []])) });
+            }
+            lanes.get(key).columns[task.status].push(task);
+        });
+        const rank = (task) => PRIORITIES.length - PRIORITIES.indexOf(task.priority);
+        lanes.forEach(({ columns }) => STATUSES.forEach(status => columns[status].sort((a, b) =>
+            rank(a) - rank(b) || (a.dueDate || '9999').localeCompare(b.dueDate || '9999'))));
+        return [...lanes.values()].sort((a, b) => (!a.key) - (!b.key) || a.label.localeCompare(b.label));
+    }
+
+    /** The field a task gets when moved into another swimlane: { department } or { assigneeEmail }, or null. */
+    function laneChange(lane, key) {
+        return LANE_FIELDS[lane] ? { [LANE_FIELDS[lane]]: key } : null;
+    }
+
+    /** Tasks per status – the board's WIP counts. */
+    function countByStatus(tasks) {
+        const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        (tasks || []).forEach(task => { counts[task.status]++; });
+        return counts;
+    }
+
+    return {
+        STATUSES, TRANSITIONS, PRIORITIES, normalizeFields, createTask, upgradeTask, isOpen, canTransition, setStatus,
+        updateFields, addComment, daysUntilDue, isOverdue, filterTasks, boardLanes, laneChange, countByStatus
+    };
+}));
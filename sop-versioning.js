@@ -0,0 +1,68 @@
+/**
+ * SOP version numbers and released versions, shared by the browser (editor, register) and the backend (POST /sops,
+ * approval, /releases).
+ *
+ * Versions are "major.minor" and set by the tool, never typed: a new SOP starts at FIRST_VERSION and editing an
+ * Approved SOP starts a new revision at nextVersion(version, 'major' | 'minor'), chosen by the author together with
+ * a change reason. The draft keeps what it revises in sop.revisionOf:
+ *
+ *   revisionOf: { version, revision, bump, reason }
+ *
+ * Each approval adds a released version to the SOP's release list (one per SOP on the backend) and marks the one
+ * it replaces Superseded; the superseded revision stays readable and prints with a SUPERSEDED watermark:
+ *
+ *   { version, revision, title, department, author, effectiveDate, status, approvedAt, approvedBy,
+ *     supersededAt, supersededBy, supersededByRevision }
+ *
+ * status is 'Approved' (at most one per SOP), 'Superseded' or 'Retired' (the SOP was withdrawn: retiredAt, retiredBy).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SopVersioning = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FIRST_VERSION = '1.0';
+    const BUMP_TYPES = ['major', 'minor'];
+
+    /** "2.3" → { major: 2, minor: 3 }. Hand-typed versions from before ("v2", "1") read as their first numbers. */
+    function parseVersion(version) {
+        const match = /(\d+)(?:\.(\d+))?/.exec(String(version || ''));
+        if (!match) return { major: 1, minor: 0 };
+        return { major: Number(match[1]), minor: Number(match[2] || 0) };
+    }
+
+    function nextVersion(version, bump) {
+        if (!BUMP_TYPES.includes(bump)) throw new Error('bump must be "major" or "minor"');
+        const { major, minor } = parseVersion(version);
+        return bump === 'major' ? `${major + 1}.0` : `${major}.${minor + 1}`;
+    }
+
+    /** Which bump turns from into to – 'major', 'minor' or null when to is neither. */
+    function bumpBetween(from, to) {
+        return BUMP_TYPES.find(bump => nextVersion(from, bump) === String(to || '').trim()) || null;
+    }
+
+    /**
+     * Record an approved revision in versions (mutated): the version it replaces – and any other still Approved –
+     * becomes Superseded. Returns the versions that were superseded.
+     */
+    function addRelease(versions, release) {
+        const superseded = versions.filter(v => v.status === 'Approved' && v.revision !== release.revision);
+        superseded.forEach(v => Object.assign(v, {
+            status: 'Superseded',
+            supersededAt: release.approvedAt,
+            supersededBy: release.version,
+            supersededByRevision: release.revision
+        }));
+        versions.push({ ...release, status: 'Approved', supersededAt: '', supersededBy: '', supersededByRevision: 0 });
+        return superseded;
+    }
+
+    /** The release entry for a revision, or null. */
+    function releaseFor(versions, revision) {
+        return (versions || []).find(v => v.revision === Number(revision)) || null;
+    }
+
+    return { FIRST_VERSION, BUMP_TYPES, parseVersion, nextVersion, bumpBetween, addRelease, releaseFor };
+}));
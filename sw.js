@@ -0,0 +1,107 @@
+/**
+ * Service worker – keeps the app usable at machines with no signal.
+ *
+ *   App files (same origin)     network first, cached copy when offline. index.html cache-busts its
+ *                               scripts with ?v=..., so the query string is ignored for the cache key.
+ *   jsPDF / html2canvas / EmailJS   cache first – the CDN URLs are versioned.
+ *   Step images (/images/<sha256> on the SOP server)   cache first – an image never changes under its hash.
+ *
+ * SOP data itself is not cached here: the app keeps approved SOPs in IndexedDB (offline-store.js).
+ * Bump CACHE_VERSION when the precache list changes.
+ */
+const CACHE_VERSION = 'v10';
+const APP_CACHE = 'sop-app-' + CACHE_VERSION;
+const IMAGE_CACHE = 'sop-images';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'sop-config.js',
+    'google-drive-storage.js',
+    'shared-sop-api.js',
+    'offline-store.js',
+    'sop-pdf-renderer.js',
+    'sop-approval.js',
+    'sop-comments.js',
+    'sop-versioning.js',
+    'sop-lifecycle.js',
+    'sop-diff.js',
+    'sop-review-schedule.js',
+    'sop-requests.js',
+    'sop-tasks.js',
+    'sop-kpis.js',
+    'app.js',
+    'Recorp_logo.png',
+    'icon.svg',
+    'manifest.webmanifest'
+];
+
+const CDN_FILES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js',
+    'https://cdn.jsdelivr.net/npm/@emailjs/browser@4/dist/email.min.js'
+];
+
+const IMAGE_PATH = /\/images\/[a-f0-9]{64}$/;
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(APP_FILES);
+        // A CDN outage must not stop the app files from being cached
+        await Promise.all(CDN_FILES.map(url => cache.add(new Request(url, { mode: 'cors' })).catch(e => {
+            console.warn('Could not cache', url, e.message);
+        })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(n => n.startsWith('sop-app-') && n !== APP_CACHE).map(n => caches.delete(n)));
+        await self.clients.claim();
+    })());
+});
+
+function appCacheKey(url) {
+    return url.origin + url.pathname;
+}
+
+async function networkFirst(request, url) {
+    const cache = await caches.open(APP_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') cache.put(appCacheKey(url), response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(appCacheKey(url)) ||
+            (request.mode === 'navigate' ? await cache.match(new URL('index.html', self.registration.scope).href) : null);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function cacheFirst(cacheName, request, key) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (IMAGE_PATH.test(url.pathname)) {
+        event.respondWith(cacheFirst(IMAGE_CACHE, request, url.href));
+    } else if (CDN_FILES.includes(url.href)) {
+        event.respondWith(cacheFirst(APP_CACHE, request, url.href));
+    } else if (url.origin === self.location.origin && !request.headers.has('Authorization')) {
+        // Signed API calls are never cached, even when the backend shares the app's origin
+        event.respondWith(networkFirst(request, url));
+    }
+});